@@ -0,0 +1,91 @@
+/**
+ * accounts.js — Deleting an account and exporting its data
+ *
+ * deleteAccount() removes the user and everything tied to them in one
+ * users.remove mutation (repositories.js has the full list), so counters such
+ * as likesCount and commentsCount on other users' posts are corrected in the
+ * same step. With `anonymize`, the user's public posts stay up with authorId
+ * null; their other posts are deleted either way. Upload files no longer
+ * used by a surviving post are deleted from disk afterwards.
+ *
+ * exportAccount() gathers what the user owns into one JSON-serialisable
+ * archive: profile, posts (with revision history), comments, reactions,
+ * connections, notifications, upload records and reports filed. Uploads are listed by URL
+ * rather than embedded.
+ */
+
+const {
+  users, posts, comments, likes, follows, friendships, friendRequests,
+  blocks, mutes, notifications, media, reports,
+} = require('./repositories');
+const { presentPost } = require('./postView');
+const { historyOf } = require('./revisions');
+const { present: presentNotification } = require('./notifications');
+const { mediaUrl, removeFile } = require('./media');
+
+const byCreatedAt = (a, b) => a.createdAt.localeCompare(b.createdAt);
+
+/** Delete userId's account; returns the IDs of the uploads removed with it. */
+function deleteAccount(userId, { anonymize = false } = {}) {
+  const uploads = media.byOwner(userId).map((m) => m.id);
+  users.remove(userId, { anonymize });
+
+  const removed = uploads.filter((id) => !media.get(id));
+  removed.forEach(removeFile);
+  return removed;
+}
+
+/** A user as referenced from the archive: ID plus username, if still around. */
+function userRef(userId) {
+  const user = users.get(userId);
+  return { userId, username: user ? user.username : null };
+}
+
+/** Everything userId owns, as a JSON archive. */
+function exportAccount(userId) {
+  const user = users.get(userId);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: user,
+    posts: posts.byAuthor(userId).map((p) => ({
+      ...presentPost(p, userId),
+      revisions: historyOf(p),
+    })),
+    comments: comments.byAuthor(userId).sort(byCreatedAt),
+    reactions: likes.byUser(userId)
+      .map((l) => ({ postId: l.postId, type: l.type || 'like', createdAt: l.createdAt }))
+      .sort(byCreatedAt),
+    following: follows.edgesFrom(userId)
+      .map((f) => ({ ...userRef(f.followeeId), createdAt: f.createdAt })),
+    followers: follows.edgesTo(userId)
+      .map((f) => ({ ...userRef(f.followerId), createdAt: f.createdAt })),
+    friends: friendships.friendIds(userId)
+      .map((id) => ({ ...userRef(id), createdAt: friendships.get(userId, id).createdAt })),
+    friendRequests: {
+      incoming: friendRequests.incoming(userId),
+      outgoing: friendRequests.outgoing(userId),
+    },
+    blocks: blocks.byBlocker(userId)
+      .map((b) => ({ ...userRef(b.blockedId), createdAt: b.createdAt })),
+    mutes: mutes.byMuter(userId)
+      .map((m) => ({ ...userRef(m.mutedId), createdAt: m.createdAt })),
+    notifications: notifications.forUser(userId)
+      .map((n) => presentNotification(n))
+      .filter(Boolean)
+      .sort(byCreatedAt),
+    media: media.byOwner(userId)
+      .map((m) => ({ ...m, url: mediaUrl(m.id) }))
+      .sort(byCreatedAt),
+    // Without the resolution, which names the admin
+    reports: reports.byReporter(userId)
+      .map(({
+        id, targetType, targetId, reason, details, status, createdAt,
+      }) => ({
+        id, targetType, targetId, reason, details, status, createdAt,
+      }))
+      .sort(byCreatedAt),
+  };
+}
+
+module.exports = { deleteAccount, exportAccount };
@@ -0,0 +1,119 @@
+/**
+ * adapters/file.js — Durable storage adapter: append-only JSON log + snapshots
+ *
+ * On disk (in `dir`):
+ *   log.jsonl      one `{ seq, type, payload }` line per committed mutation
+ *   snapshot.json  `{ seq, data }` — full copy of storage as of mutation `seq`
+ *
+ * load() restores the snapshot, then replays log entries with a higher seq.
+ * A torn final line (crash mid-append) is ignored. Snapshots are written to a
+ * temp file and renamed into place before the log is truncated, so a crash at
+ * any point leaves either the old or the new snapshot plus a replayable log.
+ *
+ * A snapshot is taken every `snapshotEvery` appends, every
+ * `snapshotIntervalMs` while there are unsnapshotted appends, and on close().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SNAPSHOT_EVERY = 1000;
+const DEFAULT_SNAPSHOT_INTERVAL_MS = 60 * 1000;
+
+/** Plain data collections of the storage object (skips reset() etc.). */
+function collectionsOf(state) {
+  const data = {};
+  Object.entries(state).forEach(([key, value]) => {
+    if (typeof value !== 'function') data[key] = value;
+  });
+  return data;
+}
+
+function createFileAdapter({
+  dir,
+  snapshotEvery = DEFAULT_SNAPSHOT_EVERY,
+  snapshotIntervalMs = DEFAULT_SNAPSHOT_INTERVAL_MS,
+}) {
+  const logPath = path.join(dir, 'log.jsonl');
+  const snapshotPath = path.join(dir, 'snapshot.json');
+
+  let state = null;
+  let seq = 0;
+  let pending = 0; // appends since the last snapshot
+  let timer = null;
+
+  function readSnapshot() {
+    if (!fs.existsSync(snapshotPath)) return null;
+    return JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+  }
+
+  function readLog() {
+    if (!fs.existsSync(logPath)) return [];
+    const lines = fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean);
+    const entries = [];
+    for (let i = 0; i < lines.length; i += 1) {
+      try {
+        entries.push(JSON.parse(lines[i]));
+      } catch (err) {
+        if (i === lines.length - 1) break; // torn write at the tail
+        throw new Error(`corrupt storage log at line ${i + 1}: ${err.message}`);
+      }
+    }
+    return entries;
+  }
+
+  const adapter = {
+    name: 'file',
+
+    load(target, applyOp) {
+      fs.mkdirSync(dir, { recursive: true });
+      state = target;
+
+      const snapshot = readSnapshot();
+      if (snapshot) {
+        Object.assign(state, snapshot.data);
+        seq = snapshot.seq;
+      }
+
+      readLog().forEach((entry) => {
+        if (entry.seq <= seq) return; // already folded into the snapshot
+        applyOp(state, entry);
+        seq = entry.seq;
+        pending += 1;
+      });
+
+      if (snapshotIntervalMs > 0) {
+        timer = setInterval(() => {
+          if (pending > 0) adapter.snapshot();
+        }, snapshotIntervalMs);
+        timer.unref();
+      }
+    },
+
+    append({ type, payload }) {
+      seq += 1;
+      fs.appendFileSync(logPath, `${JSON.stringify({ seq, type, payload })}\n`);
+      pending += 1;
+      if (pending >= snapshotEvery) adapter.snapshot();
+    },
+
+    snapshot() {
+      if (!state) return;
+      const tmpPath = `${snapshotPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ seq, data: collectionsOf(state) }));
+      fs.renameSync(tmpPath, snapshotPath);
+      fs.writeFileSync(logPath, '');
+      pending = 0;
+    },
+
+    close() {
+      if (timer) clearInterval(timer);
+      timer = null;
+      if (pending > 0) adapter.snapshot();
+    },
+  };
+
+  return adapter;
+}
+
+module.exports = { createFileAdapter };
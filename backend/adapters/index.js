@@ -0,0 +1,35 @@
+/**
+ * adapters/index.js — Picks the storage adapter from the environment
+ *
+ *   STORAGE_ADAPTER        memory (default) | file
+ *   STORAGE_DIR            directory for the file adapter (default: backend/data)
+ *   STORAGE_SNAPSHOT_EVERY ops between snapshots (default: 1000)
+ *   STORAGE_SNAPSHOT_MS    periodic snapshot interval in ms (default: 60000)
+ *
+ * Every adapter implements:
+ *   load(state, applyOp)  restore persisted data into the storage object
+ *   append(op)            record one committed mutation
+ *   snapshot()            compact persisted data (may be a no-op)
+ *   close()               flush and release resources
+ */
+
+const path = require('path');
+const { createMemoryAdapter } = require('./memory');
+const { createFileAdapter } = require('./file');
+
+function createAdapter(name = process.env.STORAGE_ADAPTER || 'memory') {
+  switch (name) {
+    case 'memory':
+      return createMemoryAdapter();
+    case 'file':
+      return createFileAdapter({
+        dir: process.env.STORAGE_DIR || path.join(__dirname, '..', 'data'),
+        snapshotEvery: Number(process.env.STORAGE_SNAPSHOT_EVERY) || undefined,
+        snapshotIntervalMs: Number(process.env.STORAGE_SNAPSHOT_MS) || undefined,
+      });
+    default:
+      throw new Error(`unknown STORAGE_ADAPTER: ${name}`);
+  }
+}
+
+module.exports = { createAdapter };
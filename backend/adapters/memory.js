@@ -0,0 +1,17 @@
+/**
+ * adapters/memory.js — Non-persistent storage adapter (default; used by tests)
+ *
+ * State lives only in storage.js, so every hook is a no-op.
+ */
+
+function createMemoryAdapter() {
+  return {
+    name: 'memory',
+    load() {},
+    append() {},
+    snapshot() {},
+    close() {},
+  };
+}
+
+module.exports = { createMemoryAdapter };
@@ -0,0 +1,147 @@
+/**
+ * auth.js — Password hashing, session tokens and auth middleware
+ *
+ * - Passwords are hashed with scrypt (node:crypto) and a random per-user salt.
+ *   Hashes live in the credentials repository, never on the user object, so
+ *   they cannot leak through any route that returns users.
+ * - A session token is `<sessionId>.<signature>`, where the signature is an
+ *   HMAC-SHA256 of the session ID. Sessions are kept in the sessions
+ *   repository so logout (or storage.reset()) revokes them.
+ *
+ * authenticate  — resolves req.user from `Authorization: Bearer <token>`
+ *                 (null when absent/invalid); mounted once in server.js.
+ * requireAuth   — 401 unless authenticate resolved a user.
+ * requireActive — after requireAuth: 403 account_suspended for a suspended
+ *                 user (routes/reports.js), on routes that create content or
+ *                 connections. Undoing, deleting one's own content and
+ *                 defending oneself (block, mute, report) stay open.
+ * requireAdmin  — after requireAuth: 403 unless the user's role is 'admin'.
+ */
+
+const crypto = require('crypto');
+const { users, sessions } = require('./repositories');
+const { sendError } = require('./errors');
+
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const KEY_LENGTH = 64;
+
+// User roles; everyone signs up as 'user'
+const ROLES = ['user', 'admin'];
+
+// ── Passwords ─────────────────────────────────────────────────────────────────
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return { salt, hash };
+}
+
+// Checked against when there is no credential, so unknown usernames take as
+// long to refuse as wrong passwords
+const DUMMY_CREDENTIAL = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/** Whether password matches credential; always runs scrypt, even without one. */
+function verifyPassword(password, credential) {
+  const checked = credential || DUMMY_CREDENTIAL;
+  const expected = Buffer.from(checked.hash, 'hex');
+  const actual = crypto.scryptSync(password, checked.salt, KEY_LENGTH);
+  return crypto.timingSafeEqual(expected, actual) && Boolean(credential);
+}
+
+// ── Sessions ──────────────────────────────────────────────────────────────────
+
+function sign(sessionId) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(sessionId).digest('base64url');
+}
+
+/** Create a session for userId and return its signed bearer token. */
+function createSession(userId) {
+  const id = crypto.randomBytes(24).toString('base64url');
+  const now = Date.now();
+  sessions.create({
+    id,
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_MS).toISOString(),
+  });
+  return `${id}.${sign(id)}`;
+}
+
+/** Return the live session for a token, or null if it is forged/expired/revoked. */
+function resolveSession(token) {
+  if (typeof token !== 'string') return null;
+  const [id, signature] = token.split('.');
+  if (!id || !signature) return null;
+
+  const expected = Buffer.from(sign(id));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  const session = sessions.get(id);
+  if (!session) return null;
+  if (new Date(session.expiresAt) <= new Date()) {
+    sessions.remove(id);
+    return null;
+  }
+  return session;
+}
+
+function destroySession(sessionId) {
+  sessions.remove(sessionId);
+}
+
+// ── Middleware ────────────────────────────────────────────────────────────────
+
+function authenticate(req, res, next) {
+  req.user = null;
+  req.session = null;
+
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) {
+    const session = resolveSession(match[1]);
+    const user = session && users.get(session.userId);
+    if (user) {
+      req.user = user;
+      req.session = session;
+    }
+  }
+  next();
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return sendError(res, 401, 'authentication required');
+  }
+  next();
+}
+
+function requireActive(req, res, next) {
+  if (req.user.suspendedAt) {
+    return sendError(res, 403, 'your account is suspended', { code: 'account_suspended' });
+  }
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (req.user.role !== 'admin') {
+    return sendError(res, 403, 'admins only');
+  }
+  next();
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  resolveSession,
+  destroySession,
+  authenticate,
+  requireAuth,
+  requireActive,
+  requireAdmin,
+};
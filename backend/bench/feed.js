@@ -0,0 +1,203 @@
+/**
+ * bench/feed.js — Seeds a large social graph and times feed and profile reads
+ *
+ * Usage:
+ *   npm run bench:feed
+ *   BENCH_USERS=10000 BENCH_POSTS=100000 npm run bench:feed
+ *
+ *   BENCH_USERS    users to create              (default 100000)
+ *   BENCH_POSTS    posts to create              (default 1000000)
+ *   BENCH_FOLLOWS  accounts each user follows   (default 10)
+ *   BENCH_LIKES    posts each user reacts to    (default 10)
+ *   BENCH_READS    timed requests per endpoint  (default 200)
+ *
+ * Writes go straight through repositories.js (memory adapter) so seeding
+ * exercises the fan-out-on-write path; reads go through the HTTP app so the
+ * timings include routing and JSON serialisation. Feeds are read both
+ * anonymously and signed in as their owner, which adds each post's
+ * viewerReaction (a reaction lookup per post). For contrast, the
+ * pre-index feed query (scan every follow and every post) is timed on a few
+ * users as well. Rate limiting is off: every timed read comes from one
+ * anonymous IP and would soon exhaust the `api` budget.
+ */
+
+const repositories = require('../repositories');
+const { parsePageParams, paginate } = require('../pagination');
+const { configure } = require('../ratelimit');
+const { createSession } = require('../auth');
+const app = require('../server');
+
+configure({ enabled: false });
+
+const USERS = Number(process.env.BENCH_USERS) || 100000;
+const POSTS = Number(process.env.BENCH_POSTS) || 1000000;
+const FOLLOWS = Number(process.env.BENCH_FOLLOWS) || 10;
+const LIKES = Number(process.env.BENCH_LIKES) || 10;
+const READS = Number(process.env.BENCH_READS) || 200;
+const SCAN_READS = 5;
+
+// Deterministic PRNG (mulberry32) so runs are comparable
+let rngState = 42;
+function random() {
+  rngState = (rngState + 0x6D2B79F5) | 0;
+  let t = Math.imul(rngState ^ (rngState >>> 15), 1 | rngState);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+const pick = (n) => Math.floor(random() * n);
+const userId = (i) => `bench-user-${i}`;
+
+function elapsedMs(start) {
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function time(label, count, fn) {
+  const start = process.hrtime.bigint();
+  fn();
+  const ms = elapsedMs(start);
+  console.log(`${label.padEnd(34)} ${(ms / 1000).toFixed(1).padStart(7)} s  (${(ms * 1000 / count).toFixed(1)} µs each)`);
+}
+
+function summarise(label, samples) {
+  const sorted = samples.slice().sort((a, b) => a - b);
+  const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  console.log(
+    `${label.padEnd(34)} p50 ${at(0.5).toFixed(2).padStart(8)} ms`
+    + `  p95 ${at(0.95).toFixed(2).padStart(8)} ms  max ${sorted[sorted.length - 1].toFixed(2).padStart(8)} ms`
+  );
+}
+
+// ── Seeding ───────────────────────────────────────────────────────────────────
+
+function seed() {
+  const createdAt = new Date(Date.UTC(2024, 0, 1)).toISOString();
+
+  time(`create ${USERS} users`, USERS, () => {
+    for (let i = 0; i < USERS; i += 1) {
+      repositories.users.create({
+        id: userId(i),
+        username: `bench_${i}`,
+        displayName: `Bench User ${i}`,
+        bio: '',
+        profilePicUrl: null,
+        createdAt,
+      });
+    }
+  });
+
+  time(`create ${USERS * FOLLOWS} follows`, USERS * FOLLOWS, () => {
+    for (let i = 0; i < USERS; i += 1) {
+      const followerId = userId(i);
+      let added = 0;
+      while (added < Math.min(FOLLOWS, USERS - 1)) {
+        const followeeId = userId(pick(USERS));
+        if (followeeId !== followerId && !repositories.follows.exists(followerId, followeeId)) {
+          repositories.follows.add(followerId, followeeId, createdAt);
+          added += 1;
+        }
+      }
+    }
+  });
+
+  // One post per second of simulated time, random authors
+  const start = Date.UTC(2024, 0, 2);
+  time(`create ${POSTS} posts (fan-out)`, POSTS, () => {
+    for (let i = 0; i < POSTS; i += 1) {
+      repositories.posts.create({
+        id: `bench-post-${i}`,
+        authorId: userId(pick(USERS)),
+        content: `Benchmark post ${i}`,
+        mediaType: 'text',
+        mediaUrl: null,
+        createdAt: new Date(start + i * 1000).toISOString(),
+        likesCount: 0,
+        commentsCount: 0,
+      });
+    }
+  });
+
+  time(`create ${USERS * LIKES} reactions`, USERS * LIKES, () => {
+    for (let i = 0; i < USERS; i += 1) {
+      let added = 0;
+      while (added < Math.min(LIKES, POSTS)) {
+        const postId = `bench-post-${pick(POSTS)}`;
+        if (!repositories.likes.exists(userId(i), postId)) {
+          repositories.likes.add(userId(i), postId, 'like', createdAt);
+          added += 1;
+        }
+      }
+    }
+  });
+}
+
+// ── Reads ─────────────────────────────────────────────────────────────────────
+
+async function timedGet(baseUrl, path, token = null) {
+  const start = process.hrtime.bigint();
+  const res = await fetch(baseUrl + path, token ? { headers: { Authorization: `Bearer ${token}` } } : {});
+  const body = await res.json();
+  const ms = elapsedMs(start);
+  if (res.status !== 200) throw new Error(`GET ${path} → ${res.status} ${JSON.stringify(body)}`);
+  return { ms, body };
+}
+
+async function measure(baseUrl) {
+  const feedFirst = [];
+  const feedLater = [];
+  const feedSignedIn = [];
+  const profile = [];
+
+  for (let i = 0; i < READS; i += 1) {
+    const id = userId(pick(USERS));
+
+    const first = await timedGet(baseUrl, `/api/feed/${id}?limit=20`);
+    feedFirst.push(first.ms);
+    if (first.body.nextCursor) {
+      const later = await timedGet(baseUrl, `/api/feed/${id}?limit=20&cursor=${first.body.nextCursor}`);
+      feedLater.push(later.ms);
+    }
+    feedSignedIn.push((await timedGet(baseUrl, `/api/feed/${id}?limit=20`, createSession(id))).ms);
+
+    profile.push((await timedGet(baseUrl, `/api/users/${id}`)).ms);
+  }
+
+  summarise('GET /api/feed/:id (first page)', feedFirst);
+  if (feedLater.length > 0) summarise('GET /api/feed/:id (second page)', feedLater);
+  summarise('GET /api/feed/:id (signed in)', feedSignedIn);
+  summarise('GET /api/users/:id', profile);
+
+  // The query the feed route ran before timelines existed
+  const scan = [];
+  for (let i = 0; i < SCAN_READS; i += 1) {
+    const id = userId(pick(USERS));
+    const start = process.hrtime.bigint();
+    const followingIds = new Set(
+      repositories.follows.edgesFrom(id).map((f) => f.followeeId)
+    );
+    const candidates = repositories.posts.list().filter((p) => followingIds.has(p.authorId));
+    paginate(candidates, parsePageParams({}), { keyOf: (p) => p });
+    scan.push(elapsedMs(start));
+  }
+  summarise('full-scan feed query (in process)', scan);
+}
+
+async function main() {
+  console.log(`users=${USERS} posts=${POSTS} follows/user=${FOLLOWS} reads=${READS}\n`);
+  seed();
+
+  const heapMb = process.memoryUsage().heapUsed / 1024 / 1024;
+  console.log(`heap after seeding: ${heapMb.toFixed(0)} MB\n`);
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  try {
+    await measure(`http://localhost:${server.address().port}`);
+  } finally {
+    server.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,100 @@
+/**
+ * entities.js — Hashtags, @mentions and links found in post content
+ *
+ * parseEntities() returns
+ *   {
+ *     hashtags: [ { tag, start, end } ],               tag as written, without '#'
+ *     mentions: [ { username, userId, start, end } ],  known users only
+ *     urls:     [ { url, start, end } ],
+ *   }
+ * where start / end (exclusive) are offsets into the content as JavaScript
+ * string indices, so content.slice(start, end) is the entity's text,
+ * including its '#' or '@'.
+ *
+ * Links are found first; a '#' or '@' inside a link is part of the link.
+ * Trailing punctuation is left out of links ("see https://x.io." links
+ * https://x.io), as is a closing parenthesis without an opening one.
+ *
+ * Hashtags are compared case-insensitively: normalizeTag() gives the key
+ * used by the hashtag index (indexes.js) and GET /api/hashtags.
+ *
+ * This module does not read storage: callers pass a username lookup, so
+ * indexes.js can use hashtagsOf() without a require cycle.
+ */
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"]+/giu;
+// '#' or '@' must not follow a word character ("a#b", "me@example.com")
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&#])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_@])@([\p{L}\p{N}_]+(?:[.-][\p{L}\p{N}_]+)*)/gu;
+const TRAILING_PUNCTUATION = /[.,!?;:'"]+$/u;
+
+const MAX_TAG_LENGTH = 100;
+const TAG_PATTERN = /^[\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*$/u;
+
+/** Lookup key for a hashtag, or null if `tag` (with or without '#') isn't one. */
+function normalizeTag(tag) {
+  const bare = String(tag).replace(/^#/, '');
+  if (bare.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(bare)) return null;
+  return bare.toLowerCase();
+}
+
+/** Drop trailing punctuation, and a ')' that closes nothing, from a link. */
+function trimUrl(url) {
+  let trimmed = url.replace(TRAILING_PUNCTUATION, '');
+  while (trimmed.endsWith(')')
+    && (trimmed.match(/\(/g) || []).length < (trimmed.match(/\)/g) || []).length) {
+    trimmed = trimmed.slice(0, -1).replace(TRAILING_PUNCTUATION, '');
+  }
+  return trimmed;
+}
+
+function findUrls(content) {
+  return [...content.matchAll(URL_PATTERN)].map((match) => {
+    const url = trimUrl(match[0]);
+    return { url, start: match.index, end: match.index + url.length };
+  });
+}
+
+/** Matches of `pattern` outside every range in `taken`. */
+function matchesOutside(content, pattern, taken) {
+  return [...content.matchAll(pattern)].filter((match) => {
+    const end = match.index + match[0].length;
+    return !taken.some((range) => match.index < range.end && end > range.start);
+  });
+}
+
+function findHashtags(content, urls) {
+  return matchesOutside(content, HASHTAG_PATTERN, urls)
+    .filter((match) => match[1].length <= MAX_TAG_LENGTH)
+    .map((match) => ({ tag: match[1], start: match.index, end: match.index + match[0].length }));
+}
+
+/**
+ * Entities in `content`. findUser(username) resolves mentions (null for
+ * unknown names, which are not reported).
+ */
+function parseEntities(content, findUser) {
+  const urls = findUrls(content);
+  const hashtags = findHashtags(content, urls);
+  const mentions = matchesOutside(content, MENTION_PATTERN, urls)
+    .map((match) => ({ match, user: findUser(match[1]) }))
+    .filter(({ user }) => user)
+    .map(({ match, user }) => ({
+      username: user.username,
+      userId: user.id,
+      start: match.index,
+      end: match.index + match[0].length,
+    }));
+
+  return { hashtags, mentions, urls };
+}
+
+/** Distinct normalised hashtags of a post (parsed if it predates entities). */
+function hashtagsOf(post) {
+  const found = post.entities
+    ? post.entities.hashtags
+    : findHashtags(post.content || '', findUrls(post.content || ''));
+  return [...new Set(found.map((h) => h.tag.toLowerCase()))];
+}
+
+module.exports = { parseEntities, hashtagsOf, normalizeTag };
@@ -0,0 +1,44 @@
+/**
+ * errors.js — The one shape every API error takes
+ *
+ *   { "error": { "code": "not_found", "message": "post not found", "fields": [] } }
+ *
+ * `code` is stable and machine-readable; `message` is for people and may be
+ * reworded. Unless a handler passes a more specific code, the code follows
+ * from the status (CODES_BY_STATUS). Request validation failures
+ * (validation.js) are 400 `validation_failed`, with one entry per bad field in
+ * `fields`: { field, in: 'body' | 'query' | 'params', code, message }.
+ */
+
+const CODES_BY_STATUS = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  412: 'precondition_failed',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  416: 'range_not_satisfiable',
+  422: 'unprocessable_entity',
+  429: 'too_many_requests',
+  500: 'internal_error',
+};
+
+/** The response body for an error. */
+function errorBody(status, message, { code, fields = [] } = {}) {
+  return {
+    error: {
+      code: code || CODES_BY_STATUS[status] || (status >= 500 ? 'internal_error' : 'bad_request'),
+      message,
+      fields,
+    },
+  };
+}
+
+/** Send an error response; options.code overrides the status's default code. */
+function sendError(res, status, message, options) {
+  return res.status(status).json(errorBody(status, message, options));
+}
+
+module.exports = { CODES_BY_STATUS, errorBody, sendError };
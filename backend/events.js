@@ -0,0 +1,57 @@
+/**
+ * events.js — In-process event bus for real-time pushes
+ *
+ * Routes publish after a successful write, naming the users who should hear
+ * about it; routes/stream.js subscribes one listener per open SSE connection.
+ *
+ *   event           published by       recipients
+ *   post.created    routes/posts.js    followers who may see the post
+ *   post.deleted    routes/posts.js    followers who could see the post
+ *   post.liked      reactions.js       the post's author
+ *   post.unliked    reactions.js       the post's author
+ *   post.reacted    reactions.js       the post's author (any reaction change)
+ *   user.followed   routes/follows.js  the followee
+ *
+ * Every event gets a process-wide increasing id. The last HISTORY_PER_USER
+ * events for each user are kept so a reconnecting client can send the last
+ * id it saw (Last-Event-ID) and be replayed whatever it missed. History lives
+ * in memory only: it does not survive a restart and is not part of storage.
+ */
+
+const { EventEmitter } = require('events');
+
+const HISTORY_PER_USER = 100;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open stream
+
+let lastId = 0;
+const history = new Map(); // userId → events, oldest first
+
+/** Deliver `{ type, data }` to each of userIds (duplicates ignored). */
+function publish(userIds, type, data) {
+  new Set(userIds).forEach((userId) => {
+    lastId += 1;
+    const event = { id: lastId, type, data };
+
+    const recent = history.get(userId) || [];
+    recent.push(event);
+    if (recent.length > HISTORY_PER_USER) recent.shift();
+    history.set(userId, recent);
+
+    emitter.emit(userId, event);
+  });
+}
+
+/** Call listener(event) for every event published to userId; returns unsubscribe. */
+function subscribe(userId, listener) {
+  emitter.on(userId, listener);
+  return () => emitter.off(userId, listener);
+}
+
+/** Retained events for userId with an id above afterId, oldest first. */
+function eventsSince(userId, afterId) {
+  return (history.get(userId) || []).filter((event) => event.id > afterId);
+}
+
+module.exports = { publish, subscribe, eventsSince };
@@ -0,0 +1,127 @@
+/**
+ * idempotency.js — Safe retries for mutating requests (`Idempotency-Key`)
+ *
+ *   router.post('/', doc({ ... }), requireAuth, idempotent(), validate({ ... }), handler);
+ *
+ * A client that may retry a request (after a timeout, say) sends a unique
+ * `Idempotency-Key` header with it; a UUID will do. The first successful
+ * (2xx) response for that key is stored, and a repeat of the same request —
+ * same caller, method, path and body — gets the stored response back, with
+ * `Idempotent-Replayed: true`, instead of running the handler again. A
+ * retried POST /api/posts therefore creates no second post, and a retried
+ * like answers as the first one did rather than 400 "already liked".
+ *
+ * - Keys belong to the signed-in user (or the client IP when signed out), so
+ *   callers cannot collide or see each other's responses.
+ * - A key reused for a different request (method, path or body) is 422
+ *   `idempotency_key_reused`; the body is compared with its keys sorted.
+ * - A repeat arriving while the first is still running is 409
+ *   `idempotency_key_in_use`.
+ * - Error responses are not stored, so a retry after one runs afresh.
+ * - Records expire IDEMPOTENCY_TTL_HOURS after the first response; the key is
+ *   then free again.
+ *
+ * Requests without the header are unaffected. Records are kept through the
+ * idempotencyKeys repository, so the file adapter persists them.
+ */
+
+const crypto = require('crypto');
+const { users, idempotencyKeys } = require('./repositories');
+const { sendError } = require('./errors');
+
+const IDEMPOTENCY_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+// Record ids whose first request has not finished yet
+const inFlight = new Set();
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('base64url');
+
+/** JSON for `value` with object keys sorted, so key order does not matter. */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value).sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/** Send a stored response again. */
+function replay(res, record) {
+  res.set('Idempotent-Replayed', 'true');
+  if (record.etag) res.set('ETag', record.etag);
+  if (record.contentType) res.set('Content-Type', record.contentType);
+  return res.status(record.status).send(record.body);
+}
+
+/** Middleware making a route's successful responses replayable by Idempotency-Key. */
+function idempotent() {
+  const middleware = (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+    if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+      return sendError(res, 400, `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`, {
+        code: 'invalid_idempotency_key',
+      });
+    }
+
+    const owner = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+    const id = sha256(`${owner}\n${key}`);
+    const request = {
+      method: req.method,
+      path: req.originalUrl,
+      fingerprint: sha256(canonicalJson(req.body || {})),
+    };
+
+    const record = idempotencyKeys.get(id);
+    if (record) {
+      if (record.method !== request.method || record.path !== request.path
+        || record.fingerprint !== request.fingerprint) {
+        return sendError(res, 422, 'Idempotency-Key was already used for a different request', {
+          code: 'idempotency_key_reused',
+        });
+      }
+      return replay(res, record);
+    }
+    if (inFlight.has(id)) {
+      return sendError(res, 409, 'a request with this Idempotency-Key is still in progress', {
+        code: 'idempotency_key_in_use',
+      });
+    }
+
+    inFlight.add(id);
+    res.once('close', () => inFlight.delete(id));
+
+    // res.json() ends in res.send(text), so the final send sees the body as sent
+    const { send } = res;
+    res.send = function sendAndStore(body) {
+      const final = body === undefined || typeof body === 'string' || Buffer.isBuffer(body);
+      const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+      // A deleted account takes its records with it; don't store one after
+      const ownerGone = req.user && !users.exists(req.user.id);
+      if (final && succeeded && !ownerGone) {
+        const now = new Date();
+        idempotencyKeys.save({
+          id,
+          userId: req.user ? req.user.id : null,
+          ...request,
+          status: res.statusCode,
+          contentType: res.get('Content-Type') || null,
+          etag: res.get('ETag') || null,
+          body: body === undefined ? '' : String(body),
+          createdAt: now.toISOString(),
+          expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+        });
+      }
+      return send.call(this, body);
+    };
+    return next();
+  };
+  // Read by openapi.js to document the header
+  middleware.idempotent = true;
+  return middleware;
+}
+
+module.exports = { idempotent, IDEMPOTENCY_TTL_HOURS, MAX_KEY_LENGTH };
@@ -0,0 +1,362 @@
+/**
+ * indexes.js — Derived lookups over storage.js so hot reads don't scan
+ *
+ * Structures (all Maps keyed by user ID; missing keys mean "empty"):
+ *   followers:     Map<userId, Map<followerId, followRecord>>
+ *   following:     Map<userId, Map<followeeId, followRecord>>
+ *   postsByAuthor: Map<authorId, postId[]>
+ *   timelines:     Map<userId, postId[]>  posts by everyone userId follows
+ *   friends:       Map<userId, Map<friendId, friendshipRecord>>
+ *   blocking:      Map<blockerId, Map<blockedId, blockRecord>>
+ *   blockedBy:     Map<blockedId, Map<blockerId, blockRecord>>
+ *   muting:        Map<muterId, Map<mutedId, muteRecord>>
+ *   likesByUser:   Map<userId, Map<postId, reactionRecord>>
+ *   likesByPost:   Map<postId, Map<userId, reactionRecord>>
+ *   hashtags:      Map<tag, postId[]>  posts using the hashtag (entities.js)
+ *   userSearch:    term index over username, displayName and bio (search.js)
+ *   postSearch:    term index over post content (search.js)
+ *
+ * Post ID arrays are kept sorted ascending on (createdAt, id) — the same key
+ * pagination.js pages on — so new posts are appended and pages are found by
+ * binary search (paginateSorted).
+ *
+ * Reactions follow likes.add / change / remove and are dropped with their post
+ * or user; the index keeps its own copy of each record.
+ *
+ * Hashtag lists and the post search index follow posts.create, posts.remove
+ * and content edits (posts.update); the user search index follows
+ * users.create and profile edits (users.update, users.rename).
+ *
+ * Timelines are fan-out-on-write: posts.create pushes the post ID into the
+ * timeline of every follower of its author; follows.add backfills the
+ * followee's posts; follows.remove and posts.remove evict them again.
+ *
+ * Indexes are never persisted. repositories.js calls indexOp() for every
+ * commit, and buildIndexes() after an adapter has loaded persisted state.
+ */
+
+const { compareKeys, bisect } = require('./pagination');
+const { hashtagsOf } = require('./entities');
+const {
+  createTermIndex, userTerms, postTerms, addDocument, removeDocument,
+} = require('./search');
+
+function createIndexes() {
+  return {
+    followers: new Map(),
+    following: new Map(),
+    postsByAuthor: new Map(),
+    timelines: new Map(),
+    friends: new Map(),
+    blocking: new Map(),
+    blockedBy: new Map(),
+    muting: new Map(),
+    likesByUser: new Map(),
+    likesByPost: new Map(),
+    hashtags: new Map(),
+    userSearch: createTermIndex(),
+    postSearch: createTermIndex(),
+  };
+}
+
+/** Get map.get(key), creating it with make() on first use. */
+function slot(map, key, make) {
+  if (!map.has(key)) map.set(key, make());
+  return map.get(key);
+}
+
+/** Drop map's entry for key once it holds nothing, so removals don't leak. */
+function prune(map, key) {
+  const value = map.get(key);
+  if (value && (value.size === 0 || value.length === 0)) map.delete(key);
+}
+
+/** Record a friendship under both of its users. */
+function addFriendship(indexes, friendship) {
+  const [a, b] = friendship.userIds;
+  slot(indexes.friends, a, () => new Map()).set(b, friendship);
+  slot(indexes.friends, b, () => new Map()).set(a, friendship);
+}
+
+/** Set or delete the `a → b` entry of a pair of mirrored edge maps. */
+function setEdge(forward, backward, a, b, record) {
+  if (record) {
+    slot(forward, a, () => new Map()).set(b, record);
+    slot(backward, b, () => new Map()).set(a, record);
+    return;
+  }
+  (forward.get(a) || new Map()).delete(b);
+  (backward.get(b) || new Map()).delete(a);
+  prune(forward, a);
+  prune(backward, b);
+}
+
+/** Pagination key of a stored post, looked up by ID. */
+const postKey = (state) => (id) => ({ createdAt: state.posts[id].createdAt || '', id });
+
+/** Insert id into an ascending list at the position given by key. */
+function insertSorted(list, id, key, keyOf) {
+  const last = list[list.length - 1];
+  if (last === undefined || compareKeys(keyOf(last), key) < 0) {
+    list.push(id); // the common case: the newest post so far
+    return;
+  }
+  list.splice(bisect(list, key, keyOf), 0, id);
+}
+
+function removeSorted(list, id, key, keyOf) {
+  const i = bisect(list, key, keyOf);
+  if (list[i] === id) list.splice(i, 1);
+}
+
+/** Merge two ascending lists into a new ascending list. */
+function mergeSorted(a, b, keyOf) {
+  const merged = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    merged.push(compareKeys(keyOf(a[i]), keyOf(b[j])) <= 0 ? a[i++] : b[j++]);
+  }
+  return merged.concat(a.slice(i), b.slice(j));
+}
+
+/** Re-index a user's search terms when changes touch a searched field. */
+function reindexUser(indexes, user, changes) {
+  if (['username', 'displayName', 'bio'].every((field) => changes[field] === undefined)) return;
+  removeDocument(indexes.userSearch, user.id, userTerms(user));
+  addDocument(indexes.userSearch, user.id, userTerms({ ...user, ...changes }));
+}
+
+// ── Incremental updates ──────────────────────────────────────────────────────
+// Each runs against the state *before* the mutation is applied, so removals
+// can still read the records they evict.
+
+const INDEXERS = {
+  'users.create': (indexes, { user }) => {
+    addDocument(indexes.userSearch, user.id, userTerms(user));
+  },
+  'users.update': (indexes, { id, changes }, state) => {
+    reindexUser(indexes, state.users[id], changes);
+  },
+  'users.rename': (indexes, { id, username }, state) => {
+    reindexUser(indexes, state.users[id], { username });
+  },
+  // Mirrors the users.remove cascade in repositories.js
+  'users.remove': (indexes, { id, anonymize = false }, state) => {
+    removeDocument(indexes.userSearch, id, userTerms(state.users[id]));
+
+    [...(indexes.postsByAuthor.get(id) || [])].forEach((postId) => {
+      const post = state.posts[postId];
+      if (!(anonymize && (post.visibility || 'public') === 'public')) {
+        INDEXERS['posts.remove'](indexes, { id: postId }, state);
+      }
+    });
+    // Anonymous posts stay findable by hashtag and search, but no longer
+    // belong to an author; follows.remove below evicts them from timelines
+    [...(indexes.following.get(id) || new Map()).keys()].forEach((followeeId) => {
+      INDEXERS['follows.remove'](indexes, { followerId: id, followeeId }, state);
+    });
+    [...(indexes.followers.get(id) || new Map()).keys()].forEach((followerId) => {
+      INDEXERS['follows.remove'](indexes, { followerId, followeeId: id }, state);
+    });
+    indexes.postsByAuthor.delete(id);
+    indexes.timelines.delete(id);
+    [...(indexes.likesByUser.get(id) || new Map()).keys()].forEach((postId) => {
+      setEdge(indexes.likesByUser, indexes.likesByPost, id, postId, null);
+    });
+
+    [...(indexes.friends.get(id) || new Map()).keys()].forEach((friendId) => {
+      INDEXERS['friendships.remove'](indexes, { userId: id, friendId });
+    });
+    [...(indexes.blocking.get(id) || new Map()).keys()].forEach((blockedId) => {
+      setEdge(indexes.blocking, indexes.blockedBy, id, blockedId, null);
+    });
+    [...(indexes.blockedBy.get(id) || new Map()).keys()].forEach((blockerId) => {
+      setEdge(indexes.blocking, indexes.blockedBy, blockerId, id, null);
+    });
+    indexes.muting.delete(id);
+    [...indexes.muting.keys()].forEach((muterId) => {
+      INDEXERS['mutes.remove'](indexes, { muterId, mutedId: id });
+    });
+  },
+  'posts.create': (indexes, { post }, state) => {
+    const keyOf = (id) => (id === post.id
+      ? { createdAt: post.createdAt || '', id }
+      : postKey(state)(id));
+    const key = keyOf(post.id);
+
+    insertSorted(slot(indexes.postsByAuthor, post.authorId, () => []), post.id, key, keyOf);
+    (indexes.followers.get(post.authorId) || new Map()).forEach((edge, followerId) => {
+      insertSorted(slot(indexes.timelines, followerId, () => []), post.id, key, keyOf);
+    });
+    hashtagsOf(post).forEach((tag) => {
+      insertSorted(slot(indexes.hashtags, tag, () => []), post.id, key, keyOf);
+    });
+    addDocument(indexes.postSearch, post.id, postTerms(post));
+  },
+  // Only edits to content or entities can change a post's hashtags or terms
+  'posts.update': (indexes, { id, changes }, state) => {
+    if (changes.content === undefined && changes.entities === undefined) return;
+    const post = state.posts[id];
+    const keyOf = postKey(state);
+    const key = keyOf(id);
+    const before = hashtagsOf(post);
+    const after = hashtagsOf({ ...post, ...changes });
+
+    before.filter((tag) => !after.includes(tag)).forEach((tag) => {
+      removeSorted(indexes.hashtags.get(tag) || [], id, key, keyOf);
+      prune(indexes.hashtags, tag);
+    });
+    after.filter((tag) => !before.includes(tag)).forEach((tag) => {
+      insertSorted(slot(indexes.hashtags, tag, () => []), id, key, keyOf);
+    });
+    if (changes.content !== undefined) {
+      removeDocument(indexes.postSearch, id, postTerms(post));
+      addDocument(indexes.postSearch, id, postTerms({ ...post, ...changes }));
+    }
+  },
+  'posts.remove': (indexes, { id }, state) => {
+    const post = state.posts[id];
+    if (!post) return;
+    const keyOf = postKey(state);
+    const key = keyOf(id);
+
+    removeSorted(indexes.postsByAuthor.get(post.authorId) || [], id, key, keyOf);
+    prune(indexes.postsByAuthor, post.authorId);
+    (indexes.followers.get(post.authorId) || new Map()).forEach((edge, followerId) => {
+      removeSorted(indexes.timelines.get(followerId) || [], id, key, keyOf);
+      prune(indexes.timelines, followerId);
+    });
+    hashtagsOf(post).forEach((tag) => {
+      removeSorted(indexes.hashtags.get(tag) || [], id, key, keyOf);
+      prune(indexes.hashtags, tag);
+    });
+    removeDocument(indexes.postSearch, id, postTerms(post));
+    [...(indexes.likesByPost.get(id) || new Map()).keys()].forEach((userId) => {
+      setEdge(indexes.likesByUser, indexes.likesByPost, userId, id, null);
+    });
+  },
+  'follows.add': (indexes, { followerId, followeeId, createdAt }, state) => {
+    const edge = { followerId, followeeId, createdAt };
+    slot(indexes.followers, followeeId, () => new Map()).set(followerId, edge);
+    slot(indexes.following, followerId, () => new Map()).set(followeeId, edge);
+
+    // Backfill the followee's existing posts
+    const authored = indexes.postsByAuthor.get(followeeId) || [];
+    if (authored.length > 0) {
+      const timeline = indexes.timelines.get(followerId) || [];
+      indexes.timelines.set(followerId, mergeSorted(timeline, authored, postKey(state)));
+    }
+  },
+  'follows.remove': (indexes, { followerId, followeeId }, state) => {
+    (indexes.followers.get(followeeId) || new Map()).delete(followerId);
+    (indexes.following.get(followerId) || new Map()).delete(followeeId);
+    prune(indexes.followers, followeeId);
+    prune(indexes.following, followerId);
+
+    const timeline = indexes.timelines.get(followerId);
+    if (timeline) {
+      indexes.timelines.set(
+        followerId,
+        timeline.filter((id) => state.posts[id].authorId !== followeeId)
+      );
+      prune(indexes.timelines, followerId);
+    }
+  },
+  'likes.add': (indexes, {
+    userId, postId, type = 'like', createdAt,
+  }) => {
+    setEdge(indexes.likesByUser, indexes.likesByPost, userId, postId, {
+      userId, postId, type, createdAt,
+    });
+  },
+  'likes.change': (indexes, { userId, postId, type }) => {
+    const reaction = indexes.likesByUser.get(userId).get(postId);
+    setEdge(indexes.likesByUser, indexes.likesByPost, userId, postId, { ...reaction, type });
+  },
+  'likes.remove': (indexes, { userId, postId }) => {
+    setEdge(indexes.likesByUser, indexes.likesByPost, userId, postId, null);
+  },
+  'friendRequests.accept': (indexes, { id, createdAt }, state) => {
+    const { fromId, toId } = state.friendRequests[id];
+    addFriendship(indexes, { userIds: [fromId, toId].sort(), createdAt });
+  },
+  'friendships.remove': (indexes, { userId, friendId }) => {
+    (indexes.friends.get(userId) || new Map()).delete(friendId);
+    (indexes.friends.get(friendId) || new Map()).delete(userId);
+    prune(indexes.friends, userId);
+    prune(indexes.friends, friendId);
+  },
+  // A block also severs follows (both ways) and any friendship between the pair
+  'blocks.add': (indexes, { blockerId, blockedId, createdAt }, state) => {
+    [[blockerId, blockedId], [blockedId, blockerId]].forEach(([followerId, followeeId]) => {
+      if ((indexes.following.get(followerId) || new Map()).has(followeeId)) {
+        INDEXERS['follows.remove'](indexes, { followerId, followeeId }, state);
+      }
+    });
+    INDEXERS['friendships.remove'](indexes, { userId: blockerId, friendId: blockedId });
+    setEdge(indexes.blocking, indexes.blockedBy, blockerId, blockedId, {
+      blockerId, blockedId, createdAt,
+    });
+  },
+  'blocks.remove': (indexes, { blockerId, blockedId }) => {
+    setEdge(indexes.blocking, indexes.blockedBy, blockerId, blockedId, null);
+  },
+  'mutes.add': (indexes, { muterId, mutedId, createdAt }) => {
+    slot(indexes.muting, muterId, () => new Map()).set(mutedId, { muterId, mutedId, createdAt });
+  },
+  'mutes.remove': (indexes, { muterId, mutedId }) => {
+    (indexes.muting.get(muterId) || new Map()).delete(mutedId);
+    prune(indexes.muting, muterId);
+  },
+};
+
+/** Update indexes for one mutation, before it is applied to state. */
+function indexOp(indexes, { type, payload }, state) {
+  const indexer = INDEXERS[type];
+  if (indexer) indexer(indexes, payload, state);
+}
+
+/** Build indexes from scratch for a fully loaded state. */
+function buildIndexes(state) {
+  const indexes = createIndexes();
+
+  state.follows.forEach((edge) => {
+    slot(indexes.followers, edge.followeeId, () => new Map()).set(edge.followerId, edge);
+    slot(indexes.following, edge.followerId, () => new Map()).set(edge.followeeId, edge);
+  });
+
+  state.friendships.forEach((friendship) => addFriendship(indexes, friendship));
+  state.blocks.forEach((block) => {
+    setEdge(indexes.blocking, indexes.blockedBy, block.blockerId, block.blockedId, block);
+  });
+  state.mutes.forEach((mute) => {
+    slot(indexes.muting, mute.muterId, () => new Map()).set(mute.mutedId, mute);
+  });
+  state.likes.forEach((reaction) => {
+    setEdge(indexes.likesByUser, indexes.likesByPost, reaction.userId, reaction.postId, { ...reaction });
+  });
+  Object.values(state.users).forEach((user) => {
+    addDocument(indexes.userSearch, user.id, userTerms(user));
+  });
+
+  // Visiting posts oldest first lets every list be built by appending
+  const keyOf = postKey(state);
+  Object.keys(state.posts)
+    .map(keyOf)
+    .sort(compareKeys)
+    .forEach(({ id }) => {
+      const post = state.posts[id];
+      // Posts kept from a deleted account have no author (see users.remove)
+      if (post.authorId) slot(indexes.postsByAuthor, post.authorId, () => []).push(id);
+      (indexes.followers.get(post.authorId) || new Map()).forEach((edge, followerId) => {
+        slot(indexes.timelines, followerId, () => []).push(id);
+      });
+      hashtagsOf(post).forEach((tag) => slot(indexes.hashtags, tag, () => []).push(id));
+      addDocument(indexes.postSearch, id, postTerms(post));
+    });
+
+  return indexes;
+}
+
+module.exports = { createIndexes, indexOp, buildIndexes };
@@ -0,0 +1,247 @@
+/**
+ * media.js — Uploaded media files: type sniffing, size limits, EXIF stripping
+ *
+ * Each upload is one file in MEDIA_DIR (default backend/data/media), named by
+ * the id of its record in repositories.media. The record says who uploaded
+ * it, what it is and which post uses it (postId, null until attached).
+ *
+ * The Content-Type an upload declares is ignored: sniff() identifies the file
+ * from its leading bytes and anything it does not recognise is refused.
+ *
+ *   kind   formats               max size
+ *   image  JPEG, PNG, GIF, WebP  10 MB
+ *   video  MP4, WebM             100 MB
+ *
+ * JPEGs are rewritten without their APP1 segments (EXIF and XMP), which is
+ * where cameras record GPS coordinates and device details. Image dimensions
+ * are read from the file header at upload and kept on the record. Uploads
+ * are never read whole: sniffing and dimensions use the leading bytes, and
+ * stripping streams the image data after the segments it rewrites.
+ *
+ * Posts hold an ordered `attachments` list built from media records by
+ * toAttachment(). Posts from before attachments existed only have
+ * mediaType / mediaUrl; attachmentsOf() shows those as a one-element list.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+const MEDIA_DIR = path.resolve(process.env.MEDIA_DIR || path.join(__dirname, 'data', 'media'));
+
+const MB = 1024 * 1024;
+const MAX_BYTES = { image: 10 * MB, video: 100 * MB };
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(MAX_BYTES));
+
+// Enough leading bytes to tell every format below apart
+const SNIFF_BYTES = 12;
+// Enough to hold the dimensions of a PNG, GIF or WebP (JPEGs keep theirs in a segment)
+const HEADER_BYTES = 32;
+
+const startsWith = (buffer, bytes, offset = 0) => buffer.length >= offset + bytes.length
+  && bytes.every((byte, i) => buffer[offset + i] === byte);
+const ascii = (text) => [...Buffer.from(text, 'ascii')];
+
+const FORMATS = [
+  { mimeType: 'image/jpeg', kind: 'image', matches: (b) => startsWith(b, [0xFF, 0xD8, 0xFF]) },
+  {
+    mimeType: 'image/png',
+    kind: 'image',
+    matches: (b) => startsWith(b, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+  },
+  {
+    mimeType: 'image/gif',
+    kind: 'image',
+    matches: (b) => startsWith(b, ascii('GIF87a')) || startsWith(b, ascii('GIF89a')),
+  },
+  {
+    mimeType: 'image/webp',
+    kind: 'image',
+    matches: (b) => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('WEBP'), 8),
+  },
+  { mimeType: 'video/mp4', kind: 'video', matches: (b) => startsWith(b, ascii('ftyp'), 4) },
+  { mimeType: 'video/webm', kind: 'video', matches: (b) => startsWith(b, [0x1A, 0x45, 0xDF, 0xA3]) },
+];
+
+/** The format whose signature `head` starts with, or null. */
+function sniff(head) {
+  return FORMATS.find((format) => format.matches(head)) || null;
+}
+
+/**
+ * Copy the JPEG at `source` to `destination` without APP1 (EXIF / XMP)
+ * segments. Only the segments before start-of-scan are read into memory; the
+ * compressed image data after them is streamed across as is. Resolves
+ * { size, head }: the bytes written, and the kept segments (which hold the
+ * image's dimensions, see dimensionsOf()).
+ */
+async function stripJpegMetadata(source, destination) {
+  const file = await fs.promises.open(source, 'r');
+  let head;
+  let offset = 2;
+  let total;
+  try {
+    total = (await file.stat()).size;
+    const readAt = async (position, length) => {
+      const { buffer, bytesRead } = await file.read(Buffer.alloc(length), 0, length, position);
+      return buffer.subarray(0, bytesRead);
+    };
+
+    const kept = [await readAt(0, 2)]; // SOI
+    while (offset + 4 <= total) {
+      const segment = await readAt(offset, 4);
+      if (segment[0] !== 0xFF || segment[1] === 0xDA) break; // start of scan
+      const end = offset + 2 + segment.readUInt16BE(2);
+      if (segment[1] !== 0xE1) kept.push(await readAt(offset, end - offset));
+      offset = end;
+    }
+    head = Buffer.concat(kept);
+  } finally {
+    await file.close();
+  }
+
+  await fs.promises.writeFile(destination, head);
+  if (offset < total) {
+    await pipeline(
+      fs.createReadStream(source, { start: offset }),
+      fs.createWriteStream(destination, { flags: 'a' }),
+    );
+  }
+  return { size: head.length + Math.max(total - offset, 0), head };
+}
+
+const readUInt24LE = (buffer, offset) => buffer.readUIntLE(offset, 3);
+
+// JPEG start-of-frame markers (baseline, progressive, ...), which carry the size
+const JPEG_SOF_MARKERS = new Set([
+  0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF,
+]);
+
+function jpegDimensions(jpeg) {
+  let offset = 2;
+  while (offset + 9 <= jpeg.length && jpeg[offset] === 0xFF) {
+    const marker = jpeg[offset + 1];
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      return { width: jpeg.readUInt16BE(offset + 7), height: jpeg.readUInt16BE(offset + 5) };
+    }
+    if (marker === 0xDA) break;
+    offset += 2 + jpeg.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function webpDimensions(webp) {
+  switch (webp.toString('ascii', 12, 16)) {
+    case 'VP8 ':
+      return { width: webp.readUInt16LE(26) & 0x3FFF, height: webp.readUInt16LE(28) & 0x3FFF };
+    case 'VP8L': {
+      const bits = webp.readUInt32LE(21);
+      return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    case 'VP8X':
+      return { width: readUInt24LE(webp, 24) + 1, height: readUInt24LE(webp, 27) + 1 };
+    default:
+      return null;
+  }
+}
+
+/** { width, height } in pixels from an image's header; nulls for video or unreadable files. */
+function dimensionsOf(buffer, mimeType) {
+  let dimensions = null;
+  try {
+    switch (mimeType) {
+      case 'image/png':
+        dimensions = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        break;
+      case 'image/gif':
+        dimensions = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        break;
+      case 'image/jpeg':
+        dimensions = jpegDimensions(buffer);
+        break;
+      case 'image/webp':
+        dimensions = webpDimensions(buffer);
+        break;
+      default:
+        break;
+    }
+  } catch (err) {
+    dimensions = null; // header shorter than its format requires
+  }
+  return dimensions || { width: null, height: null };
+}
+
+/** Where the file for media `id` lives. */
+function filePath(id) {
+  return path.join(MEDIA_DIR, id);
+}
+
+/** Create MEDIA_DIR if needed. */
+function prepareDir() {
+  fs.mkdirSync(MEDIA_DIR, { recursive: true });
+}
+
+/** Delete the file for media `id`, if there is one. */
+function removeFile(id) {
+  fs.rmSync(filePath(id), { force: true });
+}
+
+/** Public URL of media `id` (served by routes/media.js). */
+function mediaUrl(id) {
+  return `/api/media/${id}`;
+}
+
+/** The entry a post's `attachments` list holds for a media record. */
+function toAttachment(record, alt = null) {
+  return {
+    mediaId: record.id,
+    type: record.kind,
+    mimeType: record.mimeType,
+    url: mediaUrl(record.id),
+    alt,
+    width: record.width,
+    height: record.height,
+  };
+}
+
+/** A post's attachments, with legacy single-media posts as a one-element list. */
+function attachmentsOf(post) {
+  if (post.attachments) return post.attachments;
+  if (!post.mediaUrl) return [];
+  return [{
+    mediaId: post.mediaId || null,
+    type: post.mediaType,
+    mimeType: null,
+    url: post.mediaUrl,
+    alt: null,
+    width: null,
+    height: null,
+  }];
+}
+
+/** Legacy mediaType / mediaUrl / mediaId fields, mirroring the first attachment. */
+function legacyMediaFields(attachments) {
+  const [first] = attachments;
+  return {
+    mediaType: first ? first.type : null,
+    mediaUrl: first ? first.url : null,
+    mediaId: first ? first.mediaId : null,
+  };
+}
+
+module.exports = {
+  MAX_BYTES,
+  MAX_UPLOAD_BYTES,
+  SNIFF_BYTES,
+  HEADER_BYTES,
+  sniff,
+  stripJpegMetadata,
+  dimensionsOf,
+  filePath,
+  prepareDir,
+  removeFile,
+  mediaUrl,
+  toAttachment,
+  attachmentsOf,
+  legacyMediaFields,
+};
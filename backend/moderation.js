@@ -0,0 +1,29 @@
+/**
+ * moderation.js — What users can report, and what admins can do about it
+ *
+ * Reports and the admin queue are served by routes/reports.js; these lists
+ * are shared with openapi.js, which documents them.
+ *
+ * A report names a post or a user and one of REPORT_REASONS. It stays 'open'
+ * until an admin resolves it with one of REPORT_ACTIONS:
+ *   dismiss       nothing to do
+ *   hide_post     the post is hidden from everyone (visibility.js) but kept
+ *   delete_post   the post is deleted, as by its author
+ *   suspend_user  the reported user (or the post's author) can no longer
+ *                 post, comment, like, react or follow (auth.js requireActive)
+ */
+
+const REPORT_TARGET_TYPES = ['post', 'user'];
+const REPORT_REASONS = [
+  'spam', 'harassment', 'hate_speech', 'violence', 'nudity',
+  'misinformation', 'impersonation', 'self_harm', 'other',
+];
+const REPORT_STATUSES = ['open', 'resolved'];
+const REPORT_ACTIONS = ['dismiss', 'hide_post', 'delete_post', 'suspend_user'];
+
+module.exports = {
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  REPORT_ACTIONS,
+};
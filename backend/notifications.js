@@ -0,0 +1,112 @@
+/**
+ * notifications.js — Creating, grouping and retracting notifications
+ *
+ * Route handlers call notify() after a successful action and retract() after
+ * it is undone (e.g. routes/likes.js on like / unlike). Notifications that
+ * share a group key are merged into one record whose actorIds grow, so ten
+ * likes on a post read "Alice and 9 others liked your post":
+ *
+ *   type      group key          grouped?
+ *   follow    follow:<actorId>   no — one per follower
+ *   like      like:<postId>      yes — every liker of the post
+ *   reaction  reaction:<postId>  yes — every other reaction (love, haha, ...)
+ *   mention   mention:<postId>   no — one per post, from its author
+ *
+ * A new actor joining a group marks it unread again and bumps updatedAt, which
+ * is what lists are ordered by. Retracting the last actor deletes the record.
+ * Users never notify themselves, and posts kept from a deleted account
+ * (authorId null) notify nobody.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { users, notifications, blocks } = require('./repositories');
+
+// Actors listed in full on a presented notification; the rest are counted
+const MAX_LISTED_ACTORS = 3;
+
+const VERBS = {
+  follow: 'followed you',
+  like: 'liked your post',
+  reaction: 'reacted to your post',
+  mention: 'mentioned you in a post',
+};
+
+// Types grouped per post rather than per actor
+const POST_GROUPED = new Set(['like', 'reaction', 'mention']);
+
+function groupKeyOf({ type, actorId, postId }) {
+  return POST_GROUPED.has(type) ? `${type}:${postId}` : `${type}:${actorId}`;
+}
+
+/** Record that actorId did `type` to userId (postId for post events). */
+function notify({ userId, type, actorId, postId = null }) {
+  if (!userId || userId === actorId) return null;
+
+  const now = new Date().toISOString();
+  const groupKey = groupKeyOf({ type, actorId, postId });
+  const existing = notifications.findByGroup(userId, groupKey);
+
+  if (existing) {
+    return notifications.put({
+      ...existing,
+      actorIds: [actorId, ...existing.actorIds.filter((id) => id !== actorId)],
+      read: false,
+      updatedAt: now,
+    });
+  }
+
+  return notifications.put({
+    id: uuidv4(),
+    userId,
+    type,
+    groupKey,
+    postId,
+    actorIds: [actorId],
+    read: false,
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+/** Undo notify(): drop actorId from the group, deleting it once empty. */
+function retract({ userId, type, actorId, postId = null }) {
+  const existing = notifications.findByGroup(userId, groupKeyOf({ type, actorId, postId }));
+  if (!existing || !existing.actorIds.includes(actorId)) return;
+
+  const actorIds = existing.actorIds.filter((id) => id !== actorId);
+  if (actorIds.length === 0) {
+    notifications.remove(existing.id);
+  } else {
+    notifications.put({ ...existing, actorIds });
+  }
+}
+
+/** "Alice", "Alice and Bob", "Alice and 3 others". */
+function describeActors(actors) {
+  const [first] = actors;
+  if (actors.length === 1) return first.displayName;
+  if (actors.length === 2) return `${first.displayName} and ${actors[1].displayName}`;
+  return `${first.displayName} and ${actors.length - 1} others`;
+}
+
+/**
+ * Shape a stored notification for its recipient, or null if every actor is
+ * gone (deleted, or blocked either way since the notification was made).
+ */
+function present(notification) {
+  const actors = notification.actorIds
+    .filter((id) => !blocks.between(notification.userId, id))
+    .map(users.get)
+    .filter(Boolean);
+  if (actors.length === 0) return null;
+
+  const { groupKey, actorIds, ...rest } = notification;
+  return {
+    ...rest,
+    actors: actors.slice(0, MAX_LISTED_ACTORS),
+    actorCount: actors.length,
+    message: `${describeActors(actors)} ${VERBS[notification.type]}`,
+  };
+}
+
+module.exports = { notify, retract, present };
@@ -0,0 +1,473 @@
+/**
+ * openapi.js — The OpenAPI 3 document, generated from the mounted routes
+ *
+ * Each route carries its own metadata, given as the first handler:
+ *
+ *   router.post('/', doc({
+ *     summary: 'Create a post',
+ *     status: 201,
+ *     returns: 'Post',
+ *     errors: { 403: 'authorId is not the signed-in user' },
+ *   }), requireAuth, validate({ body: { ... } }), handler);
+ *
+ * buildSpec() walks the app's routes (routers are found through
+ * routes/index.js's ROUTERS) and turns each into an operation:
+ *   - path parameters from the Express path (:id → {id})
+ *   - query parameters and the JSON request body from the route's validate()
+ *     schema (validation.js), so the documented limits are the enforced ones
+ *   - 🔒 bearer security and a 401 when requireAuth is in the chain, and a
+ *     400 validation_failed when validate() is
+ *   - a 403 when requireAdmin or requireActive (account_suspended) is
+ *   - a 429 rate_limited naming the budgets when a route has its own
+ *     rateLimit() (ratelimit.js)
+ *   - the Idempotency-Key header, with its 409 and 422, when idempotent()
+ *     (idempotency.js) is in the chain
+ *   - the success response from `status` (default 200) and `returns`: a
+ *     schema name from SCHEMAS, 'Name[]' for a list, 'Page<Name>' for a
+ *     cursor page, or a literal JSON Schema; errors from `errors`
+ * Other doc() fields: description, deprecated, and requestBody to replace
+ * the generated one (uploads).
+ *
+ * Routes without doc() are left out of the document; tests/openapi.test.js
+ * fails while any exist.
+ */
+
+const { version } = require('./package.json');
+const { requireAuth, requireActive, requireAdmin, ROLES } = require('./auth');
+const { CODES_BY_STATUS } = require('./errors');
+const { VISIBILITIES } = require('./visibility');
+const { REACTION_TYPES } = require('./reactions');
+const { MAX_KEY_LENGTH } = require('./idempotency');
+const {
+  REPORT_REASONS, REPORT_ACTIONS, REPORT_STATUSES, REPORT_TARGET_TYPES,
+} = require('./moderation');
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No Content',
+  301: 'Moved Permanently',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  412: 'Precondition Failed',
+  413: 'Payload Too Large',
+  415: 'Unsupported Media Type',
+  416: 'Range Not Satisfiable',
+  422: 'Unprocessable Entity',
+  429: 'Too Many Requests',
+};
+
+const nullable = (schema) => ({ ...schema, nullable: true });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Response shapes shared across routes
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message', 'fields'],
+        properties: {
+          code: { type: 'string', description: 'Stable, machine-readable', example: 'not_found' },
+          message: { type: 'string' },
+          fields: { type: 'array', items: ref('FieldError') },
+        },
+      },
+    },
+  },
+  FieldError: {
+    type: 'object',
+    properties: {
+      field: { type: 'string', example: 'attachments[0].alt' },
+      in: { type: 'string', enum: ['params', 'query', 'body'] },
+      code: {
+        type: 'string',
+        enum: ['required', 'invalid_type', 'too_short', 'too_long', 'too_many',
+          'out_of_range', 'invalid_value', 'invalid_format'],
+      },
+      message: { type: 'string' },
+    },
+  },
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      username: { type: 'string' },
+      displayName: { type: 'string' },
+      bio: { type: 'string' },
+      profilePicUrl: nullable({ type: 'string' }),
+      coverPhotoUrl: nullable({ type: 'string' }),
+      location: nullable({ type: 'string' }),
+      website: nullable({ type: 'string' }),
+      usernameChangedAt: nullable({ type: 'string', format: 'date-time' }),
+      role: { type: 'string', enum: ROLES },
+      suspendedAt: nullable({ type: 'string', format: 'date-time' }),
+      createdAt: { type: 'string', format: 'date-time' },
+    },
+  },
+  Profile: {
+    allOf: [ref('User'), {
+      type: 'object',
+      properties: {
+        followerCount: { type: 'integer' },
+        followingCount: { type: 'integer' },
+        postCount: { type: 'integer' },
+        friendCount: { type: 'integer' },
+        relationship: nullable({ type: 'string', enum: ['friends', 'pending', 'following', 'none'] }),
+      },
+    }],
+  },
+  Suggestion: {
+    allOf: [ref('User'), {
+      type: 'object',
+      properties: {
+        mutualCount: { type: 'integer' },
+        score: { type: 'number' },
+        reasons: { type: 'array', items: { type: 'string' } },
+      },
+    }],
+  },
+  Attachment: {
+    type: 'object',
+    properties: {
+      mediaId: nullable({ type: 'string' }),
+      type: { type: 'string', enum: ['image', 'video'] },
+      mimeType: nullable({ type: 'string' }),
+      url: { type: 'string' },
+      alt: nullable({ type: 'string' }),
+      width: nullable({ type: 'integer' }),
+      height: nullable({ type: 'integer' }),
+    },
+  },
+  Post: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      authorId: nullable({ type: 'string', description: 'null once a deleted account\'s post is anonymised' }),
+      author: { allOf: [ref('User')], description: 'On single-post, feed, hashtag and search responses' },
+      content: { type: 'string' },
+      entities: {
+        type: 'object',
+        properties: {
+          hashtags: { type: 'array', items: { type: 'object' } },
+          mentions: { type: 'array', items: { type: 'object' } },
+          urls: { type: 'array', items: { type: 'object' } },
+        },
+      },
+      attachments: { type: 'array', items: ref('Attachment') },
+      mediaType: nullable({ type: 'string', description: 'First attachment, for older clients' }),
+      mediaUrl: nullable({ type: 'string' }),
+      mediaId: nullable({ type: 'string' }),
+      visibility: { type: 'string', enum: VISIBILITIES },
+      createdAt: { type: 'string', format: 'date-time' },
+      editedAt: nullable({ type: 'string', format: 'date-time' }),
+      hiddenAt: nullable({ type: 'string', format: 'date-time', description: 'Set once hidden by a moderator' }),
+      revisionCount: { type: 'integer' },
+      likesCount: { type: 'integer' },
+      commentsCount: { type: 'integer' },
+      reactionCounts: { type: 'object', additionalProperties: { type: 'integer' } },
+      viewerReaction: nullable({ type: 'string', enum: REACTION_TYPES }),
+    },
+  },
+  Comment: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      postId: { type: 'string' },
+      authorId: { type: 'string' },
+      author: ref('User'),
+      parentCommentId: nullable({ type: 'string' }),
+      depth: { type: 'integer' },
+      content: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+    },
+  },
+  FriendRequest: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      fromId: { type: 'string' },
+      toId: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+    },
+  },
+  Notification: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      userId: { type: 'string' },
+      type: { type: 'string' },
+      postId: nullable({ type: 'string' }),
+      actors: { type: 'array', items: ref('User') },
+      actorCount: { type: 'integer' },
+      message: { type: 'string' },
+      read: { type: 'boolean' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+    },
+  },
+  Report: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      reporterId: { type: 'string' },
+      targetType: { type: 'string', enum: REPORT_TARGET_TYPES },
+      targetId: { type: 'string' },
+      subjectId: nullable({ type: 'string', description: 'The reported user, or the post\'s author' }),
+      reason: { type: 'string', enum: REPORT_REASONS },
+      details: nullable({ type: 'string' }),
+      status: { type: 'string', enum: REPORT_STATUSES },
+      resolution: nullable({
+        type: 'object',
+        properties: {
+          action: { type: 'string', enum: REPORT_ACTIONS },
+          adminId: { type: 'string' },
+          note: nullable({ type: 'string' }),
+          resolvedAt: { type: 'string', format: 'date-time' },
+        },
+      }),
+      createdAt: { type: 'string', format: 'date-time' },
+      reporter: { allOf: [ref('User')], description: 'In the moderation queue' },
+      subject: nullable({ allOf: [ref('User')], description: 'In the moderation queue' }),
+      target: nullable({ description: 'In the moderation queue: the Post or User as it is now' }),
+      openReportCount: { type: 'integer', description: 'In the moderation queue' },
+    },
+  },
+  Media: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      ownerId: { type: 'string' },
+      kind: { type: 'string', enum: ['image', 'video'] },
+      mimeType: { type: 'string' },
+      size: { type: 'integer' },
+      width: nullable({ type: 'integer' }),
+      height: nullable({ type: 'integer' }),
+      postId: nullable({ type: 'string' }),
+      url: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+    },
+  },
+  Message: {
+    type: 'object',
+    properties: { message: { type: 'string' } },
+  },
+};
+
+/** Route metadata for buildSpec(); a pass-through middleware carrying `meta`. */
+function doc(meta) {
+  const middleware = (req, res, next) => next();
+  middleware.openapi = meta;
+  return middleware;
+}
+
+/** 'Post' | 'Post[]' | 'Page<Post>' | a JSON Schema → JSON Schema. */
+function schemaOf(returns) {
+  if (typeof returns !== 'string') return returns;
+  const page = /^Page<(\w+)>$/.exec(returns);
+  if (page) {
+    return {
+      type: 'object',
+      properties: {
+        items: { type: 'array', items: schemaOf(page[1]) },
+        nextCursor: nullable({ type: 'string' }),
+      },
+    };
+  }
+  if (returns.endsWith('[]')) return { type: 'array', items: schemaOf(returns.slice(0, -2)) };
+  if (!SCHEMAS[returns]) throw new Error(`openapi: unknown schema ${returns}`);
+  return ref(returns);
+}
+
+/** A validation.js rule as JSON Schema. */
+function ruleSchema(rule) {
+  const schema = {};
+  if (rule.type) schema.type = rule.type;
+  if (rule.nullable) schema.nullable = true;
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+  else if (rule.type === 'string' && (rule.required || rule.notEmpty)) schema.minLength = 1;
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  if (rule.pattern) schema.pattern = rule.pattern.source;
+  if (rule.format === 'url') schema.format = 'uri-reference';
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.maxItems !== undefined) schema.maxItems = rule.maxItems;
+  if (rule.items) schema.items = ruleSchema(rule.items);
+  if (rule.fields) Object.assign(schema, objectSchema(rule.fields));
+  return schema;
+}
+
+function objectSchema(fields) {
+  const required = Object.keys(fields).filter((name) => fields[name].required);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(fields)
+      .map(([name, rule]) => [name, ruleSchema(rule)])),
+    ...(required.length > 0 && { required }),
+  };
+}
+
+function errorResponse(status, description) {
+  return {
+    description: description || STATUS_TEXT[status],
+    content: { 'application/json': { schema: ref('Error') } },
+  };
+}
+
+/** One OpenAPI operation for a route's handler chain. */
+function operationFor(path, handlers, tag) {
+  const meta = handlers.map((h) => h.openapi).find(Boolean);
+  if (!meta) return null;
+  const schema = handlers.map((h) => h.schema).find(Boolean) || {};
+  const secured = handlers.includes(requireAuth);
+  const budgets = handlers.map((h) => h.rateLimit).filter(Boolean);
+  const idempotent = handlers.some((h) => h.idempotent);
+  const adminOnly = handlers.includes(requireAdmin);
+  const activeOnly = handlers.includes(requireActive);
+
+  const pathParams = (path.match(/:\w+/g) || []).map((p) => p.slice(1)).map((name) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: schema.params && schema.params[name]
+      ? ruleSchema(schema.params[name])
+      : { type: 'string' },
+  }));
+  const queryParams = Object.entries(schema.query || {}).map(([name, rule]) => ({
+    name,
+    in: 'query',
+    required: Boolean(rule.required),
+    schema: ruleSchema(rule),
+  }));
+  const headerParams = idempotent ? [{
+    name: 'Idempotency-Key',
+    in: 'header',
+    required: false,
+    description: 'Repeating the request with the same key replays the first successful response',
+    schema: { type: 'string', minLength: 1, maxLength: MAX_KEY_LENGTH },
+  }] : [];
+
+  const status = meta.status || 200;
+  const responses = {
+    [status]: {
+      description: STATUS_TEXT[status],
+      ...(meta.returns && { content: { 'application/json': { schema: schemaOf(meta.returns) } } }),
+    },
+  };
+  if (schema.query || schema.body || schema.params) {
+    responses[400] = errorResponse(400, 'Invalid request (validation_failed)');
+  }
+  if (secured) responses[401] = errorResponse(401, 'Not signed in');
+  if (adminOnly) responses[403] = errorResponse(403, 'Not an admin');
+  if (budgets.length) {
+    const names = `${budgets.join(' and ')} budget${budgets.length > 1 ? 's' : ''}`;
+    responses[429] = errorResponse(429, `Rate limited (${names}); see Retry-After`);
+  }
+  if (idempotent) {
+    responses[409] = errorResponse(409, 'Idempotency-Key is in use by a request still running');
+    responses[422] = errorResponse(422, 'Idempotency-Key was used for a different request');
+  }
+  Object.entries(meta.errors || {}).forEach(([code, description]) => {
+    responses[code] = errorResponse(code, description);
+  });
+  if (activeOnly) {
+    responses[403] = errorResponse(403, responses[403]
+      ? `${responses[403].description}, or your account is suspended (account_suspended)`
+      : 'Your account is suspended (account_suspended)');
+  }
+
+  let { requestBody } = meta;
+  if (!requestBody && schema.body) {
+    requestBody = {
+      required: Object.values(schema.body).some((rule) => rule.required),
+      content: { 'application/json': { schema: objectSchema(schema.body) } },
+    };
+  }
+
+  return {
+    tags: [tag],
+    summary: meta.summary,
+    ...(meta.description && { description: meta.description }),
+    ...(meta.deprecated && { deprecated: true }),
+    ...(secured && { security: [{ bearerAuth: [] }] }),
+    parameters: [...pathParams, ...queryParams, ...headerParams],
+    ...(requestBody && { requestBody }),
+    responses,
+  };
+}
+
+/**
+ * Every route mounted on `app`: [{ method, path, handlers, tag }], with
+ * Express paths (/api/posts/:id). Throws for a router not listed in
+ * `routers` ([{ path, router, tag }]), since its mount path is unknown.
+ */
+function listRoutes(app, routers) {
+  const routes = [];
+  const add = (prefix, layer, tag) => {
+    const suffix = layer.route.path === '/' ? '' : layer.route.path;
+    Object.keys(layer.route.methods).forEach((method) => {
+      routes.push({
+        method,
+        path: `${prefix}${suffix}` || '/',
+        handlers: layer.route.stack.map((l) => l.handle),
+        tag,
+      });
+    });
+  };
+
+  app._router.stack.forEach((layer) => {
+    if (layer.route) return add('', layer, 'Service');
+    if (layer.name !== 'router') return undefined;
+    const mount = routers.find((r) => r.router === layer.handle);
+    if (!mount) throw new Error('openapi: a router is mounted without an entry in routes/index.js');
+    return mount.router.stack
+      .filter((l) => l.route)
+      .forEach((l) => add(mount.path, l, mount.tag));
+  });
+  return routes;
+}
+
+/** Express path → OpenAPI path: /api/posts/:id → /api/posts/{id}. */
+const openapiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+/** The OpenAPI 3 document for `app`. */
+function buildSpec(app, routers) {
+  const paths = {};
+  listRoutes(app, routers).forEach(({
+    method, path, handlers, tag,
+  }) => {
+    const operation = operationFor(path, handlers, tag);
+    if (!operation) return;
+    const key = openapiPath(path);
+    paths[key] = { ...paths[key], [method]: operation };
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Facebook App API',
+      version,
+      description: 'Error responses share one shape (Error); `code` is stable, e.g. '
+        + `${Object.values(CODES_BY_STATUS).slice(0, 4).join(', ')} or validation_failed. `
+        + 'Every request spends a per-user (or per-IP) rate limit; responses carry RateLimit-* '
+        + 'headers, and 429 rate_limited answers carry Retry-After.',
+    },
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'A session token from /api/auth/login' },
+      },
+    },
+  };
+}
+
+module.exports = {
+  doc, buildSpec, listRoutes, openapiPath,
+};
@@ -0,0 +1,146 @@
+/**
+ * pagination.js — Cursor-based pagination shared by every list endpoint
+ *
+ * Query:    ?limit=20&cursor=<opaque>
+ * Response: { items: [...], nextCursor: string | null }
+ *
+ * Records are ordered on the pair (createdAt, id) so pages stay stable while
+ * new records arrive. The cursor is the base64url-encoded key of the last
+ * item on the previous page; the next page starts strictly after it.
+ *
+ * Usage in a route (validation.js's PAGE_QUERY answers 400 for a bad limit or
+ * cursor before the handler runs, so parsePageParams only converts them):
+ *   router.get('/', validate({ query: PAGE_QUERY }), (req, res) => {
+ *     const page = parsePageParams(req.query);
+ *     const { items, nextCursor } = paginate(records, page, { keyOf, order: 'desc' });
+ *     return res.status(200).json({ items, nextCursor });
+ *   });
+ *
+ * Lists that are already kept sorted (the timelines and per-author post lists
+ * in indexes.js) use paginateSorted(), which finds the cursor by binary search
+ * so a page costs O(log n + limit) rather than a full sort.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function encodeCursor({ createdAt, id }) {
+  return Buffer.from(JSON.stringify([createdAt, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (
+      Array.isArray(decoded)
+      && decoded.length === 2
+      && typeof decoded[0] === 'string'
+      && typeof decoded[1] === 'string'
+    ) {
+      return { createdAt: decoded[0], id: decoded[1] };
+    }
+  } catch (err) {
+    // fall through
+  }
+  return null;
+}
+
+/**
+ * The { limit, after } page asked for by `limit` and `cursor` query params
+ * that PAGE_QUERY has already validated.
+ */
+function parsePageParams({ limit, cursor } = {}) {
+  return {
+    limit: limit === undefined ? DEFAULT_LIMIT : Number(limit),
+    after: cursor === undefined ? null : decodeCursor(cursor),
+  };
+}
+
+/** Ascending comparison of two (createdAt, id) keys. */
+function compareKeys(a, b) {
+  if (a.createdAt !== b.createdAt) return a.createdAt < b.createdAt ? -1 : 1;
+  if (a.id !== b.id) return a.id < b.id ? -1 : 1;
+  return 0;
+}
+
+/**
+ * Index of the first entry in `sorted` (ascending by keyOf) whose key is
+ * greater than `target`, or greater-or-equal when `inclusive` is set.
+ */
+function bisect(sorted, target, keyOf, inclusive = true) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    const cmp = compareKeys(keyOf(sorted[mid]), target);
+    if (cmp < 0 || (cmp === 0 && !inclusive)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Slice one page out of `records`.
+ * keyOf(record) must return { createdAt, id }; order is 'desc' (newest first)
+ * or 'asc' (oldest first).
+ */
+function paginate(records, { limit, after }, { keyOf, order = 'desc' }) {
+  const sign = order === 'asc' ? 1 : -1;
+  const key = (r) => {
+    const { createdAt, id } = keyOf(r);
+    return { createdAt: createdAt || '', id };
+  };
+
+  let sorted = records
+    .map((record) => ({ record, key: key(record) }))
+    .sort((a, b) => sign * compareKeys(a.key, b.key));
+
+  if (after) {
+    sorted = sorted.filter((entry) => sign * compareKeys(entry.key, after) > 0);
+  }
+
+  const pageEntries = sorted.slice(0, limit);
+  const hasMore = sorted.length > limit;
+
+  return {
+    items: pageEntries.map((entry) => entry.record),
+    nextCursor: hasMore ? encodeCursor(pageEntries[pageEntries.length - 1].key) : null,
+  };
+}
+
+/**
+ * paginate() for a list already sorted ascending by keyOf. Same page params
+ * and result shape; order 'desc' walks the list from its end. Entries for
+ * which include(entry) is false are skipped without shortening the page.
+ */
+function paginateSorted(sorted, { limit, after }, { keyOf, order = 'desc', include = () => true }) {
+  const items = [];
+  const step = order === 'asc' ? 1 : -1;
+  let i;
+  if (order === 'asc') i = after ? bisect(sorted, after, keyOf, false) : 0;
+  else i = (after ? bisect(sorted, after, keyOf) : sorted.length) - 1;
+
+  // Collect one extra entry to learn whether another page exists
+  for (; i >= 0 && i < sorted.length && items.length <= limit; i += step) {
+    if (include(sorted[i])) items.push(sorted[i]);
+  }
+  const hasMore = items.length > limit;
+  if (hasMore) items.pop();
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(keyOf(items[items.length - 1])) : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePageParams,
+  paginate,
+  paginateSorted,
+  encodeCursor,
+  decodeCursor,
+  compareKeys,
+  bisect,
+};
@@ -0,0 +1,46 @@
+/**
+ * postView.js — The shape of a post in API responses
+ *
+ * Posts stored before a field existed lack it; presentPost() fills in the
+ * value such a post would have had, so every response has the same shape:
+ *   attachments     a one-element list for single-media posts (media.js)
+ *   editedAt        null until the first edit (revisions.js)
+ *   revisionCount   1 until the first edit
+ *   reactionCounts  a count for every reaction type (reactions.js)
+ *   entities        hashtags, mentions and links parsed from content (entities.js)
+ * plus viewerReaction: the viewer's own reaction type, or null.
+ *
+ * Mentions are stored with the user's ID, and show the user's current
+ * username, so they survive renames.
+ */
+
+const { users } = require('./repositories');
+const { attachmentsOf } = require('./media');
+const { parseEntities } = require('./entities');
+const { reactionCounts, reactionOf } = require('./reactions');
+
+function entitiesOf(post) {
+  const entities = post.entities || parseEntities(post.content, users.findByUsername);
+  return {
+    ...entities,
+    mentions: entities.mentions.map((m) => {
+      const user = users.get(m.userId);
+      return user ? { ...m, username: user.username } : m;
+    }),
+  };
+}
+
+/** The post as shown to viewerId (null for anonymous). */
+function presentPost(post, viewerId = null) {
+  return {
+    ...post,
+    attachments: attachmentsOf(post),
+    editedAt: post.editedAt || null,
+    revisionCount: post.revisionCount || 1,
+    reactionCounts: reactionCounts(post),
+    entities: entitiesOf(post),
+    viewerReaction: reactionOf(viewerId, post.id),
+  };
+}
+
+module.exports = { presentPost };
@@ -0,0 +1,129 @@
+/**
+ * ranking.js — Scoring for the ranked feed (GET /api/feed/:userId?mode=ranked)
+ *
+ * A post's score is the sum of independent parts, each scaled by WEIGHTS:
+ *   recency   halves every RECENCY_HALF_LIFE_HOURS since the post was created
+ *   likes     log-damped likesCount, so a viral post cannot drown the rest
+ *   comments  log-damped commentsCount (0 for posts without the field)
+ *   affinity  log-damped count of the viewer's past likes on this author
+ *   media     flat bonus by mediaType (text posts get MEDIA_BONUS.text)
+ *
+ * Scores depend on "now", so a ranked page cursor pins the `asOf` time of the
+ * first page; later pages are scored against the same clock and stay stable.
+ */
+
+const { likes, posts } = require('./repositories');
+
+const RECENCY_HALF_LIFE_HOURS = 6;
+
+const WEIGHTS = {
+  recency: 10,
+  likes: 2,
+  comments: 3,
+  affinity: 4,
+  media: 1,
+};
+
+const MEDIA_BONUS = {
+  text: 0,
+  image: 1,
+  video: 1.5,
+};
+
+const round = (n) => Math.round(n * 10000) / 10000;
+
+/** Map of authorId → number of that author's posts the viewer has liked. */
+function affinityByAuthor(viewerId) {
+  const counts = {};
+  likes.byUser(viewerId).forEach((l) => {
+    const post = posts.get(l.postId);
+    if (!post) return;
+    counts[post.authorId] = (counts[post.authorId] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Score one post. Returns { score, parts } where parts holds each weighted
+ * component so callers can explain the ranking.
+ */
+function scorePost(post, { now, affinity }) {
+  const ageHours = Math.max(0, (now - new Date(post.createdAt).getTime()) / 3600000);
+
+  const parts = {
+    recency: round(WEIGHTS.recency * 0.5 ** (ageHours / RECENCY_HALF_LIFE_HOURS)),
+    likes: round(WEIGHTS.likes * Math.log1p(post.likesCount || 0)),
+    comments: round(WEIGHTS.comments * Math.log1p(post.commentsCount || 0)),
+    affinity: round(WEIGHTS.affinity * Math.log1p(affinity[post.authorId] || 0)),
+    media: round(WEIGHTS.media * MEDIA_BONUS[post.mediaType || 'text']),
+  };
+  const score = round(Object.values(parts).reduce((sum, part) => sum + part, 0));
+
+  return { score, parts };
+}
+
+// ── Ranked cursors ────────────────────────────────────────────────────────────
+
+function encodeRankedCursor({ asOf, score, id }) {
+  return Buffer.from(JSON.stringify([asOf, score, id])).toString('base64url');
+}
+
+/** Returns { asOf, score, id } or null when the cursor is malformed. */
+function decodeRankedCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (
+      Array.isArray(decoded)
+      && decoded.length === 3
+      && Number.isFinite(decoded[0])
+      && Number.isFinite(decoded[1])
+      && typeof decoded[2] === 'string'
+    ) {
+      return { asOf: decoded[0], score: decoded[1], id: decoded[2] };
+    }
+  } catch (err) {
+    // fall through
+  }
+  return null;
+}
+
+/**
+ * Rank candidate posts for viewerId and slice one page.
+ * `after` is a decoded ranked cursor (or null for the first page).
+ * Returns { items: [{ post, score, parts }], nextCursor }.
+ */
+function rankPage(candidates, viewerId, { limit, after }) {
+  const now = after ? after.asOf : Date.now();
+  const affinity = affinityByAuthor(viewerId);
+
+  // Highest score first; ties broken by id so the order is total
+  const before = (a, b) => (a.score !== b.score ? a.score > b.score : a.post.id < b.post.id);
+
+  let ranked = candidates
+    .map((post) => ({ post, ...scorePost(post, { now, affinity }) }))
+    .sort((a, b) => (before(a, b) ? -1 : 1));
+
+  if (after) {
+    const marker = { score: after.score, post: { id: after.id } };
+    ranked = ranked.filter((entry) => before(marker, entry));
+  }
+
+  const items = ranked.slice(0, limit);
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    nextCursor: ranked.length > limit
+      ? encodeRankedCursor({ asOf: now, score: last.score, id: last.post.id })
+      : null,
+  };
+}
+
+module.exports = {
+  WEIGHTS,
+  MEDIA_BONUS,
+  RECENCY_HALF_LIFE_HOURS,
+  scorePost,
+  rankPage,
+  decodeRankedCursor,
+};
@@ -0,0 +1,196 @@
+/**
+ * ratelimit.js — Token-bucket rate limits per signed-in user or client IP
+ *
+ *   router.post('/', doc({ ... }), rateLimit('posts'), requireAuth, ...);
+ *
+ * Each budget in BUDGETS is a bucket holding up to `capacity` tokens and
+ * regaining one every `refillMs`. A request spends one token from the bucket
+ * for its budget and caller: the signed-in user (`user:<id>`), or the client
+ * IP (`ip:<addr>`) for anonymous requests, or always the IP for a budget with
+ * `byIp` (otherwise each new account's token would bring a fresh sign-up
+ * budget), or the lowercased `username` in the body together with the IP for
+ * a budget with `byUsername` (requests without one pass, for validation to
+ * refuse). Keying on the IP too means no one can lock another person out of
+ * their account by spending its bucket. So a budget allows short bursts of
+ * `capacity` requests, then a steady one per `refillMs`.
+ *
+ * server.js applies the `api` budget to every /api request; routes that are
+ * cheap to abuse (sign-up, posting, follows, likes, reactions and reports) add a
+ * stricter one. Sign-in spends two, so guessing passwords from one address is
+ * slow overall and slower still against one account. Responses carry the
+ * RateLimit headers (draft-ietf-httpapi-ratelimit-headers) of the route's
+ * last budget, if it has one, else of `api`:
+ *   RateLimit-Limit      the budget's capacity
+ *   RateLimit-Remaining  tokens left
+ *   RateLimit-Reset      seconds until the bucket is full again
+ *   RateLimit-Policy     `<capacity>;w=<seconds to refill from empty>`
+ * An empty bucket answers 429 `rate_limited` with `Retry-After` (seconds
+ * until the next token).
+ *
+ * Buckets live in a store (in memory by default; see configure()), whose
+ * methods all return promises:
+ *   get(key)                 → { tokens, updatedAt } or undefined
+ *   set(key, bucket, ttlMs)  keep the bucket for ttlMs; after that it would
+ *                            be full again, so it may be forgotten
+ *   reset()                  forget every bucket
+ * A store shared between processes (Redis, say) lets several servers enforce
+ * one budget. Requests racing between get and set may each spend the same
+ * token, so a burst can overshoot slightly.
+ *
+ * RATE_LIMIT=off disables limiting; `npm test` sets it so suites can create
+ * users and posts freely (tests/ratelimit.test.js switches it back on).
+ */
+
+const { sendError } = require('./errors');
+
+const MINUTE = 60 * 1000;
+
+const BUDGETS = {
+  // Everything under /api: bursts of 300, then 5 requests a second
+  api: { capacity: 300, refillMs: 200 },
+  // Creating accounts, per IP: 5, then one every 12 minutes (5 an hour)
+  signup: { capacity: 5, refillMs: 12 * MINUTE, byIp: true },
+  // Sign-in attempts, per IP: 10, then one a minute
+  login: { capacity: 10, refillMs: MINUTE, byIp: true },
+  // Sign-in attempts, per username and IP: 5, then one every 5 minutes
+  loginUser: { capacity: 5, refillMs: 5 * MINUTE, byUsername: true },
+  // New posts: 20, then one every 30 seconds
+  posts: { capacity: 20, refillMs: 30 * 1000 },
+  // Follows: 30, then one every 10 seconds
+  follows: { capacity: 30, refillMs: 10 * 1000 },
+  // Like and reaction toggles share one bucket: 60, then one a second
+  likes: { capacity: 60, refillMs: 1000 },
+  // Reports to the moderators: 10, then one every 6 minutes
+  reports: { capacity: 10, refillMs: 6 * MINUTE },
+};
+
+const SWEEP_EVERY = 1000;
+
+/** The default store: a Map, swept of expired buckets every SWEEP_EVERY writes. */
+function createMemoryStore() {
+  const buckets = new Map();
+  let writes = 0;
+
+  const sweep = (now) => {
+    buckets.forEach((entry, key) => {
+      if (entry.expiresAt <= now) buckets.delete(key);
+    });
+  };
+
+  return {
+    async get(key) {
+      const entry = buckets.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        buckets.delete(key);
+        return undefined;
+      }
+      return entry.bucket;
+    },
+    async set(key, bucket, ttlMs) {
+      buckets.set(key, { bucket, expiresAt: Date.now() + ttlMs });
+      writes += 1;
+      if (writes % SWEEP_EVERY === 0) sweep(Date.now());
+    },
+    async reset() {
+      buckets.clear();
+    },
+  };
+}
+
+const limiter = {
+  enabled: process.env.RATE_LIMIT !== 'off',
+  store: createMemoryStore(),
+  now: () => Date.now(),
+};
+
+/** Change limiter settings: { enabled, store, now }. */
+function configure(options) {
+  Object.assign(limiter, options);
+}
+
+/** The bucket for `key` after refilling it up to `now`. */
+function refill(bucket, budget, now) {
+  if (!bucket) return { tokens: budget.capacity, updatedAt: now };
+  const earned = Math.floor((now - bucket.updatedAt) / budget.refillMs);
+  if (earned <= 0) return bucket;
+  const tokens = Math.min(budget.capacity, bucket.tokens + earned);
+  // A full bucket restarts its clock; otherwise keep the partial interval
+  const updatedAt = tokens === budget.capacity ? now : bucket.updatedAt + earned * budget.refillMs;
+  return { tokens, updatedAt };
+}
+
+/**
+ * Spend a token from the `name` bucket for `key`. Resolves { allowed,
+ * remaining, resetMs, retryAfterMs }.
+ */
+async function take(name, key, now = limiter.now()) {
+  const budget = BUDGETS[name];
+  const storeKey = `${name}:${key}`;
+  const bucket = refill(await limiter.store.get(storeKey), budget, now);
+  const allowed = bucket.tokens > 0;
+  const tokens = allowed ? bucket.tokens - 1 : 0;
+  const missing = budget.capacity - tokens;
+  // Time until the next token, counted from the bucket's last refill
+  const nextTokenMs = budget.refillMs - (now - bucket.updatedAt);
+  const resetMs = missing === 0 ? 0 : nextTokenMs + (missing - 1) * budget.refillMs;
+
+  await limiter.store.set(storeKey, { tokens, updatedAt: bucket.updatedAt }, Math.max(resetMs, 1));
+  return {
+    allowed,
+    remaining: tokens,
+    resetMs,
+    retryAfterMs: allowed ? 0 : nextTokenMs,
+  };
+}
+
+const seconds = (ms) => Math.ceil(ms / 1000);
+
+/** Whose bucket `req` spends for `budget`, or null to let it through. */
+function keyFor(budget, req) {
+  if (budget.byUsername) {
+    const { username } = req.body || {};
+    return typeof username === 'string' ? `username:${username.trim().toLowerCase()}:ip:${req.ip}` : null;
+  }
+  return req.user && !budget.byIp ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+/** Middleware spending one token of budget `name` per request. */
+function rateLimit(name) {
+  const budget = BUDGETS[name];
+  if (!budget) throw new Error(`unknown rate limit budget: ${name}`);
+
+  const middleware = (req, res, next) => {
+    const key = limiter.enabled && keyFor(budget, req);
+    if (!key) return next();
+    return take(name, key).then((result) => {
+      res.set({
+        'RateLimit-Limit': String(budget.capacity),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(seconds(result.resetMs)),
+        'RateLimit-Policy': `${budget.capacity};w=${seconds(budget.capacity * budget.refillMs)}`,
+      });
+      if (result.allowed) return next();
+
+      const retryAfter = seconds(result.retryAfterMs);
+      res.set('Retry-After', String(retryAfter));
+      return sendError(res, 429, `rate limit exceeded; retry in ${retryAfter}s`, { code: 'rate_limited' });
+    }, next);
+  };
+  // Read by openapi.js to document the 429
+  middleware.rateLimit = name;
+  return middleware;
+}
+
+const RATE_LIMIT_HEADERS = [
+  'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After',
+];
+
+module.exports = {
+  BUDGETS,
+  RATE_LIMIT_HEADERS,
+  rateLimit,
+  configure,
+  createMemoryStore,
+  take,
+};
@@ -0,0 +1,96 @@
+/**
+ * reactions.js — Facebook-style reactions on posts
+ *
+ * Each user has at most one reaction per post, one of REACTION_TYPES.
+ * Reacting again with another type replaces the old reaction. Reactions live
+ * in the likes repository; records stored before reactions existed have no
+ * type and count as likes.
+ *
+ * Posts keep per-type reactionCounts, and likesCount (likes only) for older
+ * clients. react() / unreact() are shared by routes/reactions.js and the
+ * like / unlike shortcuts in routes/likes.js. Besides updating storage they:
+ *   - notify the author: likes as `like`, other types as `reaction`
+ *     (grouped per post, see notifications.js); the old one is retracted
+ *   - publish post.reacted to the author (type null once removed), plus
+ *     post.liked / post.unliked when a like is gained or lost
+ */
+
+const { posts, likes } = require('./repositories');
+const { notify, retract } = require('./notifications');
+const { publish } = require('./events');
+
+const REACTION_TYPES = ['like', 'love', 'haha', 'wow', 'sad', 'angry'];
+const DEFAULT_REACTION = 'like';
+
+const typeOf = (record) => (record ? record.type || DEFAULT_REACTION : null);
+const notificationType = (type) => type && (type === 'like' ? 'like' : 'reaction');
+
+/** { like, love, ... } with a count for every type. */
+function reactionCounts(post) {
+  const counts = post.reactionCounts || { like: post.likesCount || 0 };
+  return Object.fromEntries(REACTION_TYPES.map((type) => [type, counts[type] || 0]));
+}
+
+/** userId's reaction type on postId, or null. */
+function reactionOf(userId, postId) {
+  return userId ? typeOf(likes.get(userId, postId)) : null;
+}
+
+/** Notify and publish the move of userId's reaction on post from `before` to `after`. */
+function announce(userId, post, before, after) {
+  const { authorId } = post;
+  // Switching between two non-like types keeps the same notification
+  const moved = notificationType(before) !== notificationType(after);
+  if (before && moved) {
+    retract({
+      userId: authorId, type: notificationType(before), actorId: userId, postId: post.id,
+    });
+  }
+  if (after && moved) {
+    notify({
+      userId: authorId, type: notificationType(after), actorId: userId, postId: post.id,
+    });
+  }
+
+  if (!authorId || authorId === userId) return;
+  const current = posts.get(post.id);
+  const { likesCount } = current;
+  if (after === 'like') publish([authorId], 'post.liked', { postId: post.id, userId, likesCount });
+  if (before === 'like') publish([authorId], 'post.unliked', { postId: post.id, userId, likesCount });
+  publish([authorId], 'post.reacted', {
+    postId: post.id, userId, type: after, reactionCounts: reactionCounts(current),
+  });
+}
+
+/**
+ * Set userId's reaction on post to `type`, replacing any other.
+ * Returns the previous type (null if there was none).
+ */
+function react(userId, post, type) {
+  const before = reactionOf(userId, post.id);
+  if (before === type) return before;
+
+  if (before) likes.change(userId, post.id, type);
+  else likes.add(userId, post.id, type);
+  announce(userId, post, before, type);
+  return before;
+}
+
+/** Remove userId's reaction on post. Returns the removed type (null if none). */
+function unreact(userId, post) {
+  const before = reactionOf(userId, post.id);
+  if (!before) return null;
+
+  likes.remove(userId, post.id);
+  announce(userId, post, before, null);
+  return before;
+}
+
+module.exports = {
+  REACTION_TYPES,
+  DEFAULT_REACTION,
+  reactionCounts,
+  reactionOf,
+  react,
+  unreact,
+};
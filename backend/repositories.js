@@ -0,0 +1,707 @@
+/**
+ * repositories.js — The only place that reads or writes storage.js
+ *
+ * Route handlers call these functions (e.g. users.create, follows.exists)
+ * instead of touching storage collections, so the persistence adapter can be
+ * swapped without changing routes.
+ *
+ * Every write is expressed as a named mutation `{ type, payload }`:
+ *   commit() applies it to the in-memory working set (storage.js) and hands
+ *   it to the active adapter, which may persist it (see adapters/).
+ *   The file adapter replays the same mutations on startup, so MUTATIONS must
+ *   stay deterministic and JSON-serialisable.
+ *
+ * init(adapter?) selects the adapter (default: STORAGE_ADAPTER env var) and
+ * loads any persisted state. Without init() the memory adapter is used.
+ *
+ * Follow lookups, reactions, per-author post lists, feed timelines and hashtag
+ * lists are served from storage.indexes (indexes.js), which commit() updates alongside
+ * each mutation and init() rebuilds after loading.
+ */
+
+const storage = require('./storage');
+const { createAdapter } = require('./adapters');
+const { createMemoryAdapter } = require('./adapters/memory');
+const { indexOp, buildIndexes } = require('./indexes');
+const { searchIndex } = require('./search');
+
+// ── Mutations ─────────────────────────────────────────────────────────────────
+
+/**
+ * Move the post's count for reaction `type` by delta. Posts from before
+ * reactions have no reactionCounts; all their reactions were likes.
+ */
+function countReaction(post, type, delta) {
+  const counts = post.reactionCounts || { like: post.likesCount || 0 };
+  post.reactionCounts = { ...counts, [type]: Math.max(0, (counts[type] || 0) + delta) };
+  if (type === 'like') post.likesCount = Math.max(0, (post.likesCount || 0) + delta);
+}
+
+const MUTATIONS = {
+  'users.create': (state, { user }) => {
+    state.users[user.id] = user;
+  },
+  'users.update': (state, { id, changes }) => {
+    Object.assign(state.users[id], changes);
+  },
+  'users.suspend': (state, { id, suspendedAt }) => {
+    state.users[id].suspendedAt = suspendedAt;
+  },
+  // The old name redirects to the user until redirectUntil; taking back a
+  // name of one's own drops its redirect
+  'users.rename': (state, {
+    id, username, changedAt, redirectUntil,
+  }) => {
+    const user = state.users[id];
+    if (user.username.toLowerCase() !== username.toLowerCase()) {
+      state.usernameRedirects[user.username.toLowerCase()] = {
+        username: user.username, userId: id, expiresAt: redirectUntil,
+      };
+    }
+    delete state.usernameRedirects[username.toLowerCase()];
+    user.username = username;
+    user.usernameChangedAt = changedAt;
+  },
+  // Deleting an account removes everything of the user's: posts (with their
+  // likes, comments and revisions) unless kept anonymously, the user's own
+  // reactions and comments (counts follow), every follow, friendship,
+  // request, block, mute and dismissed suggestion involving them, their
+  // notifications and their name as an actor in others', the reports they
+  // filed (reports about them stay, for the record), sessions, stored
+  // idempotent responses, credentials and unused media
+  'users.remove': (state, { id, anonymize = false }) => {
+    const involves = (...ids) => ids.includes(id);
+    Object.values(state.posts)
+      .filter((p) => p.authorId === id)
+      .forEach((p) => {
+        if (anonymize && (p.visibility || 'public') === 'public') {
+          p.authorId = null;
+        } else {
+          MUTATIONS['posts.remove'](state, { id: p.id });
+        }
+      });
+
+    state.likes
+      .filter((l) => l.userId === id && state.posts[l.postId])
+      .forEach((l) => countReaction(state.posts[l.postId], l.type || 'like', -1));
+    state.likes = state.likes.filter((l) => l.userId !== id);
+    Object.values(state.comments)
+      .filter((c) => c.authorId === id)
+      .forEach((c) => {
+        if (state.comments[c.id]) MUTATIONS['comments.remove'](state, { id: c.id });
+      });
+
+    state.follows = state.follows.filter((f) => !involves(f.followerId, f.followeeId));
+    state.friendships = state.friendships.filter((f) => !involves(...f.userIds));
+    Object.values(state.friendRequests)
+      .filter((r) => involves(r.fromId, r.toId))
+      .forEach((r) => delete state.friendRequests[r.id]);
+    state.blocks = state.blocks.filter((b) => !involves(b.blockerId, b.blockedId));
+    state.mutes = state.mutes.filter((m) => !involves(m.muterId, m.mutedId));
+    state.dismissals = state.dismissals.filter((d) => !involves(d.userId, d.dismissedId));
+
+    Object.values(state.notifications).forEach((n) => {
+      const actorIds = n.actorIds.filter((actorId) => actorId !== id);
+      if (n.userId === id || actorIds.length === 0) delete state.notifications[n.id];
+      else n.actorIds = actorIds;
+    });
+    Object.entries(state.usernameRedirects)
+      .filter(([, redirect]) => redirect.userId === id)
+      .forEach(([name]) => delete state.usernameRedirects[name]);
+    Object.values(state.sessions)
+      .filter((session) => session.userId === id)
+      .forEach((session) => delete state.sessions[session.id]);
+    Object.values(state.reports)
+      .filter((report) => report.reporterId === id)
+      .forEach((report) => delete state.reports[report.id]);
+    Object.values(state.idempotencyKeys)
+      .filter((record) => record.userId === id)
+      .forEach((record) => delete state.idempotencyKeys[record.id]);
+    Object.values(state.media)
+      .filter((m) => m.ownerId === id && !(m.postId && state.posts[m.postId]))
+      .forEach((m) => delete state.media[m.id]);
+    delete state.credentials[id];
+    delete state.users[id];
+  },
+  'posts.create': (state, { post }) => {
+    state.posts[post.id] = post;
+  },
+  'posts.update': (state, { id, changes }) => {
+    Object.assign(state.posts[id], changes);
+  },
+  // Moderation: a hidden post stays stored but nobody sees it (visibility.js)
+  'posts.hide': (state, { id, hiddenAt }) => {
+    state.posts[id].hiddenAt = hiddenAt;
+  },
+  // Deleting a post also purges its likes, comments, revisions and notifications
+  'posts.remove': (state, { id }) => {
+    state.likes = state.likes.filter((l) => l.postId !== id);
+    Object.values(state.comments)
+      .filter((c) => c.postId === id)
+      .forEach((c) => delete state.comments[c.id]);
+    Object.values(state.notifications)
+      .filter((n) => n.postId === id)
+      .forEach((n) => delete state.notifications[n.id]);
+    delete state.revisions[id];
+    delete state.posts[id];
+  },
+  'revisions.add': (state, { postId, revision }) => {
+    if (!state.revisions[postId]) state.revisions[postId] = [];
+    state.revisions[postId].push(revision);
+  },
+  'follows.add': (state, { followerId, followeeId, createdAt }) => {
+    state.follows.push({ followerId, followeeId, createdAt });
+  },
+  'follows.remove': (state, { followerId, followeeId }) => {
+    state.follows = state.follows.filter(
+      (f) => !(f.followerId === followerId && f.followeeId === followeeId)
+    );
+  },
+  // `likes` holds every reaction (type absent = like, from before reactions).
+  // reactionCounts and likesCount are denormalised onto the post and kept in
+  // step here
+  'likes.add': (state, {
+    userId, postId, type = 'like', createdAt,
+  }) => {
+    state.likes.push({
+      userId, postId, type, createdAt,
+    });
+    countReaction(state.posts[postId], type, 1);
+  },
+  'likes.change': (state, { userId, postId, type }) => {
+    const reaction = state.likes.find((l) => l.userId === userId && l.postId === postId);
+    const post = state.posts[postId];
+    countReaction(post, reaction.type || 'like', -1);
+    countReaction(post, type, 1);
+    reaction.type = type;
+  },
+  'likes.remove': (state, { userId, postId }) => {
+    const reaction = state.likes.find((l) => l.userId === userId && l.postId === postId);
+    state.likes = state.likes.filter((l) => l !== reaction);
+    countReaction(state.posts[postId], reaction.type || 'like', -1);
+  },
+  // commentsCount is denormalised onto the post, like likesCount
+  'comments.create': (state, { comment }) => {
+    state.comments[comment.id] = comment;
+    const post = state.posts[comment.postId];
+    post.commentsCount = (post.commentsCount || 0) + 1;
+  },
+  // Removing a comment removes its whole reply subtree
+  'comments.remove': (state, { id }) => {
+    const { postId } = state.comments[id];
+    const removed = new Set([id]);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      Object.values(state.comments).forEach((c) => {
+        if (!removed.has(c.id) && removed.has(c.parentCommentId)) {
+          removed.add(c.id);
+          grew = true;
+        }
+      });
+    }
+    removed.forEach((cid) => delete state.comments[cid]);
+    const post = state.posts[postId];
+    post.commentsCount = Math.max(0, (post.commentsCount || 0) - removed.size);
+  },
+  'friendRequests.create': (state, { request }) => {
+    state.friendRequests[request.id] = request;
+  },
+  // Declining and cancelling both just drop the pending request
+  'friendRequests.remove': (state, { id }) => {
+    delete state.friendRequests[id];
+  },
+  // Accepting turns the pending request into a friendship in one step
+  'friendRequests.accept': (state, { id, createdAt }) => {
+    const { fromId, toId } = state.friendRequests[id];
+    delete state.friendRequests[id];
+    state.friendships.push({ userIds: [fromId, toId].sort(), createdAt });
+  },
+  'friendships.remove': (state, { userId, friendId }) => {
+    state.friendships = state.friendships.filter(
+      (f) => !(f.userIds.includes(userId) && f.userIds.includes(friendId))
+    );
+  },
+  // Blocking severs every tie between the pair: follows both ways, any
+  // friendship and any pending friend request
+  'blocks.add': (state, { blockerId, blockedId, createdAt }) => {
+    const pair = (a, b) => [a, b].includes(blockerId) && [a, b].includes(blockedId);
+    state.blocks.push({ blockerId, blockedId, createdAt });
+    state.follows = state.follows.filter((f) => !pair(f.followerId, f.followeeId));
+    state.friendships = state.friendships.filter((f) => !pair(...f.userIds));
+    Object.values(state.friendRequests)
+      .filter((r) => pair(r.fromId, r.toId))
+      .forEach((r) => delete state.friendRequests[r.id]);
+  },
+  'blocks.remove': (state, { blockerId, blockedId }) => {
+    state.blocks = state.blocks.filter(
+      (b) => !(b.blockerId === blockerId && b.blockedId === blockedId)
+    );
+  },
+  'mutes.add': (state, { muterId, mutedId, createdAt }) => {
+    state.mutes.push({ muterId, mutedId, createdAt });
+  },
+  'mutes.remove': (state, { muterId, mutedId }) => {
+    state.mutes = state.mutes.filter((m) => !(m.muterId === muterId && m.mutedId === mutedId));
+  },
+  'dismissals.add': (state, { userId, dismissedId, createdAt }) => {
+    state.dismissals.push({ userId, dismissedId, createdAt });
+  },
+  'notifications.put': (state, { notification }) => {
+    state.notifications[notification.id] = notification;
+  },
+  'notifications.remove': (state, { id }) => {
+    delete state.notifications[id];
+  },
+  'notifications.markRead': (state, { ids }) => {
+    ids.forEach((id) => {
+      state.notifications[id].read = true;
+    });
+  },
+  'media.create': (state, { media: record }) => {
+    state.media[record.id] = record;
+  },
+  'media.attach': (state, { id, postId }) => {
+    state.media[id].postId = postId;
+  },
+  'media.remove': (state, { id }) => {
+    delete state.media[id];
+  },
+  'credentials.set': (state, { userId, credential }) => {
+    state.credentials[userId] = credential;
+  },
+  'sessions.create': (state, { session }) => {
+    state.sessions[session.id] = session;
+  },
+  'sessions.remove': (state, { id }) => {
+    delete state.sessions[id];
+  },
+  'reports.create': (state, { report }) => {
+    state.reports[report.id] = report;
+  },
+  'reports.resolve': (state, { ids, resolution }) => {
+    ids.forEach((id) => {
+      Object.assign(state.reports[id], { status: 'resolved', resolution });
+    });
+  },
+  // Saving a record also drops those expired by `now`, so unused keys do not pile up
+  'idempotency.save': (state, { record, now }) => {
+    Object.values(state.idempotencyKeys)
+      .filter((r) => r.expiresAt <= now)
+      .forEach((r) => delete state.idempotencyKeys[r.id]);
+    state.idempotencyKeys[record.id] = record;
+  },
+};
+
+/** Apply a single mutation to a state object (used for commits and replay). */
+function applyOp(state, { type, payload }) {
+  const mutation = MUTATIONS[type];
+  if (!mutation) throw new Error(`unknown storage mutation: ${type}`);
+  mutation(state, payload);
+}
+
+let adapter = createMemoryAdapter();
+
+function commit(type, payload) {
+  const op = { type, payload };
+  indexOp(storage.indexes, op, storage);
+  applyOp(storage, op);
+  adapter.append(op);
+}
+
+function init(nextAdapter = createAdapter()) {
+  adapter = nextAdapter;
+  adapter.load(storage, applyOp);
+  storage.indexes = buildIndexes(storage);
+}
+
+function close() {
+  adapter.close();
+}
+
+/** The edges (Map of other ID → record) stored under an ID in an index. */
+const edgesIn = (index, id) => index.get(id) || new Map();
+
+// ── Users ─────────────────────────────────────────────────────────────────────
+
+const users = {
+  get: (id) => storage.users[id] || null,
+  exists: (id) => Boolean(storage.users[id]),
+  list: () => Object.values(storage.users),
+  count: () => Object.keys(storage.users).length,
+  /** Case-insensitive username lookup. */
+  findByUsername(username) {
+    const nameLower = username.trim().toLowerCase();
+    return Object.values(storage.users).find((u) => u.username.toLowerCase() === nameLower) || null;
+  },
+  /**
+   * The unexpired redirect left by a rename away from `username`
+   * ({ username, userId, expiresAt }), or null.
+   */
+  redirectFrom(username, now = new Date().toISOString()) {
+    const redirect = storage.usernameRedirects[username.trim().toLowerCase()];
+    return redirect && redirect.expiresAt > now ? redirect : null;
+  },
+  create(user) {
+    commit('users.create', { user });
+    return storage.users[user.id];
+  },
+  /** Shallow-merge profile `changes` (never id, username or createdAt). */
+  update(id, changes) {
+    commit('users.update', { id, changes });
+    return storage.users[id];
+  },
+  /**
+   * Delete the account and everything of it (see the users.remove mutation).
+   * With `anonymize`, public posts stay up without an author.
+   */
+  remove(id, { anonymize = false } = {}) {
+    commit('users.remove', { id, anonymize });
+  },
+  /** Suspend the account (see auth.js requireActive). */
+  suspend(id, suspendedAt = new Date().toISOString()) {
+    commit('users.suspend', { id, suspendedAt });
+    return storage.users[id];
+  },
+  /** Change the username; the old one redirects here until redirectUntil. */
+  rename(id, username, changedAt, redirectUntil) {
+    commit('users.rename', {
+      id, username, changedAt, redirectUntil,
+    });
+    return storage.users[id];
+  },
+};
+
+// ── Posts ─────────────────────────────────────────────────────────────────────
+
+const posts = {
+  get: (id) => storage.posts[id] || null,
+  list: () => Object.values(storage.posts),
+  /** IDs of authorId's posts, oldest first on (createdAt, id). */
+  idsByAuthor: (authorId) => storage.indexes.postsByAuthor.get(authorId) || [],
+  byAuthor: (authorId) => posts.idsByAuthor(authorId).map((id) => storage.posts[id]),
+  countByAuthor: (authorId) => posts.idsByAuthor(authorId).length,
+  /** Pagination key of a post by ID, for paginateSorted() over ID lists. */
+  pageKey: (id) => ({ createdAt: storage.posts[id].createdAt || '', id }),
+  create(post) {
+    commit('posts.create', { post });
+    return storage.posts[post.id];
+  },
+  /** Shallow-merge `changes` into the post (never id, authorId or createdAt). */
+  update(id, changes) {
+    commit('posts.update', { id, changes });
+    return storage.posts[id];
+  },
+  /** Hide the post from everyone (moderation; see visibility.js). */
+  hide(id, hiddenAt = new Date().toISOString()) {
+    commit('posts.hide', { id, hiddenAt });
+    return storage.posts[id];
+  },
+  remove(id) {
+    commit('posts.remove', { id });
+  },
+};
+
+// ── Revisions ─────────────────────────────────────────────────────────────────
+
+const revisions = {
+  /** Stored revisions of postId, oldest first (empty until its first edit). */
+  forPost: (postId) => storage.revisions[postId] || [],
+  add(postId, revision) {
+    commit('revisions.add', { postId, revision });
+  },
+};
+
+// ── Follows ───────────────────────────────────────────────────────────────────
+
+const follows = {
+  exists: (followerId, followeeId) => edgesIn(storage.indexes.following, followerId).has(followeeId),
+  /** IDs of users that userId follows. */
+  followeeIds: (userId) => [...edgesIn(storage.indexes.following, userId).keys()],
+  /** IDs of users that follow userId. */
+  followerIds: (userId) => [...edgesIn(storage.indexes.followers, userId).keys()],
+  followeeCount: (userId) => edgesIn(storage.indexes.following, userId).size,
+  followerCount: (userId) => edgesIn(storage.indexes.followers, userId).size,
+  /** Follow records where userId is the follower. */
+  edgesFrom: (userId) => [...edgesIn(storage.indexes.following, userId).values()],
+  /** Follow records where userId is the followee. */
+  edgesTo: (userId) => [...edgesIn(storage.indexes.followers, userId).values()],
+  add(followerId, followeeId, createdAt = new Date().toISOString()) {
+    commit('follows.add', { followerId, followeeId, createdAt });
+  },
+  remove(followerId, followeeId) {
+    commit('follows.remove', { followerId, followeeId });
+  },
+};
+
+// ── Likes (reactions) ─────────────────────────────────────────────────────────
+
+// One record per user and post; see reactions.js for the types
+const likes = {
+  /** userId's reaction record on postId, or null. */
+  get: (userId, postId) => edgesIn(storage.indexes.likesByUser, userId).get(postId) || null,
+  exists: (userId, postId) => edgesIn(storage.indexes.likesByUser, userId).has(postId),
+  /** IDs of users that reacted to postId. */
+  userIdsForPost: (postId) => [...edgesIn(storage.indexes.likesByPost, postId).keys()],
+  /** Reaction records for postId, optionally only those of one type. */
+  forPost: (postId, type = null) => [...edgesIn(storage.indexes.likesByPost, postId).values()]
+    .filter((l) => !type || (l.type || 'like') === type),
+  /** Reaction records made by userId. */
+  byUser: (userId) => [...edgesIn(storage.indexes.likesByUser, userId).values()],
+  add(userId, postId, type = 'like', createdAt = new Date().toISOString()) {
+    commit('likes.add', {
+      userId, postId, type, createdAt,
+    });
+  },
+  /** Replace userId's existing reaction on postId with `type`. */
+  change(userId, postId, type) {
+    commit('likes.change', { userId, postId, type });
+  },
+  remove(userId, postId) {
+    commit('likes.remove', { userId, postId });
+  },
+};
+
+// ── Comments ──────────────────────────────────────────────────────────────────
+
+const comments = {
+  get: (id) => storage.comments[id] || null,
+  /** Comments on postId (unordered; see pagination.js). */
+  forPost: (postId) => Object.values(storage.comments).filter((c) => c.postId === postId),
+  /** Comments written by authorId (unordered). */
+  byAuthor: (authorId) => Object.values(storage.comments).filter((c) => c.authorId === authorId),
+  create(comment) {
+    commit('comments.create', { comment });
+    return storage.comments[comment.id];
+  },
+  /** Removes the comment and all replies beneath it. */
+  remove(id) {
+    commit('comments.remove', { id });
+  },
+};
+
+// ── Friends ───────────────────────────────────────────────────────────────────
+
+const friendRequests = {
+  get: (id) => storage.friendRequests[id] || null,
+  /** Pending requests sent to userId. */
+  incoming: (userId) => Object.values(storage.friendRequests).filter((r) => r.toId === userId),
+  /** Pending requests sent by userId. */
+  outgoing: (userId) => Object.values(storage.friendRequests).filter((r) => r.fromId === userId),
+  /** The pending request from fromId to toId, if any (direction matters). */
+  find: (fromId, toId) => Object.values(storage.friendRequests)
+    .find((r) => r.fromId === fromId && r.toId === toId) || null,
+  create(request) {
+    commit('friendRequests.create', { request });
+    return storage.friendRequests[request.id];
+  },
+  remove(id) {
+    commit('friendRequests.remove', { id });
+  },
+  /** Removes the request and records the friendship. */
+  accept(id, createdAt = new Date().toISOString()) {
+    commit('friendRequests.accept', { id, createdAt });
+  },
+};
+
+const friendships = {
+  exists: (userId, friendId) => edgesIn(storage.indexes.friends, userId).has(friendId),
+  get: (userId, friendId) => edgesIn(storage.indexes.friends, userId).get(friendId) || null,
+  friendIds: (userId) => [...edgesIn(storage.indexes.friends, userId).keys()],
+  count: (userId) => edgesIn(storage.indexes.friends, userId).size,
+  remove(userId, friendId) {
+    commit('friendships.remove', { userId, friendId });
+  },
+};
+
+// ── Blocks & mutes ────────────────────────────────────────────────────────────
+
+const blocks = {
+  exists: (blockerId, blockedId) => edgesIn(storage.indexes.blocking, blockerId).has(blockedId),
+  /** True if either user has blocked the other (false when a is null). */
+  between: (a, b) => blocks.exists(a, b) || blocks.exists(b, a),
+  /** Block records where userId is the blocker. */
+  byBlocker: (userId) => [...edgesIn(storage.indexes.blocking, userId).values()],
+  /** Removes follows, friendship and pending friend requests between the pair. */
+  add(blockerId, blockedId, createdAt = new Date().toISOString()) {
+    commit('blocks.add', { blockerId, blockedId, createdAt });
+  },
+  remove(blockerId, blockedId) {
+    commit('blocks.remove', { blockerId, blockedId });
+  },
+};
+
+const mutes = {
+  exists: (muterId, mutedId) => edgesIn(storage.indexes.muting, muterId).has(mutedId),
+  /** Mute records where userId is the muter. */
+  byMuter: (userId) => [...edgesIn(storage.indexes.muting, userId).values()],
+  add(muterId, mutedId, createdAt = new Date().toISOString()) {
+    commit('mutes.add', { muterId, mutedId, createdAt });
+  },
+  remove(muterId, mutedId) {
+    commit('mutes.remove', { muterId, mutedId });
+  },
+};
+
+// ── Dismissed suggestions ─────────────────────────────────────────────────────
+
+const dismissals = {
+  exists: (userId, dismissedId) => storage.dismissals.some(
+    (d) => d.userId === userId && d.dismissedId === dismissedId
+  ),
+  /** IDs of users userId asked not to be suggested again. */
+  dismissedIds: (userId) => storage.dismissals
+    .filter((d) => d.userId === userId)
+    .map((d) => d.dismissedId),
+  add(userId, dismissedId, createdAt = new Date().toISOString()) {
+    commit('dismissals.add', { userId, dismissedId, createdAt });
+  },
+};
+
+// ── Notifications ─────────────────────────────────────────────────────────────
+
+const notifications = {
+  get: (id) => storage.notifications[id] || null,
+  /** Notifications for userId (unordered; see pagination.js). */
+  forUser: (userId) => Object.values(storage.notifications).filter((n) => n.userId === userId),
+  findByGroup: (userId, groupKey) => Object.values(storage.notifications)
+    .find((n) => n.userId === userId && n.groupKey === groupKey) || null,
+  /** Create or replace a notification record. */
+  put(notification) {
+    commit('notifications.put', { notification });
+    return storage.notifications[notification.id];
+  },
+  remove(id) {
+    commit('notifications.remove', { id });
+  },
+  markRead(ids) {
+    commit('notifications.markRead', { ids });
+  },
+};
+
+// ── Media ─────────────────────────────────────────────────────────────────────
+// Records only; the files themselves are managed by media.js
+
+const media = {
+  get: (id) => storage.media[id] || null,
+  /** Media records uploaded by ownerId (unordered). */
+  byOwner: (ownerId) => Object.values(storage.media).filter((m) => m.ownerId === ownerId),
+  create(record) {
+    commit('media.create', { media: record });
+    return storage.media[record.id];
+  },
+  /** Mark the media as used by postId. */
+  attach(id, postId) {
+    commit('media.attach', { id, postId });
+    return storage.media[id];
+  },
+  remove(id) {
+    commit('media.remove', { id });
+  },
+};
+
+// ── Timelines ─────────────────────────────────────────────────────────────────
+
+const timelines = {
+  /**
+   * IDs of posts by everyone userId follows, oldest first on (createdAt, id).
+   * Maintained on write (see indexes.js); page with paginateSorted().
+   */
+  postIds: (userId) => storage.indexes.timelines.get(userId) || [],
+};
+
+// ── Hashtags ──────────────────────────────────────────────────────────────────
+
+const hashtags = {
+  /** IDs of posts using tag (normalised, see entities.js), oldest first on (createdAt, id). */
+  postIds: (tag) => storage.indexes.hashtags.get(tag) || [],
+  /** Every hashtag used by at least one post. */
+  tags: () => [...storage.indexes.hashtags.keys()],
+};
+
+// ── Search ────────────────────────────────────────────────────────────────────
+
+const search = {
+  /** Users matching every term of query, best first: [{ id, score }] (search.js). */
+  users: (query) => searchIndex(storage.indexes.userSearch, query),
+  /** Posts matching every term of query, best first: [{ id, score }]. */
+  posts: (query) => searchIndex(storage.indexes.postSearch, query),
+};
+
+// ── Credentials & sessions ────────────────────────────────────────────────────
+
+const credentials = {
+  get: (userId) => storage.credentials[userId] || null,
+  set(userId, credential) {
+    commit('credentials.set', { userId, credential });
+  },
+};
+
+const sessions = {
+  get: (id) => storage.sessions[id] || null,
+  create(session) {
+    commit('sessions.create', { session });
+    return storage.sessions[session.id];
+  },
+  remove(id) {
+    commit('sessions.remove', { id });
+  },
+};
+
+// ── Reports ───────────────────────────────────────────────────────────────────
+
+const reports = {
+  get: (id) => storage.reports[id] || null,
+  list: () => Object.values(storage.reports),
+  byReporter: (reporterId) => reports.list().filter((r) => r.reporterId === reporterId),
+  /** Open reports about one post or user. */
+  openFor: (targetType, targetId) => reports.list()
+    .filter((r) => r.status === 'open' && r.targetType === targetType && r.targetId === targetId),
+  create(report) {
+    commit('reports.create', { report });
+    return storage.reports[report.id];
+  },
+  /** Mark reports resolved with one resolution ({ action, adminId, note, resolvedAt }). */
+  resolve(ids, resolution) {
+    commit('reports.resolve', { ids, resolution });
+  },
+};
+
+// ── Idempotency keys ──────────────────────────────────────────────────────────
+
+const idempotencyKeys = {
+  // An expired record reads as missing
+  get(id, now = new Date().toISOString()) {
+    const record = storage.idempotencyKeys[id];
+    return record && record.expiresAt > now ? record : null;
+  },
+  save(record) {
+    commit('idempotency.save', { record, now: record.createdAt });
+  },
+};
+
+module.exports = {
+  init,
+  close,
+  applyOp,
+  users,
+  posts,
+  revisions,
+  follows,
+  likes,
+  comments,
+  friendRequests,
+  friendships,
+  blocks,
+  mutes,
+  dismissals,
+  notifications,
+  media,
+  timelines,
+  hashtags,
+  search,
+  credentials,
+  sessions,
+  reports,
+  idempotencyKeys,
+};
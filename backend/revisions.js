@@ -0,0 +1,70 @@
+/**
+ * revisions.js — Post edit history and edit preconditions
+ *
+ * Every change to a post's content, visibility or attachments goes through
+ * editPost(), which updates the post and appends a revision: the editable
+ * fields as they stood after the change, who made it and when. The first
+ * edit also records the post as originally published (revision 1), so a
+ * history always starts from the original; unedited posts store nothing and
+ * historyOf() derives that single entry from the post itself.
+ *
+ * Posts carry editedAt (null until edited) and revisionCount (1 until
+ * edited). A post's ETag is built from its revisionCount, so a client that
+ * sends it back as If-Match learns (412) when someone edited in between.
+ */
+
+const { posts, revisions } = require('./repositories');
+const { DEFAULT_VISIBILITY } = require('./visibility');
+const { attachmentsOf } = require('./media');
+
+/** The editable fields of a post, as kept in a revision. */
+function versionOf(post) {
+  return {
+    content: post.content,
+    visibility: post.visibility || DEFAULT_VISIBILITY,
+    attachments: attachmentsOf(post),
+  };
+}
+
+/** The post as first published, as revision 1. */
+function originalOf(post) {
+  return {
+    number: 1, ...versionOf(post), editorId: post.authorId, editedAt: post.createdAt,
+  };
+}
+
+/** All revisions of a post, oldest first (just the original if never edited). */
+function historyOf(post) {
+  const stored = revisions.forPost(post.id);
+  return stored.length > 0 ? stored : [originalOf(post)];
+}
+
+/** Apply `changes` to the post as editorId, recording a revision; returns the post. */
+function editPost(post, changes, editorId) {
+  if (revisions.forPost(post.id).length === 0) revisions.add(post.id, originalOf(post));
+
+  const editedAt = new Date().toISOString();
+  const revisionCount = (post.revisionCount || 1) + 1;
+  const updated = posts.update(post.id, { ...changes, editedAt, revisionCount });
+  revisions.add(post.id, {
+    number: revisionCount, ...versionOf(updated), editorId, editedAt,
+  });
+  return updated;
+}
+
+/** Strong ETag for the post's current revision. */
+function etagOf(post) {
+  return `"${post.id}.${post.revisionCount || 1}"`;
+}
+
+/** True if the request has an If-Match header that the post no longer matches. */
+function preconditionFailed(req, post) {
+  const header = req.get('If-Match');
+  if (!header) return false;
+  const tags = header.split(',').map((tag) => tag.trim());
+  return !tags.includes('*') && !tags.includes(etagOf(post));
+}
+
+module.exports = {
+  historyOf, editPost, etagOf, preconditionFailed,
+};
@@ -0,0 +1,96 @@
+/**
+ * routes/auth.js
+ *
+ * POST /api/auth/register — create a user with a password; returns a session token
+ * POST /api/auth/login    — exchange username + password for a session token
+ * POST /api/auth/logout   — revoke the caller's session (requires auth)
+ *
+ * Tokens are sent back as `Authorization: Bearer <token>` on later requests.
+ * Registering spends the per-IP `signup` rate limit (ratelimit.js), shared
+ * with POST /api/users. Signing in spends both the per-IP `login` and the
+ * per-username-and-IP `loginUser` budgets, so passwords cannot be guessed
+ * quickly from one address, while other addresses can still sign in.
+ */
+
+const router = require('express').Router();
+const { users, credentials } = require('../repositories');
+const { buildUser, NEW_USER_FIELDS } = require('./users');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const {
+  hashPassword,
+  verifyPassword,
+  createSession,
+  destroySession,
+  requireAuth,
+} = require('../auth');
+const { doc } = require('../openapi');
+const { rateLimit } = require('../ratelimit');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// ── POST /api/auth/register ───────────────────────────────────────────────────
+router.post('/register', doc({
+  summary: 'Register and sign in',
+  status: 201,
+  errors: { 400: 'Invalid body, or username taken (username_taken)' },
+  returns: {
+    type: 'object',
+    properties: { token: { type: 'string' }, user: { $ref: '#/components/schemas/User' } },
+  },
+}), rateLimit('signup'), validate({
+  body: {
+    ...NEW_USER_FIELDS,
+    password: { type: 'string', required: true, minLength: MIN_PASSWORD_LENGTH },
+  },
+}), (req, res) => {
+  const { password } = req.body;
+
+  const { error, user } = buildUser(req.body);
+  if (error) return sendError(res, 400, error, { code: 'username_taken' });
+
+  users.create(user);
+  credentials.set(user.id, hashPassword(password));
+
+  const token = createSession(user.id);
+  return res.status(201).json({ token, user });
+});
+
+// ── POST /api/auth/login ──────────────────────────────────────────────────────
+router.post('/login', doc({
+  summary: 'Exchange username and password for a session token',
+  returns: {
+    type: 'object',
+    properties: { token: { type: 'string' }, user: { $ref: '#/components/schemas/User' } },
+  },
+  errors: { 401: 'Wrong username or password' },
+}), rateLimit('login'), rateLimit('loginUser'), validate({
+  body: {
+    username: { type: 'string', required: true },
+    password: { type: 'string', required: true },
+  },
+}), (req, res) => {
+  const { username, password } = req.body;
+
+  const user = users.findByUsername(username);
+  // Verify even for an unknown username so timing does not reveal which exist
+  const valid = verifyPassword(password, user && credentials.get(user.id));
+
+  if (!user || !valid) {
+    return sendError(res, 401, 'invalid username or password');
+  }
+
+  const token = createSession(user.id);
+  return res.status(200).json({ token, user });
+});
+
+// ── POST /api/auth/logout ─────────────────────────────────────────────────────
+router.post('/logout', doc({
+  summary: 'Revoke the current session',
+  returns: 'Message',
+}), requireAuth, (req, res) => {
+  destroySession(req.session.id);
+  return res.status(200).json({ message: 'logged out successfully' });
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+/**
+ * routes/blocks.js
+ *
+ * POST   /api/users/:id/block — block user :id
+ * DELETE /api/users/:id/block — unblock user :id
+ * POST   /api/users/:id/mute  — mute user :id
+ * DELETE /api/users/:id/mute  — unmute user :id
+ *
+ * The acting user is always the authenticated user.
+ *
+ * Blocking is mutual in effect: it removes follows both ways, any friendship
+ * and pending friend requests between the pair; afterwards neither user can
+ * follow, befriend, like or comment on the other, and each user's posts,
+ * likes, comments and follower entries are hidden from the other.
+ *
+ * Muting only hides the muted user's posts from the muter's feed; the muted
+ * user is not told and nothing else changes.
+ *
+ * Two routers are exported, both mergeParams: blockRouter (mounted at
+ * /api/users/:id/block) and muteRouter (/api/users/:id/mute).
+ */
+
+const express = require('express');
+const { users, blocks, mutes } = require('../repositories');
+const { requireAuth } = require('../auth');
+const { sendError } = require('../errors');
+const { doc } = require('../openapi');
+
+const blockRouter = express.Router({ mergeParams: true });
+const muteRouter = express.Router({ mergeParams: true });
+
+// ── POST /api/users/:id/block ─────────────────────────────────────────────────
+blockRouter.post('/', doc({
+  summary: 'Block user :id',
+  status: 201,
+  errors: { 400: 'Yourself, or already blocked', 404: 'User not found' },
+}), requireAuth, (req, res) => {
+  const blockerId = req.user.id;
+  const blockedId = req.params.id;
+
+  if (blockerId === blockedId) {
+    return sendError(res, 400, 'a user cannot block themselves');
+  }
+
+  if (!users.exists(blockedId)) return sendError(res, 404, 'user not found');
+
+  if (blocks.exists(blockerId, blockedId)) {
+    return sendError(res, 400, 'user already blocked');
+  }
+
+  blocks.add(blockerId, blockedId);
+  return res.status(201).json({ blockerId, blockedId });
+});
+
+// ── DELETE /api/users/:id/block ───────────────────────────────────────────────
+blockRouter.delete('/', doc({
+  summary: 'Unblock user :id',
+  returns: 'Message',
+  errors: { 404: 'Block not found' },
+}), requireAuth, (req, res) => {
+  if (!blocks.exists(req.user.id, req.params.id)) {
+    return sendError(res, 404, 'block not found');
+  }
+
+  blocks.remove(req.user.id, req.params.id);
+  return res.status(200).json({ message: 'unblocked successfully' });
+});
+
+// ── POST /api/users/:id/mute ──────────────────────────────────────────────────
+muteRouter.post('/', doc({
+  summary: 'Mute user :id',
+  status: 201,
+  errors: { 400: 'Yourself, or already muted', 404: 'User not found' },
+}), requireAuth, (req, res) => {
+  const muterId = req.user.id;
+  const mutedId = req.params.id;
+
+  if (muterId === mutedId) {
+    return sendError(res, 400, 'a user cannot mute themselves');
+  }
+
+  if (!users.exists(mutedId)) return sendError(res, 404, 'user not found');
+
+  if (mutes.exists(muterId, mutedId)) {
+    return sendError(res, 400, 'user already muted');
+  }
+
+  mutes.add(muterId, mutedId);
+  return res.status(201).json({ muterId, mutedId });
+});
+
+// ── DELETE /api/users/:id/mute ────────────────────────────────────────────────
+muteRouter.delete('/', doc({
+  summary: 'Unmute user :id',
+  returns: 'Message',
+  errors: { 404: 'Mute not found' },
+}), requireAuth, (req, res) => {
+  if (!mutes.exists(req.user.id, req.params.id)) {
+    return sendError(res, 404, 'mute not found');
+  }
+
+  mutes.remove(req.user.id, req.params.id);
+  return res.status(200).json({ message: 'unmuted successfully' });
+});
+
+module.exports = { blockRouter, muteRouter };
@@ -0,0 +1,134 @@
+/**
+ * routes/comments.js
+ *
+ * POST   /api/posts/:id/comments — comment on a post, or reply via parentCommentId
+ * GET    /api/posts/:id/comments — list a post's comments, oldest first
+ *                                  (?limit&cursor → { items, nextCursor })
+ * DELETE /api/comments/:id       — delete a comment and all replies beneath it
+ *
+ * Body for POST:
+ *   { content: string (at most MAX_COMMENT_LENGTH), parentCommentId?: string }
+ *
+ * Replies nest up to MAX_COMMENT_DEPTH levels (top-level comments are depth 0).
+ * The list is flat; clients rebuild threads from parentCommentId/depth.
+ * A comment may be deleted by its author or by the author of the post.
+ * Commenting is refused (403) when the commenter and the post's author have a
+ * block between them; comments by users blocked with the viewer are hidden.
+ * Posts outside the viewer's audience (visibility.js) read as 404.
+ * A suspended user cannot comment (403 account_suspended) but may delete.
+ *
+ * Two routers are exported: postCommentsRouter (mounted at
+ * /api/posts/:id/comments, mergeParams) and commentsRouter (/api/comments).
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const {
+  users, posts, comments, blocks,
+} = require('../repositories');
+const { requireAuth, requireActive } = require('../auth');
+const { sendError } = require('../errors');
+const { validate, PAGE_QUERY } = require('../validation');
+const { parsePageParams, paginate } = require('../pagination');
+const { canViewPost, interactionError } = require('../visibility');
+const { doc } = require('../openapi');
+
+const MAX_COMMENT_DEPTH = 3;
+const MAX_COMMENT_LENGTH = 2000;
+
+const postCommentsRouter = express.Router({ mergeParams: true });
+const commentsRouter = express.Router();
+
+const withAuthor = (c) => ({ ...c, author: users.get(c.authorId) });
+
+// ── POST /api/posts/:id/comments ──────────────────────────────────────────────
+postCommentsRouter.post('/', doc({
+  summary: 'Comment on a post, or reply to a comment',
+  status: 201,
+  returns: 'Comment',
+  errors: { 400: 'Invalid body, or nested too deep', 403: 'Blocked', 404: 'Post or parent comment not found' },
+}), requireAuth, requireActive, validate({
+  body: {
+    content: { type: 'string', required: true, maxLength: MAX_COMMENT_LENGTH },
+    parentCommentId: { type: 'string', nullable: true },
+  },
+}), (req, res) => {
+  const postId = req.params.id;
+  const { content, parentCommentId } = req.body;
+
+  const post = posts.get(postId);
+  const denied = interactionError(req.user.id, post);
+  if (denied) return sendError(res, denied.status, denied.error, { code: denied.code });
+
+  let depth = 0;
+  if (parentCommentId !== undefined && parentCommentId !== null) {
+    const parent = comments.get(parentCommentId);
+    if (!parent || parent.postId !== postId) {
+      return sendError(res, 404, 'parent comment not found on this post');
+    }
+    depth = parent.depth + 1;
+    if (depth >= MAX_COMMENT_DEPTH) {
+      return sendError(
+        res, 400, `replies cannot be nested more than ${MAX_COMMENT_DEPTH} levels deep`,
+      );
+    }
+  }
+
+  const comment = {
+    id: uuidv4(),
+    postId,
+    authorId: req.user.id,
+    parentCommentId: parentCommentId || null,
+    depth,
+    content: content.trim(),
+    createdAt: new Date().toISOString(),
+  };
+
+  comments.create(comment);
+  return res.status(201).json(withAuthor(comment));
+});
+
+// ── GET /api/posts/:id/comments ───────────────────────────────────────────────
+postCommentsRouter.get('/', doc({
+  summary: 'A post\'s comments, oldest first',
+  returns: 'Page<Comment>',
+  errors: { 404: 'Post not found' },
+}), validate({ query: PAGE_QUERY }), (req, res) => {
+  const postId = req.params.id;
+  const viewerId = req.user && req.user.id;
+
+  const post = posts.get(postId);
+  if (!post || !canViewPost(viewerId, post)) {
+    return sendError(res, 404, 'post not found');
+  }
+
+  const page = parsePageParams(req.query);
+
+  const visible = comments.forPost(postId).filter((c) => !blocks.between(viewerId, c.authorId));
+  const { items, nextCursor } = paginate(visible, page, {
+    keyOf: (c) => c,
+    order: 'asc',
+  });
+
+  return res.status(200).json({ items: items.map(withAuthor), nextCursor });
+});
+
+// ── DELETE /api/comments/:id ──────────────────────────────────────────────────
+commentsRouter.delete('/:id', doc({
+  summary: 'Delete a comment and its replies',
+  status: 204,
+  errors: { 403: 'Not the comment or post author', 404: 'Comment not found' },
+}), requireAuth, (req, res) => {
+  const comment = comments.get(req.params.id);
+  if (!comment) return sendError(res, 404, 'comment not found');
+
+  const post = posts.get(comment.postId);
+  if (comment.authorId !== req.user.id && (!post || post.authorId !== req.user.id)) {
+    return sendError(res, 403, 'only the comment or post author can delete this comment');
+  }
+
+  comments.remove(comment.id);
+  return res.status(204).send();
+});
+
+module.exports = { postCommentsRouter, commentsRouter, MAX_COMMENT_DEPTH };
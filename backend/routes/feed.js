@@ -3,38 +3,110 @@
  *
  * AC21  GET /api/feed/:userId — returns posts from users that userId follows,
  *                               sorted newest first. Does NOT include the
- *                               user's own posts.
+ *                               user's own posts. Cursor-paginated:
+ *                               ?limit&cursor → { items, nextCursor }.
  * AC22  404 if userId not found.
+ *
+ * Reads come from the viewer's precomputed timeline (repositories.timelines),
+ * so a chronological page costs O(log n + limit) whatever the data size.
+ * Posts by users userId has muted are skipped, as are posts that either
+ * userId or the signed-in requester may not see (visibility.js) — so an
+ * anonymous request for someone's feed only ever shows public posts.
+ *
+ * Query:
+ *   mode=chronological (default) | ranked — ranked orders by score (ranking.js)
+ *   explain=1 — ranked mode only: attach each post's score parts as `ranking`
+ *               and echo the weights used, for tuning
  */
 
 const router = require('express').Router();
-const storage = require('../storage');
+const {
+  users, posts, timelines, mutes,
+} = require('../repositories');
+const { parsePageParams, paginateSorted, decodeCursor } = require('../pagination');
+const { WEIGHTS, rankPage, decodeRankedCursor } = require('../ranking');
+const { canViewPost } = require('../visibility');
+const { presentPost } = require('../postView');
+const { sendError } = require('../errors');
+const { validate, PAGE_QUERY } = require('../validation');
+const { doc } = require('../openapi');
+
+const FEED_MODES = ['chronological', 'ranked'];
+
+const FEED_QUERY = {
+  mode: { type: 'string', enum: FEED_MODES },
+  limit: PAGE_QUERY.limit,
+  // Ranked cursors carry a score rather than a timestamp
+  cursor: {
+    type: 'string',
+    check: (cursor, { mode }) => {
+      const decode = mode === 'ranked' ? decodeRankedCursor : decodeCursor;
+      return decode(cursor) ? null : 'cursor is invalid';
+    },
+  },
+  explain: { type: 'string' },
+};
 
 // ── GET /api/feed/:userId ─────────────────────────────────────────────────────
-router.get('/:userId', (req, res) => {
+router.get('/:userId', doc({
+  summary: 'Posts from the users :userId follows',
+  description: 'Chronological by default; mode=ranked orders by score, and explain=1 adds each score\'s parts.',
+  returns: 'Page<Post>',
+  errors: { 404: 'User not found' },
+}), validate({ query: FEED_QUERY }), (req, res) => {
   const { userId } = req.params;
 
-  if (!storage.users[userId]) {
-    return res.status(404).json({ error: 'user not found' });
+  if (!users.exists(userId)) {
+    return sendError(res, 404, 'user not found');
   }
 
-  // Collect IDs of users that this user follows
-  const followingIds = new Set(
-    storage.follows
-      .filter((f) => f.followerId === userId)
-      .map((f) => f.followeeId)
-  );
-
-  // Posts authored by followed users, sorted newest first
-  const feedPosts = Object.values(storage.posts)
-    .filter((p) => followingIds.has(p.authorId))
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-    .map((p) => ({
-      ...p,
-      author: storage.users[p.authorId] || null,
+  const { mode = 'chronological', explain } = req.query;
+
+  const requesterId = req.user ? req.user.id : null;
+  const timeline = timelines.postIds(userId);
+  const visible = (postId) => {
+    const post = posts.get(postId);
+    return !mutes.exists(userId, post.authorId)
+      && canViewPost(userId, post)
+      && (requesterId === userId || canViewPost(requesterId, post));
+  };
+
+  if (mode === 'ranked') {
+    // Only the limit goes through the shared parser; FEED_QUERY checked the cursor
+    const page = parsePageParams({ limit: req.query.limit });
+    const after = req.query.cursor === undefined ? null : decodeRankedCursor(req.query.cursor);
+
+    const showScores = explain === '1' || explain === 'true';
+    // Scores change over time, so ranking still looks at the whole timeline
+    const candidates = timeline.filter(visible).map(posts.get);
+    const ranked = rankPage(candidates, userId, { limit: page.limit, after });
+    const rankedPosts = ranked.items.map(({ post, score, parts }) => ({
+      ...presentPost(post, requesterId),
+      author: users.get(post.authorId),
+      ...(showScores && { ranking: { score, parts } }),
     }));
 
-  return res.status(200).json(feedPosts);
+    return res.status(200).json({
+      items: rankedPosts,
+      nextCursor: ranked.nextCursor,
+      ...(showScores && { weights: WEIGHTS }),
+    });
+  }
+
+  const page = parsePageParams(req.query);
+
+  // Posts authored by followed users, newest first
+  const { items, nextCursor } = paginateSorted(timeline, page, {
+    keyOf: posts.pageKey,
+    include: visible,
+  });
+
+  const feedPosts = items.map(posts.get).map((p) => ({
+    ...presentPost(p, requesterId),
+    author: users.get(p.authorId),
+  }));
+
+  return res.status(200).json({ items: feedPosts, nextCursor });
 });
 
 module.exports = router;
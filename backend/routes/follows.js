@@ -7,60 +7,100 @@
  * AC17  GET    /api/users/:id/following — (handled in users.js)
  *
  * Body for POST/DELETE:
- *   { followerId: string, followeeId: string }
+ *   { followeeId: string, followerId?: string }
+ *
+ * The follower is always the authenticated user; a followerId in the body is
+ * accepted for backwards compatibility but must match the session (else 403).
+ * Following is refused (403) when either user has blocked the other; either
+ * route answers 404 for a followee that does not exist.
+ * Following notifies the followee (and pushes user.followed to their event
+ * stream); unfollowing retracts that notification.
+ * Following spends the `follows` rate limit (ratelimit.js).
+ * Both routes accept an Idempotency-Key header (idempotency.js), so a retried
+ * follow replays its first answer instead of 400 "already following".
+ * A suspended user cannot follow (403 account_suspended) but may unfollow.
  */
 
 const router = require('express').Router();
-const storage = require('../storage');
+const { users, follows } = require('../repositories');
+const { blockError } = require('../visibility');
+const { requireAuth, requireActive } = require('../auth');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { notify, retract } = require('../notifications');
+const { publish } = require('../events');
+const { doc } = require('../openapi');
+const { rateLimit } = require('../ratelimit');
+const { idempotent } = require('../idempotency');
+
+const FOLLOW_BODY = {
+  followeeId: { type: 'string', required: true },
+  followerId: { type: 'string' },
+};
 
 // ── POST /api/follow ──────────────────────────────────────────────────────────
-router.post('/', (req, res) => {
-  const { followerId, followeeId } = req.body;
+router.post('/', doc({
+  summary: 'Follow a user',
+  status: 201,
+  errors: {
+    400: 'Invalid body, yourself, or already following',
+    403: 'Blocked, or followerId is someone else',
+    404: 'Followee not found',
+  },
+}), rateLimit('follows'), requireAuth, requireActive, idempotent(), validate({
+  body: FOLLOW_BODY,
+}), (req, res) => {
+  const followerId = req.user.id;
+  const { followeeId } = req.body;
 
-  if (!followerId || !followeeId) {
-    return res.status(400).json({ error: 'followerId and followeeId are required' });
+  if (req.body.followerId !== undefined && req.body.followerId !== followerId) {
+    return sendError(res, 403, 'cannot act on behalf of another user');
   }
 
   if (followerId === followeeId) {
-    return res.status(400).json({ error: 'a user cannot follow themselves' });
+    return sendError(res, 400, 'a user cannot follow themselves');
   }
 
-  if (!storage.users[followerId]) {
-    return res.status(404).json({ error: 'follower user not found' });
+  if (!users.exists(followeeId)) {
+    return sendError(res, 404, 'followee user not found');
   }
 
-  if (!storage.users[followeeId]) {
-    return res.status(404).json({ error: 'followee user not found' });
-  }
+  const blocked = blockError(followerId, followeeId);
+  if (blocked) return sendError(res, blocked.status, blocked.error, { code: blocked.code });
 
-  const alreadyFollowing = storage.follows.some(
-    (f) => f.followerId === followerId && f.followeeId === followeeId
-  );
-  if (alreadyFollowing) {
-    return res.status(400).json({ error: 'already following this user' });
+  if (follows.exists(followerId, followeeId)) {
+    return sendError(res, 400, 'already following this user');
   }
 
-  storage.follows.push({ followerId, followeeId });
+  follows.add(followerId, followeeId);
+  notify({ userId: followeeId, type: 'follow', actorId: followerId });
+  publish([followeeId], 'user.followed', { followerId, follower: users.get(followerId) });
   return res.status(201).json({ followerId, followeeId });
 });
 
 // ── DELETE /api/follow ────────────────────────────────────────────────────────
-router.delete('/', (req, res) => {
-  const { followerId, followeeId } = req.body;
+router.delete('/', doc({
+  summary: 'Unfollow a user',
+  returns: 'Message',
+  errors: { 403: 'followerId is someone else', 404: 'Followee not found or not followed' },
+}), requireAuth, idempotent(), validate({ body: FOLLOW_BODY }), (req, res) => {
+  const followerId = req.user.id;
+  const { followeeId } = req.body;
 
-  if (!followerId || !followeeId) {
-    return res.status(400).json({ error: 'followerId and followeeId are required' });
+  if (req.body.followerId !== undefined && req.body.followerId !== followerId) {
+    return sendError(res, 403, 'cannot act on behalf of another user');
   }
 
-  const index = storage.follows.findIndex(
-    (f) => f.followerId === followerId && f.followeeId === followeeId
-  );
+  if (!users.exists(followeeId)) {
+    return sendError(res, 404, 'followee user not found');
+  }
 
-  if (index === -1) {
-    return res.status(404).json({ error: 'follow relationship not found' });
+  if (!follows.exists(followerId, followeeId)) {
+    return sendError(res, 404, 'follow relationship not found');
   }
 
-  storage.follows.splice(index, 1);
+  follows.remove(followerId, followeeId);
+  retract({ userId: followeeId, type: 'follow', actorId: followerId });
   return res.status(200).json({ message: 'unfollowed successfully' });
 });
 
@@ -0,0 +1,165 @@
+/**
+ * routes/friends.js
+ *
+ * POST   /api/friend-requests            — send a friend request
+ * POST   /api/friend-requests/:id/accept — accept (recipient only)
+ * POST   /api/friend-requests/:id/decline — decline (recipient only)
+ * DELETE /api/friend-requests/:id        — cancel (sender only)
+ * DELETE /api/friends/:id                — unfriend user :id
+ * GET    /api/users/:id/friend-requests  — (handled in users.js)
+ *
+ * Body for POST /api/friend-requests:
+ *   { toId: string }
+ *
+ * Friendship is mutual and independent of follows: accepting a request does
+ * not make either user follow the other. Only pending requests are stored;
+ * accepting, declining or cancelling removes the request. A suspended user
+ * cannot send or accept requests (403 account_suspended) but may decline,
+ * cancel and unfriend.
+ *
+ * Two routers are exported: friendRequestsRouter (/api/friend-requests) and
+ * friendsRouter (/api/friends), plus relationshipBetween() for profiles.
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const {
+  users, follows, friendRequests, friendships,
+} = require('../repositories');
+const { blockError } = require('../visibility');
+const { requireAuth, requireActive } = require('../auth');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { doc } = require('../openapi');
+
+const friendRequestsRouter = express.Router();
+const friendsRouter = express.Router();
+
+/**
+ * How viewerId relates to userId, for GET /api/users/:id:
+ * 'friends' | 'pending' (a request either way) | 'following' | 'none'.
+ * Returns null when there is no viewer or the viewer is userId.
+ */
+function relationshipBetween(viewerId, userId) {
+  if (!viewerId || viewerId === userId) return null;
+  if (friendships.exists(viewerId, userId)) return 'friends';
+  if (friendRequests.find(viewerId, userId) || friendRequests.find(userId, viewerId)) {
+    return 'pending';
+  }
+  if (follows.exists(viewerId, userId)) return 'following';
+  return 'none';
+}
+
+// ── POST /api/friend-requests ─────────────────────────────────────────────────
+friendRequestsRouter.post('/', doc({
+  summary: 'Send a friend request',
+  status: 201,
+  returns: 'FriendRequest',
+  errors: {
+    400: 'Invalid body, yourself, already friends or a request pending either way',
+    403: 'Blocked',
+    404: 'User not found',
+  },
+}), requireAuth, requireActive, validate({
+  body: { toId: { type: 'string', required: true } },
+}), (req, res) => {
+  const fromId = req.user.id;
+  const { toId } = req.body;
+
+  if (toId === fromId) {
+    return sendError(res, 400, 'a user cannot befriend themselves');
+  }
+
+  if (!users.exists(toId)) return sendError(res, 404, 'user not found');
+
+  const blocked = blockError(fromId, toId);
+  if (blocked) return sendError(res, blocked.status, blocked.error, { code: blocked.code });
+
+  if (friendships.exists(fromId, toId)) {
+    return sendError(res, 400, 'already friends with this user');
+  }
+
+  if (friendRequests.find(fromId, toId)) {
+    return sendError(res, 400, 'friend request already sent');
+  }
+
+  if (friendRequests.find(toId, fromId)) {
+    return sendError(
+      res, 400, 'this user has already sent you a friend request; accept it instead',
+    );
+  }
+
+  const request = friendRequests.create({
+    id: uuidv4(),
+    fromId,
+    toId,
+    createdAt: new Date().toISOString(),
+  });
+  return res.status(201).json(request);
+});
+
+// ── POST /api/friend-requests/:id/accept ──────────────────────────────────────
+friendRequestsRouter.post('/:id/accept', doc({
+  summary: 'Accept a friend request sent to you',
+  errors: { 403: 'Not the recipient', 404: 'Friend request not found' },
+}), requireAuth, requireActive, (req, res) => {
+  const request = friendRequests.get(req.params.id);
+  if (!request) return sendError(res, 404, 'friend request not found');
+
+  if (request.toId !== req.user.id) {
+    return sendError(res, 403, 'only the recipient can accept a friend request');
+  }
+
+  friendRequests.accept(request.id);
+  return res.status(200).json(friendships.get(request.toId, request.fromId));
+});
+
+// ── POST /api/friend-requests/:id/decline ─────────────────────────────────────
+friendRequestsRouter.post('/:id/decline', doc({
+  summary: 'Decline a friend request sent to you',
+  returns: 'Message',
+  errors: { 403: 'Not the recipient', 404: 'Friend request not found' },
+}), requireAuth, (req, res) => {
+  const request = friendRequests.get(req.params.id);
+  if (!request) return sendError(res, 404, 'friend request not found');
+
+  if (request.toId !== req.user.id) {
+    return sendError(res, 403, 'only the recipient can decline a friend request');
+  }
+
+  friendRequests.remove(request.id);
+  return res.status(200).json({ message: 'friend request declined' });
+});
+
+// ── DELETE /api/friend-requests/:id ───────────────────────────────────────────
+friendRequestsRouter.delete('/:id', doc({
+  summary: 'Cancel a friend request you sent',
+  returns: 'Message',
+  errors: { 403: 'Not the sender', 404: 'Friend request not found' },
+}), requireAuth, (req, res) => {
+  const request = friendRequests.get(req.params.id);
+  if (!request) return sendError(res, 404, 'friend request not found');
+
+  if (request.fromId !== req.user.id) {
+    return sendError(res, 403, 'only the sender can cancel a friend request');
+  }
+
+  friendRequests.remove(request.id);
+  return res.status(200).json({ message: 'friend request cancelled' });
+});
+
+// ── DELETE /api/friends/:id ───────────────────────────────────────────────────
+friendsRouter.delete('/:id', doc({
+  summary: 'Unfriend user :id',
+  returns: 'Message',
+  errors: { 404: 'Not friends' },
+}), requireAuth, (req, res) => {
+  if (!friendships.exists(req.user.id, req.params.id)) {
+    return sendError(res, 404, 'friendship not found');
+  }
+
+  friendships.remove(req.user.id, req.params.id);
+  return res.status(200).json({ message: 'unfriended successfully' });
+});
+
+module.exports = { friendRequestsRouter, friendsRouter, relationshipBetween };
@@ -0,0 +1,111 @@
+/**
+ * routes/hashtags.js
+ *
+ * GET /api/hashtags/trending    — hashtags used by the most posts in a sliding
+ *                                 time window: ?hours= (1–168, default 24)
+ *                                 and ?limit= (1–50, default 10)
+ * GET /api/hashtags/:tag/posts  — posts using the hashtag, newest first
+ *                                 (cursor-paginated)
+ *
+ * Tags match case-insensitively and may be given with or without the '#'
+ * (URL-encoded as %23). Posts are found through the hashtag index
+ * (indexes.js), which follows post creation, edits and deletion.
+ *
+ * Both endpoints only count and return posts the viewer may see
+ * (visibility.js). Trending counts each post once per tag, however often the
+ * tag appears in it; ties go to the tag used most recently.
+ */
+
+const router = require('express').Router();
+const { users, posts, hashtags } = require('../repositories');
+const { parsePageParams, paginateSorted } = require('../pagination');
+const { canViewPost } = require('../visibility');
+const { presentPost } = require('../postView');
+const { normalizeTag } = require('../entities');
+const { validate, PAGE_QUERY } = require('../validation');
+const { doc } = require('../openapi');
+
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_WINDOW_HOURS = 7 * 24;
+const DEFAULT_TRENDING_LIMIT = 10;
+const MAX_TRENDING_LIMIT = 50;
+
+const TRENDING_QUERY = {
+  hours: { type: 'integer', min: 1, max: MAX_WINDOW_HOURS },
+  limit: { type: 'integer', min: 1, max: MAX_TRENDING_LIMIT },
+};
+
+// ── GET /api/hashtags/trending ────────────────────────────────────────────────
+router.get('/trending', doc({
+  summary: 'Hashtags used by the most posts in a recent window',
+  returns: {
+    type: 'object',
+    properties: {
+      items: { type: 'array', items: { type: 'object' } },
+      window: { type: 'object' },
+    },
+  },
+}), validate({ query: TRENDING_QUERY }), (req, res) => {
+  const viewerId = req.user && req.user.id;
+
+  const hours = req.query.hours === undefined ? DEFAULT_WINDOW_HOURS : Number(req.query.hours);
+  const limit = req.query.limit === undefined ? DEFAULT_TRENDING_LIMIT : Number(req.query.limit);
+
+  const now = new Date();
+  const from = new Date(now.getTime() - hours * 3600000).toISOString();
+
+  const counted = hashtags.tags().map((tag) => {
+    // Post IDs are oldest first, so walk back from the newest until the window ends
+    const ids = hashtags.postIds(tag);
+    let count = 0;
+    let lastUsedAt = null;
+    for (let i = ids.length - 1; i >= 0; i -= 1) {
+      const post = posts.get(ids[i]);
+      if (post.createdAt < from) break;
+      if (canViewPost(viewerId, post)) {
+        count += 1;
+        lastUsedAt = lastUsedAt || post.createdAt;
+      }
+    }
+    return { tag, count, lastUsedAt };
+  });
+
+  const items = counted
+    .filter((t) => t.count > 0)
+    .sort((a, b) => b.count - a.count
+      || b.lastUsedAt.localeCompare(a.lastUsedAt)
+      || a.tag.localeCompare(b.tag))
+    .slice(0, limit);
+
+  return res.status(200).json({
+    items,
+    window: { hours, from, to: now.toISOString() },
+  });
+});
+
+// ── GET /api/hashtags/:tag/posts ──────────────────────────────────────────────
+router.get('/:tag/posts', doc({
+  summary: 'Posts using a hashtag, newest first',
+  returns: 'Page<Post>',
+}), validate({
+  params: { tag: { type: 'string', check: (t) => (normalizeTag(t) ? null : 'tag is not a valid hashtag') } },
+  query: PAGE_QUERY,
+}), (req, res) => {
+  const viewerId = req.user && req.user.id;
+  const tag = normalizeTag(req.params.tag);
+  const page = parsePageParams(req.query);
+
+  const { items, nextCursor } = paginateSorted(hashtags.postIds(tag), page, {
+    keyOf: posts.pageKey,
+    include: (id) => canViewPost(viewerId, posts.get(id)),
+  });
+
+  const tagged = items.map(posts.get).map((p) => ({
+    ...presentPost(p, viewerId),
+    author: users.get(p.authorId),
+  }));
+
+  return res.status(200).json({ items: tagged, nextCursor });
+});
+
+module.exports = router;
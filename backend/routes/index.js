@@ -0,0 +1,62 @@
+/**
+ * routes/index.js — Where every router is mounted
+ *
+ * server.js mounts each entry at its path; openapi.js walks the same list to
+ * document the API, grouping operations under each entry's tag. A router
+ * mounted anywhere else has no known path and fails the spec coverage test.
+ */
+
+const authRouter = require('./auth');
+const { router: usersRouter } = require('./users');
+const { blockRouter, muteRouter } = require('./blocks');
+const { userNotificationsRouter, notificationsRouter } = require('./notifications');
+const { router: postsRouter } = require('./posts');
+const mediaRouter = require('./media');
+const followsRouter = require('./follows');
+const { friendRequestsRouter, friendsRouter } = require('./friends');
+const { router: likesRouter } = require('./likes');
+const reactionsRouter = require('./reactions');
+const { postCommentsRouter, commentsRouter } = require('./comments');
+const feedRouter = require('./feed');
+const hashtagsRouter = require('./hashtags');
+const searchRouter = require('./search');
+const streamRouter = require('./stream');
+const { router: suggestionsRouter } = require('./suggestions');
+const { reportsRouter, adminReportsRouter } = require('./reports');
+
+const ROUTERS = [
+  { path: '/api/auth', router: authRouter, tag: 'Auth' },
+  { path: '/api/users', router: usersRouter, tag: 'Users' },
+  // Block/mute actions: POST/DELETE /api/users/:id/block and /mute
+  { path: '/api/users/:id/block', router: blockRouter, tag: 'Blocks' },
+  { path: '/api/users/:id/mute', router: muteRouter, tag: 'Blocks' },
+  // Notifications: GET /api/users/:id/notifications (+ /read-all), POST /api/notifications/:id/read
+  { path: '/api/users/:id/notifications', router: userNotificationsRouter, tag: 'Notifications' },
+  { path: '/api/notifications', router: notificationsRouter, tag: 'Notifications' },
+  { path: '/api/posts', router: postsRouter, tag: 'Posts' },
+  // Uploads: POST /api/media, GET /api/media/:id
+  { path: '/api/media', router: mediaRouter, tag: 'Media' },
+  // Like/unlike actions: POST/DELETE /api/posts/:id/like
+  { path: '/api/posts/:id/like', router: likesRouter, tag: 'Reactions' },
+  // Reactions: PUT/DELETE/GET /api/posts/:id/reactions
+  { path: '/api/posts/:id/reactions', router: reactionsRouter, tag: 'Reactions' },
+  // Comments: POST/GET /api/posts/:id/comments, DELETE /api/comments/:id
+  { path: '/api/posts/:id/comments', router: postCommentsRouter, tag: 'Comments' },
+  { path: '/api/comments', router: commentsRouter, tag: 'Comments' },
+  { path: '/api/follow', router: followsRouter, tag: 'Follows' },
+  { path: '/api/friend-requests', router: friendRequestsRouter, tag: 'Friends' },
+  { path: '/api/friends', router: friendsRouter, tag: 'Friends' },
+  { path: '/api/feed', router: feedRouter, tag: 'Feed' },
+  // Hashtags: GET /api/hashtags/trending, GET /api/hashtags/:tag/posts
+  { path: '/api/hashtags', router: hashtagsRouter, tag: 'Hashtags' },
+  // Search: GET /api/search?q=&type=users|posts|all
+  { path: '/api/search', router: searchRouter, tag: 'Search' },
+  // Server-Sent Events: GET /api/stream/:userId
+  { path: '/api/stream', router: streamRouter, tag: 'Stream' },
+  { path: '/api/suggestions', router: suggestionsRouter, tag: 'Suggestions' },
+  // Moderation: POST /api/reports; the admin queue under /api/admin/reports
+  { path: '/api/reports', router: reportsRouter, tag: 'Moderation' },
+  { path: '/api/admin/reports', router: adminReportsRouter, tag: 'Moderation' },
+];
+
+module.exports = { ROUTERS };
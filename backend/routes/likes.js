@@ -4,83 +4,127 @@
  * AC18  POST   /api/posts/:id/like  — like a post
  * AC19  DELETE /api/posts/:id/like  — unlike a post
  * AC20  GET    /api/posts/:id/likes — get list of users who liked a post
+ *              (listLikers(), mounted by routes/posts.js; GET /api/posts/:id/like
+ *              is a deprecated alias)
+ *
+ * These predate reactions and are kept as shortcuts for the "like" reaction
+ * (reactions.js, routes/reactions.js). Liking replaces another reaction the
+ * user had on the post; unliking only removes a like.
  *
  * Body for POST/DELETE:
- *   { userId: string }
+ *   { userId?: string }
+ *
+ * The liker is always the authenticated user; a userId in the body is
+ * accepted for backwards compatibility but must match the session (else 403).
+ * Liking is refused (403) when the liker and the post's author have a block
+ * between them, and likers blocked with the viewer are left out of the list.
+ * Posts outside the viewer's audience (visibility.js) read as 404.
+ * Liking notifies the post's author (grouped per post); unliking retracts it.
+ * Both are pushed to the author's event stream as post.liked / post.unliked
+ * (and post.reacted).
+ * Liking and unliking spend the `likes` rate limit (ratelimit.js), shared with
+ * reactions. Both accept an Idempotency-Key header (idempotency.js), so a
+ * retried like replays its first answer instead of 400 "already liked".
+ * A suspended user cannot like (403 account_suspended) but may unlike.
  */
 
 const router = require('express').Router({ mergeParams: true });
-const storage = require('../storage');
+const {
+  users, posts, likes, blocks,
+} = require('../repositories');
+const { requireAuth, requireActive } = require('../auth');
+const { sendError } = require('../errors');
+const { validate, PAGE_QUERY } = require('../validation');
+const { parsePageParams, paginate } = require('../pagination');
+const { canViewPost, interactionError } = require('../visibility');
+const { react, unreact, reactionOf } = require('../reactions');
+const { doc } = require('../openapi');
+const { rateLimit } = require('../ratelimit');
+const { idempotent } = require('../idempotency');
+
+const LIKE_BODY = { userId: { type: 'string' } };
 
 // ── POST /api/posts/:id/like ──────────────────────────────────────────────────
-router.post('/', (req, res) => {
+router.post('/', doc({
+  summary: 'Like a post',
+  description: 'Shortcut for the like reaction; replacing another reaction answers 200.',
+  status: 201,
+  errors: { 400: 'Invalid body, or already liked', 403: 'Blocked, or userId is someone else', 404: 'Post not found' },
+}), rateLimit('likes'), requireAuth, requireActive, idempotent(), validate({
+  body: LIKE_BODY,
+}), (req, res) => {
   const postId = req.params.id;
-  const { userId } = req.body;
+  const userId = req.user.id;
 
-  if (!userId) {
-    return res.status(400).json({ error: 'userId is required' });
+  if (req.body.userId !== undefined && req.body.userId !== userId) {
+    return sendError(res, 403, 'cannot act on behalf of another user');
   }
 
-  const post = storage.posts[postId];
-  if (!post) return res.status(404).json({ error: 'post not found' });
+  const post = posts.get(postId);
+  const denied = interactionError(userId, post);
+  if (denied) return sendError(res, denied.status, denied.error, { code: denied.code });
 
-  if (!storage.users[userId]) {
-    return res.status(404).json({ error: 'user not found' });
+  if (reactionOf(userId, postId) === 'like') {
+    return sendError(res, 400, 'post already liked by this user');
   }
 
-  const alreadyLiked = storage.likes.some(
-    (l) => l.userId === userId && l.postId === postId
-  );
-  if (alreadyLiked) {
-    return res.status(400).json({ error: 'post already liked by this user' });
-  }
-
-  storage.likes.push({ userId, postId });
-  post.likesCount += 1;
-
-  return res.status(201).json({ userId, postId, likesCount: post.likesCount });
+  // 200 when an existing reaction was turned into a like
+  const previous = react(userId, post, 'like');
+  return res.status(previous ? 200 : 201).json({ userId, postId, likesCount: post.likesCount });
 });
 
 // ── DELETE /api/posts/:id/like ────────────────────────────────────────────────
-router.delete('/', (req, res) => {
+router.delete('/', doc({
+  summary: 'Unlike a post',
+  errors: { 403: 'userId is someone else', 404: 'Post or like not found' },
+}), rateLimit('likes'), requireAuth, idempotent(), validate({ body: LIKE_BODY }), (req, res) => {
   const postId = req.params.id;
-  const { userId } = req.body;
+  const userId = req.user.id;
 
-  if (!userId) {
-    return res.status(400).json({ error: 'userId is required' });
+  if (req.body.userId !== undefined && req.body.userId !== userId) {
+    return sendError(res, 403, 'cannot act on behalf of another user');
   }
 
-  const post = storage.posts[postId];
-  if (!post) return res.status(404).json({ error: 'post not found' });
+  const post = posts.get(postId);
+  if (!post) return sendError(res, 404, 'post not found');
 
-  const index = storage.likes.findIndex(
-    (l) => l.userId === userId && l.postId === postId
-  );
-
-  if (index === -1) {
-    return res.status(404).json({ error: 'like not found' });
+  if (reactionOf(userId, postId) !== 'like') {
+    return sendError(res, 404, 'like not found');
   }
 
-  storage.likes.splice(index, 1);
-  post.likesCount = Math.max(0, post.likesCount - 1);
+  unreact(userId, post);
 
   return res.status(200).json({ message: 'unliked successfully', likesCount: post.likesCount });
 });
 
-// ── GET /api/posts/:id/likes ──────────────────────────────────────────────────
-router.get('/', (req, res) => {
+/** A page of the users who liked post :id, most recent like first. */
+function listLikers(req, res) {
   const postId = req.params.id;
+  const viewerId = req.user && req.user.id;
 
-  if (!storage.posts[postId]) {
-    return res.status(404).json({ error: 'post not found' });
+  const post = posts.get(postId);
+  if (!post || !canViewPost(viewerId, post)) {
+    return sendError(res, 404, 'post not found');
   }
 
-  const likers = storage.likes
-    .filter((l) => l.postId === postId)
-    .map((l) => storage.users[l.userId])
-    .filter(Boolean);
+  const page = parsePageParams(req.query);
 
-  return res.status(200).json(likers);
-});
+  const visible = likes.forPost(postId, 'like').filter((l) => !blocks.between(viewerId, l.userId));
+  const { items, nextCursor } = paginate(visible, page, {
+    keyOf: (l) => ({ createdAt: l.createdAt, id: l.userId }),
+  });
+  const likers = items.map((l) => users.get(l.userId)).filter(Boolean);
+
+  return res.status(200).json({ items: likers, nextCursor });
+}
+
+// ── GET /api/posts/:id/like ───────────────────────────────────────────────────
+router.get('/', doc({
+  summary: 'Users who liked a post',
+  description: 'Alias of GET /api/posts/{id}/likes.',
+  deprecated: true,
+  returns: 'Page<User>',
+  errors: { 404: 'Post not found' },
+}), validate({ query: PAGE_QUERY }), listLikers);
 
-module.exports = router;
+module.exports = { router, listLikers };
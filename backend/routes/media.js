@@ -0,0 +1,212 @@
+/**
+ * routes/media.js
+ *
+ * POST /api/media     — upload one file (multipart/form-data, field "file")
+ * GET  /api/media/:id — the file, with Range support for seeking in video
+ *
+ * Uploads are streamed to disk and identified by their magic bytes (media.js),
+ * not by the declared type: unrecognised files get 415 and files over their
+ * kind's size limit 413. JPEGs are stored without EXIF / XMP metadata.
+ * Images get their width and height from the file (null for video).
+ *
+ * The upload returns a media record; send its id as `mediaId` to
+ * POST /api/posts to attach it. Media attached to a post can be fetched by
+ * anyone who can see the post; unattached media only by its uploader. Other
+ * requests get 404. Deleting the post deletes its media (routes/posts.js).
+ * A suspended user cannot upload (403 account_suspended).
+ */
+
+const fs = require('fs');
+const router = require('express').Router();
+const busboy = require('busboy');
+const { v4: uuidv4 } = require('uuid');
+const { posts, media } = require('../repositories');
+const { requireAuth, requireActive } = require('../auth');
+const { sendError } = require('../errors');
+const { canViewPost } = require('../visibility');
+const {
+  MAX_BYTES, MAX_UPLOAD_BYTES, SNIFF_BYTES, HEADER_BYTES, sniff, stripJpegMetadata, dimensionsOf,
+  filePath, prepareDir, mediaUrl,
+} = require('../media');
+const { doc } = require('../openapi');
+
+/**
+ * Stream the "file" field of a multipart request into `destination`.
+ * Resolves { value: { format, size, head } } or { status, error }, where head
+ * is the first HEADER_BYTES of the file; never rejects. If the client goes
+ * away or the body cannot be parsed, the file is closed and the promise
+ * resolves with the error, leaving `destination` for the caller to remove.
+ */
+function receiveUpload(req, destination) {
+  return new Promise((resolve) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: MAX_UPLOAD_BYTES } });
+    } catch (err) {
+      resolve({ status: 400, error: 'expected a multipart/form-data body' });
+      return;
+    }
+
+    let failure = null;
+    let out = null;
+    let received = null; // settles once the file is fully written
+    let settled = false;
+    const fail = (status, error) => {
+      if (!failure) failure = { status, error };
+    };
+
+    const finish = async () => {
+      if (settled) return;
+      settled = true;
+      if (!received) {
+        resolve(failure || { status: 400, error: 'a "file" field is required' });
+        return;
+      }
+      const value = await received;
+      resolve(failure || { value });
+    };
+
+    // No more of the body is coming: close the file now rather than wait for it
+    const abandon = (status, error) => {
+      fail(status, error);
+      req.unpipe(parser);
+      if (out) out.destroy();
+      finish();
+    };
+
+    parser.on('file', (field, file) => {
+      if (field !== 'file' || received) {
+        file.resume();
+        return;
+      }
+
+      out = fs.createWriteStream(destination);
+      received = new Promise((done) => {
+        let head = Buffer.alloc(0);
+        let format = null;
+        let size = 0;
+
+        const stop = (status, error) => {
+          fail(status, error);
+          file.unpipe(out);
+          file.resume();
+          out.end();
+        };
+
+        file.on('data', (chunk) => {
+          size += chunk.length;
+          if (head.length < HEADER_BYTES) head = Buffer.concat([head, chunk]).subarray(0, HEADER_BYTES);
+          if (!format) {
+            format = sniff(head);
+            if (!format && head.length >= SNIFF_BYTES) {
+              stop(415, 'unsupported file type');
+              return;
+            }
+          }
+          if (format && size > MAX_BYTES[format.kind]) {
+            stop(413, `${format.kind} uploads are limited to ${MAX_BYTES[format.kind] / 1024 / 1024} MB`);
+          }
+        });
+        file.on('limit', () => stop(413, 'file too large'));
+        file.on('end', () => {
+          if (!format) fail(415, 'unsupported file type');
+        });
+        out.on('close', () => done({ format, size, head }));
+        out.on('error', () => {
+          fail(500, 'could not store the upload');
+          file.resume();
+          done({ format, size, head });
+        });
+        file.pipe(out);
+      });
+    });
+
+    parser.on('error', () => abandon(400, 'malformed multipart body'));
+    parser.on('close', finish);
+    req.on('close', () => {
+      if (!req.complete) abandon(400, 'the upload was interrupted');
+    });
+
+    req.pipe(parser);
+  });
+}
+
+// ── POST /api/media ───────────────────────────────────────────────────────────
+router.post('/', doc({
+  summary: 'Upload an image or video',
+  status: 201,
+  returns: 'Media',
+  requestBody: {
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: { type: 'object', properties: { file: { type: 'string', format: 'binary' } } },
+      },
+    },
+  },
+  errors: { 413: 'File too large for its kind', 415: 'Not a supported image or video' },
+}), requireAuth, requireActive, async (req, res, next) => {
+  const id = uuidv4();
+  const upload = `${filePath(id)}.upload`;
+
+  try {
+    prepareDir();
+    const result = await receiveUpload(req, upload);
+    if (result.error) {
+      await fs.promises.rm(upload, { force: true });
+      // A malformed body may not have been read to the end; don't reuse the socket
+      res.set('Connection', 'close');
+      return sendError(res, result.status, result.error);
+    }
+
+    // The file is never read whole: size comes from the stream, dimensions from its header
+    const { format } = result.value;
+    let { size, head } = result.value;
+    if (format.mimeType === 'image/jpeg') {
+      ({ size, head } = await stripJpegMetadata(upload, filePath(id)));
+      await fs.promises.rm(upload);
+    } else {
+      await fs.promises.rename(upload, filePath(id));
+    }
+
+    const record = media.create({
+      id,
+      ownerId: req.user.id,
+      kind: format.kind,
+      mimeType: format.mimeType,
+      size,
+      ...dimensionsOf(head, format.mimeType),
+      postId: null,
+      createdAt: new Date().toISOString(),
+    });
+    return res.status(201).json({ ...record, url: mediaUrl(id) });
+  } catch (err) {
+    await fs.promises.rm(upload, { force: true });
+    return next(err);
+  }
+});
+
+// ── GET /api/media/:id ────────────────────────────────────────────────────────
+router.get('/:id', doc({
+  summary: 'The uploaded file (supports Range)',
+  errors: { 404: 'Media not found or not visible' },
+}), (req, res) => {
+  const viewerId = req.user && req.user.id;
+  const record = media.get(req.params.id);
+
+  const post = record && record.postId && posts.get(record.postId);
+  const visible = record && (post ? canViewPost(viewerId, post) : record.ownerId === viewerId);
+  if (!visible) return sendError(res, 404, 'media not found');
+
+  return res.sendFile(filePath(record.id), {
+    headers: {
+      'Content-Type': record.mimeType,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=3600',
+    },
+  }, (err) => {
+    if (err && !res.headersSent) sendError(res, 404, 'media not found');
+  });
+});
+
+module.exports = router;
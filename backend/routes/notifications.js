@@ -0,0 +1,110 @@
+/**
+ * routes/notifications.js
+ *
+ * GET  /api/users/:id/notifications          — the user's notifications, most
+ *                                              recently updated first, plus
+ *                                              unreadCount (?limit&cursor →
+ *                                              { items, nextCursor, unreadCount })
+ * POST /api/users/:id/notifications/read-all — mark all of them read
+ * POST /api/notifications/:id/read           — mark one read
+ *
+ * Every route acts on the signed-in user's own notifications (else 403).
+ * Items are shaped by notifications.present(): grouped actors, actorCount and
+ * a ready-made message such as "Alice and 3 others liked your post".
+ *
+ * Two routers are exported: userNotificationsRouter (mounted at
+ * /api/users/:id/notifications, mergeParams) and notificationsRouter
+ * (/api/notifications).
+ */
+
+const express = require('express');
+const { users, notifications } = require('../repositories');
+const { requireAuth } = require('../auth');
+const { sendError } = require('../errors');
+const { validate, PAGE_QUERY } = require('../validation');
+const { parsePageParams, paginate } = require('../pagination');
+const { present } = require('../notifications');
+const { doc } = require('../openapi');
+
+const userNotificationsRouter = express.Router({ mergeParams: true });
+const notificationsRouter = express.Router();
+
+/** Returns { status, error } unless :id is the signed-in user. */
+function ownAccountError(req) {
+  if (!users.exists(req.params.id)) return { status: 404, error: 'user not found' };
+  if (req.params.id !== req.user.id) {
+    return { status: 403, error: 'cannot access another user\'s notifications' };
+  }
+  return null;
+}
+
+// ── GET /api/users/:id/notifications ──────────────────────────────────────────
+userNotificationsRouter.get('/', doc({
+  summary: 'Your notifications, most recently updated first',
+  returns: {
+    type: 'object',
+    properties: {
+      items: { type: 'array', items: { $ref: '#/components/schemas/Notification' } },
+      nextCursor: { type: 'string', nullable: true },
+      unreadCount: { type: 'integer' },
+    },
+  },
+  errors: { 403: 'Not your account', 404: 'User not found' },
+}), requireAuth, validate({ query: PAGE_QUERY }), (req, res) => {
+  const denied = ownAccountError(req);
+  if (denied) return sendError(res, denied.status, denied.error);
+
+  const page = parsePageParams(req.query);
+
+  // Drop notifications whose actors are all gone before paging and counting
+  const visible = notifications.forUser(req.user.id)
+    .map((n) => ({ stored: n, shown: present(n) }))
+    .filter(({ shown }) => shown);
+
+  const { items, nextCursor } = paginate(visible, page, {
+    keyOf: ({ stored }) => ({ createdAt: stored.updatedAt, id: stored.id }),
+  });
+
+  return res.status(200).json({
+    items: items.map(({ shown }) => shown),
+    nextCursor,
+    unreadCount: visible.filter(({ stored }) => !stored.read).length,
+  });
+});
+
+// ── POST /api/users/:id/notifications/read-all ────────────────────────────────
+userNotificationsRouter.post('/read-all', doc({
+  summary: 'Mark all your notifications read',
+  errors: { 403: 'Not your account', 404: 'User not found' },
+}), requireAuth, (req, res) => {
+  const denied = ownAccountError(req);
+  if (denied) return sendError(res, denied.status, denied.error);
+
+  const unreadIds = notifications.forUser(req.user.id)
+    .filter((n) => !n.read)
+    .map((n) => n.id);
+  if (unreadIds.length > 0) notifications.markRead(unreadIds);
+
+  return res.status(200).json({ markedRead: unreadIds.length, unreadCount: 0 });
+});
+
+// ── POST /api/notifications/:id/read ──────────────────────────────────────────
+notificationsRouter.post('/:id/read', doc({
+  summary: 'Mark one notification read',
+  returns: 'Notification',
+  errors: { 403: 'Not your notification', 404: 'Notification not found' },
+}), requireAuth, (req, res) => {
+  const notification = notifications.get(req.params.id);
+  if (!notification) return sendError(res, 404, 'notification not found');
+
+  if (notification.userId !== req.user.id) {
+    return sendError(res, 403, 'cannot access another user\'s notifications');
+  }
+
+  if (!present(notification)) return sendError(res, 404, 'notification not found');
+
+  if (!notification.read) notifications.markRead([notification.id]);
+  return res.status(200).json(present(notifications.get(notification.id)));
+});
+
+module.exports = { userNotificationsRouter, notificationsRouter };
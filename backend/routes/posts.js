@@ -1,91 +1,450 @@
 /**
  * routes/posts.js
  *
- * AC9   POST /api/posts          — create post (authorId must exist)
- * AC10  GET  /api/posts          — list all posts, newest first
+ * AC9   POST /api/posts          — create post as the authenticated user
+ * AC10  GET  /api/posts          — list all posts, newest first (cursor-paginated)
  * AC11  GET  /api/posts/:id      — get single post with author info + likesCount
- * AC12  DELETE /api/posts/:id   — delete post; 404 if not found
+ * AC12  DELETE /api/posts/:id   — delete post (and its likes, comments + media); 404 if not found, 403 unless author
+ *       PATCH  /api/posts/:id   — edit content, visibility and/or attachments (author only)
+ *       GET    /api/posts/:id/revisions            — edit history, newest first
+ *       PUT    /api/posts/:id/attachments/order    — reorder attachments (author only)
+ *       DELETE /api/posts/:id/attachments/:mediaId — remove one attachment (author only)
  * AC13  (GET /api/users/:userId/posts is handled in users.js to avoid mount conflicts)
+ *
+ * Mutations require a session (see auth.js); the author is always req.user.
+ * Creating a post spends the `posts` rate limit (ratelimit.js). A suspended
+ * user cannot create or edit posts or reorder attachments (403
+ * account_suspended), but may delete them. A post hidden by moderators
+ * (routes/reports.js) reads as 404 everywhere, to its author too, and cannot
+ * be deleted by them; deletePost() is shared with moderation.
+ * POST and DELETE routes accept an Idempotency-Key header (idempotency.js).
+ * List endpoints take ?limit&cursor and return { items, nextCursor } (pagination.js).
+ * Media is uploaded first (POST /api/media, routes/media.js) and attached by
+ * sending `attachments: [{ mediaId, alt? }]` (up to MAX_ATTACHMENTS, in
+ * display order) or, for a single file, just `mediaId`. Bare mediaUrl strings
+ * are refused. Every post returned has an `attachments` list (media.js);
+ * mediaType / mediaUrl / mediaId mirror the first attachment for older clients.
+ * Edits (PATCH and the attachment routes) are kept as revisions (revisions.js).
+ * Single-post responses carry an ETag; an edit sent with a stale If-Match
+ * gets 412 rather than overwriting a change made in between.
+ * Hashtags, @mentions and links in the content are stored as `entities`
+ * (entities.js), worked out again whenever the content is edited. Mentioned
+ * users who may see the post get a `mention` notification; an edit notifies
+ * only those it adds, and retracts it from those it drops or hides it from.
+ * Posts carry a `visibility` (public | followers | only_me, see visibility.js).
+ * Reads only return posts the viewer may see; a hidden post reads as 404.
+ * Likers who have a block with the viewer are left out of the likes list.
+ * Creating and deleting a post pushes post.created / post.deleted to the
+ * event streams (events.js) of followers whose feed shows it.
  */
 
 const router = require('express').Router();
 const { v4: uuidv4 } = require('uuid');
-const storage = require('../storage');
+const {
+  users, posts, follows, mutes, media,
+} = require('../repositories');
+const { requireAuth, requireActive } = require('../auth');
+const { sendError } = require('../errors');
+const { validate, PAGE_QUERY } = require('../validation');
+const { parsePageParams, paginate } = require('../pagination');
+const {
+  VISIBILITIES, DEFAULT_VISIBILITY, canViewPost,
+} = require('../visibility');
+const { publish } = require('../events');
+const { notify, retract } = require('../notifications');
+const {
+  removeFile, toAttachment, attachmentsOf, legacyMediaFields,
+} = require('../media');
+const { presentPost } = require('../postView');
+const { listLikers } = require('./likes');
+const { parseEntities } = require('../entities');
+const {
+  historyOf, editPost, etagOf, preconditionFailed,
+} = require('../revisions');
+const { doc } = require('../openapi');
+const { rateLimit } = require('../ratelimit');
+const { idempotent } = require('../idempotency');
+
+const MAX_CONTENT_LENGTH = 5000;
+const MAX_ATTACHMENTS = 10;
+const MAX_ALT_LENGTH = 1000;
+
+// Body rules shared by POST and PATCH (validation.js)
+const CONTENT_RULE = { type: 'string', maxLength: MAX_CONTENT_LENGTH };
+const VISIBILITY_RULE = { type: 'string', enum: VISIBILITIES };
+const ATTACHMENTS_RULE = {
+  type: 'array',
+  maxItems: MAX_ATTACHMENTS,
+  messages: { too_many: `a post can have at most ${MAX_ATTACHMENTS} attachments` },
+  items: {
+    type: 'object',
+    fields: {
+      mediaId: { type: 'string', required: true },
+      alt: { type: 'string', nullable: true, maxLength: MAX_ALT_LENGTH },
+    },
+  },
+};
+
+/**
+ * Check requested attachments ([{ mediaId, alt? }], already shaped by
+ * ATTACHMENTS_RULE) for userId's post: a new one, or postId when editing,
+ * whose own media may be listed again.
+ * Returns { error } or { value } with the attachment entries to store.
+ */
+function resolveAttachments(requested, userId, postId = null) {
+  const seen = new Set();
+  for (const { mediaId } of requested) {
+    if (seen.has(mediaId)) return { error: 'the same media cannot be attached twice' };
+    seen.add(mediaId);
+
+    const record = media.get(mediaId);
+    if (!record || record.ownerId !== userId) {
+      return { error: 'mediaId must refer to media you uploaded' };
+    }
+    if (record.postId && record.postId !== postId) {
+      return { error: 'media is already attached to a post' };
+    }
+  }
+
+  return { value: requested.map(({ mediaId, alt }) => toAttachment(media.get(mediaId), alt || null)) };
+}
+
+/** Changes that give a post a new attachment list, legacy fields included. */
+function attachmentChanges(attachments) {
+  return { attachments, ...legacyMediaFields(attachments) };
+}
+
+/** Delete the media behind attachments that no longer belong to any post. */
+function removeMedia(attachments) {
+  attachments
+    .filter((a) => a.mediaId && media.get(a.mediaId))
+    .forEach((a) => {
+      media.remove(a.mediaId);
+      removeFile(a.mediaId);
+    });
+}
+
+/**
+ * Returns { status, error } unless the signed-in user may see and edit `post`
+ * and the request's If-Match (if any) still matches it.
+ */
+function editError(req, post) {
+  if (!post || !canViewPost(req.user.id, post)) return { status: 404, error: 'post not found' };
+  if (post.authorId !== req.user.id) {
+    return { status: 403, error: 'only the author can edit this post' };
+  }
+  if (preconditionFailed(req, post)) {
+    return { status: 412, error: 'post has been edited since you fetched it' };
+  }
+  return null;
+}
+
+/** Send a single post, as req's user sees it, with its author and ETag. */
+function sendPost(req, res, status, post) {
+  return res.status(status).set('ETag', etagOf(post)).json({
+    ...presentPost(post, req.user && req.user.id),
+    author: users.get(post.authorId),
+  });
+}
+
+/** Followers whose feed shows `post`: they may see it and haven't muted the author. */
+function feedAudience(post) {
+  return follows.followerIds(post.authorId)
+    .filter((id) => canViewPost(id, post) && !mutes.exists(id, post.authorId));
+}
+
+/** IDs of the users @mentioned in `post` (parsed if it predates entities). */
+function mentionedIds(post) {
+  const { mentions } = post.entities || parseEntities(post.content, users.findByUsername);
+  return new Set(mentions.map((m) => m.userId));
+}
+
+/**
+ * Notify users @mentioned in `post` who may see it. After an edit, pass the
+ * post as it was: those already mentioned are not notified again, and those
+ * no longer mentioned, or no longer able to see it, have theirs retracted.
+ */
+function notifyMentions(post, before = null) {
+  const mention = (userId) => ({
+    userId, type: 'mention', actorId: post.authorId, postId: post.id,
+  });
+  const now = mentionedIds(post);
+  const earlier = before ? mentionedIds(before) : new Set();
+
+  earlier.forEach((userId) => {
+    if (!now.has(userId) || !canViewPost(userId, post)) retract(mention(userId));
+  });
+  now.forEach((userId) => {
+    if (!earlier.has(userId) && canViewPost(userId, post)) notify(mention(userId));
+  });
+}
+
+/**
+ * Delete a post with its likes, comments, revisions and media, and tell the
+ * followers who had it in their feed. Shared with moderation (routes/reports.js).
+ */
+function deletePost(post) {
+  // Work out who saw it before it (and its visibility) is gone
+  const audience = feedAudience(post);
+
+  // Also cleans up associated likes, comments and revisions
+  posts.remove(post.id);
+
+  // Its media has no other use once the post is gone
+  removeMedia(attachmentsOf(post));
+  publish(audience, 'post.deleted', { postId: post.id });
+}
 
 // ── POST /api/posts ───────────────────────────────────────────────────────────
-router.post('/', (req, res) => {
-  const { authorId, content, mediaType, mediaUrl } = req.body;
+router.post('/', doc({
+  summary: 'Create a post',
+  status: 201,
+  returns: 'Post',
+  errors: { 400: 'Invalid body, or media that cannot be attached', 403: 'authorId is someone else' },
+}), rateLimit('posts'), requireAuth, requireActive, idempotent(), validate({
+  body: {
+    content: { ...CONTENT_RULE, required: true },
+    visibility: VISIBILITY_RULE,
+    attachments: ATTACHMENTS_RULE,
+    mediaId: { type: 'string', nullable: true },
+    mediaType: { type: 'string', nullable: true, enum: ['image', 'video'] },
+    mediaUrl: {
+      nullable: true,
+      check: () => 'mediaUrl is not accepted; upload the file to POST /api/media and send its mediaId',
+    },
+  },
+}), (req, res) => {
+  const {
+    authorId, content, mediaType, mediaId, attachments: requested,
+    visibility = DEFAULT_VISIBILITY,
+  } = req.body;
 
-  if (!authorId || !storage.users[authorId]) {
-    return res.status(400).json({ error: 'authorId is missing or does not refer to a valid user' });
+  // authorId is optional; if sent it must match the session user
+  if (authorId !== undefined && authorId !== req.user.id) {
+    return sendError(res, 403, 'cannot post on behalf of another user');
   }
 
-  if (!content || typeof content !== 'string' || content.trim() === '') {
-    return res.status(400).json({ error: 'content is required' });
+  const hasMediaId = mediaId !== undefined && mediaId !== null;
+  if (hasMediaId && requested !== undefined) {
+    return sendError(res, 400, 'send either mediaId or attachments, not both');
   }
 
-  // Validate mediaType if provided
-  const validMediaTypes = ['image', 'video', null, undefined];
-  if (mediaType !== undefined && mediaType !== null && !['image', 'video'].includes(mediaType)) {
-    return res.status(400).json({ error: 'mediaType must be "image", "video", or null' });
+  let fallback = [];
+  if (hasMediaId) fallback = [{ mediaId }];
+  const attachments = resolveAttachments(requested === undefined ? fallback : requested, req.user.id);
+  if (attachments.error) return sendError(res, 400, attachments.error);
+
+  const [first] = attachments.value;
+  if (mediaType && (!first || mediaType !== first.type)) {
+    return sendError(res, 400, 'mediaType does not match the uploaded media');
   }
 
   const post = {
     id: uuidv4(),
-    authorId,
+    authorId: req.user.id,
     content: content.trim(),
-    mediaType: mediaType || null,
-    mediaUrl: mediaUrl || null,
+    entities: parseEntities(content.trim(), users.findByUsername),
+    ...legacyMediaFields(attachments.value),
+    attachments: attachments.value,
+    visibility,
     createdAt: new Date().toISOString(),
+    editedAt: null,
+    revisionCount: 1,
     likesCount: 0,
+    commentsCount: 0,
   };
 
-  storage.posts[post.id] = post;
-  return res.status(201).json(post);
+  posts.create(post);
+  attachments.value.forEach((a) => media.attach(a.mediaId, post.id));
+  publish(feedAudience(post), 'post.created', { ...post, author: req.user });
+  notifyMentions(post);
+  return res.status(201).set('ETag', etagOf(post)).json(presentPost(post, req.user.id));
 });
 
 // ── GET /api/posts ────────────────────────────────────────────────────────────
-router.get('/', (req, res) => {
-  const posts = Object.values(storage.posts).sort(
-    (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
-  );
-  return res.status(200).json(posts);
+router.get('/', doc({
+  summary: 'All posts the viewer may see, newest first',
+  returns: 'Page<Post>',
+}), validate({ query: PAGE_QUERY }), (req, res) => {
+  const page = parsePageParams(req.query);
+
+  const viewerId = req.user && req.user.id;
+  const visible = posts.list().filter((p) => canViewPost(viewerId, p));
+
+  const { items, nextCursor } = paginate(visible, page, { keyOf: (p) => p });
+  return res.status(200).json({ items: items.map((p) => presentPost(p, viewerId)), nextCursor });
 });
 
 // ── GET /api/posts/:id ────────────────────────────────────────────────────────
-router.get('/:id', (req, res) => {
-  const post = storage.posts[req.params.id];
-  if (!post) return res.status(404).json({ error: 'post not found' });
+router.get('/:id', doc({
+  summary: 'A post, with its author and ETag',
+  returns: 'Post',
+  errors: { 404: 'Post not found' },
+}), (req, res) => {
+  const post = posts.get(req.params.id);
+  if (!post || !canViewPost(req.user && req.user.id, post)) {
+    return sendError(res, 404, 'post not found');
+  }
 
-  const author = storage.users[post.authorId] || null;
-  return res.status(200).json({ ...post, author });
+  return sendPost(req, res, 200, post);
+});
+
+// ── PATCH /api/posts/:id ──────────────────────────────────────────────────────
+// Body: { content?, visibility?, attachments? } — attachments replaces the
+// list; media dropped from it is deleted
+router.patch('/:id', doc({
+  summary: 'Edit a post\'s content, visibility or attachments',
+  returns: 'Post',
+  errors: {
+    400: 'Invalid body, nothing to change, or media that cannot be attached',
+    403: 'Not the author',
+    404: 'Post not found',
+    412: 'Edited since If-Match',
+  },
+}), requireAuth, requireActive, validate({
+  body: {
+    content: { ...CONTENT_RULE, notEmpty: true },
+    visibility: VISIBILITY_RULE,
+    attachments: ATTACHMENTS_RULE,
+  },
+}), (req, res) => {
+  const post = posts.get(req.params.id);
+  const denied = editError(req, post);
+  if (denied) return sendError(res, denied.status, denied.error);
+
+  const { content, visibility, attachments: requested } = req.body;
+  if (content === undefined && visibility === undefined && requested === undefined) {
+    return sendError(res, 400, 'content, visibility or attachments is required');
+  }
+
+  const changes = {};
+  if (content !== undefined) {
+    changes.content = content.trim();
+    changes.entities = parseEntities(changes.content, users.findByUsername);
+  }
+
+  if (visibility !== undefined) changes.visibility = visibility;
+
+  const previous = attachmentsOf(post);
+  let attachments = null;
+  if (requested !== undefined) {
+    attachments = resolveAttachments(requested, req.user.id, post.id);
+    if (attachments.error) return sendError(res, 400, attachments.error);
+    Object.assign(changes, attachmentChanges(attachments.value));
+  }
+
+  const before = { ...post };
+  const updated = editPost(post, changes, req.user.id);
+  notifyMentions(updated, before);
+  if (attachments) {
+    attachments.value.forEach((a) => media.attach(a.mediaId, post.id));
+    removeMedia(previous.filter((a) => !attachments.value.some((b) => b.mediaId === a.mediaId)));
+  }
+  return sendPost(req, res, 200, updated);
+});
+
+// ── GET /api/posts/:id/revisions ──────────────────────────────────────────────
+// Every version of the post, newest first; the last item is the original
+router.get('/:id/revisions', doc({
+  summary: 'A post\'s edit history, newest first',
+  returns: 'Page<Post>',
+  errors: { 404: 'Post not found' },
+}), validate({ query: PAGE_QUERY }), (req, res) => {
+  const post = posts.get(req.params.id);
+  if (!post || !canViewPost(req.user && req.user.id, post)) {
+    return sendError(res, 404, 'post not found');
+  }
+
+  const page = parsePageParams(req.query);
+
+  const { items, nextCursor } = paginate(historyOf(post), page, {
+    keyOf: (r) => ({ createdAt: r.editedAt, id: String(r.number).padStart(10, '0') }),
+  });
+  return res.status(200).json({
+    items: items.map((r) => ({ ...r, editor: users.get(r.editorId) || null })),
+    nextCursor,
+  });
+});
+
+// ── PUT /api/posts/:id/attachments/order ──────────────────────────────────────
+// Body: { mediaIds } — every current attachment's mediaId, in the new order
+router.put('/:id/attachments/order', doc({
+  summary: 'Reorder a post\'s attachments',
+  returns: 'Post',
+  errors: {
+    400: 'mediaIds is not the current attachments in a new order',
+    403: 'Not the author',
+    404: 'Post not found',
+    412: 'Edited since If-Match',
+  },
+}), requireAuth, requireActive, validate({
+  body: { mediaIds: { type: 'array', required: true, items: { type: 'string' } } },
+}), (req, res) => {
+  const post = posts.get(req.params.id);
+  const denied = editError(req, post);
+  if (denied) return sendError(res, denied.status, denied.error);
+
+  const current = attachmentsOf(post);
+  const { mediaIds } = req.body;
+  const isPermutation = mediaIds.length === current.length
+    && new Set(mediaIds).size === mediaIds.length
+    && mediaIds.every((id) => current.some((a) => a.mediaId === id));
+  if (!isPermutation) {
+    return sendError(res, 400, 'mediaIds must list each of the post\'s attachments once');
+  }
+
+  const reordered = mediaIds.map((id) => current.find((a) => a.mediaId === id));
+  const updated = editPost(post, attachmentChanges(reordered), req.user.id);
+  return sendPost(req, res, 200, updated);
+});
+
+// ── DELETE /api/posts/:id/attachments/:mediaId ────────────────────────────────
+router.delete('/:id/attachments/:mediaId', doc({
+  summary: 'Remove one attachment from a post',
+  returns: 'Post',
+  errors: { 403: 'Not the author', 404: 'Post or attachment not found', 412: 'Edited since If-Match' },
+}), requireAuth, idempotent(), (req, res) => {
+  const post = posts.get(req.params.id);
+  const denied = editError(req, post);
+  if (denied) return sendError(res, denied.status, denied.error);
+
+  const current = attachmentsOf(post);
+  const removed = current.filter((a) => a.mediaId === req.params.mediaId);
+  if (removed.length === 0) return sendError(res, 404, 'attachment not found');
+
+  const kept = current.filter((a) => a.mediaId !== req.params.mediaId);
+  const updated = editPost(post, attachmentChanges(kept), req.user.id);
+  removeMedia(removed);
+  return sendPost(req, res, 200, updated);
 });
 
 // ── DELETE /api/posts/:id ─────────────────────────────────────────────────────
-router.delete('/:id', (req, res) => {
-  const post = storage.posts[req.params.id];
-  if (!post) return res.status(404).json({ error: 'post not found' });
+router.delete('/:id', doc({
+  summary: 'Delete a post with its likes, comments and media',
+  status: 204,
+  errors: { 403: 'Not the author', 404: 'Post not found' },
+}), requireAuth, idempotent(), (req, res) => {
+  const post = posts.get(req.params.id);
+  // Posts the user cannot see read as missing; a hidden post is kept for
+  // moderators, so its author cannot remove it either
+  if (!post || !canViewPost(req.user.id, post)) return sendError(res, 404, 'post not found');
 
-  // Clean up associated likes
-  storage.likes = storage.likes.filter((l) => l.postId !== req.params.id);
+  if (post.authorId !== req.user.id) {
+    return sendError(res, 403, 'only the author can delete this post');
+  }
 
-  delete storage.posts[req.params.id];
+  deletePost(post);
   return res.status(204).send();
 });
 
 // ── GET /api/posts/:id/likes ──────────────────────────────────────────────────
-// Returns array of user objects who liked the post (AC20 — list side).
-// The like/unlike mutation routes live in routes/likes.js (mounted at /api/posts/:id/like).
-router.get('/:id/likes', (req, res) => {
-  const post = storage.posts[req.params.id];
-  if (!post) return res.status(404).json({ error: 'post not found' });
-
-  const likers = storage.likes
-    .filter((l) => l.postId === req.params.id)
-    .map((l) => storage.users[l.userId])
-    .filter(Boolean);
-
-  return res.status(200).json(likers);
-});
+// A page of user objects who liked the post, most recent like first (AC20 —
+// list side; the handler and the like/unlike routes live in routes/likes.js).
+// Other reactions are listed by routes/reactions.js.
+router.get('/:id/likes', doc({
+  summary: 'Users who liked a post, most recent first',
+  returns: 'Page<User>',
+  errors: { 404: 'Post not found' },
+}), validate({ query: PAGE_QUERY }), listLikers);
 
-module.exports = router;
+module.exports = { router, deletePost };
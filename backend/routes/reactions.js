@@ -0,0 +1,128 @@
+/**
+ * routes/reactions.js
+ *
+ * PUT    /api/posts/:id/reactions        — set your reaction (replaces any other)
+ * DELETE /api/posts/:id/reactions        — remove your reaction
+ * GET    /api/posts/:id/reactions?type=  — list reactors, most recent first,
+ *                                          optionally of one type only
+ *
+ * Body for PUT:
+ *   { type: 'like' | 'love' | 'haha' | 'wow' | 'sad' | 'angry' }
+ *
+ * A user has at most one reaction per post (reactions.js). PUT answers 201
+ * for a first reaction and 200 when it replaces or repeats one; both return
+ * the post's updated reactionCounts. POST/DELETE /api/posts/:id/like
+ * (routes/likes.js) remain as shortcuts for the "like" reaction.
+ * Reacting is refused (403) when the user and the post's author have a block
+ * between them, and reactors blocked with the viewer are left out of the list.
+ * Posts outside the viewer's audience (visibility.js) read as 404.
+ * PUT and DELETE spend the `likes` rate limit (ratelimit.js). A suspended
+ * user cannot react (403 account_suspended) but may remove a reaction.
+ */
+
+const router = require('express').Router({ mergeParams: true });
+const {
+  users, posts, likes, blocks,
+} = require('../repositories');
+const { requireAuth, requireActive } = require('../auth');
+const { sendError } = require('../errors');
+const { validate, PAGE_QUERY } = require('../validation');
+const { parsePageParams, paginate } = require('../pagination');
+const { canViewPost, interactionError } = require('../visibility');
+const {
+  REACTION_TYPES, DEFAULT_REACTION, reactionCounts, reactionOf, react, unreact,
+} = require('../reactions');
+const { doc } = require('../openapi');
+const { rateLimit } = require('../ratelimit');
+
+const TYPE_RULE = { type: 'string', enum: REACTION_TYPES };
+
+// ── PUT /api/posts/:id/reactions ──────────────────────────────────────────────
+router.put('/', doc({
+  summary: 'Set your reaction to a post',
+  description: 'Replacing an existing reaction answers 200.',
+  status: 201,
+  errors: { 403: 'Blocked', 404: 'Post not found' },
+}), rateLimit('likes'), requireAuth, requireActive, validate({
+  body: { type: { ...TYPE_RULE, required: true } },
+}), (req, res) => {
+  const postId = req.params.id;
+  const userId = req.user.id;
+  const { type } = req.body;
+
+  const post = posts.get(postId);
+  const denied = interactionError(userId, post);
+  if (denied) return sendError(res, denied.status, denied.error, { code: denied.code });
+
+  const previous = react(userId, post, type);
+  return res.status(previous ? 200 : 201).json({
+    userId,
+    postId,
+    type,
+    previousType: previous,
+    reactionCounts: reactionCounts(post),
+    likesCount: post.likesCount,
+  });
+});
+
+// ── DELETE /api/posts/:id/reactions ───────────────────────────────────────────
+router.delete('/', doc({
+  summary: 'Remove your reaction to a post',
+  errors: { 404: 'Post or reaction not found' },
+}), rateLimit('likes'), requireAuth, (req, res) => {
+  const postId = req.params.id;
+  const userId = req.user.id;
+
+  const post = posts.get(postId);
+  if (!post || !canViewPost(userId, post)) {
+    return sendError(res, 404, 'post not found');
+  }
+
+  if (!reactionOf(userId, postId)) {
+    return sendError(res, 404, 'reaction not found');
+  }
+
+  unreact(userId, post);
+  return res.status(200).json({
+    message: 'reaction removed',
+    reactionCounts: reactionCounts(post),
+    likesCount: post.likesCount,
+  });
+});
+
+// ── GET /api/posts/:id/reactions ──────────────────────────────────────────────
+// Items are { user, type, createdAt }
+router.get('/', doc({
+  summary: 'Who reacted to a post, and how',
+  returns: {
+    type: 'object',
+    properties: {
+      items: { type: 'array', items: { type: 'object' } },
+      nextCursor: { type: 'string', nullable: true },
+    },
+  },
+  errors: { 404: 'Post not found' },
+}), validate({ query: { ...PAGE_QUERY, type: TYPE_RULE } }), (req, res) => {
+  const postId = req.params.id;
+  const viewerId = req.user && req.user.id;
+
+  const post = posts.get(postId);
+  if (!post || !canViewPost(viewerId, post)) {
+    return sendError(res, 404, 'post not found');
+  }
+
+  const { type } = req.query;
+  const page = parsePageParams(req.query);
+
+  const visible = likes.forPost(postId, type).filter((l) => !blocks.between(viewerId, l.userId));
+  const { items, nextCursor } = paginate(visible, page, {
+    keyOf: (l) => ({ createdAt: l.createdAt, id: l.userId }),
+  });
+  const reactors = items
+    .map((l) => ({ user: users.get(l.userId), type: l.type || DEFAULT_REACTION, createdAt: l.createdAt }))
+    .filter((r) => r.user);
+
+  return res.status(200).json({ items: reactors, nextCursor });
+});
+
+module.exports = router;
@@ -0,0 +1,228 @@
+/**
+ * routes/reports.js
+ *
+ * POST /api/reports                    — report a post or a user
+ * GET  /api/admin/reports              — the moderation queue (admins only;
+ *                                        ?status&targetType&reason&limit&cursor)
+ * POST /api/admin/reports/:id/resolve  — act on a report (admins only)
+ *
+ * Body for POST /api/reports:
+ *   { targetType: 'post' | 'user', targetId: string,
+ *     reason: one of REPORT_REASONS, details?: string }
+ * Body for POST /api/admin/reports/:id/resolve:
+ *   { action: one of REPORT_ACTIONS, note?: string }
+ * (both lists in moderation.js)
+ *
+ * Anyone signed in may report a post they can see or another user, once per
+ * target while their report is open (409 otherwise). A report records its
+ * `subjectId`: the reported user, or the post's author.
+ *
+ * Admins (users with role 'admin', see auth.js requireAdmin) work through the
+ * queue: open reports oldest first, or resolved ones newest first. Each item
+ * comes with the reporter, the subject, the target as it is now (null once
+ * deleted) and how many open reports the target has. Resolving applies the
+ * action and closes every open report on the same target with one
+ * resolution { action, adminId, note, resolvedAt }. Post actions only apply
+ * to reported posts, and admins cannot be suspended. Reports stay after their
+ * target is gone, for the record; a user's own reports go with their account.
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { users, posts, reports } = require('../repositories');
+const { requireAuth, requireAdmin } = require('../auth');
+const { sendError } = require('../errors');
+const { validate, PAGE_QUERY } = require('../validation');
+const { parsePageParams, paginate } = require('../pagination');
+const { canViewPost, isHidden } = require('../visibility');
+const { presentPost } = require('../postView');
+const { deletePost } = require('./posts');
+const {
+  REPORT_REASONS, REPORT_ACTIONS, REPORT_STATUSES, REPORT_TARGET_TYPES,
+} = require('../moderation');
+const { doc } = require('../openapi');
+const { rateLimit } = require('../ratelimit');
+
+const reportsRouter = express.Router();
+const adminReportsRouter = express.Router();
+
+const MAX_DETAILS_LENGTH = 500;
+const MAX_NOTE_LENGTH = 500;
+
+/** A report as admins see it, with the people and the target it concerns. */
+function presentReport(report, viewerId) {
+  const target = report.targetType === 'post'
+    ? posts.get(report.targetId)
+    : users.get(report.targetId);
+  return {
+    ...report,
+    reporter: users.get(report.reporterId),
+    subject: report.subjectId ? users.get(report.subjectId) : null,
+    target: target && report.targetType === 'post' ? presentPost(target, viewerId) : target,
+    openReportCount: reports.openFor(report.targetType, report.targetId).length,
+  };
+}
+
+/**
+ * The subject of a report on targetId by reporterId: { subjectId } or
+ * { status, error } when it cannot be reported.
+ */
+function reportSubject(targetType, targetId, reporterId) {
+  if (targetType === 'user') {
+    if (targetId === reporterId) return { status: 400, error: 'you cannot report yourself' };
+    if (!users.exists(targetId)) return { status: 404, error: 'user not found' };
+    return { subjectId: targetId };
+  }
+
+  const post = posts.get(targetId);
+  if (!post || !canViewPost(reporterId, post)) return { status: 404, error: 'post not found' };
+  if (post.authorId === reporterId) return { status: 400, error: 'you cannot report your own post' };
+  return { subjectId: post.authorId };
+}
+
+/**
+ * Carry out `action` on what `report` is about. Returns { status, error }
+ * if it does not apply, else null.
+ */
+function applyAction(action, report) {
+  if (action === 'dismiss') return null;
+
+  if (action === 'suspend_user') {
+    const subject = report.subjectId && users.get(report.subjectId);
+    if (!subject) return { status: 404, error: 'reported user not found' };
+    if (subject.role === 'admin') return { status: 403, error: 'admins cannot be suspended' };
+    if (!subject.suspendedAt) users.suspend(subject.id);
+    return null;
+  }
+
+  if (report.targetType !== 'post') {
+    return { status: 400, error: `${action} only applies to reported posts` };
+  }
+  const post = posts.get(report.targetId);
+  if (!post) return { status: 404, error: 'post not found' };
+  if (action === 'delete_post') deletePost(post);
+  else if (!isHidden(post)) posts.hide(post.id);
+  return null;
+}
+
+// ── POST /api/reports ─────────────────────────────────────────────────────────
+reportsRouter.post('/', doc({
+  summary: 'Report a post or a user to the moderators',
+  status: 201,
+  returns: 'Report',
+  errors: {
+    400: 'Invalid body, or reporting yourself or your own post',
+    404: 'Post or user not found',
+    409: 'You already have an open report on this (already_reported)',
+  },
+}), rateLimit('reports'), requireAuth, validate({
+  body: {
+    targetType: { type: 'string', required: true, enum: REPORT_TARGET_TYPES },
+    targetId: { type: 'string', required: true },
+    reason: { type: 'string', required: true, enum: REPORT_REASONS },
+    details: { type: 'string', nullable: true, maxLength: MAX_DETAILS_LENGTH },
+  },
+}), (req, res) => {
+  const reporterId = req.user.id;
+  const {
+    targetType, targetId, reason, details,
+  } = req.body;
+
+  const { subjectId, status, error } = reportSubject(targetType, targetId, reporterId);
+  if (error) return sendError(res, status, error);
+
+  const duplicate = reports.openFor(targetType, targetId).some((r) => r.reporterId === reporterId);
+  if (duplicate) {
+    return sendError(res, 409, 'you have already reported this', { code: 'already_reported' });
+  }
+
+  const report = reports.create({
+    id: uuidv4(),
+    reporterId,
+    targetType,
+    targetId,
+    subjectId,
+    reason,
+    details: (details || '').trim() || null,
+    status: 'open',
+    resolution: null,
+    createdAt: new Date().toISOString(),
+  });
+  return res.status(201).json(report);
+});
+
+// ── GET /api/admin/reports ────────────────────────────────────────────────────
+adminReportsRouter.get('/', doc({
+  summary: 'The moderation queue: open reports oldest first, or resolved ones newest first',
+  returns: 'Page<Report>',
+}), requireAuth, requireAdmin, validate({
+  query: {
+    status: { type: 'string', enum: REPORT_STATUSES },
+    targetType: { type: 'string', enum: REPORT_TARGET_TYPES },
+    reason: { type: 'string', enum: REPORT_REASONS },
+    ...PAGE_QUERY,
+  },
+}), (req, res) => {
+  const { status = 'open', targetType, reason } = req.query;
+  const page = parsePageParams(req.query);
+
+  const matching = reports.list().filter((r) => r.status === status
+    && (!targetType || r.targetType === targetType)
+    && (!reason || r.reason === reason));
+  const { items, nextCursor } = paginate(matching, page, {
+    keyOf: (r) => r,
+    order: status === 'open' ? 'asc' : 'desc',
+  });
+  return res.status(200).json({
+    items: items.map((r) => presentReport(r, req.user.id)),
+    nextCursor,
+  });
+});
+
+// ── POST /api/admin/reports/:id/resolve ───────────────────────────────────────
+adminReportsRouter.post('/:id/resolve', doc({
+  summary: 'Act on a report, resolving every open report on the same target',
+  returns: {
+    type: 'object',
+    properties: {
+      report: { $ref: '#/components/schemas/Report' },
+      resolvedReportIds: { type: 'array', items: { type: 'string' } },
+    },
+  },
+  errors: {
+    400: 'Invalid body, or a post action on a user report',
+    403: 'Not an admin, or suspending an admin',
+    404: 'Report not found, or its post or user is gone',
+    409: 'Already resolved (already_resolved)',
+  },
+}), requireAuth, requireAdmin, validate({
+  body: {
+    action: { type: 'string', required: true, enum: REPORT_ACTIONS },
+    note: { type: 'string', nullable: true, maxLength: MAX_NOTE_LENGTH },
+  },
+}), (req, res) => {
+  const report = reports.get(req.params.id);
+  if (!report) return sendError(res, 404, 'report not found');
+  if (report.status !== 'open') {
+    return sendError(res, 409, 'report is already resolved', { code: 'already_resolved' });
+  }
+
+  const { action, note } = req.body;
+  const refused = applyAction(action, report);
+  if (refused) return sendError(res, refused.status, refused.error);
+
+  const ids = reports.openFor(report.targetType, report.targetId).map((r) => r.id);
+  reports.resolve(ids, {
+    action,
+    adminId: req.user.id,
+    note: (note || '').trim() || null,
+    resolvedAt: new Date().toISOString(),
+  });
+
+  return res.status(200).json({
+    report: presentReport(reports.get(report.id), req.user.id),
+    resolvedReportIds: ids,
+  });
+});
+
+module.exports = { reportsRouter, adminReportsRouter };
@@ -0,0 +1,95 @@
+/**
+ * routes/search.js
+ *
+ * GET /api/search?q=&type=users|posts|all — full-text search
+ *
+ * Users are matched on username, displayName and bio, posts on content, through
+ * the search indexes kept by indexes.js (see search.js for tokenising and
+ * scoring). Every word of q must match, and the last one may be partial, so
+ * the endpoint doubles as typeahead: "ali sm" finds "Alice Smith".
+ *
+ * type=users and type=posts return { items, nextCursor }, best match first,
+ * paginated with ?limit= and ?cursor=. type=all (the default) returns the
+ * first page of each: { users: { items, nextCursor }, posts: { ... } }; to
+ * page further, repeat the query with that type and its cursor.
+ *
+ * Users blocked with the viewer (either way) are left out, as are posts the
+ * viewer may not see (visibility.js). Items carry their relevance `score`.
+ */
+
+const router = require('express').Router();
+const { users, posts, blocks, search } = require('../repositories');
+const { parsePageParams } = require('../pagination');
+const { pageResults, decodeSearchCursor } = require('../search');
+const { canViewPost } = require('../visibility');
+const { presentPost } = require('../postView');
+const { validate, PAGE_QUERY } = require('../validation');
+const { doc } = require('../openapi');
+
+const SEARCH_TYPES = ['users', 'posts', 'all'];
+const MAX_QUERY_LENGTH = 100;
+
+const SEARCH_QUERY = {
+  q: { type: 'string', required: true, maxLength: MAX_QUERY_LENGTH },
+  type: { type: 'string', enum: SEARCH_TYPES },
+  limit: PAGE_QUERY.limit,
+  // Search cursors carry a score rather than a timestamp, and page one list
+  cursor: {
+    type: 'string',
+    check: (cursor, { type = 'all' }) => {
+      if (type === 'all') return 'cursor needs type=users or type=posts';
+      return decodeSearchCursor(cursor) ? null : 'cursor is invalid';
+    },
+  },
+};
+
+function searchUsers(query, viewerId, page) {
+  const { items, nextCursor } = pageResults(search.users(query), {
+    ...page,
+    include: (id) => !viewerId || !blocks.between(viewerId, id),
+  });
+  return {
+    items: items.map(({ id, score }) => ({ ...users.get(id), score })),
+    nextCursor,
+  };
+}
+
+function searchPosts(query, viewerId, page) {
+  const { items, nextCursor } = pageResults(search.posts(query), {
+    ...page,
+    include: (id) => canViewPost(viewerId, posts.get(id)),
+  });
+  return {
+    items: items.map(({ id, score }) => {
+      const post = posts.get(id);
+      return { ...presentPost(post, viewerId), author: users.get(post.authorId), score };
+    }),
+    nextCursor,
+  };
+}
+
+// ── GET /api/search ───────────────────────────────────────────────────────────
+router.get('/', doc({
+  summary: 'Search users and posts',
+  description: 'type=users or type=posts answers one cursor page; type=all answers { users, posts }.',
+  returns: { type: 'object' },
+}), validate({ query: SEARCH_QUERY }), (req, res) => {
+  const viewerId = req.user && req.user.id;
+  const { q, type = 'all', cursor } = req.query;
+
+  const query = q.trim();
+  // Only the limit goes through the shared parser; SEARCH_QUERY checked the cursor
+  const page = parsePageParams({ limit: req.query.limit });
+  const after = cursor === undefined ? null : decodeSearchCursor(cursor);
+
+  const params = { limit: page.limit, after };
+  if (type === 'users') return res.status(200).json(searchUsers(query, viewerId, params));
+  if (type === 'posts') return res.status(200).json(searchPosts(query, viewerId, params));
+
+  return res.status(200).json({
+    users: searchUsers(query, viewerId, params),
+    posts: searchPosts(query, viewerId, params),
+  });
+});
+
+module.exports = router;
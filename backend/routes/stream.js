@@ -0,0 +1,82 @@
+/**
+ * routes/stream.js
+ *
+ * GET /api/stream/:userId — Server-Sent Events stream of the user's real-time
+ *                           events (events.js): new and deleted posts from
+ *                           followed users, likes / unlikes on their posts
+ *                           and new followers
+ *
+ * Only the user themselves may open their stream. Browsers' EventSource
+ * cannot set an Authorization header, so the bearer token may be passed as
+ * ?token= instead.
+ *
+ * Each event is written as
+ *   id: <n>
+ *   event: <type>
+ *   data: <JSON>
+ * and a `: heartbeat` comment is sent every HEARTBEAT_MS to keep proxies from
+ * closing an idle connection. A reconnecting client sends the last id it saw
+ * (Last-Event-ID header, or ?lastEventId=) and first receives every retained
+ * event after it.
+ */
+
+const router = require('express').Router();
+const { users } = require('../repositories');
+const { resolveSession } = require('../auth');
+const { sendError } = require('../errors');
+const { subscribe, eventsSince } = require('../events');
+const { doc } = require('../openapi');
+
+const HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS) || 15000;
+const RETRY_MS = 3000;
+
+/** The signed-in user, from the Authorization header or ?token=. */
+function streamUser(req) {
+  if (req.user) return req.user;
+  const session = resolveSession(req.query.token);
+  return (session && users.get(session.userId)) || null;
+}
+
+function writeEvent(res, { id, type, data }) {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// ── GET /api/stream/:userId ───────────────────────────────────────────────────
+router.get('/:userId', doc({
+  summary: 'Server-Sent Events stream of your real-time events',
+  description: 'A text/event-stream; the token may be sent as ?token= for EventSource.',
+  errors: { 401: 'Not signed in', 403: 'Not your stream', 404: 'User not found' },
+}), (req, res) => {
+  const viewer = streamUser(req);
+  if (!viewer) return sendError(res, 401, 'authentication required');
+
+  const { userId } = req.params;
+  if (!users.exists(userId)) return sendError(res, 404, 'user not found');
+
+  if (userId !== viewer.id) {
+    return sendError(res, 403, 'cannot stream another user\'s events');
+  }
+
+  const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Replay and subscribe in the same tick so nothing published between is lost
+  eventsSince(userId, lastEventId).forEach((event) => writeEvent(res, event));
+  const unsubscribe = subscribe(userId, (event) => writeEvent(res, event));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
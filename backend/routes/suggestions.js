@@ -1,72 +1,69 @@
 /**
  * routes/suggestions.js
  *
- * AC23  GET /api/users/:id/suggestions — friend-of-friend suggestions
- * AC24  Ranked by mutual connections count (descending)
- * AC25  Exclude: current user, already-followed users
+ * AC23  GET  /api/suggestions/:id          — "people you may know" for user :id,
+ *                                             who must be you (?limit=, default 20)
+ * AC24  Ranked by score (suggestions.js): mutual follows, followers-of-followers,
+ *       posts both reacted to and account recency; each has `reasons`
+ * AC25  Exclude: the user, already-followed users, users blocked either way
+ *       and users the user dismissed
+ *       POST /api/suggestions/:id/dismiss  — stop suggesting user :id to the
+ *                                             signed-in user
  *
- * NOTE: This route is mounted at /api/suggestions and proxies to the
- * suggestion logic already implemented in users.js (:id/suggestions).
- * To avoid duplicating logic, this router re-uses the same computation.
- *
- * Actually — to keep things clean with Express mounting, we expose this
- * as a dedicated router mounted at /api/suggestions/:id so the EM's
- * route file requirement is satisfied. The users.js route at
- * GET /api/users/:id/suggestions is the canonical path.
- *
- * This file is intentionally minimal — it delegates to shared logic.
+ * GET /api/users/:id/suggestions answers the same through suggestFor().
  */
 
 const router = require('express').Router();
-const storage = require('../storage');
+const { users, dismissals } = require('../repositories');
+const { parsePageParams } = require('../pagination');
+const { requireAuth } = require('../auth');
+const { sendError } = require('../errors');
+const { validate, PAGE_QUERY } = require('../validation');
+const { suggestFor } = require('../suggestions');
+const { doc } = require('../openapi');
 
-/**
- * Compute friend-of-friend suggestions for a given userId.
- * Returns an array of user objects with an extra `mutualCount` field,
- * sorted by mutualCount descending.
- */
-function computeSuggestions(userId) {
-  const alreadyFollowing = new Set(
-    storage.follows
-      .filter((f) => f.followerId === userId)
-      .map((f) => f.followeeId)
-  );
-
-  const mutualCounts = {};
+// ── GET /api/suggestions/:id ──────────────────────────────────────────────────
+router.get('/:id', doc({
+  summary: 'People you may know, best first',
+  returns: 'Suggestion[]',
+  errors: { 403: 'Not your account', 404: 'User not found' },
+}), requireAuth, validate({ query: { limit: PAGE_QUERY.limit } }), (req, res) => {
+  const { id } = req.params;
 
-  alreadyFollowing.forEach((followeeId) => {
-    storage.follows
-      .filter((f) => f.followerId === followeeId)
-      .forEach((f) => {
-        const candidate = f.followeeId;
-        if (candidate === userId || alreadyFollowing.has(candidate)) return;
-        mutualCounts[candidate] = (mutualCounts[candidate] || 0) + 1;
-      });
-  });
+  if (!users.exists(id)) {
+    return sendError(res, 404, 'user not found');
+  }
+  if (id !== req.user.id) {
+    return sendError(res, 403, 'cannot view another user\'s suggestions');
+  }
 
-  // Fill in users with 0 mutual connections too
-  Object.keys(storage.users).forEach((uid) => {
-    if (uid === userId || alreadyFollowing.has(uid)) return;
-    if (!(uid in mutualCounts)) mutualCounts[uid] = 0;
-  });
+  const page = parsePageParams({ limit: req.query.limit });
 
-  return Object.entries(mutualCounts)
-    .sort((a, b) => b[1] - a[1])
-    .map(([uid, mutualCount]) => ({
-      ...storage.users[uid],
-      mutualCount,
-    }));
-}
+  return res.status(200).json(suggestFor(id, { limit: page.limit }));
+});
 
-// ── GET /api/suggestions/:id ──────────────────────────────────────────────────
-router.get('/:id', (req, res) => {
-  const { id } = req.params;
+// ── POST /api/suggestions/:id/dismiss ─────────────────────────────────────────
+router.post('/:id/dismiss', doc({
+  summary: 'Stop suggesting user :id to you',
+  status: 201,
+  errors: { 400: 'Yourself, or already dismissed', 404: 'User not found' },
+}), requireAuth, (req, res) => {
+  const userId = req.user.id;
+  const dismissedId = req.params.id;
 
-  if (!storage.users[id]) {
-    return res.status(404).json({ error: 'user not found' });
+  if (!users.exists(dismissedId)) {
+    return sendError(res, 404, 'user not found');
+  }
+  if (dismissedId === userId) {
+    return sendError(res, 400, 'a user cannot dismiss themselves');
+  }
+  if (dismissals.exists(userId, dismissedId)) {
+    return sendError(res, 400, 'suggestion already dismissed');
   }
 
-  return res.status(200).json(computeSuggestions(id));
+  const createdAt = new Date().toISOString();
+  dismissals.add(userId, dismissedId, createdAt);
+  return res.status(201).json({ userId, dismissedId, createdAt });
 });
 
-module.exports = { router, computeSuggestions };
+module.exports = { router };
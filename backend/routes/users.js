@@ -2,165 +2,470 @@
  * routes/users.js
  *
  * AC6  POST /api/users          — create user (unique username required)
- * AC7  GET  /api/users/:id      — get user profile with computed counts
+ * AC7  GET  /api/users/:id      — get user profile with computed counts and,
+ *                                 for a signed-in viewer, their `relationship`
  * AC8  GET  /api/users          — list all users
+ *      PATCH /api/users/:id      — edit your own profile and username
+ *      DELETE /api/users/:id     — delete your account (password required)
+ *      GET  /api/users/:id/export — download everything you own as JSON
+ *      GET  /api/users/by-username/:username — profile by username (any case);
+ *                                 a recently given-up name answers 301 with the
+ *                                 user's current profile path
+ *
+ * A rename may happen once per USERNAME_COOLDOWN_DAYS. The old name keeps
+ * pointing at the user for USERNAME_REDIRECT_DAYS, and nobody else can take
+ * it meanwhile; the user may take it back.
+ * Creating a user spends the per-IP `signup` rate limit (ratelimit.js).
+ * POST /api/users and DELETE /api/users/:id accept an Idempotency-Key header
+ * (idempotency.js).
  *
  * Also houses the sub-routes that live on the /users/:id path
- * but belong logically to other domains:
+ * but belong logically to other domains (all but suggestions are
+ * cursor-paginated: ?limit&cursor → { items, nextCursor }):
  *   GET /api/users/:userId/posts       (returns user's posts, newest first)
  *   GET /api/users/:id/followers       (returns follower user objects)
  *   GET /api/users/:id/following       (returns followee user objects)
- *   GET /api/users/:id/suggestions     (friend-of-friend suggestions)
+ *   GET /api/users/:id/friend-requests (pending requests; own account only)
+ *   GET /api/users/:id/suggestions     (people you may know, see suggestions.js)
+ *
+ * Posts the viewer may not see (visibility.js) and follower/following entries
+ * involving a user who has a block with the viewer are left out; suggestions
+ * never include blocked or dismissed users.
  */
 
 const router = require('express').Router();
 const { v4: uuidv4 } = require('uuid');
-const storage = require('../storage');
+const {
+  users, posts, follows, friendRequests, friendships, blocks, credentials,
+} = require('../repositories');
+const { parsePageParams, paginate, paginateSorted } = require('../pagination');
+const { requireAuth, verifyPassword } = require('../auth');
+const { sendError } = require('../errors');
+const { validate, PAGE_QUERY } = require('../validation');
+const { deleteAccount, exportAccount } = require('../accounts');
+const { suggestFor } = require('../suggestions');
+const { relationshipBetween } = require('./friends');
+const { canViewPost } = require('../visibility');
+const { presentPost } = require('../postView');
+const { doc } = require('../openapi');
+const { rateLimit } = require('../ratelimit');
+const { idempotent } = require('../idempotency');
 
-// ── POST /api/users ──────────────────────────────────────────────────────────
-router.post('/', (req, res) => {
-  const { username, displayName, bio, profilePicUrl } = req.body;
+const REQUEST_DIRECTIONS = ['incoming', 'outgoing'];
+const POST_DISPOSITIONS = ['delete', 'anonymize'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USERNAME_COOLDOWN_DAYS = 30;
+const USERNAME_REDIRECT_DAYS = 14;
+const MAX_USERNAME_LENGTH = 30;
+// Usable as an @mention (entities.js)
+const USERNAME_PATTERN = /^[\p{L}\p{N}_]+(?:[.-][\p{L}\p{N}_]+)*$/u;
+
+const MAX_DISPLAY_NAME_LENGTH = 50;
+const MAX_BIO_LENGTH = 160;
+const MAX_LOCATION_LENGTH = 30;
 
-  if (!username || typeof username !== 'string' || username.trim() === '') {
-    return res.status(400).json({ error: 'username is required' });
+const USERNAME_RULE = {
+  type: 'string',
+  maxLength: MAX_USERNAME_LENGTH,
+  pattern: USERNAME_PATTERN,
+  messages: {
+    invalid_format: 'username may only contain letters, digits or underscores, '
+      + 'optionally joined by single dots or dashes',
+  },
+};
+
+// Profile fields a user may set (validation.js rules). Optional text and URLs
+// are cleared with null or an empty string; displayName cannot be cleared.
+const PROFILE_FIELDS = {
+  displayName: { type: 'string', notEmpty: true, maxLength: MAX_DISPLAY_NAME_LENGTH },
+  bio: { type: 'string', nullable: true, maxLength: MAX_BIO_LENGTH },
+  location: { type: 'string', nullable: true, maxLength: MAX_LOCATION_LENGTH },
+  profilePicUrl: { type: 'string', nullable: true, format: 'url' },
+  coverPhotoUrl: { type: 'string', nullable: true, format: 'url' },
+  website: { type: 'string', nullable: true, format: 'url' },
+};
+const TEXT_FIELDS = ['displayName', 'bio', 'location'];
+const URL_FIELDS = ['profilePicUrl', 'coverPhotoUrl', 'website'];
+
+/** Body rules for a new user; registration (routes/auth.js) adds a password. */
+const NEW_USER_FIELDS = {
+  username: { ...USERNAME_RULE, required: true },
+  displayName: { ...PROFILE_FIELDS.displayName, required: true },
+  bio: PROFILE_FIELDS.bio,
+  profilePicUrl: PROFILE_FIELDS.profilePicUrl,
+};
+
+/** True if `username` is someone else's, or a name they gave up recently. */
+function usernameTaken(username, userId = null) {
+  const owner = users.findByUsername(username);
+  if (owner && owner.id !== userId) return true;
+  const redirect = users.redirectFrom(username);
+  return Boolean(redirect && redirect.userId !== userId);
+}
+
+/**
+ * Build a new user record (not yet stored) from a body that passed
+ * NEW_USER_FIELDS. Shared with routes/auth.js so registration applies the
+ * same rules. Returns { error } if the username is taken, otherwise { user }.
+ */
+function buildUser({ username, displayName, bio, profilePicUrl }) {
+  // Enforce unique username (case-insensitive)
+  if (usernameTaken(username.trim())) {
+    return { error: 'username already taken' };
   }
 
-  if (!displayName || typeof displayName !== 'string' || displayName.trim() === '') {
-    return res.status(400).json({ error: 'displayName is required' });
+  return {
+    user: {
+      id: uuidv4(),
+      username: username.trim(),
+      displayName: displayName.trim(),
+      bio: bio ? bio.trim() : '',
+      profilePicUrl: profilePicUrl || null,
+      coverPhotoUrl: null,
+      location: null,
+      website: null,
+      usernameChangedAt: null,
+      role: 'user',
+      suspendedAt: null,
+      createdAt: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * The profile changes in a PATCH body that passed PROFILE_FIELDS. Text is
+ * trimmed; an empty optional field or a null URL clears it.
+ */
+function profileChanges(body) {
+  const changes = {};
+
+  TEXT_FIELDS.forEach((field) => {
+    if (body[field] === undefined) return;
+    const trimmed = (body[field] || '').trim();
+    // bio has always been a string; the newer fields use null for "not set"
+    changes[field] = trimmed || (field === 'bio' ? '' : null);
+  });
+  URL_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) changes[field] = body[field] || null;
+  });
+
+  return { changes };
+}
+
+/** Check a requested new username; { error, status, code? } or { value }. */
+function usernameChange(user, requested, now) {
+  const username = requested.trim();
+  if (username === user.username) return { value: null }; // nothing to do
+  if (usernameTaken(username, user.id)) {
+    return { error: 'username already taken', status: 409, code: 'username_taken' };
   }
 
-  // Enforce unique username (case-insensitive)
-  const nameLower = username.trim().toLowerCase();
-  const exists = Object.values(storage.users).some(
-    (u) => u.username.toLowerCase() === nameLower
-  );
-  if (exists) {
-    return res.status(400).json({ error: 'username already taken' });
-  }
-
-  const user = {
-    id: uuidv4(),
-    username: username.trim(),
-    displayName: displayName.trim(),
-    bio: bio ? bio.trim() : '',
-    profilePicUrl: profilePicUrl || null,
-    createdAt: new Date().toISOString(),
+  if (user.usernameChangedAt) {
+    const nextAllowed = new Date(Date.parse(user.usernameChangedAt) + USERNAME_COOLDOWN_DAYS * DAY_MS);
+    if (nextAllowed > now) {
+      return {
+        error: `username can be changed again after ${nextAllowed.toISOString()}`,
+        status: 429,
+        code: 'username_cooldown',
+        retryAfter: Math.ceil((nextAllowed - now) / 1000),
+      };
+    }
+  }
+  return { value: username };
+}
+
+/**
+ * A user's profile as returned by GET/PATCH, with defaults for fields users
+ * created before them lack, computed counts and the viewer's relationship.
+ * postCount counts only the posts the viewer may see.
+ */
+function presentProfile(user, viewerId) {
+  return {
+    coverPhotoUrl: null,
+    location: null,
+    website: null,
+    usernameChangedAt: null,
+    role: 'user',
+    suspendedAt: null,
+    ...user,
+    followerCount: follows.followerCount(user.id),
+    followingCount: follows.followeeCount(user.id),
+    postCount: posts.byAuthor(user.id).filter((post) => canViewPost(viewerId, post)).length,
+    friendCount: friendships.count(user.id),
+    relationship: relationshipBetween(viewerId, user.id),
   };
+}
+
+// ── POST /api/users ──────────────────────────────────────────────────────────
+router.post('/', doc({
+  summary: 'Create a user without a password',
+  status: 201,
+  returns: 'User',
+  errors: { 400: 'Invalid body, or username taken (username_taken)' },
+}), rateLimit('signup'), idempotent(), validate({ body: NEW_USER_FIELDS }), (req, res) => {
+  const { error, user } = buildUser(req.body);
+  if (error) return sendError(res, 400, error, { code: 'username_taken' });
 
-  storage.users[user.id] = user;
+  users.create(user);
   return res.status(201).json(user);
 });
 
 // ── GET /api/users ───────────────────────────────────────────────────────────
-router.get('/', (req, res) => {
-  const users = Object.values(storage.users);
-  return res.status(200).json(users);
+router.get('/', doc({
+  summary: 'All users',
+  returns: 'User[]',
+}), (req, res) => {
+  return res.status(200).json(users.list());
+});
+
+// ── GET /api/users/by-username/:username ─────────────────────────────────────
+router.get('/by-username/:username', doc({
+  summary: 'A profile by username, in any case',
+  description: 'A name given up in the last 14 days answers 301 to the current one.',
+  returns: 'Profile',
+  errors: { 404: 'User not found' },
+}), (req, res) => {
+  const viewerId = req.user && req.user.id;
+  const user = users.findByUsername(req.params.username);
+  if (user) return res.status(200).json(presentProfile(user, viewerId));
+
+  const redirect = users.redirectFrom(req.params.username);
+  const current = redirect && users.get(redirect.userId);
+  if (!current) return sendError(res, 404, 'user not found');
+
+  const location = `/api/users/by-username/${encodeURIComponent(current.username)}`;
+  return res.status(301).location(location).json({
+    id: current.id,
+    username: current.username,
+    location,
+  });
 });
 
 // ── GET /api/users/:id ───────────────────────────────────────────────────────
-router.get('/:id', (req, res) => {
-  const user = storage.users[req.params.id];
-  if (!user) return res.status(404).json({ error: 'user not found' });
-
-  const followerCount = storage.follows.filter(
-    (f) => f.followeeId === req.params.id
-  ).length;
-  const followingCount = storage.follows.filter(
-    (f) => f.followerId === req.params.id
-  ).length;
-  const postCount = Object.values(storage.posts).filter(
-    (p) => p.authorId === req.params.id
-  ).length;
-
-  return res.status(200).json({ ...user, followerCount, followingCount, postCount });
+router.get('/:id', doc({
+  summary: 'A profile, with counts and your relationship',
+  returns: 'Profile',
+  errors: { 404: 'User not found' },
+}), (req, res) => {
+  const user = users.get(req.params.id);
+  if (!user) return sendError(res, 404, 'user not found');
+
+  return res.status(200).json(presentProfile(user, req.user && req.user.id));
+});
+
+// ── PATCH /api/users/:id ─────────────────────────────────────────────────────
+// Body: any of { username, displayName, bio, profilePicUrl, coverPhotoUrl,
+// location, website }
+router.patch('/:id', doc({
+  summary: 'Edit your profile or username',
+  returns: 'Profile',
+  errors: {
+    400: 'Invalid body, or nothing to change',
+    403: 'Not your profile',
+    404: 'User not found',
+    409: 'Username taken (username_taken)',
+    429: 'Username changed too recently (username_cooldown)',
+  },
+}), requireAuth, validate({
+  body: { username: { ...USERNAME_RULE, notEmpty: true }, ...PROFILE_FIELDS },
+}), (req, res) => {
+  const user = users.get(req.params.id);
+  if (!user) return sendError(res, 404, 'user not found');
+  if (user.id !== req.user.id) {
+    return sendError(res, 403, 'cannot edit another user\'s profile');
+  }
+
+  const { changes } = profileChanges(req.body);
+
+  const now = new Date();
+  let username = null;
+  if (req.body.username !== undefined) {
+    const rename = usernameChange(user, req.body.username, now);
+    if (rename.retryAfter) res.set('Retry-After', String(rename.retryAfter));
+    if (rename.error) return sendError(res, rename.status, rename.error, { code: rename.code });
+    username = rename.value;
+  }
+
+  if (Object.keys(changes).length === 0 && req.body.username === undefined) {
+    return sendError(res, 400, 'no profile fields to update');
+  }
+
+  if (Object.keys(changes).length > 0) users.update(user.id, changes);
+  if (username) {
+    const redirectUntil = new Date(now.getTime() + USERNAME_REDIRECT_DAYS * DAY_MS);
+    users.rename(user.id, username, now.toISOString(), redirectUntil.toISOString());
+  }
+
+  return res.status(200).json(presentProfile(users.get(user.id), req.user.id));
+});
+
+// ── DELETE /api/users/:id ────────────────────────────────────────────────────
+// Body: { password, posts? } — posts: 'delete' (default) or 'anonymize' to
+// keep public posts up without an author (see accounts.js)
+router.delete('/:id', doc({
+  summary: 'Delete your account',
+  status: 204,
+  errors: { 403: 'Not your account, or wrong password', 404: 'User not found' },
+}), requireAuth, idempotent(), validate({
+  body: {
+    password: { type: 'string', required: true },
+    posts: { type: 'string', enum: POST_DISPOSITIONS },
+  },
+}), (req, res) => {
+  const user = users.get(req.params.id);
+  if (!user) return sendError(res, 404, 'user not found');
+  if (user.id !== req.user.id) {
+    return sendError(res, 403, 'cannot delete another user\'s account');
+  }
+
+  const { password, posts: disposition = 'delete' } = req.body;
+  if (!verifyPassword(password, credentials.get(user.id))) {
+    return sendError(res, 403, 'password is incorrect');
+  }
+
+  deleteAccount(user.id, { anonymize: disposition === 'anonymize' });
+  return res.status(204).send();
+});
+
+// ── GET /api/users/:id/export ────────────────────────────────────────────────
+router.get('/:id/export', doc({
+  summary: 'Download everything you own as JSON',
+  returns: { type: 'object' },
+  errors: { 403: 'Not your account', 404: 'User not found' },
+}), requireAuth, (req, res) => {
+  const user = users.get(req.params.id);
+  if (!user) return sendError(res, 404, 'user not found');
+  if (user.id !== req.user.id) {
+    return sendError(res, 403, 'cannot export another user\'s data');
+  }
+
+  res.attachment(`${user.username}-export.json`);
+  return res.status(200).json(exportAccount(user.id));
 });
 
 // ── GET /api/users/:userId/posts ─────────────────────────────────────────────
-router.get('/:userId/posts', (req, res) => {
-  const user = storage.users[req.params.userId];
-  if (!user) return res.status(404).json({ error: 'user not found' });
+router.get('/:userId/posts', doc({
+  summary: 'A user\'s posts, newest first',
+  returns: 'Page<Post>',
+  errors: { 404: 'User not found' },
+}), validate({ query: PAGE_QUERY }), (req, res) => {
+  if (!users.exists(req.params.userId)) {
+    return sendError(res, 404, 'user not found');
+  }
 
-  const posts = Object.values(storage.posts)
-    .filter((p) => p.authorId === req.params.userId)
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const page = parsePageParams(req.query);
+
+  const viewerId = req.user && req.user.id;
+  const { items, nextCursor } = paginateSorted(posts.idsByAuthor(req.params.userId), page, {
+    keyOf: posts.pageKey,
+    include: (id) => canViewPost(viewerId, posts.get(id)),
+  });
 
-  return res.status(200).json(posts);
+  return res.status(200).json({ items: items.map((id) => presentPost(posts.get(id), viewerId)), nextCursor });
 });
 
 // ── GET /api/users/:id/followers ─────────────────────────────────────────────
-router.get('/:id/followers', (req, res) => {
-  if (!storage.users[req.params.id]) {
-    return res.status(404).json({ error: 'user not found' });
+router.get('/:id/followers', doc({
+  summary: 'Users following :id',
+  returns: 'Page<User>',
+  errors: { 404: 'User not found' },
+}), validate({ query: PAGE_QUERY }), (req, res) => {
+  if (!users.exists(req.params.id)) {
+    return sendError(res, 404, 'user not found');
   }
 
-  const followers = storage.follows
-    .filter((f) => f.followeeId === req.params.id)
-    .map((f) => storage.users[f.followerId])
+  const page = parsePageParams(req.query);
+
+  // Most recent follow first
+  const viewerId = req.user && req.user.id;
+  const visible = follows.edgesTo(req.params.id)
+    .filter((f) => !blocks.between(viewerId, f.followerId));
+  const { items, nextCursor } = paginate(visible, page, {
+    keyOf: (f) => ({ createdAt: f.createdAt, id: f.followerId }),
+  });
+  const followers = items
+    .map((f) => users.get(f.followerId))
     .filter(Boolean); // guard against stale IDs
 
-  return res.status(200).json(followers);
+  return res.status(200).json({ items: followers, nextCursor });
 });
 
 // ── GET /api/users/:id/following ─────────────────────────────────────────────
-router.get('/:id/following', (req, res) => {
-  if (!storage.users[req.params.id]) {
-    return res.status(404).json({ error: 'user not found' });
+router.get('/:id/following', doc({
+  summary: 'Users :id follows',
+  returns: 'Page<User>',
+  errors: { 404: 'User not found' },
+}), validate({ query: PAGE_QUERY }), (req, res) => {
+  if (!users.exists(req.params.id)) {
+    return sendError(res, 404, 'user not found');
   }
 
-  const following = storage.follows
-    .filter((f) => f.followerId === req.params.id)
-    .map((f) => storage.users[f.followeeId])
+  const page = parsePageParams(req.query);
+
+  const viewerId = req.user && req.user.id;
+  const visible = follows.edgesFrom(req.params.id)
+    .filter((f) => !blocks.between(viewerId, f.followeeId));
+  const { items, nextCursor } = paginate(visible, page, {
+    keyOf: (f) => ({ createdAt: f.createdAt, id: f.followeeId }),
+  });
+  const following = items
+    .map((f) => users.get(f.followeeId))
     .filter(Boolean);
 
-  return res.status(200).json(following);
+  return res.status(200).json({ items: following, nextCursor });
 });
 
-// ── GET /api/users/:id/suggestions ───────────────────────────────────────────
-// Friends-of-friends: rank candidates by mutual connection count.
-// Exclude: the user themselves and users already followed.
-router.get('/:id/suggestions', (req, res) => {
-  const userId = req.params.id;
-  if (!storage.users[userId]) {
-    return res.status(404).json({ error: 'user not found' });
-  }
-
-  // Set of user IDs that userId already follows
-  const alreadyFollowing = new Set(
-    storage.follows
-      .filter((f) => f.followerId === userId)
-      .map((f) => f.followeeId)
-  );
-
-  // For mutual count: how many of userId's followees also follow each candidate
-  const mutualCounts = {}; // candidateId → count
-
-  alreadyFollowing.forEach((followeeId) => {
-    // People that this followee follows
-    storage.follows
-      .filter((f) => f.followerId === followeeId)
-      .forEach((f) => {
-        const candidate = f.followeeId;
-        // Exclude self and already-followed users
-        if (candidate === userId || alreadyFollowing.has(candidate)) return;
-        mutualCounts[candidate] = (mutualCounts[candidate] || 0) + 1;
-      });
-  });
+// ── GET /api/users/:id/friend-requests ───────────────────────────────────────
+// ?direction=incoming (default) | outgoing; newest first
+router.get('/:id/friend-requests', doc({
+  summary: 'Your pending friend requests',
+  returns: 'Page<FriendRequest>',
+  errors: { 403: 'Not your account', 404: 'User not found' },
+}), requireAuth, validate({
+  query: { ...PAGE_QUERY, direction: { type: 'string', enum: REQUEST_DIRECTIONS } },
+}), (req, res) => {
+  if (!users.exists(req.params.id)) {
+    return sendError(res, 404, 'user not found');
+  }
+
+  if (req.params.id !== req.user.id) {
+    return sendError(res, 403, 'cannot view another user\'s friend requests');
+  }
 
-  // Also include any user not yet followed (even with 0 mutual connections),
-  // so the list is never empty when there are available users.
-  Object.keys(storage.users).forEach((uid) => {
-    if (uid === userId || alreadyFollowing.has(uid)) return;
-    if (!(uid in mutualCounts)) mutualCounts[uid] = 0;
+  const { direction = 'incoming' } = req.query;
+
+  const page = parsePageParams(req.query);
+
+  const pending = direction === 'incoming'
+    ? friendRequests.incoming(req.params.id)
+    : friendRequests.outgoing(req.params.id);
+  const { items, nextCursor } = paginate(pending, page, { keyOf: (r) => r });
+
+  return res.status(200).json({
+    items: items.map((r) => ({ ...r, from: users.get(r.fromId), to: users.get(r.toId) })),
+    nextCursor,
   });
+});
+
+// ── GET /api/users/:id/suggestions ───────────────────────────────────────────
+// Same as GET /api/suggestions/:id (see suggestions.js); ?limit=
+router.get('/:id/suggestions', doc({
+  summary: 'People you may know (same as GET /api/suggestions/{id})',
+  returns: 'Suggestion[]',
+  errors: { 403: 'Not your account', 404: 'User not found' },
+}), requireAuth, validate({ query: { limit: PAGE_QUERY.limit } }), (req, res) => {
+  const userId = req.params.id;
+  if (!users.exists(userId)) {
+    return sendError(res, 404, 'user not found');
+  }
+  if (userId !== req.user.id) {
+    return sendError(res, 403, 'cannot view another user\'s suggestions');
+  }
 
-  const suggestions = Object.entries(mutualCounts)
-    .sort((a, b) => b[1] - a[1]) // highest mutual count first
-    .map(([uid, mutualCount]) => ({
-      ...storage.users[uid],
-      mutualCount,
-    }));
+  const page = parsePageParams({ limit: req.query.limit });
 
-  return res.status(200).json(suggestions);
+  return res.status(200).json(suggestFor(userId, { limit: page.limit }));
 });
 
-module.exports = router;
+module.exports = { router, buildUser, NEW_USER_FIELDS };
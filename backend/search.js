@@ -0,0 +1,252 @@
+/**
+ * search.js — Inverted index and relevance ranking for GET /api/search
+ *
+ * Text is tokenised into lowercase runs of letters and digits, with accents
+ * folded ("Zoë" → "zoe"). A username is also indexed whole, so "bob_99"
+ * matches both "bob" and "bob_99".
+ *
+ * A term index is { postings, buckets, bucketKeys, docCount }:
+ *   postings    Map<term, Map<docId, weight>>  — weight = sum over the fields
+ *               the term appears in of (occurrences × field weight)
+ *   buckets     Map<first BUCKET_PREFIX characters, terms sorted> — prefixes
+ *               are found by binary search in the bucket (or buckets) they
+ *               fall in
+ *   bucketKeys  the bucket keys, sorted
+ * A new or removed term only shifts its own bucket, so indexing stays cheap
+ * however large the vocabulary grows.
+ * indexes.js keeps one for users (username ×3, displayName ×2, bio ×1) and
+ * one for posts (content), and updates them on every commit.
+ *
+ * Every query token must match (AND). A token matches the terms it is a
+ * prefix of, so typeahead works on partial words; an exact match counts in
+ * full and a longer term at PREFIX_WEIGHT. Each matched term is scaled by
+ * its inverse document frequency, so rare words count for more than common
+ * ones. Results are ordered by score, then by id for stable cursors.
+ */
+
+const USER_FIELDS = [
+  { field: 'username', weight: 3 },
+  { field: 'displayName', weight: 2 },
+  { field: 'bio', weight: 1 },
+];
+const POST_FIELDS = [{ field: 'content', weight: 1 }];
+
+const PREFIX_WEIGHT = 0.5;
+const BUCKET_PREFIX = 2;
+const MAX_QUERY_TOKENS = 10;
+
+const round = (n) => Math.round(n * 10000) / 10000;
+
+/** Lowercase, accent-free word tokens of `text`. */
+function tokenize(text) {
+  if (typeof text !== 'string') return [];
+  return text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function createTermIndex() {
+  return {
+    postings: new Map(), buckets: new Map(), bucketKeys: [], docCount: 0,
+  };
+}
+
+const bucketOf = (term) => term.slice(0, BUCKET_PREFIX);
+
+/** First position in the sorted `terms` whose term is >= `term`. */
+function lowerBound(terms, term) {
+  let lo = 0;
+  let hi = terms.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (terms[mid] < term) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/** Add a new term to its bucket, in order. */
+function insertTerm(index, term) {
+  const key = bucketOf(term);
+  let bucket = index.buckets.get(key);
+  if (!bucket) {
+    bucket = [];
+    index.buckets.set(key, bucket);
+    index.bucketKeys.splice(lowerBound(index.bucketKeys, key), 0, key);
+  }
+  bucket.splice(lowerBound(bucket, term), 0, term);
+}
+
+/** Take a term no document has any more out of its bucket. */
+function deleteTerm(index, term) {
+  const key = bucketOf(term);
+  const bucket = index.buckets.get(key);
+  bucket.splice(lowerBound(bucket, term), 1);
+  if (bucket.length === 0) {
+    index.buckets.delete(key);
+    index.bucketKeys.splice(lowerBound(index.bucketKeys, key), 1);
+  }
+}
+
+/** Term → weight for a record, from the given fields. */
+function termWeights(record, fields) {
+  const weights = new Map();
+  const add = (term, weight) => weights.set(term, (weights.get(term) || 0) + weight);
+  fields.forEach(({ field, weight }) => {
+    tokenize(record[field]).forEach((term) => add(term, weight));
+  });
+  // Usernames are also findable as typed, punctuation included
+  if (record.username) {
+    const whole = record.username.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+    if (!weights.has(whole)) add(whole, fields[0].weight);
+  }
+  return weights;
+}
+
+const userTerms = (user) => termWeights(user, USER_FIELDS);
+const postTerms = (post) => termWeights(post, POST_FIELDS);
+
+/** Add document `id` with the given term weights. */
+function addDocument(index, id, weights) {
+  weights.forEach((weight, term) => {
+    let docs = index.postings.get(term);
+    if (!docs) {
+      docs = new Map();
+      index.postings.set(term, docs);
+      insertTerm(index, term);
+    }
+    docs.set(id, weight);
+  });
+  index.docCount += 1;
+}
+
+/** Remove document `id`, previously added with `weights`. */
+function removeDocument(index, id, weights) {
+  weights.forEach((weight, term) => {
+    const docs = index.postings.get(term);
+    if (!docs) return;
+    docs.delete(id);
+    if (docs.size === 0) {
+      index.postings.delete(term);
+      deleteTerm(index, term);
+    }
+  });
+  index.docCount = Math.max(0, index.docCount - 1);
+}
+
+/** Entries of the sorted `list` that start with `prefix`. */
+function withPrefix(list, prefix) {
+  const found = [];
+  for (let i = lowerBound(list, prefix); i < list.length; i += 1) {
+    if (!list[i].startsWith(prefix)) break;
+    found.push(list[i]);
+  }
+  return found;
+}
+
+/** Terms in the index that start with `prefix`. */
+function termsWithPrefix(index, prefix) {
+  // A prefix as long as a bucket key falls in one bucket; a shorter one spans several
+  const keys = prefix.length >= BUCKET_PREFIX ? [bucketOf(prefix)] : withPrefix(index.bucketKeys, prefix);
+  return keys.flatMap((key) => withPrefix(index.buckets.get(key) || [], prefix));
+}
+
+/**
+ * Score every document matching all tokens of `query`.
+ * Returns [{ id, score }], best first (ties by id).
+ */
+function searchIndex(index, query) {
+  const tokens = [...new Set(tokenize(query))].slice(0, MAX_QUERY_TOKENS);
+  if (tokens.length === 0) return [];
+
+  let scores = null;
+  tokens.forEach((token) => {
+    const tokenScores = new Map();
+    termsWithPrefix(index, token).forEach((term) => {
+      const docs = index.postings.get(term);
+      const idf = Math.log(1 + index.docCount / docs.size);
+      const closeness = term === token ? 1 : PREFIX_WEIGHT;
+      docs.forEach((weight, id) => {
+        // A document gets the best of the terms the token matched in it
+        const score = weight * idf * closeness;
+        if (score > (tokenScores.get(id) || 0)) tokenScores.set(id, score);
+      });
+    });
+
+    if (scores === null) {
+      scores = tokenScores;
+      return;
+    }
+    const both = new Map();
+    scores.forEach((score, id) => {
+      if (tokenScores.has(id)) both.set(id, score + tokenScores.get(id));
+    });
+    scores = both;
+  });
+
+  return [...scores]
+    .map(([id, score]) => ({ id, score: round(score) }))
+    .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1));
+}
+
+// ── Result cursors ────────────────────────────────────────────────────────────
+
+function encodeSearchCursor({ score, id }) {
+  return Buffer.from(JSON.stringify([score, id])).toString('base64url');
+}
+
+/** Returns { score, id } or null when the cursor is malformed. */
+function decodeSearchCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (
+      Array.isArray(decoded)
+      && decoded.length === 2
+      && Number.isFinite(decoded[0])
+      && typeof decoded[1] === 'string'
+    ) {
+      return { score: decoded[0], id: decoded[1] };
+    }
+  } catch (err) {
+    // fall through
+  }
+  return null;
+}
+
+/**
+ * One page of ranked results: those after `after` ({ score, id }) that pass
+ * include(id). Returns { items: [{ id, score }], nextCursor }.
+ */
+function pageResults(results, { limit, after = null, include = () => true }) {
+  const start = after
+    ? results.findIndex((r) => r.score < after.score || (r.score === after.score && r.id > after.id))
+    : 0;
+  if (start === -1) return { items: [], nextCursor: null };
+
+  const items = [];
+  let i = start;
+  for (; i < results.length && items.length <= limit; i += 1) {
+    if (include(results[i].id)) items.push(results[i]);
+  }
+  const hasMore = items.length > limit;
+  const pageItems = items.slice(0, limit);
+  const last = pageItems[pageItems.length - 1];
+  return {
+    items: pageItems,
+    nextCursor: hasMore ? encodeSearchCursor(last) : null,
+  };
+}
+
+module.exports = {
+  tokenize,
+  createTermIndex,
+  userTerms,
+  postTerms,
+  addDocument,
+  removeDocument,
+  searchIndex,
+  decodeSearchCursor,
+  pageResults,
+};
@@ -2,17 +2,32 @@
  * seed.js — Populates in-memory storage with realistic sample data.
  *
  * Creates:
- *   - 6 sample users
- *   - 9 sample posts (text, image, video mix)
- *   - 6 follow relationships (enough for meaningful suggestions)
+ *   - 6 sample users, none of them admins (see ADMIN_USERNAMES in server.js)
+ *   - 9 sample posts (text and image; images are copied from seed-media/
+ *     into MEDIA_DIR as uploads)
+ *   - 8 follow relationships (enough for meaningful suggestions)
  *   - 5 likes
  *
- * Exports a seed() function called once at server startup.
+ * Exports a seed() function, which server.js calls at startup only when
+ * SEED=1 (`npm run dev`) and the store is empty: sample accounts with a
+ * shared, published password are for local development only.
  * User IDs are exported so the frontend can reference them.
+ * Every seed user can log in with SEED_PASSWORD.
  */
 
+const fs = require('fs');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const storage = require('./storage');
+const {
+  users: usersRepo, posts: postsRepo, follows, likes, credentials, media,
+} = require('./repositories');
+const { hashPassword } = require('./auth');
+const { parseEntities } = require('./entities');
+const {
+  filePath, prepareDir, dimensionsOf, toAttachment, legacyMediaFields,
+} = require('./media');
+
+const SEED_PASSWORD = 'password123';
 
 // Pre-defined IDs so frontend can reference specific seed users/posts
 const SEED_IDS = {
@@ -35,8 +50,36 @@ const SEED_IDS = {
     p8: 'post-0008',
     p9: 'post-0009',
   },
+  media: {
+    guitar: 'media-0001',
+    server: 'media-0002',
+    ocean: 'media-0003',
+  },
 };
 
+/**
+ * Copy seed-media/<file> in as PNG media `id` attached to postId; returns the
+ * post's attachment entry for it.
+ */
+function seedImage(id, file, {
+  ownerId, postId, alt, createdAt,
+}) {
+  prepareDir();
+  fs.copyFileSync(path.join(__dirname, 'seed-media', file), filePath(id));
+  const image = fs.readFileSync(filePath(id));
+  const record = media.create({
+    id,
+    ownerId,
+    kind: 'image',
+    mimeType: 'image/png',
+    size: image.length,
+    ...dimensionsOf(image, 'image/png'),
+    postId,
+    createdAt,
+  });
+  return toAttachment(record, alt);
+}
+
 function seed() {
   const now = new Date();
   const minutesAgo = (n) => new Date(now - n * 60 * 1000).toISOString();
@@ -94,7 +137,28 @@ function seed() {
   ];
 
   users.forEach((u) => {
-    storage.users[u.id] = u;
+    usersRepo.create({ role: 'user', suspendedAt: null, ...u });
+    credentials.set(u.id, hashPassword(SEED_PASSWORD));
+  });
+
+  // ── Media ─────────────────────────────────────────────────────────────────
+  const guitar = seedImage(SEED_IDS.media.guitar, 'guitar.png', {
+    ownerId: SEED_IDS.users.dave,
+    postId: SEED_IDS.posts.p4,
+    alt: 'Orange-to-purple sunset gradient',
+    createdAt: minutesAgo(45),
+  });
+  const server = seedImage(SEED_IDS.media.server, 'server.png', {
+    ownerId: SEED_IDS.users.eve,
+    postId: SEED_IDS.posts.p5,
+    alt: 'Dark slate fading to blue, like rack LEDs',
+    createdAt: minutesAgo(40),
+  });
+  const ocean = seedImage(SEED_IDS.media.ocean, 'ocean.png', {
+    ownerId: SEED_IDS.users.frank,
+    postId: SEED_IDS.posts.p6,
+    alt: 'Sky blue fading into deep ocean blue',
+    createdAt: minutesAgo(35),
   });
 
   // ── Posts ─────────────────────────────────────────────────────────────────
@@ -106,17 +170,29 @@ function seed() {
       content: 'Just had the best cup of coffee ☕ — good morning, world!',
       mediaType: null,
       mediaUrl: null,
+      mediaId: null,
+      attachments: [],
+      visibility: 'public',
       createdAt: minutesAgo(60),
+      editedAt: null,
+      revisionCount: 1,
       likesCount: 0,
+      commentsCount: 0,
     },
     {
       id: SEED_IDS.posts.p2,
       authorId: SEED_IDS.users.bob,
-      content: 'Finished building a bookshelf today. Proud of myself! 💪',
+      content: 'Finished building a bookshelf today. Proud of myself! 💪 #woodworking',
       mediaType: null,
       mediaUrl: null,
+      mediaId: null,
+      attachments: [],
+      visibility: 'public',
       createdAt: minutesAgo(55),
+      editedAt: null,
+      revisionCount: 1,
       likesCount: 0,
+      commentsCount: 0,
     },
     {
       id: SEED_IDS.posts.p3,
@@ -124,36 +200,54 @@ function seed() {
       content: 'Flying at 30,000 feet and the view is absolutely breathtaking 🌤️',
       mediaType: null,
       mediaUrl: null,
+      mediaId: null,
+      attachments: [],
+      visibility: 'public',
       createdAt: minutesAgo(50),
+      editedAt: null,
+      revisionCount: 1,
       likesCount: 0,
+      commentsCount: 0,
     },
     // Image posts
     {
       id: SEED_IDS.posts.p4,
       authorId: SEED_IDS.users.dave,
       content: 'Sunset jam session 🎸🌅',
-      mediaType: 'image',
-      mediaUrl: 'https://picsum.photos/seed/guitar/800/600',
+      ...legacyMediaFields([guitar]),
+      attachments: [guitar],
+      visibility: 'public',
       createdAt: minutesAgo(45),
+      editedAt: null,
+      revisionCount: 1,
       likesCount: 0,
+      commentsCount: 0,
     },
     {
       id: SEED_IDS.posts.p5,
       authorId: SEED_IDS.users.eve,
-      content: 'My home lab setup — new rack arrived! 🖥️',
-      mediaType: 'image',
-      mediaUrl: 'https://picsum.photos/seed/server/800/600',
+      content: 'My home lab setup — new rack arrived! 🖥️ #homelab',
+      ...legacyMediaFields([server]),
+      attachments: [server],
+      visibility: 'public',
       createdAt: minutesAgo(40),
+      editedAt: null,
+      revisionCount: 1,
       likesCount: 0,
+      commentsCount: 0,
     },
     {
       id: SEED_IDS.posts.p6,
       authorId: SEED_IDS.users.frank,
       content: 'Ocean view from the studio 🌊',
-      mediaType: 'image',
-      mediaUrl: 'https://picsum.photos/seed/ocean/800/600',
+      ...legacyMediaFields([ocean]),
+      attachments: [ocean],
+      visibility: 'public',
       createdAt: minutesAgo(35),
+      editedAt: null,
+      revisionCount: 1,
       likesCount: 0,
+      commentsCount: 0,
     },
     // More text posts
     {
@@ -162,33 +256,52 @@ function seed() {
       content: 'Reading "Alice in Wonderland" for the hundredth time. Still magical ✨',
       mediaType: null,
       mediaUrl: null,
+      mediaId: null,
+      attachments: [],
+      visibility: 'public',
       createdAt: minutesAgo(30),
+      editedAt: null,
+      revisionCount: 1,
       likesCount: 0,
+      commentsCount: 0,
     },
-    // Video post
     {
       id: SEED_IDS.posts.p8,
       authorId: SEED_IDS.users.bob,
-      content: 'Time-lapse of the bookshelf build 🎬',
-      mediaType: 'video',
-      mediaUrl: 'https://www.w3schools.com/html/mov_bbb.mp4',
+      content: 'Time-lapse of the bookshelf build coming soon 🎬 #woodworking',
+      mediaType: null,
+      mediaUrl: null,
+      mediaId: null,
+      attachments: [],
+      visibility: 'public',
       createdAt: minutesAgo(25),
+      editedAt: null,
+      revisionCount: 1,
       likesCount: 0,
+      commentsCount: 0,
     },
     {
       id: SEED_IDS.posts.p9,
       authorId: SEED_IDS.users.carol,
-      content: 'Back on the ground. Next mission: the fridge 🍕',
+      content: 'Back on the ground. Next mission: the fridge 🍕 @dave, pizza?',
       mediaType: null,
       mediaUrl: null,
+      mediaId: null,
+      attachments: [],
+      visibility: 'public',
       createdAt: minutesAgo(10),
+      editedAt: null,
+      revisionCount: 1,
       likesCount: 0,
+      commentsCount: 0,
     },
   ];
 
-  posts.forEach((p) => {
-    storage.posts[p.id] = p;
-  });
+  posts.forEach((p) => postsRepo.create({
+    ...p,
+    entities: parseEntities(p.content, usersRepo.findByUsername),
+  }));
+
 
   // ── Follows ───────────────────────────────────────────────────────────────
   // alice follows bob, carol, dave
@@ -206,7 +319,7 @@ function seed() {
     { followerId: SEED_IDS.users.eve,   followeeId: SEED_IDS.users.frank },
   ];
 
-  followRelationships.forEach((f) => storage.follows.push(f));
+  followRelationships.forEach((f) => follows.add(f.followerId, f.followeeId));
 
   // ── Likes ─────────────────────────────────────────────────────────────────
   const likeRelationships = [
@@ -217,10 +330,8 @@ function seed() {
     { userId: SEED_IDS.users.dave,  postId: SEED_IDS.posts.p9 },
   ];
 
-  likeRelationships.forEach(({ userId, postId }) => {
-    storage.likes.push({ userId, postId });
-    storage.posts[postId].likesCount += 1;
-  });
+  // likes.add also bumps the post's likesCount
+  likeRelationships.forEach(({ userId, postId }) => likes.add(userId, postId));
 }
 
-module.exports = { seed, SEED_IDS };
+module.exports = { seed, SEED_IDS, SEED_PASSWORD };
@@ -3,8 +3,18 @@
  *
  * - Express app with JSON + CORS middleware
  * - Serves frontend/ as static files
- * - Mounts all 6 API routers under /api/
- * - Seeds data on startup
+ * - Answers every error in the errors.js shape: { error: { code, message, fields } }
+ * - Resolves the current user from the bearer token (auth.js) on every request
+ * - Rate-limits every /api request per user or IP (ratelimit.js); TRUST_PROXY
+ *   (a hop count, or addresses as for Express's 'trust proxy') makes req.ip
+ *   the client's address when running behind a proxy
+ * - Mounts all API routers under /api/ (routes/index.js)
+ * - Serves the OpenAPI document (openapi.js) at /api/openapi.json and a
+ *   reference page for it at /api/docs
+ * - Loads persisted data via the configured storage adapter (STORAGE_ADAPTER);
+ *   with SEED=1 (`npm run dev`, never in production) it seeds sample data when
+ *   the store is empty. ADMIN_USERNAMES (comma-separated) makes those existing
+ *   users admins (routes/reports.js); it is the only way to grant the role
  * - Exports `app` for testing; only starts HTTP server when run directly
  */
 
@@ -15,59 +25,106 @@ const cors = require('cors');
 const path = require('path');
 
 const { seed } = require('./seed');
-
-// Route files
-const usersRouter = require('./routes/users');
-const postsRouter = require('./routes/posts');
-const followsRouter = require('./routes/follows');
-const likesRouter = require('./routes/likes');
-const feedRouter = require('./routes/feed');
-const { router: suggestionsRouter } = require('./routes/suggestions');
+const repositories = require('./repositories');
+const { authenticate } = require('./auth');
+const { rateLimit, RATE_LIMIT_HEADERS } = require('./ratelimit');
+const { sendError } = require('./errors');
+const { doc, buildSpec } = require('./openapi');
+const { ROUTERS } = require('./routes');
 
 const app = express();
 
+const { TRUST_PROXY } = process.env;
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
 // ── Middleware ────────────────────────────────────────────────────────────────
-app.use(cors());
+// Browsers only let pages read response headers that are exposed
+app.use(cors({ exposedHeaders: [...RATE_LIMIT_HEADERS, 'Idempotent-Replayed'] }));
 app.use(express.json());
+app.use(authenticate);
 
 // ── Static frontend ───────────────────────────────────────────────────────────
 app.use(express.static(path.join(__dirname, '..', 'frontend')));
 
 // ── API Routes ────────────────────────────────────────────────────────────────
-app.use('/api/users', usersRouter);
-app.use('/api/posts', postsRouter);
-// Like/unlike actions: POST/DELETE /api/posts/:id/like
-app.use('/api/posts/:id/like', likesRouter);
-// List likers: GET /api/posts/:id/likes  (note plural — handled in postsRouter)
-app.use('/api/follow', followsRouter);
-app.use('/api/feed', feedRouter);
-app.use('/api/suggestions', suggestionsRouter);
+// Every API request spends the general budget; some routes add their own
+app.use('/api', rateLimit('api'));
+// Mount paths live in routes/index.js, which openapi.js documents from
+ROUTERS.forEach(({ path: mountPath, router }) => app.use(mountPath, router));
 
 // ── Health check ──────────────────────────────────────────────────────────────
-app.get('/api/health', (req, res) => {
+app.get('/api/health', doc({
+  summary: 'Liveness check',
+  returns: {
+    type: 'object',
+    properties: { status: { type: 'string' }, timestamp: { type: 'string', format: 'date-time' } },
+  },
+}), (req, res) => {
   res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// ── API description ───────────────────────────────────────────────────────────
+// Built on first request, once every route is mounted
+let spec = null;
+app.get('/api/openapi.json', doc({
+  summary: 'This API as an OpenAPI 3 document',
+  returns: { type: 'object' },
+}), (req, res) => {
+  spec = spec || buildSpec(app, ROUTERS);
+  res.status(200).json(spec);
+});
+
+app.get('/api/docs', doc({
+  summary: 'Browsable API reference, rendered from /api/openapi.json',
+  description: 'An HTML page (frontend/api-docs.html).',
+}), (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'frontend', 'api-docs.html'));
+});
+
 // ── 404 handler ───────────────────────────────────────────────────────────────
 app.use((req, res) => {
-  res.status(404).json({ error: 'Not Found' });
+  sendError(res, 404, 'Not Found');
 });
 
 // ── Error handler ─────────────────────────────────────────────────────────────
 // eslint-disable-next-line no-unused-vars
 app.use((err, req, res, next) => {
+  // Request bodies express.json() could not parse
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'request body is not valid JSON', { code: 'invalid_json' });
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'request body is too large');
+  }
   console.error(err.stack);
-  res.status(500).json({ error: 'Internal Server Error' });
+  return sendError(res, 500, 'Internal Server Error');
 });
 
 // ── Seed data + start server ──────────────────────────────────────────────────
 if (require.main === module) {
-  seed();
+  repositories.init();
+  if (process.env.SEED === '1' && repositories.users.count() === 0) seed();
+  (process.env.ADMIN_USERNAMES || '').split(',').map((name) => name.trim()).filter(Boolean)
+    .forEach((username) => {
+      const user = repositories.users.findByUsername(username);
+      if (!user) console.warn(`ADMIN_USERNAMES: no user named ${username}`);
+      else if (user.role !== 'admin') repositories.users.update(user.id, { role: 'admin' });
+    });
+
   const PORT = process.env.PORT || 3000;
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`Facebook App API listening on http://localhost:${PORT}`);
     console.log(`Frontend served at http://localhost:${PORT}/`);
   });
+
+  // Flush a final snapshot before exiting so restarts replay as little as possible
+  const shutdown = () => {
+    server.close();
+    repositories.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 }
 
 module.exports = app;
@@ -1,27 +1,98 @@
 /**
- * storage.js — In-memory data store for the Facebook App
+ * storage.js — In-memory working set for the Facebook App
+ *
+ * Routes never touch this object directly; they go through repositories.js,
+ * which applies each write here and forwards it to the persistence adapter
+ * (adapters/memory.js by default, adapters/file.js for durable storage).
  *
  * Data structures:
- *   users:   { [id]: { id, username, displayName, bio, profilePicUrl, createdAt } }
- *   posts:   { [id]: { id, authorId, content, mediaType, mediaUrl, createdAt, likesCount } }
- *   follows: [ { followerId, followeeId } ]
- *   likes:   [ { userId, postId } ]
+ *   users:   { [id]: { id, username, displayName, bio, profilePicUrl, coverPhotoUrl,
+ *                      location, website, usernameChangedAt, role, suspendedAt,
+ *                      createdAt } }                 (role: 'user' | 'admin')
+ *   usernameRedirects: { [old username, lowercased]: { username, userId, expiresAt } }
+ *                                              (names given up in a rename; see routes/users.js)
+ *   posts:   { [id]: { id, authorId, content, entities, mediaType, mediaUrl, mediaId, attachments,
+ *                      visibility, createdAt, editedAt, revisionCount, likesCount,
+ *                      reactionCounts, commentsCount, hiddenAt } }
+ *   revisions: { [postId]: [ { number, content, visibility, attachments, editorId, editedAt } ] }
+ *                                              (oldest first; see revisions.js)
+ *   follows: [ { followerId, followeeId, createdAt } ]
+ *   likes:   [ { userId, postId, type, createdAt } ]          (reactions, one per user
+ *                                              and post; see reactions.js)
+ *   comments: { [id]: { id, postId, authorId, parentCommentId, depth, content, createdAt } }
+ *   friendRequests: { [id]: { id, fromId, toId, createdAt } }   (pending only)
+ *   friendships:    [ { userIds: [id, id] (sorted), createdAt } ]
+ *   blocks:  [ { blockerId, blockedId, createdAt } ]
+ *   mutes:   [ { muterId, mutedId, createdAt } ]
+ *   dismissals: [ { userId, dismissedId, createdAt } ]  (suggestions userId
+ *                                              no longer wants; see suggestions.js)
+ *   notifications: { [id]: { id, userId, type, groupKey, postId, actorIds, read,
+ *                            createdAt, updatedAt } }           (see notifications.js)
+ *   media:   { [id]: { id, ownerId, kind, mimeType, size, width, height, postId, createdAt } }
+ *                                                         (files on disk, see media.js)
+ *   credentials: { [userId]: { salt, hash } }              (scrypt, see auth.js)
+ *   sessions:    { [id]: { id, userId, createdAt, expiresAt } }
+ *   reports: { [id]: { id, reporterId, targetType, targetId, subjectId, reason, details,
+ *                      status, resolution, createdAt } }   (see routes/reports.js)
+ *   idempotencyKeys: { [id]: { id, userId, method, path, fingerprint, status, contentType,
+ *                              etag, body, createdAt, expiresAt } }
+ *                                              (stored responses; see idempotency.js)
+ *
+ * `indexes` holds derived lookups (see indexes.js). It is non-enumerable so
+ * adapters never snapshot it; repositories.js keeps it in step with the data.
  *
  * reset() clears all data (used in tests).
  */
 
+const { createIndexes } = require('./indexes');
+
 const storage = {
   users: {},
+  usernameRedirects: {},
   posts: {},
+  revisions: {},
   follows: [],
   likes: [],
+  comments: {},
+  friendRequests: {},
+  friendships: [],
+  blocks: [],
+  mutes: [],
+  dismissals: [],
+  notifications: {},
+  media: {},
+  credentials: {},
+  sessions: {},
+  reports: {},
+  idempotencyKeys: {},
 
   reset() {
     this.users = {};
+    this.usernameRedirects = {};
     this.posts = {};
+    this.revisions = {};
     this.follows = [];
     this.likes = [];
+    this.comments = {};
+    this.friendRequests = {};
+    this.friendships = [];
+    this.blocks = [];
+    this.mutes = [];
+    this.dismissals = [];
+    this.notifications = {};
+    this.media = {};
+    this.credentials = {};
+    this.sessions = {};
+    this.reports = {};
+    this.idempotencyKeys = {};
+    this.indexes = createIndexes();
   },
 };
 
+Object.defineProperty(storage, 'indexes', {
+  value: createIndexes(),
+  writable: true,
+  enumerable: false,
+});
+
 module.exports = storage;
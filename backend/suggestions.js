@@ -0,0 +1,128 @@
+/**
+ * suggestions.js — "People you may know" (GET /api/suggestions/:id)
+ *
+ * Candidates are everyone except the user, people they already follow,
+ * anyone blocked either way and anyone they dismissed. A candidate's score
+ * is the sum of independent parts, each scaled by WEIGHTS:
+ *   mutual     people the user follows who follow the candidate
+ *              (friend-of-friend; reported as mutualCount)
+ *   followers  people who follow the user and are followed by the candidate
+ *              (followers-of-followers)
+ *   likes      log-damped count of posts both reacted to
+ *   recency    accounts younger than NEW_ACCOUNT_DAYS, halving every
+ *              RECENCY_HALF_LIFE_DAYS, so newcomers get found
+ * Candidates scoring 0 are left out. Each suggestion carries `reasons`, one
+ * readable line per part that counted ("Followed by Bob and 2 others").
+ */
+
+const {
+  users, follows, likes, blocks, dismissals,
+} = require('./repositories');
+
+const NEW_ACCOUNT_DAYS = 30;
+const RECENCY_HALF_LIFE_DAYS = 7;
+// Most recent reactions looked at for shared likes
+const MAX_LIKES_SCANNED = 200;
+
+const WEIGHTS = {
+  mutual: 3,
+  followers: 1.5,
+  likes: 1,
+  recency: 1,
+};
+
+const round = (n) => Math.round(n * 10000) / 10000;
+
+/** Add `via` to the set kept for `candidate` in `paths`. */
+function addPath(paths, candidate, via) {
+  if (!paths.has(candidate)) paths.set(candidate, new Set());
+  paths.get(candidate).add(via);
+}
+
+/** "Bob", "Bob and Carol", "Bob and 2 others". */
+function describeNames(ids) {
+  const names = ids.map((id) => users.get(id).displayName);
+  if (names.length === 1) return names[0];
+  if (names.length === 2) return `${names[0]} and ${names[1]}`;
+  return `${names[0]} and ${names.length - 1} others`;
+}
+
+function reasonsFor({ mutual, followers, sharedLikes, ageDays }) {
+  const reasons = [];
+  if (mutual.length > 0) reasons.push(`Followed by ${describeNames(mutual)}`);
+  if (followers.length === 1) reasons.push(`Follows ${describeNames(followers)}, who follows you`);
+  if (followers.length > 1) reasons.push(`Follows ${followers.length} people who follow you`);
+  if (sharedLikes === 1) reasons.push('Reacted to a post you reacted to');
+  if (sharedLikes > 1) reasons.push(`Reacted to ${sharedLikes} of the same posts as you`);
+  if (ageDays < NEW_ACCOUNT_DAYS) reasons.push('Joined recently');
+  return reasons;
+}
+
+/** Map of candidate → Set of posts they reacted to that userId reacted to too. */
+function sharedLikesOf(userId) {
+  const shared = new Map();
+  likes.byUser(userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, MAX_LIKES_SCANNED)
+    .forEach(({ postId }) => {
+      likes.userIdsForPost(postId).forEach((other) => addPath(shared, other, postId));
+    });
+  return shared;
+}
+
+/**
+ * Suggestions for userId, best first, at most `limit`:
+ * [ user + { mutualCount, score, reasons } ].
+ */
+function suggestFor(userId, { limit, now = Date.now() } = {}) {
+  const following = new Set(follows.followeeIds(userId));
+  const dismissed = new Set(dismissals.dismissedIds(userId));
+  const excluded = (id) => id === userId
+    || following.has(id)
+    || dismissed.has(id)
+    || blocks.between(userId, id);
+
+  const mutual = new Map();
+  following.forEach((followeeId) => {
+    follows.followeeIds(followeeId).forEach((candidate) => addPath(mutual, candidate, followeeId));
+  });
+  const followers = new Map();
+  follows.followerIds(userId).forEach((followerId) => {
+    follows.followerIds(followerId).forEach((candidate) => addPath(followers, candidate, followerId));
+  });
+  const shared = sharedLikesOf(userId);
+
+  const suggestions = users.list()
+    .filter((user) => !excluded(user.id))
+    .map((user) => {
+      const signals = {
+        mutual: [...(mutual.get(user.id) || [])],
+        followers: [...(followers.get(user.id) || [])],
+        sharedLikes: (shared.get(user.id) || new Set()).size,
+        ageDays: Math.max(0, (now - new Date(user.createdAt).getTime()) / 86400000),
+      };
+      const recency = signals.ageDays < NEW_ACCOUNT_DAYS
+        ? 0.5 ** (signals.ageDays / RECENCY_HALF_LIFE_DAYS)
+        : 0;
+      const score = round(
+        WEIGHTS.mutual * signals.mutual.length
+        + WEIGHTS.followers * signals.followers.length
+        + WEIGHTS.likes * Math.log1p(signals.sharedLikes)
+        + WEIGHTS.recency * recency
+      );
+      return {
+        ...user,
+        mutualCount: signals.mutual.length,
+        score,
+        reasons: reasonsFor(signals),
+      };
+    })
+    .filter((s) => s.score > 0)
+    .sort((a, b) => b.score - a.score
+      || b.mutualCount - a.mutualCount
+      || a.username.localeCompare(b.username));
+
+  return limit === undefined ? suggestions : suggestions.slice(0, limit);
+}
+
+module.exports = { WEIGHTS, suggestFor };
@@ -0,0 +1,216 @@
+/**
+ * tests/accounts.test.js
+ *
+ * Tests for account deletion and data export:
+ *   DELETE /api/users/:id        — delete your account and everything of it
+ *   GET    /api/users/:id/export — JSON archive of everything you own
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+const { buildIndexes } = require('../indexes');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, POST, DELETE, etc.)
+ * @param {string} path   - Request path
+ * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
+ * @returns {Promise<{ status: number, headers: object, body: any }>}
+ */
+function request(method, path, body = null, token = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+describe('Accounts API', () => {
+  let alice;
+  let bob;
+  let carol;
+
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    storage.reset();
+    alice = await createUser('alice', 'Alice');
+    bob = await createUser('bob', 'Bob');
+    carol = await createUser('carol', 'Carol');
+  });
+
+  /** Create a post as `user` and return the response body. */
+  async function postAs(user, content, extra = {}) {
+    const res = await request('POST', '/api/posts', { content, ...extra }, user.token);
+    assert.strictEqual(res.status, 201, `post failed: ${JSON.stringify(res.body)}`);
+    return res.body;
+  }
+
+  const deleteAccount = (user, body = { password: 'password123' }) => request('DELETE', `/api/users/${user.id}`, body, user.token);
+  const follow = (follower, followee) => request('POST', '/api/follow', { followeeId: followee.id }, follower.token);
+  const getPost = (post, user = null) => request('GET', `/api/posts/${post.id}`, null, user && user.token);
+
+  describe('DELETE /api/users/:id', () => {
+    it('should require your own account and your password', async () => {
+      const other = await request('DELETE', `/api/users/${bob.id}`, { password: 'password123' }, alice.token);
+      const noPassword = await deleteAccount(alice, {});
+      const wrong = await deleteAccount(alice, { password: 'not-my-password' });
+      const badMode = await deleteAccount(alice, { password: 'password123', posts: 'archive' });
+      const anon = await request('DELETE', `/api/users/${alice.id}`, { password: 'password123' });
+
+      assert.strictEqual(other.status, 403);
+      assert.strictEqual(noPassword.status, 400);
+      assert.strictEqual(wrong.status, 403);
+      assert.strictEqual(badMode.status, 400);
+      assert.strictEqual(anon.status, 401);
+      assert.strictEqual((await request('GET', `/api/users/${alice.id}`)).status, 200);
+    });
+
+    it('should remove the user, their posts, and their sessions', async () => {
+      const post = await postAs(bob, 'Bye #farewell');
+      const res = await deleteAccount(bob);
+
+      assert.strictEqual(res.status, 204);
+      assert.strictEqual((await request('GET', `/api/users/${bob.id}`)).status, 404);
+      assert.strictEqual((await getPost(post)).status, 404);
+      assert.deepStrictEqual((await request('GET', '/api/hashtags/farewell/posts')).body.items, []);
+      assert.deepStrictEqual((await request('GET', '/api/search?type=users&q=bob')).body.items, []);
+
+      const stale = await request('GET', `/api/users/${bob.id}/export`, null, bob.token);
+      assert.strictEqual(stale.status, 401, 'sessions are revoked');
+      const login = await request('POST', '/api/auth/login', { username: 'bob', password: 'password123' });
+      assert.strictEqual(login.status, 401);
+      await createUser('bob', 'A new Bob');
+    });
+
+    it('should undo their reactions, comments and connections on others', async () => {
+      const post = await postAs(carol, 'Hello');
+      await request('PUT', `/api/posts/${post.id}/reactions`, { type: 'like' }, bob.token);
+      await request('PUT', `/api/posts/${post.id}/reactions`, { type: 'love' }, alice.token);
+      await request('POST', `/api/posts/${post.id}/comments`, { content: 'Hi!' }, bob.token);
+      await follow(bob, carol);
+      await follow(carol, bob);
+      await request('POST', `/api/users/${alice.id}/block`, {}, bob.token);
+
+      await deleteAccount(bob);
+
+      const after = (await getPost(post)).body;
+      assert.strictEqual(after.likesCount, 0);
+      assert.strictEqual(after.reactionCounts.love, 1);
+      assert.strictEqual(after.commentsCount, 0);
+      const profile = (await request('GET', `/api/users/${carol.id}`)).body;
+      assert.strictEqual(profile.followerCount, 0);
+      assert.strictEqual(profile.followingCount, 0);
+
+      const notes = await request('GET', `/api/users/${carol.id}/notifications`, null, carol.token);
+      assert.deepStrictEqual(notes.body.items.map((n) => n.message), ['Alice reacted to your post']);
+      assert.strictEqual(storage.blocks.length, 0);
+      assert.deepStrictEqual(storage.indexes, buildIndexes(storage), 'indexes match a rebuild');
+    });
+
+    it('should keep public posts without an author when asked to anonymize', async () => {
+      const kept = await postAs(bob, 'Still useful #tips');
+      const friendsOnly = await postAs(bob, 'Just for followers', { visibility: 'followers' });
+      await follow(alice, bob);
+
+      await deleteAccount(bob, { password: 'password123', posts: 'anonymize' });
+
+      const res = await getPost(kept, alice);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.authorId, null);
+      const liked = await request('POST', `/api/posts/${kept.id}/like`, {}, alice.token);
+      assert.strictEqual(liked.status, 201);
+      assert.strictEqual(Object.keys(storage.notifications).length, 0, 'nobody to notify');
+      assert.strictEqual((await getPost(friendsOnly, alice)).status, 404);
+      const tagged = await request('GET', '/api/hashtags/tips/posts');
+      assert.deepStrictEqual(tagged.body.items.map((p) => [p.id, p.author]), [[kept.id, null]]);
+      assert.deepStrictEqual((await request('GET', `/api/feed/${alice.id}`, null, alice.token)).body.items, []);
+      assert.deepStrictEqual(storage.indexes, buildIndexes(storage), 'indexes match a rebuild');
+    });
+  });
+
+  describe('GET /api/users/:id/export', () => {
+    it('should return everything the user owns', async () => {
+      const post = await postAs(alice, 'First');
+      await request('PATCH', `/api/posts/${post.id}`, { content: 'First, edited' }, alice.token);
+      const other = await postAs(bob, 'Other');
+      await request('PUT', `/api/posts/${other.id}/reactions`, { type: 'wow' }, alice.token);
+      await request('POST', `/api/posts/${other.id}/comments`, { content: 'Nice' }, alice.token);
+      await follow(alice, bob);
+      await follow(carol, alice);
+      await request('POST', `/api/users/${carol.id}/mute`, {}, alice.token);
+
+      const res = await request('GET', `/api/users/${alice.id}/export`, null, alice.token);
+      assert.strictEqual(res.status, 200);
+      assert.match(res.headers['content-disposition'], /attachment; filename="alice-export.json"/);
+
+      const archive = res.body;
+      assert.strictEqual(archive.profile.id, alice.id);
+      assert.deepStrictEqual(archive.posts.map((p) => p.content), ['First, edited']);
+      assert.strictEqual(archive.posts[0].revisions.length, 2);
+      assert.deepStrictEqual(archive.comments.map((c) => c.content), ['Nice']);
+      assert.deepStrictEqual(archive.reactions.map((r) => [r.postId, r.type]), [[other.id, 'wow']]);
+      assert.deepStrictEqual(archive.following.map((f) => f.username), ['bob']);
+      assert.deepStrictEqual(archive.followers.map((f) => f.username), ['carol']);
+      assert.deepStrictEqual(archive.mutes.map((m) => m.userId), [carol.id]);
+      assert.deepStrictEqual(archive.notifications.map((n) => n.type), ['follow']);
+    });
+
+    it('should only export your own account', async () => {
+      const res = await request('GET', `/api/users/${bob.id}/export`, null, alice.token);
+      assert.strictEqual(res.status, 403);
+    });
+  });
+});
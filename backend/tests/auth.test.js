@@ -0,0 +1,241 @@
+/**
+ * tests/auth.test.js
+ *
+ * Tests for the Auth API:
+ *   POST /api/auth/register — create account + session token
+ *   POST /api/auth/login    — exchange credentials for a session token
+ *   POST /api/auth/logout   — revoke the current session
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const crypto = require('node:crypto');
+const app = require('../server');
+const storage = require('../storage');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, POST, DELETE, etc.)
+ * @param {string} path   - Request path
+ * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function request(method, path, body = null, token = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+describe('Auth API', () => {
+  // Start server before all tests
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  // Close server after all tests
+  after((_, done) => {
+    server.close(done);
+  });
+
+  // Reset storage before each test for clean state
+  beforeEach(() => {
+    storage.reset();
+  });
+
+  describe('POST /api/auth/register', () => {
+    it('should create a user and return a session token', async () => {
+      const res = await request('POST', '/api/auth/register', {
+        username: 'alice',
+        displayName: 'Alice A',
+        password: 'correct horse',
+      });
+
+      assert.strictEqual(res.status, 201);
+      assert.ok(res.body.token, 'Expected a session token');
+      assert.strictEqual(res.body.user.username, 'alice');
+      assert.ok(storage.users[res.body.user.id]);
+    });
+
+    it('should never expose the password hash on the user object', async () => {
+      const res = await request('POST', '/api/auth/register', {
+        username: 'alice',
+        displayName: 'Alice A',
+        password: 'correct horse',
+      });
+
+      const profile = await request('GET', `/api/users/${res.body.user.id}`);
+      const serialized = JSON.stringify([res.body.user, profile.body]);
+      assert.ok(!/hash|salt|password/i.test(serialized), 'credentials leaked in response');
+    });
+
+    it('should return 400 when password is too short', async () => {
+      const res = await request('POST', '/api/auth/register', {
+        username: 'alice',
+        displayName: 'Alice A',
+        password: 'short',
+      });
+
+      assert.strictEqual(res.status, 400);
+      assert.ok(res.body.error);
+    });
+
+    it('should return 400 for a duplicate username (case-insensitive)', async () => {
+      await request('POST', '/api/auth/register', {
+        username: 'alice',
+        displayName: 'Alice A',
+        password: 'correct horse',
+      });
+
+      const res = await request('POST', '/api/auth/register', {
+        username: 'ALICE',
+        displayName: 'Other Alice',
+        password: 'correct horse',
+      });
+
+      assert.strictEqual(res.status, 400);
+      assert.ok(res.body.error);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should return a token for valid credentials', async () => {
+      await request('POST', '/api/auth/register', {
+        username: 'alice',
+        displayName: 'Alice A',
+        password: 'correct horse',
+      });
+
+      const res = await request('POST', '/api/auth/login', {
+        username: 'Alice',
+        password: 'correct horse',
+      });
+
+      assert.strictEqual(res.status, 200);
+      assert.ok(res.body.token);
+      assert.strictEqual(res.body.user.username, 'alice');
+    });
+
+    it('should return 401 for a wrong password', async () => {
+      await request('POST', '/api/auth/register', {
+        username: 'alice',
+        displayName: 'Alice A',
+        password: 'correct horse',
+      });
+
+      const res = await request('POST', '/api/auth/login', {
+        username: 'alice',
+        password: 'battery staple',
+      });
+
+      assert.strictEqual(res.status, 401);
+      assert.ok(res.body.error);
+    });
+
+    it('should return 401 for a user created without a password', async () => {
+      await request('POST', '/api/users', { username: 'bob', displayName: 'Bob B' });
+
+      const res = await request('POST', '/api/auth/login', {
+        username: 'bob',
+        password: 'anything at all',
+      });
+
+      assert.strictEqual(res.status, 401);
+    });
+
+    it('should hash the password even for an unknown username', async () => {
+      const { scryptSync } = crypto;
+      let hashes = 0;
+      crypto.scryptSync = (...args) => {
+        hashes += 1;
+        return scryptSync(...args);
+      };
+      try {
+        const res = await request('POST', '/api/auth/login', {
+          username: 'nobody',
+          password: 'anything at all',
+        });
+        assert.strictEqual(res.status, 401);
+      } finally {
+        crypto.scryptSync = scryptSync;
+      }
+      assert.strictEqual(hashes, 1);
+    });
+
+    it('should return 400 when fields are missing', async () => {
+      const res = await request('POST', '/api/auth/login', { username: 'alice' });
+
+      assert.strictEqual(res.status, 400);
+      assert.ok(res.body.error);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the token so it can no longer be used', async () => {
+      const reg = await request('POST', '/api/auth/register', {
+        username: 'alice',
+        displayName: 'Alice A',
+        password: 'correct horse',
+      });
+      const { token } = reg.body;
+
+      const res = await request('POST', '/api/auth/logout', {}, token);
+      assert.strictEqual(res.status, 200);
+
+      const postRes = await request('POST', '/api/posts', { content: 'after logout' }, token);
+      assert.strictEqual(postRes.status, 401);
+    });
+
+    it('should return 401 without a token', async () => {
+      const res = await request('POST', '/api/auth/logout', {});
+
+      assert.strictEqual(res.status, 401);
+    });
+
+    it('should reject a tampered token', async () => {
+      const reg = await request('POST', '/api/auth/register', {
+        username: 'alice',
+        displayName: 'Alice A',
+        password: 'correct horse',
+      });
+      const [sessionId] = reg.body.token.split('.');
+
+      const res = await request('POST', '/api/auth/logout', {}, `${sessionId}.forged`);
+
+      assert.strictEqual(res.status, 401);
+    });
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * tests/blocks.test.js
+ *
+ * Tests for blocking and muting:
+ *   POST/DELETE /api/users/:id/block — severs ties, refuses interactions,
+ *                                      hides content both ways
+ *   POST/DELETE /api/users/:id/mute  — hides the muted user's posts from
+ *                                      the muter's feed only
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, POST, DELETE, etc.)
+ * @param {string} path   - Request path
+ * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function request(method, path, body = null, token = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    // Serialize body up-front so we can set Content-Length (required for
+    // DELETE requests, otherwise express.json() skips parsing and req.body
+    // ends up undefined, causing destructuring errors in the routes).
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+/** Create a post as `author` and return the response body. */
+async function createPost(author, content = 'Default post content') {
+  const res = await request('POST', '/api/posts', { content }, author.token);
+  assert.strictEqual(res.status, 201, `createPost failed: ${JSON.stringify(res.body)}`);
+  return res.body;
+}
+
+/** Follow a user (follower follows followee). */
+async function follow(follower, followee) {
+  const res = await request('POST', '/api/follow', { followeeId: followee.id }, follower.token);
+  assert.strictEqual(res.status, 201, `follow failed: ${JSON.stringify(res.body)}`);
+}
+
+/** `actor` blocks or mutes `target` (action is 'block' or 'mute'). */
+async function act(actor, action, target) {
+  const res = await request('POST', `/api/users/${target.id}/${action}`, {}, actor.token);
+  assert.strictEqual(res.status, 201, `${action} failed: ${JSON.stringify(res.body)}`);
+}
+
+const ids = (res) => res.body.items.map((item) => item.id);
+
+describe('Blocks & Mutes API', () => {
+  let alice;
+  let bob;
+  let carol;
+
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    storage.reset();
+    alice = await createUser('alice', 'Alice');
+    bob = await createUser('bob', 'Bob');
+    carol = await createUser('carol', 'Carol');
+  });
+
+  describe('POST/DELETE /api/users/:id/block', () => {
+    it('should block and unblock as the signed-in user', async () => {
+      const res = await request('POST', `/api/users/${bob.id}/block`, {}, alice.token);
+      assert.strictEqual(res.status, 201);
+      assert.deepStrictEqual(res.body, { blockerId: alice.id, blockedId: bob.id });
+
+      const unblock = await request('DELETE', `/api/users/${bob.id}/block`, null, alice.token);
+      assert.strictEqual(unblock.status, 200);
+
+      const again = await request('DELETE', `/api/users/${bob.id}/block`, null, alice.token);
+      assert.strictEqual(again.status, 404);
+    });
+
+    it('should reject anonymous, self, unknown and duplicate blocks', async () => {
+      assert.strictEqual((await request('POST', `/api/users/${bob.id}/block`, {})).status, 401);
+      assert.strictEqual(
+        (await request('POST', `/api/users/${alice.id}/block`, {}, alice.token)).status, 400
+      );
+      assert.strictEqual(
+        (await request('POST', '/api/users/nobody/block', {}, alice.token)).status, 404
+      );
+      await act(alice, 'block', bob);
+      assert.strictEqual(
+        (await request('POST', `/api/users/${bob.id}/block`, {}, alice.token)).status, 400
+      );
+    });
+
+    it('should remove follows both ways and any friendship', async () => {
+      await follow(alice, bob);
+      await follow(bob, alice);
+      const sent = await request('POST', '/api/friend-requests', { toId: bob.id }, alice.token);
+      await request('POST', `/api/friend-requests/${sent.body.id}/accept`, {}, bob.token);
+
+      await act(alice, 'block', bob);
+
+      const profile = await request('GET', `/api/users/${alice.id}`);
+      assert.strictEqual(profile.body.followerCount, 0);
+      assert.strictEqual(profile.body.followingCount, 0);
+      assert.strictEqual(profile.body.friendCount, 0);
+    });
+
+    it('should refuse follows, likes, comments and friend requests either way', async () => {
+      const alicePost = await createPost(alice, 'Alice post');
+      await act(alice, 'block', bob);
+
+      const attempts = [
+        request('POST', '/api/follow', { followeeId: alice.id }, bob.token),
+        request('POST', '/api/follow', { followeeId: bob.id }, alice.token),
+        request('POST', `/api/posts/${alicePost.id}/like`, {}, bob.token),
+        request('POST', `/api/posts/${alicePost.id}/comments`, { content: 'hi' }, bob.token),
+        request('POST', '/api/friend-requests', { toId: alice.id }, bob.token),
+      ];
+      (await Promise.all(attempts)).forEach((res) => assert.strictEqual(res.status, 403));
+    });
+
+    it('should answer 404, not 403, for a blocked author\'s post outside the audience', async () => {
+      const res = await request('POST', '/api/posts', {
+        content: 'Just me', visibility: 'only_me',
+      }, alice.token);
+      await act(alice, 'block', bob);
+
+      const attempts = [
+        request('POST', `/api/posts/${res.body.id}/like`, {}, bob.token),
+        request('PUT', `/api/posts/${res.body.id}/reactions`, { type: 'love' }, bob.token),
+        request('POST', `/api/posts/${res.body.id}/comments`, { content: 'hi' }, bob.token),
+      ];
+      (await Promise.all(attempts)).forEach((r) => assert.strictEqual(r.status, 404));
+    });
+  });
+
+  describe('Hidden content', () => {
+    it('should hide each user\'s posts from the other but not from anyone else', async () => {
+      const bobPost = await createPost(bob, 'Bob post');
+      const alicePost = await createPost(alice, 'Alice post');
+      await act(alice, 'block', bob);
+
+      assert.deepStrictEqual(ids(await request('GET', '/api/posts', null, alice.token)), [alicePost.id]);
+      assert.deepStrictEqual(ids(await request('GET', '/api/posts', null, bob.token)), [bobPost.id]);
+      assert.strictEqual(ids(await request('GET', '/api/posts')).length, 2);
+
+      assert.strictEqual((await request('GET', `/api/posts/${bobPost.id}`, null, alice.token)).status, 404);
+      assert.strictEqual((await request('GET', `/api/posts/${alicePost.id}`, null, bob.token)).status, 404);
+
+      const bobsPage = await request('GET', `/api/users/${bob.id}/posts`, null, alice.token);
+      assert.deepStrictEqual(bobsPage.body.items, []);
+    });
+
+    it('should drop a blocked author from the blocker\'s feed', async () => {
+      await follow(alice, bob);
+      await follow(alice, carol);
+      await createPost(bob, 'Bob post');
+      const carolPost = await createPost(carol, 'Carol post');
+
+      await act(alice, 'block', bob);
+
+      const feed = await request('GET', `/api/feed/${alice.id}`);
+      assert.deepStrictEqual(ids(feed), [carolPost.id]);
+    });
+
+    it('should hide likers, commenters and follower entries involved in a block', async () => {
+      const carolPost = await createPost(carol, 'Carol post');
+      await request('POST', `/api/posts/${carolPost.id}/like`, {}, bob.token);
+      await request('POST', `/api/posts/${carolPost.id}/comments`, { content: 'Bob says hi' }, bob.token);
+      await follow(bob, carol);
+      await act(alice, 'block', bob);
+
+      const likers = await request('GET', `/api/posts/${carolPost.id}/likes`, null, alice.token);
+      const comments = await request('GET', `/api/posts/${carolPost.id}/comments`, null, alice.token);
+      const followers = await request('GET', `/api/users/${carol.id}/followers`, null, alice.token);
+      assert.deepStrictEqual(likers.body.items, []);
+      assert.deepStrictEqual(comments.body.items, []);
+      assert.deepStrictEqual(followers.body.items, []);
+
+      // Carol herself still sees Bob everywhere
+      const carolView = await request('GET', `/api/users/${carol.id}/followers`, null, carol.token);
+      assert.deepStrictEqual(ids(carolView), [bob.id]);
+    });
+
+    it('should never suggest blocked users', async () => {
+      await act(bob, 'block', alice);
+
+      const viaSuggestions = await request('GET', `/api/suggestions/${alice.id}`, null, alice.token);
+      const viaUsers = await request('GET', `/api/users/${alice.id}/suggestions`, null, alice.token);
+
+      assert.deepStrictEqual(viaSuggestions.body.map((u) => u.id), [carol.id]);
+      assert.deepStrictEqual(viaUsers.body.map((u) => u.id), [carol.id]);
+    });
+  });
+
+  describe('POST/DELETE /api/users/:id/mute', () => {
+    it('should hide the muted user\'s posts from the muter\'s feed only', async () => {
+      await follow(alice, bob);
+      await follow(alice, carol);
+      await follow(carol, bob);
+      const bobPost = await createPost(bob, 'Bob post');
+      const carolPost = await createPost(carol, 'Carol post');
+
+      await act(alice, 'mute', bob);
+
+      assert.deepStrictEqual(ids(await request('GET', `/api/feed/${alice.id}`)), [carolPost.id]);
+      assert.deepStrictEqual(ids(await request('GET', `/api/feed/${carol.id}`)), [bobPost.id]);
+      const profile = await request('GET', `/api/users/${alice.id}`);
+      assert.strictEqual(profile.body.followingCount, 2, 'muting keeps the follow');
+
+      const unmute = await request('DELETE', `/api/users/${bob.id}/mute`, null, alice.token);
+      assert.strictEqual(unmute.status, 200);
+      assert.strictEqual(ids(await request('GET', `/api/feed/${alice.id}`)).length, 2);
+    });
+
+    it('should still fill whole feed pages around muted posts', async () => {
+      await follow(alice, bob);
+      await follow(alice, carol);
+      for (let i = 0; i < 3; i += 1) {
+        await createPost(carol, `Carol ${i}`);
+        await createPost(bob, `Bob ${i}`);
+      }
+      await act(alice, 'mute', bob);
+
+      const first = await request('GET', `/api/feed/${alice.id}?limit=2`);
+      assert.strictEqual(first.body.items.length, 2);
+      const second = await request('GET', `/api/feed/${alice.id}?limit=2&cursor=${first.body.nextCursor}`);
+      assert.strictEqual(second.body.items.length, 1);
+      assert.strictEqual(second.body.nextCursor, null);
+      [...first.body.items, ...second.body.items].forEach((p) => assert.strictEqual(p.authorId, carol.id));
+    });
+
+    it('should reject self, unknown, duplicate and missing mutes', async () => {
+      assert.strictEqual(
+        (await request('POST', `/api/users/${alice.id}/mute`, {}, alice.token)).status, 400
+      );
+      assert.strictEqual((await request('POST', '/api/users/nobody/mute', {}, alice.token)).status, 404);
+      await act(alice, 'mute', bob);
+      assert.strictEqual((await request('POST', `/api/users/${bob.id}/mute`, {}, alice.token)).status, 400);
+      assert.strictEqual(
+        (await request('DELETE', `/api/users/${carol.id}/mute`, null, alice.token)).status, 404
+      );
+    });
+  });
+});
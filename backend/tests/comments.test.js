@@ -0,0 +1,286 @@
+/**
+ * tests/comments.test.js
+ *
+ * Tests for the Comments API:
+ *   POST   /api/posts/:id/comments — comment / threaded reply
+ *   GET    /api/posts/:id/comments — paginated, oldest first
+ *   DELETE /api/comments/:id       — delete comment + replies
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, POST, DELETE, etc.)
+ * @param {string} path   - Request path (e.g., '/api/posts/abc/like')
+ * @param {object} body   - Optional request body
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function request(method, path, body = null, token = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    // Serialize body up-front so we can set Content-Length (required for
+    // DELETE requests, otherwise express.json() skips parsing and req.body
+    // ends up undefined, causing destructuring errors in the routes).
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+/** Create a post as `author` and return the response body. */
+async function createPost(author, content = 'Post to discuss') {
+  const res = await request('POST', '/api/posts', { content }, author.token);
+  assert.strictEqual(res.status, 201, `createPost failed: ${JSON.stringify(res.body)}`);
+  return res.body;
+}
+
+/** Comment on a post as `author` and return the response body. */
+async function createComment(author, postId, content, parentCommentId) {
+  const res = await request('POST', `/api/posts/${postId}/comments`, {
+    content,
+    ...(parentCommentId && { parentCommentId }),
+  }, author.token);
+  assert.strictEqual(res.status, 201, `createComment failed: ${JSON.stringify(res.body)}`);
+  return res.body;
+}
+
+describe('Comments API', () => {
+  // Start server before all tests
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  // Close server after all tests
+  after((_, done) => {
+    server.close(done);
+  });
+
+  // Reset storage before each test for clean state
+  beforeEach(() => {
+    storage.reset();
+  });
+
+  describe('POST /api/posts/:id/comments', () => {
+    it('should create a comment and bump commentsCount', async () => {
+      const alice = await createUser('alice', 'Alice A');
+      const bob = await createUser('bob', 'Bob B');
+      const post = await createPost(alice);
+      assert.strictEqual(post.commentsCount, 0);
+
+      const comment = await createComment(bob, post.id, '  Nice post!  ');
+
+      assert.strictEqual(comment.content, 'Nice post!');
+      assert.strictEqual(comment.authorId, bob.id);
+      assert.strictEqual(comment.parentCommentId, null);
+      assert.strictEqual(comment.depth, 0);
+      assert.strictEqual(comment.author.username, 'bob');
+
+      const postRes = await request('GET', `/api/posts/${post.id}`);
+      assert.strictEqual(postRes.body.commentsCount, 1);
+    });
+
+    it('should nest replies and reject replies past the maximum depth', async () => {
+      const alice = await createUser('alice', 'Alice A');
+      const post = await createPost(alice);
+
+      const c0 = await createComment(alice, post.id, 'depth 0');
+      const c1 = await createComment(alice, post.id, 'depth 1', c0.id);
+      const c2 = await createComment(alice, post.id, 'depth 2', c1.id);
+      assert.strictEqual(c1.depth, 1);
+      assert.strictEqual(c2.depth, 2);
+
+      const res = await request('POST', `/api/posts/${post.id}/comments`, {
+        content: 'too deep',
+        parentCommentId: c2.id,
+      }, alice.token);
+
+      assert.strictEqual(res.status, 400);
+      assert.ok(res.body.error);
+    });
+
+    it('should return 404 when the parent comment belongs to another post', async () => {
+      const alice = await createUser('alice', 'Alice A');
+      const post1 = await createPost(alice);
+      const post2 = await createPost(alice);
+      const other = await createComment(alice, post1.id, 'on post 1');
+
+      const res = await request('POST', `/api/posts/${post2.id}/comments`, {
+        content: 'reply',
+        parentCommentId: other.id,
+      }, alice.token);
+
+      assert.strictEqual(res.status, 404);
+    });
+
+    it('should return 400 when content is empty', async () => {
+      const alice = await createUser('alice', 'Alice A');
+      const post = await createPost(alice);
+
+      const res = await request('POST', `/api/posts/${post.id}/comments`, { content: '  ' }, alice.token);
+
+      assert.strictEqual(res.status, 400);
+    });
+
+    it('should return 401 when not authenticated', async () => {
+      const alice = await createUser('alice', 'Alice A');
+      const post = await createPost(alice);
+
+      const res = await request('POST', `/api/posts/${post.id}/comments`, { content: 'hi' });
+
+      assert.strictEqual(res.status, 401);
+    });
+
+    it('should return 404 for a non-existent post', async () => {
+      const alice = await createUser('alice', 'Alice A');
+
+      const res = await request('POST', '/api/posts/no-such-post/comments', { content: 'hi' }, alice.token);
+
+      assert.strictEqual(res.status, 404);
+    });
+  });
+
+  describe('GET /api/posts/:id/comments', () => {
+    it('should list comments oldest first with pagination', async () => {
+      const alice = await createUser('alice', 'Alice A');
+      const post = await createPost(alice);
+      const first = await createComment(alice, post.id, 'first');
+      storage.comments[first.id].createdAt = new Date(Date.now() - 5000).toISOString();
+      await createComment(alice, post.id, 'second');
+      await createComment(alice, post.id, 'third');
+
+      const page1 = await request('GET', `/api/posts/${post.id}/comments?limit=2`);
+      assert.strictEqual(page1.status, 200);
+      assert.strictEqual(page1.body.items.length, 2);
+      assert.strictEqual(page1.body.items[0].content, 'first');
+      assert.ok(page1.body.nextCursor);
+
+      const page2 = await request('GET', `/api/posts/${post.id}/comments?limit=2&cursor=${page1.body.nextCursor}`);
+      assert.strictEqual(page2.body.items.length, 1);
+      assert.strictEqual(page2.body.nextCursor, null);
+    });
+
+    it('should return 400 for an invalid limit', async () => {
+      const alice = await createUser('alice', 'Alice A');
+      const post = await createPost(alice);
+
+      const res = await request('GET', `/api/posts/${post.id}/comments?limit=0`);
+
+      assert.strictEqual(res.status, 400);
+    });
+
+    it('should return 404 for a non-existent post', async () => {
+      const res = await request('GET', '/api/posts/no-such-post/comments');
+
+      assert.strictEqual(res.status, 404);
+    });
+  });
+
+  describe('DELETE /api/comments/:id', () => {
+    it('should delete a comment together with its replies', async () => {
+      const alice = await createUser('alice', 'Alice A');
+      const bob = await createUser('bob', 'Bob B');
+      const post = await createPost(alice);
+      const parent = await createComment(bob, post.id, 'parent');
+      await createComment(alice, post.id, 'reply', parent.id);
+      await createComment(alice, post.id, 'unrelated');
+
+      const res = await request('DELETE', `/api/comments/${parent.id}`, null, bob.token);
+
+      assert.strictEqual(res.status, 204);
+      const list = await request('GET', `/api/posts/${post.id}/comments`);
+      assert.deepStrictEqual(list.body.items.map((c) => c.content), ['unrelated']);
+      const postRes = await request('GET', `/api/posts/${post.id}`);
+      assert.strictEqual(postRes.body.commentsCount, 1);
+    });
+
+    it('should let the post author delete comments on their post', async () => {
+      const alice = await createUser('alice', 'Alice A');
+      const bob = await createUser('bob', 'Bob B');
+      const post = await createPost(alice);
+      const comment = await createComment(bob, post.id, 'rude');
+
+      const res = await request('DELETE', `/api/comments/${comment.id}`, null, alice.token);
+
+      assert.strictEqual(res.status, 204);
+    });
+
+    it('should return 403 for anyone else', async () => {
+      const alice = await createUser('alice', 'Alice A');
+      const bob = await createUser('bob', 'Bob B');
+      const carol = await createUser('carol', 'Carol C');
+      const post = await createPost(alice);
+      const comment = await createComment(bob, post.id, 'mine');
+
+      const res = await request('DELETE', `/api/comments/${comment.id}`, null, carol.token);
+
+      assert.strictEqual(res.status, 403);
+    });
+
+    it('should return 404 for a non-existent comment', async () => {
+      const alice = await createUser('alice', 'Alice A');
+
+      const res = await request('DELETE', '/api/comments/no-such-comment', null, alice.token);
+
+      assert.strictEqual(res.status, 404);
+    });
+  });
+
+  describe('DELETE /api/posts/:id — cascade', () => {
+    it('should delete all comments on the post', async () => {
+      const alice = await createUser('alice', 'Alice A');
+      const post = await createPost(alice);
+      const c0 = await createComment(alice, post.id, 'top');
+      await createComment(alice, post.id, 'reply', c0.id);
+
+      const res = await request('DELETE', `/api/posts/${post.id}`, null, alice.token);
+
+      assert.strictEqual(res.status, 204);
+      assert.strictEqual(Object.values(storage.comments).filter((c) => c.postId === post.id).length, 0);
+    });
+  });
+});
@@ -20,9 +20,10 @@ let baseUrl;
  * @param {string} method - HTTP method (GET, POST, DELETE, etc.)
  * @param {string} path   - Request path
  * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
  * @returns {Promise<{ status: number, body: any }>}
  */
-function request(method, path, body = null) {
+function request(method, path, body = null, token = null) {
   return new Promise((resolve, reject) => {
     const url = new URL(path, baseUrl);
     // Serialize body up-front so we can set Content-Length (required for
@@ -37,6 +38,7 @@ function request(method, path, body = null) {
       headers: {
         'Content-Type': 'application/json',
         ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
       },
     };
     const req = http.request(options, (res) => {
@@ -55,27 +57,38 @@ function request(method, path, body = null) {
   });
 }
 
-/** Create a user and return the response body. */
+/** Register a user and return the user object plus its session `token`. */
 async function createUser(username, displayName) {
-  const res = await request('POST', '/api/users', { username, displayName });
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
   assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
-  return res.body;
+  return { ...res.body.user, token: res.body.token };
 }
 
-/** Create a post and return the response body. */
-async function createPost(authorId, content = 'Default post content') {
-  const res = await request('POST', '/api/posts', { authorId, content });
+/** Create a post as `author` and return the response body. */
+async function createPost(author, content = 'Default post content') {
+  const res = await request('POST', '/api/posts', { content }, author.token);
   assert.strictEqual(res.status, 201, `createPost failed: ${JSON.stringify(res.body)}`);
   return res.body;
 }
 
-/** Follow a user (followerId follows followeeId). */
-async function follow(followerId, followeeId) {
-  const res = await request('POST', '/api/follow', { followerId, followeeId });
+/** Follow a user (follower follows followee). */
+async function follow(follower, followee) {
+  const res = await request('POST', '/api/follow', { followeeId: followee.id }, follower.token);
   assert.strictEqual(res.status, 201, `follow failed: ${JSON.stringify(res.body)}`);
   return res.body;
 }
 
+/** Like a post as `user`. */
+async function like(user, postId) {
+  const res = await request('POST', `/api/posts/${postId}/like`, {}, user.token);
+  assert.strictEqual(res.status, 201, `like failed: ${JSON.stringify(res.body)}`);
+  return res.body;
+}
+
 describe('Feed API', () => {
   // Start server before all tests
   before((_, done) => {
@@ -102,27 +115,27 @@ describe('Feed API', () => {
       const bob = await createUser('bob_feed', 'Bob Feed');
 
       // Alice posts something
-      await createPost(alice.id, 'Alice own post — should NOT appear in alice feed');
+      await createPost(alice, 'Alice own post — should NOT appear in alice feed');
       // Bob posts something
-      await createPost(bob.id, 'Bob post — should appear in alice feed after follow');
+      await createPost(bob, 'Bob post — should appear in alice feed after follow');
 
       // Alice follows Bob
-      await follow(alice.id, bob.id);
+      await follow(alice, bob);
 
       const res = await request('GET', `/api/feed/${alice.id}`);
 
       assert.strictEqual(res.status, 200);
-      assert.ok(Array.isArray(res.body), 'Feed should be an array');
+      assert.ok(Array.isArray(res.body.items), 'Feed should be an array');
 
       // Feed must contain Bob's post
       assert.ok(
-        res.body.some((p) => p.authorId === bob.id),
+        res.body.items.some((p) => p.authorId === bob.id),
         'Feed should include posts from followed user (Bob)'
       );
 
       // Feed must NOT contain Alice's own post
       assert.ok(
-        !res.body.some((p) => p.authorId === alice.id),
+        !res.body.items.some((p) => p.authorId === alice.id),
         'Feed should NOT include the requester\'s own posts'
       );
     });
@@ -131,25 +144,25 @@ describe('Feed API', () => {
       const alice = await createUser('alice_sort', 'Alice Sort');
       const bob = await createUser('bob_sort', 'Bob Sort');
 
-      await follow(alice.id, bob.id);
+      await follow(alice, bob);
 
       // Create posts with a small delay to ensure different timestamps
-      const post1 = await createPost(bob.id, 'Bob first post');
+      const post1 = await createPost(bob, 'Bob first post');
       // Manually adjust createdAt in storage to guarantee ordering
       storage.posts[post1.id].createdAt = new Date(Date.now() - 5000).toISOString();
 
-      const post2 = await createPost(bob.id, 'Bob second post (newer)');
+      const post2 = await createPost(bob, 'Bob second post (newer)');
       storage.posts[post2.id].createdAt = new Date(Date.now() - 1000).toISOString();
 
       const res = await request('GET', `/api/feed/${alice.id}`);
 
       assert.strictEqual(res.status, 200);
-      assert.ok(Array.isArray(res.body));
-      assert.strictEqual(res.body.length, 2);
+      assert.ok(Array.isArray(res.body.items));
+      assert.strictEqual(res.body.items.length, 2);
 
       // Newest should come first
-      const firstCreatedAt = new Date(res.body[0].createdAt).getTime();
-      const secondCreatedAt = new Date(res.body[1].createdAt).getTime();
+      const firstCreatedAt = new Date(res.body.items[0].createdAt).getTime();
+      const secondCreatedAt = new Date(res.body.items[1].createdAt).getTime();
       assert.ok(
         firstCreatedAt >= secondCreatedAt,
         'Feed posts should be sorted newest first'
@@ -166,28 +179,28 @@ describe('Feed API', () => {
     it('should return empty array when user follows nobody', async () => {
       const loner = await createUser('loner_user', 'Loner L');
       // Create a post so there IS data in storage — it just shouldn't appear
-      await createPost(loner.id, 'Loner post (should not appear in own feed)');
+      await createPost(loner, 'Loner post (should not appear in own feed)');
 
       const res = await request('GET', `/api/feed/${loner.id}`);
 
       assert.strictEqual(res.status, 200);
-      assert.ok(Array.isArray(res.body), 'Feed should be an array');
-      assert.strictEqual(res.body.length, 0, 'Feed should be empty when user follows nobody');
+      assert.ok(Array.isArray(res.body.items), 'Feed should be an array');
+      assert.strictEqual(res.body.items.length, 0, 'Feed should be empty when user follows nobody');
     });
 
     it('should include an author object in each feed post', async () => {
       const alice = await createUser('alice_author', 'Alice Author');
       const bob = await createUser('bob_author', 'Bob Author');
 
-      await follow(alice.id, bob.id);
-      await createPost(bob.id, 'Post with author info');
+      await follow(alice, bob);
+      await createPost(bob, 'Post with author info');
 
       const res = await request('GET', `/api/feed/${alice.id}`);
 
       assert.strictEqual(res.status, 200);
-      assert.ok(res.body.length > 0, 'Feed should contain at least one post');
+      assert.ok(res.body.items.length > 0, 'Feed should contain at least one post');
 
-      const feedPost = res.body[0];
+      const feedPost = res.body.items[0];
       assert.ok(feedPost.author, 'Each feed post should have an author object');
       assert.strictEqual(feedPost.author.id, bob.id, 'Author id should match the post author');
       assert.ok(feedPost.author.username, 'Author object should include username');
@@ -199,21 +212,186 @@ describe('Feed API', () => {
       const bob = await createUser('bob_multi', 'Bob Multi');
       const carol = await createUser('carol_multi', 'Carol Multi');
 
-      await follow(alice.id, bob.id);
-      await follow(alice.id, carol.id);
+      await follow(alice, bob);
+      await follow(alice, carol);
 
-      const bobPost = await createPost(bob.id, 'Bob multi post');
-      const carolPost = await createPost(carol.id, 'Carol multi post');
+      const bobPost = await createPost(bob, 'Bob multi post');
+      const carolPost = await createPost(carol, 'Carol multi post');
 
       const res = await request('GET', `/api/feed/${alice.id}`);
 
       assert.strictEqual(res.status, 200);
-      assert.ok(Array.isArray(res.body));
-      assert.strictEqual(res.body.length, 2, 'Feed should contain posts from all followed users');
+      assert.ok(Array.isArray(res.body.items));
+      assert.strictEqual(res.body.items.length, 2, 'Feed should contain posts from all followed users');
 
-      const ids = res.body.map((p) => p.id);
+      const ids = res.body.items.map((p) => p.id);
       assert.ok(ids.includes(bobPost.id), 'Bob\'s post should be in the feed');
       assert.ok(ids.includes(carolPost.id), 'Carol\'s post should be in the feed');
     });
   });
+  describe('Feed timelines', () => {
+    it('should backfill a followee\'s earlier posts on follow', async () => {
+      const alice = await createUser('alice_back', 'Alice Back');
+      const bob = await createUser('bob_back', 'Bob Back');
+      const older = await createPost(bob, 'Posted before the follow');
+
+      await follow(alice, bob);
+      const newer = await createPost(bob, 'Posted after the follow');
+
+      const res = await request('GET', `/api/feed/${alice.id}`);
+      assert.deepStrictEqual(res.body.items.map((p) => p.id).sort(), [newer.id, older.id].sort());
+    });
+
+    it('should evict a followee\'s posts on unfollow', async () => {
+      const alice = await createUser('alice_evict', 'Alice Evict');
+      const bob = await createUser('bob_evict', 'Bob Evict');
+      const carol = await createUser('carol_evict', 'Carol Evict');
+      await follow(alice, bob);
+      await follow(alice, carol);
+      await createPost(bob, 'Bob post');
+      const carolPost = await createPost(carol, 'Carol post');
+
+      const res = await request('DELETE', '/api/follow', { followeeId: bob.id }, alice.token);
+      assert.strictEqual(res.status, 200);
+
+      const feed = await request('GET', `/api/feed/${alice.id}`);
+      assert.deepStrictEqual(feed.body.items.map((p) => p.id), [carolPost.id]);
+    });
+
+    it('should drop a deleted post from followers\' feeds', async () => {
+      const alice = await createUser('alice_del', 'Alice Del');
+      const bob = await createUser('bob_del', 'Bob Del');
+      await follow(alice, bob);
+      const kept = await createPost(bob, 'Kept');
+      const doomed = await createPost(bob, 'Doomed');
+
+      const res = await request('DELETE', `/api/posts/${doomed.id}`, null, bob.token);
+      assert.strictEqual(res.status, 204);
+
+      const feed = await request('GET', `/api/feed/${alice.id}`);
+      assert.deepStrictEqual(feed.body.items.map((p) => p.id), [kept.id]);
+    });
+
+    it('should page through the timeline without overlap', async () => {
+      const alice = await createUser('alice_tpage', 'Alice TPage');
+      const bob = await createUser('bob_tpage', 'Bob TPage');
+      await follow(alice, bob);
+      const created = [];
+      for (let i = 0; i < 5; i += 1) created.push((await createPost(bob, `Post ${i}`)).id);
+
+      const seen = [];
+      let cursor = null;
+      do {
+        const res = await request('GET', `/api/feed/${alice.id}?limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+        assert.strictEqual(res.status, 200);
+        seen.push(...res.body.items.map((p) => p.id));
+        cursor = res.body.nextCursor;
+      } while (cursor);
+
+      // Same-millisecond posts tie-break on id, so compare membership only
+      assert.strictEqual(seen.length, 5);
+      assert.deepStrictEqual(seen.slice().sort(), created.sort());
+    });
+  });
+
+  describe('GET /api/feed/:userId?mode=ranked', () => {
+    it('should rank an engaged post above an equally recent quiet one', async () => {
+      const alice = await createUser('alice_rank', 'Alice Rank');
+      const bob = await createUser('bob_rank', 'Bob Rank');
+      const carol = await createUser('carol_rank', 'Carol Rank');
+      await follow(alice, bob);
+
+      const quiet = await createPost(bob, 'Quiet post');
+      const popular = await createPost(bob, 'Popular post');
+      const sameTime = new Date(Date.now() - 60 * 1000).toISOString();
+      storage.posts[quiet.id].createdAt = sameTime;
+      storage.posts[popular.id].createdAt = sameTime;
+      await like(bob, popular.id);
+      await like(carol, popular.id);
+
+      const res = await request('GET', `/api/feed/${alice.id}?mode=ranked`);
+
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.body.items.map((p) => p.id), [popular.id, quiet.id]);
+    });
+
+    it('should boost authors whose posts the viewer has liked before', async () => {
+      const alice = await createUser('alice_aff', 'Alice Aff');
+      const bob = await createUser('bob_aff', 'Bob Aff');
+      const carol = await createUser('carol_aff', 'Carol Aff');
+      await follow(alice, bob);
+      await follow(alice, carol);
+
+      const oldBob = await createPost(bob, 'Old Bob post');
+      await like(alice, oldBob.id);
+      storage.posts[oldBob.id].createdAt = new Date(Date.now() - 48 * 3600 * 1000).toISOString();
+      // Undo the like's effect on engagement so only affinity differs
+      storage.posts[oldBob.id].likesCount = 0;
+
+      const bobPost = await createPost(bob, 'New Bob post');
+      const carolPost = await createPost(carol, 'New Carol post');
+      const sameTime = new Date(Date.now() - 60 * 1000).toISOString();
+      storage.posts[bobPost.id].createdAt = sameTime;
+      storage.posts[carolPost.id].createdAt = sameTime;
+
+      const res = await request('GET', `/api/feed/${alice.id}?mode=ranked&explain=1`);
+
+      assert.strictEqual(res.status, 200);
+      const ids = res.body.items.map((p) => p.id);
+      assert.ok(ids.indexOf(bobPost.id) < ids.indexOf(carolPost.id), 'Bob should outrank Carol');
+      const bobRanking = res.body.items.find((p) => p.id === bobPost.id).ranking;
+      assert.ok(bobRanking.parts.affinity > 0);
+    });
+
+    it('should explain each post\'s score parts only when explain=1', async () => {
+      const alice = await createUser('alice_exp', 'Alice Exp');
+      const bob = await createUser('bob_exp', 'Bob Exp');
+      await follow(alice, bob);
+      await createPost(bob, 'Explain me');
+
+      const plain = await request('GET', `/api/feed/${alice.id}?mode=ranked`);
+      assert.strictEqual(plain.body.items[0].ranking, undefined);
+      assert.strictEqual(plain.body.weights, undefined);
+
+      const res = await request('GET', `/api/feed/${alice.id}?mode=ranked&explain=1`);
+      const { ranking } = res.body.items[0];
+      assert.deepStrictEqual(
+        Object.keys(ranking.parts).sort(),
+        ['affinity', 'comments', 'likes', 'media', 'recency']
+      );
+      const sum = Object.values(ranking.parts).reduce((a, b) => a + b, 0);
+      assert.ok(Math.abs(sum - ranking.score) < 0.001, 'score should be the sum of its parts');
+      assert.ok(res.body.weights, 'weights should be echoed for tuning');
+    });
+
+    it('should page through ranked results without overlap', async () => {
+      const alice = await createUser('alice_rpage', 'Alice RPage');
+      const bob = await createUser('bob_rpage', 'Bob RPage');
+      await follow(alice, bob);
+      for (let i = 0; i < 5; i += 1) await createPost(bob, `Ranked ${i}`);
+
+      const seen = [];
+      let cursor = null;
+      do {
+        const qs = `mode=ranked&limit=2${cursor ? `&cursor=${cursor}` : ''}`;
+        const res = await request('GET', `/api/feed/${alice.id}?${qs}`);
+        assert.strictEqual(res.status, 200);
+        seen.push(...res.body.items.map((p) => p.id));
+        cursor = res.body.nextCursor;
+      } while (cursor);
+
+      assert.strictEqual(seen.length, 5);
+      assert.strictEqual(new Set(seen).size, 5);
+    });
+
+    it('should return 400 for an unknown mode or a chronological cursor', async () => {
+      const alice = await createUser('alice_bad', 'Alice Bad');
+
+      const badMode = await request('GET', `/api/feed/${alice.id}?mode=popular`);
+      assert.strictEqual(badMode.status, 400);
+
+      const badCursor = await request('GET', `/api/feed/${alice.id}?mode=ranked&cursor=abc`);
+      assert.strictEqual(badCursor.status, 400);
+    });
+  });
 });
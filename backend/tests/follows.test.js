@@ -12,9 +12,10 @@ let baseUrl;
  * @param {string} method - HTTP method (GET, POST, DELETE, etc.)
  * @param {string} path - Request path (e.g., '/api/follow')
  * @param {object} body - Optional request body
+ * @param {string} token - Optional bearer token
  * @returns {Promise} - { status, body }
  */
-function request(method, path, body = null) {
+function request(method, path, body = null, token = null) {
   return new Promise((resolve, reject) => {
     const url = new URL(path, baseUrl);
     // Serialize body up-front so we can set Content-Length (required for
@@ -29,6 +30,7 @@ function request(method, path, body = null) {
       headers: {
         'Content-Type': 'application/json',
         ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
       },
     };
     const req = http.request(options, (res) => {
@@ -47,6 +49,17 @@ function request(method, path, body = null) {
   });
 }
 
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
 describe('Follows API', () => {
   // Start server before all tests
   before((_, done) => {
@@ -69,119 +82,86 @@ describe('Follows API', () => {
 
   describe('POST /api/follow - Follow a user', () => {
     it('should follow a user with valid data', async () => {
-      const user1Res = await request('POST', '/api/users', {
-        username: 'user1',
-        displayName: 'User One',
-      });
-      const user2Res = await request('POST', '/api/users', {
-        username: 'user2',
-        displayName: 'User Two',
-      });
+      const user1 = await createUser('user1', 'User One');
+      const user2 = await createUser('user2', 'User Two');
 
       const res = await request('POST', '/api/follow', {
-        followerId: user1Res.body.id,
-        followeeId: user2Res.body.id,
-      });
+        followeeId: user2.id,
+      }, user1.token);
 
       assert.strictEqual(res.status, 201);
-      assert.strictEqual(res.body.followerId, user1Res.body.id);
-      assert.strictEqual(res.body.followeeId, user2Res.body.id);
+      assert.strictEqual(res.body.followerId, user1.id);
+      assert.strictEqual(res.body.followeeId, user2.id);
     });
 
-    it('should return 400 when followerId is missing', async () => {
-      const user2Res = await request('POST', '/api/users', {
-        username: 'user2',
-        displayName: 'User Two',
-      });
+    it('should return 401 when not authenticated', async () => {
+      const user2 = await createUser('user2', 'User Two');
 
       const res = await request('POST', '/api/follow', {
-        followeeId: user2Res.body.id,
+        followeeId: user2.id,
       });
 
-      assert.strictEqual(res.status, 400);
+      assert.strictEqual(res.status, 401);
       assert.ok(res.body.error);
     });
 
     it('should return 400 when followeeId is missing', async () => {
-      const user1Res = await request('POST', '/api/users', {
-        username: 'user1',
-        displayName: 'User One',
-      });
+      const user1 = await createUser('user1', 'User One');
 
-      const res = await request('POST', '/api/follow', {
-        followerId: user1Res.body.id,
-      });
+      const res = await request('POST', '/api/follow', {}, user1.token);
 
       assert.strictEqual(res.status, 400);
       assert.ok(res.body.error);
     });
 
     it('should return 400 when followerId equals followeeId (self-follow)', async () => {
-      const user1Res = await request('POST', '/api/users', {
-        username: 'user1',
-        displayName: 'User One',
-      });
+      const user1 = await createUser('user1', 'User One');
 
       const res = await request('POST', '/api/follow', {
-        followerId: user1Res.body.id,
-        followeeId: user1Res.body.id,
-      });
+        followeeId: user1.id,
+      }, user1.token);
 
       assert.strictEqual(res.status, 400);
       assert.ok(res.body.error);
     });
 
-    it('should return 404 when follower user not found', async () => {
-      const user2Res = await request('POST', '/api/users', {
-        username: 'user2',
-        displayName: 'User Two',
-      });
+    it('should return 403 when following on behalf of another user', async () => {
+      const user1 = await createUser('user1', 'User One');
+      const user2 = await createUser('user2', 'User Two');
 
       const res = await request('POST', '/api/follow', {
         followerId: 'non-existent-user',
-        followeeId: user2Res.body.id,
-      });
+        followeeId: user2.id,
+      }, user1.token);
 
-      assert.strictEqual(res.status, 404);
+      assert.strictEqual(res.status, 403);
       assert.ok(res.body.error);
     });
 
     it('should return 404 when followee user not found', async () => {
-      const user1Res = await request('POST', '/api/users', {
-        username: 'user1',
-        displayName: 'User One',
-      });
+      const user1 = await createUser('user1', 'User One');
 
       const res = await request('POST', '/api/follow', {
-        followerId: user1Res.body.id,
         followeeId: 'non-existent-user',
-      });
+      }, user1.token);
 
       assert.strictEqual(res.status, 404);
       assert.ok(res.body.error);
     });
 
     it('should return 400 when already following', async () => {
-      const user1Res = await request('POST', '/api/users', {
-        username: 'user1',
-        displayName: 'User One',
-      });
-      const user2Res = await request('POST', '/api/users', {
-        username: 'user2',
-        displayName: 'User Two',
-      });
+      const user1 = await createUser('user1', 'User One');
+      const user2 = await createUser('user2', 'User Two');
 
       // Follow once
       await request('POST', '/api/follow', {
-        followerId: user1Res.body.id,
-        followeeId: user2Res.body.id,
-      });
+        followeeId: user2.id,
+      }, user1.token);
 
       // Try to follow again
       const res = await request('POST', '/api/follow', {
-        followerId: user1Res.body.id,
-        followeeId: user2Res.body.id,
-      });
+        followeeId: user2.id,
+      }, user1.token);
 
       assert.strictEqual(res.status, 400);
       assert.ok(res.body.error);
@@ -190,78 +170,55 @@ describe('Follows API', () => {
 
   describe('DELETE /api/follow - Unfollow a user', () => {
     it('should unfollow successfully and return 200', async () => {
-      const user1Res = await request('POST', '/api/users', {
-        username: 'user1',
-        displayName: 'User One',
-      });
-      const user2Res = await request('POST', '/api/users', {
-        username: 'user2',
-        displayName: 'User Two',
-      });
+      const user1 = await createUser('user1', 'User One');
+      const user2 = await createUser('user2', 'User Two');
 
       // Follow first
       await request('POST', '/api/follow', {
-        followerId: user1Res.body.id,
-        followeeId: user2Res.body.id,
-      });
+        followeeId: user2.id,
+      }, user1.token);
 
       // Then unfollow
       const res = await request('DELETE', '/api/follow', {
-        followerId: user1Res.body.id,
-        followeeId: user2Res.body.id,
-      });
+        followeeId: user2.id,
+      }, user1.token);
 
       assert.strictEqual(res.status, 200);
       assert.ok(res.body.message);
 
       // Verify unfollowed
-      const followingRes = await request('GET', `/api/users/${user1Res.body.id}/following`);
-      assert.strictEqual(followingRes.body.length, 0);
+      const followingRes = await request('GET', `/api/users/${user1.id}/following`);
+      assert.strictEqual(followingRes.body.items.length, 0);
     });
 
     it('should return 404 when follow relationship not found', async () => {
-      const user1Res = await request('POST', '/api/users', {
-        username: 'user1',
-        displayName: 'User One',
-      });
-      const user2Res = await request('POST', '/api/users', {
-        username: 'user2',
-        displayName: 'User Two',
-      });
+      const user1 = await createUser('user1', 'User One');
+      const user2 = await createUser('user2', 'User Two');
 
       // Try to unfollow without following
       const res = await request('DELETE', '/api/follow', {
-        followerId: user1Res.body.id,
-        followeeId: user2Res.body.id,
-      });
+        followeeId: user2.id,
+      }, user1.token);
 
       assert.strictEqual(res.status, 404);
       assert.ok(res.body.error);
     });
 
-    it('should return 400 when followerId is missing', async () => {
-      const user2Res = await request('POST', '/api/users', {
-        username: 'user2',
-        displayName: 'User Two',
-      });
+    it('should return 401 when not authenticated', async () => {
+      const user2 = await createUser('user2', 'User Two');
 
       const res = await request('DELETE', '/api/follow', {
-        followeeId: user2Res.body.id,
+        followeeId: user2.id,
       });
 
-      assert.strictEqual(res.status, 400);
+      assert.strictEqual(res.status, 401);
       assert.ok(res.body.error);
     });
 
     it('should return 400 when followeeId is missing', async () => {
-      const user1Res = await request('POST', '/api/users', {
-        username: 'user1',
-        displayName: 'User One',
-      });
+      const user1 = await createUser('user1', 'User One');
 
-      const res = await request('DELETE', '/api/follow', {
-        followerId: user1Res.body.id,
-      });
+      const res = await request('DELETE', '/api/follow', {}, user1.token);
 
       assert.strictEqual(res.status, 400);
       assert.ok(res.body.error);
@@ -0,0 +1,277 @@
+/**
+ * tests/friends.test.js
+ *
+ * Tests for friend requests and friendships:
+ *   POST   /api/friend-requests             — send
+ *   POST   /api/friend-requests/:id/accept  — accept (recipient)
+ *   POST   /api/friend-requests/:id/decline — decline (recipient)
+ *   DELETE /api/friend-requests/:id         — cancel (sender)
+ *   DELETE /api/friends/:id                 — unfriend
+ *   GET    /api/users/:id/friend-requests   — incoming / outgoing lists
+ *   GET    /api/users/:id                   — friendCount + relationship
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, POST, DELETE, etc.)
+ * @param {string} path   - Request path
+ * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function request(method, path, body = null, token = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    // Serialize body up-front so we can set Content-Length (required for
+    // DELETE requests, otherwise express.json() skips parsing and req.body
+    // ends up undefined, causing destructuring errors in the routes).
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+/** Send a friend request from `from` to `to` and return it. */
+async function sendRequest(from, to) {
+  const res = await request('POST', '/api/friend-requests', { toId: to.id }, from.token);
+  assert.strictEqual(res.status, 201, `sendRequest failed: ${JSON.stringify(res.body)}`);
+  return res.body;
+}
+
+/** Make `a` and `b` friends via a request from a that b accepts. */
+async function befriend(a, b) {
+  const req = await sendRequest(a, b);
+  const res = await request('POST', `/api/friend-requests/${req.id}/accept`, {}, b.token);
+  assert.strictEqual(res.status, 200, `accept failed: ${JSON.stringify(res.body)}`);
+  return res.body;
+}
+
+describe('Friends API', () => {
+  let alice;
+  let bob;
+
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    storage.reset();
+    alice = await createUser('alice', 'Alice');
+    bob = await createUser('bob', 'Bob');
+  });
+
+  describe('POST /api/friend-requests', () => {
+    it('should create a pending request from the signed-in user', async () => {
+      const res = await request('POST', '/api/friend-requests', { toId: bob.id }, alice.token);
+
+      assert.strictEqual(res.status, 201);
+      assert.ok(res.body.id);
+      assert.strictEqual(res.body.fromId, alice.id);
+      assert.strictEqual(res.body.toId, bob.id);
+    });
+
+    it('should return 401 when not authenticated', async () => {
+      const res = await request('POST', '/api/friend-requests', { toId: bob.id });
+      assert.strictEqual(res.status, 401);
+    });
+
+    it('should return 400 for a missing toId or a self request', async () => {
+      const missing = await request('POST', '/api/friend-requests', {}, alice.token);
+      assert.strictEqual(missing.status, 400);
+
+      const self = await request('POST', '/api/friend-requests', { toId: alice.id }, alice.token);
+      assert.strictEqual(self.status, 400);
+    });
+
+    it('should return 404 for an unknown user', async () => {
+      const res = await request('POST', '/api/friend-requests', { toId: 'nobody' }, alice.token);
+      assert.strictEqual(res.status, 404);
+    });
+
+    it('should return 400 for a duplicate, crossed or already-accepted request', async () => {
+      await sendRequest(alice, bob);
+
+      const duplicate = await request('POST', '/api/friend-requests', { toId: bob.id }, alice.token);
+      assert.strictEqual(duplicate.status, 400);
+
+      const crossed = await request('POST', '/api/friend-requests', { toId: alice.id }, bob.token);
+      assert.strictEqual(crossed.status, 400);
+
+      const carol = await createUser('carol', 'Carol');
+      await befriend(alice, carol);
+      const again = await request('POST', '/api/friend-requests', { toId: carol.id }, alice.token);
+      assert.strictEqual(again.status, 400);
+    });
+  });
+
+  describe('Request lifecycle', () => {
+    it('should make both users friends on accept', async () => {
+      const friendship = await befriend(alice, bob);
+
+      assert.deepStrictEqual(friendship.userIds, [alice.id, bob.id].sort());
+
+      const aliceProfile = await request('GET', `/api/users/${alice.id}`, null, bob.token);
+      const bobProfile = await request('GET', `/api/users/${bob.id}`, null, alice.token);
+      assert.strictEqual(aliceProfile.body.friendCount, 1);
+      assert.strictEqual(bobProfile.body.friendCount, 1);
+      assert.strictEqual(bobProfile.body.relationship, 'friends');
+
+      const pending = await request('GET', `/api/users/${bob.id}/friend-requests`, null, bob.token);
+      assert.deepStrictEqual(pending.body.items, [], 'accepted request should no longer be pending');
+    });
+
+    it('should only let the recipient accept or decline', async () => {
+      const req = await sendRequest(alice, bob);
+
+      const accept = await request('POST', `/api/friend-requests/${req.id}/accept`, {}, alice.token);
+      assert.strictEqual(accept.status, 403);
+
+      const decline = await request('POST', `/api/friend-requests/${req.id}/decline`, {}, alice.token);
+      assert.strictEqual(decline.status, 403);
+    });
+
+    it('should drop the request without a friendship on decline', async () => {
+      const req = await sendRequest(alice, bob);
+
+      const res = await request('POST', `/api/friend-requests/${req.id}/decline`, {}, bob.token);
+      assert.strictEqual(res.status, 200);
+
+      const profile = await request('GET', `/api/users/${bob.id}`, null, alice.token);
+      assert.strictEqual(profile.body.friendCount, 0);
+      assert.strictEqual(profile.body.relationship, 'none');
+
+      const again = await request('POST', `/api/friend-requests/${req.id}/accept`, {}, bob.token);
+      assert.strictEqual(again.status, 404);
+    });
+
+    it('should only let the sender cancel', async () => {
+      const req = await sendRequest(alice, bob);
+
+      const byRecipient = await request('DELETE', `/api/friend-requests/${req.id}`, null, bob.token);
+      assert.strictEqual(byRecipient.status, 403);
+
+      const bySender = await request('DELETE', `/api/friend-requests/${req.id}`, null, alice.token);
+      assert.strictEqual(bySender.status, 200);
+
+      const outgoing = await request(
+        'GET', `/api/users/${alice.id}/friend-requests?direction=outgoing`, null, alice.token
+      );
+      assert.deepStrictEqual(outgoing.body.items, []);
+    });
+
+    it('should end the friendship for both users on unfriend', async () => {
+      await befriend(alice, bob);
+
+      const res = await request('DELETE', `/api/friends/${alice.id}`, null, bob.token);
+      assert.strictEqual(res.status, 200);
+
+      const profile = await request('GET', `/api/users/${alice.id}`, null, bob.token);
+      assert.strictEqual(profile.body.friendCount, 0);
+      assert.strictEqual(profile.body.relationship, 'none');
+
+      const again = await request('DELETE', `/api/friends/${bob.id}`, null, alice.token);
+      assert.strictEqual(again.status, 404);
+    });
+  });
+
+  describe('GET /api/users/:id/friend-requests', () => {
+    it('should list incoming by default and outgoing on request, with both users', async () => {
+      const req = await sendRequest(alice, bob);
+
+      const incoming = await request('GET', `/api/users/${bob.id}/friend-requests`, null, bob.token);
+      assert.strictEqual(incoming.status, 200);
+      assert.strictEqual(incoming.body.items.length, 1);
+      assert.strictEqual(incoming.body.items[0].id, req.id);
+      assert.strictEqual(incoming.body.items[0].from.username, 'alice');
+      assert.strictEqual(incoming.body.items[0].to.username, 'bob');
+
+      const outgoing = await request(
+        'GET', `/api/users/${bob.id}/friend-requests?direction=outgoing`, null, bob.token
+      );
+      assert.deepStrictEqual(outgoing.body.items, []);
+    });
+
+    it('should return 403 for another user\'s requests and 400 for a bad direction', async () => {
+      const other = await request('GET', `/api/users/${bob.id}/friend-requests`, null, alice.token);
+      assert.strictEqual(other.status, 403);
+
+      const bad = await request(
+        'GET', `/api/users/${bob.id}/friend-requests?direction=sideways`, null, bob.token
+      );
+      assert.strictEqual(bad.status, 400);
+    });
+  });
+
+  describe('GET /api/users/:id relationship', () => {
+    it('should report pending in both directions and following for a one-way follow', async () => {
+      await sendRequest(alice, bob);
+      const sent = await request('GET', `/api/users/${bob.id}`, null, alice.token);
+      const received = await request('GET', `/api/users/${alice.id}`, null, bob.token);
+      assert.strictEqual(sent.body.relationship, 'pending');
+      assert.strictEqual(received.body.relationship, 'pending');
+
+      const carol = await createUser('carol', 'Carol');
+      await request('POST', '/api/follow', { followeeId: carol.id }, alice.token);
+      const following = await request('GET', `/api/users/${carol.id}`, null, alice.token);
+      assert.strictEqual(following.body.relationship, 'following');
+    });
+
+    it('should be null for anonymous viewers and for the user themselves', async () => {
+      const anonymous = await request('GET', `/api/users/${bob.id}`);
+      const self = await request('GET', `/api/users/${bob.id}`, null, bob.token);
+
+      assert.strictEqual(anonymous.body.relationship, null);
+      assert.strictEqual(self.body.relationship, null);
+    });
+  });
+});
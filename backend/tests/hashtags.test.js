@@ -0,0 +1,230 @@
+/**
+ * tests/hashtags.test.js
+ *
+ * Tests for post entities (hashtags, @mentions, links with offsets) and the
+ * Hashtags API:
+ *   GET /api/hashtags/:tag/posts — posts using a hashtag
+ *   GET /api/hashtags/trending   — most used hashtags in a time window
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+const repositories = require('../repositories');
+const { buildIndexes } = require('../indexes');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, POST, PATCH, etc.)
+ * @param {string} path   - Request path
+ * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function request(method, path, body = null, token = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+describe('Hashtags API', () => {
+  let alice;
+  let bob;
+
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    storage.reset();
+    alice = await createUser('alice', 'Alice');
+    bob = await createUser('Bob_99', 'Bob');
+  });
+
+  /** Create a post as `user` and return the response body. */
+  async function postAs(user, content, extra = {}) {
+    const res = await request('POST', '/api/posts', { content, ...extra }, user.token);
+    assert.strictEqual(res.status, 201, `post failed: ${JSON.stringify(res.body)}`);
+    return res.body;
+  }
+
+  /** Store a post directly with the given createdAt (for time windows). */
+  function postAt(author, content, createdAt) {
+    return request('POST', '/api/posts', { content }, author.token).then(({ body }) => {
+      repositories.posts.remove(body.id);
+      return repositories.posts.create({ ...body, createdAt });
+    });
+  }
+
+  const slice = (content, entity) => content.slice(entity.start, entity.end);
+  const tagsIn = (res) => res.body.items.map((t) => [t.tag, t.count]);
+
+  describe('Post entities', () => {
+    it('should return hashtags, mentions and links with offsets', async () => {
+      const content = 'Thanks @bob_99 🎉 for #NodeJS tips: https://nodejs.org/en/docs. #node_js';
+      const post = await postAs(alice, content);
+      const { hashtags, mentions, urls } = post.entities;
+
+      assert.deepStrictEqual(hashtags.map((h) => h.tag), ['NodeJS', 'node_js']);
+      assert.deepStrictEqual(hashtags.map((h) => slice(post.content, h)), ['#NodeJS', '#node_js']);
+      assert.strictEqual(mentions.length, 1);
+      assert.strictEqual(mentions[0].userId, bob.id);
+      assert.strictEqual(mentions[0].username, 'Bob_99', 'resolved case-insensitively');
+      assert.strictEqual(slice(post.content, mentions[0]), '@bob_99');
+      assert.deepStrictEqual(urls.map((u) => u.url), ['https://nodejs.org/en/docs']);
+      assert.strictEqual(slice(post.content, urls[0]), 'https://nodejs.org/en/docs');
+    });
+
+    it('should skip unknown users, emails, and tags inside links', async () => {
+      const post = await postAs(alice, 'Mail me@example.com or @nobody, see (https://x.io/a#frag) #1 #ok');
+      const { hashtags, mentions, urls } = post.entities;
+
+      assert.deepStrictEqual(mentions, []);
+      assert.deepStrictEqual(urls.map((u) => u.url), ['https://x.io/a#frag']);
+      assert.deepStrictEqual(hashtags.map((h) => h.tag), ['ok'], 'numbers alone are not hashtags');
+    });
+
+    it('should offset entities in the trimmed content and re-parse on edit', async () => {
+      const post = await postAs(alice, '   #first post');
+      assert.strictEqual(post.entities.hashtags[0].start, 0);
+
+      const edited = await request('PATCH', `/api/posts/${post.id}`, { content: 'now #second' }, alice.token);
+      assert.deepStrictEqual(edited.body.entities.hashtags.map((h) => h.tag), ['second']);
+    });
+
+    it('should parse posts stored without entities on read', async () => {
+      repositories.posts.create({
+        id: 'old', authorId: alice.id, content: 'Old #Throwback for @alice', createdAt: '2023-01-01T00:00:00.000Z', likesCount: 0, commentsCount: 0,
+      });
+
+      const res = await request('GET', '/api/posts/old');
+      assert.deepStrictEqual(res.body.entities.hashtags.map((h) => h.tag), ['Throwback']);
+      assert.strictEqual(res.body.entities.mentions[0].userId, alice.id);
+      const tagged = await request('GET', '/api/hashtags/throwback/posts');
+      assert.deepStrictEqual(tagged.body.items.map((p) => p.id), ['old']);
+    });
+  });
+
+  describe('GET /api/hashtags/:tag/posts', () => {
+    it('should list posts using the tag, newest first, ignoring case', async () => {
+      const first = await postAs(alice, 'Learning #JavaScript');
+      await postAs(bob, 'Unrelated');
+      const second = await postAs(bob, '#javascript again #JAVASCRIPT');
+
+      const res = await request('GET', '/api/hashtags/JavaScript/posts');
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.body.items.map((p) => p.id), [second.id, first.id]);
+      assert.strictEqual(res.body.items[0].author.id, bob.id);
+
+      const withHash = await request('GET', '/api/hashtags/%23javascript/posts?limit=1');
+      assert.deepStrictEqual(withHash.body.items.map((p) => p.id), [second.id]);
+      assert.ok(withHash.body.nextCursor);
+    });
+
+    it('should follow edits and deletes, and hide posts the viewer cannot see', async () => {
+      const edited = await postAs(alice, '#coffee time');
+      const deleted = await postAs(alice, 'more #coffee');
+      await postAs(alice, 'secret #coffee', { visibility: 'only_me' });
+
+      await request('PATCH', `/api/posts/${edited.id}`, { content: 'tea time' }, alice.token);
+      await request('DELETE', `/api/posts/${deleted.id}`, null, alice.token);
+
+      const res = await request('GET', '/api/hashtags/coffee/posts', null, bob.token);
+      assert.deepStrictEqual(res.body.items, []);
+      const own = await request('GET', '/api/hashtags/coffee/posts', null, alice.token);
+      assert.strictEqual(own.body.items.length, 1);
+    });
+
+    it('should keep the index when it is rebuilt from stored posts', async () => {
+      const post = await postAs(alice, '#rebuild me');
+      storage.indexes = buildIndexes(storage);
+
+      const res = await request('GET', '/api/hashtags/rebuild/posts');
+      assert.deepStrictEqual(res.body.items.map((p) => p.id), [post.id]);
+    });
+
+    it('should return 400 for something that is not a hashtag', async () => {
+      const res = await request('GET', '/api/hashtags/no-dashes/posts');
+      assert.strictEqual(res.status, 400);
+    });
+  });
+
+  describe('GET /api/hashtags/trending', () => {
+    it('should rank tags by posts in the window, most recently used first on ties', async () => {
+      const hoursAgo = (h) => new Date(Date.now() - h * 3600000).toISOString();
+      await postAt(alice, '#old #old #old', hoursAgo(30));
+      await postAt(alice, '#old', hoursAgo(29));
+      await postAt(alice, '#busy #quiet', hoursAgo(5));
+      await postAt(bob, '#Busy twice #busy', hoursAgo(3));
+      await postAt(bob, '#tied', hoursAgo(2));
+      await postAt(bob, '#hidden', hoursAgo(1)).then((p) => repositories.posts.update(p.id, { visibility: 'only_me' }));
+
+      const res = await request('GET', '/api/hashtags/trending', null, alice.token);
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(tagsIn(res), [['busy', 2], ['tied', 1], ['quiet', 1]]);
+      assert.strictEqual(res.body.window.hours, 24);
+
+      const wider = await request('GET', '/api/hashtags/trending?hours=48&limit=2');
+      assert.deepStrictEqual(tagsIn(wider), [['busy', 2], ['old', 2]]);
+    });
+
+    it('should validate hours and limit', async () => {
+      const badHours = await request('GET', '/api/hashtags/trending?hours=0');
+      const tooLong = await request('GET', '/api/hashtags/trending?hours=169');
+      const badLimit = await request('GET', '/api/hashtags/trending?limit=x');
+
+      assert.strictEqual(badHours.status, 400);
+      assert.strictEqual(tooLong.status, 400);
+      assert.strictEqual(badLimit.status, 400);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * tests/idempotency.test.js
+ *
+ * Tests for Idempotency-Key handling (idempotency.js) on the mutating routes
+ * of posts, likes, follows and users: replaying stored responses, refusing a
+ * key reused for another request, and expiry.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+const { MAX_KEY_LENGTH } = require('../idempotency');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method  - HTTP method (GET, POST, DELETE, etc.)
+ * @param {string} path    - Request path
+ * @param {object} body    - Optional request body
+ * @param {string} token   - Optional bearer token
+ * @param {object} headers - Optional extra request headers
+ * @returns {Promise<{ status: number, headers: object, body: any }>}
+ */
+function request(method, path, body = null, token = null, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+const withKey = (key) => ({ 'Idempotency-Key': key });
+
+describe('Idempotency keys', () => {
+  let alice;
+  let bob;
+
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    storage.reset();
+    alice = await createUser('alice', 'Alice');
+    bob = await createUser('bob', 'Bob');
+  });
+
+  describe('replays', () => {
+    it('should create one post when POST /api/posts is retried with the same key', async () => {
+      const first = await request('POST', '/api/posts', { content: 'Hello' }, alice.token, withKey('k1'));
+      const retry = await request('POST', '/api/posts', { content: 'Hello' }, alice.token, withKey('k1'));
+
+      assert.strictEqual(first.status, 201);
+      assert.strictEqual(first.headers['idempotent-replayed'], undefined);
+      assert.strictEqual(retry.status, 201);
+      assert.strictEqual(retry.headers['idempotent-replayed'], 'true');
+      assert.deepStrictEqual(retry.body, first.body);
+      assert.strictEqual(retry.headers.etag, first.headers.etag);
+
+      const list = await request('GET', `/api/users/${alice.id}/posts`);
+      assert.strictEqual(list.body.items.length, 1);
+    });
+
+    it('should replay a like instead of answering "already liked"', async () => {
+      const post = (await request('POST', '/api/posts', { content: 'Like me' }, alice.token)).body;
+      const path = `/api/posts/${post.id}/like`;
+
+      const first = await request('POST', path, {}, bob.token, withKey('like-1'));
+      const retry = await request('POST', path, {}, bob.token, withKey('like-1'));
+      assert.strictEqual(first.status, 201);
+      assert.strictEqual(retry.status, 201);
+      assert.deepStrictEqual(retry.body, first.body);
+
+      // Without a key the duplicate is still refused
+      const plain = await request('POST', path, {}, bob.token);
+      assert.strictEqual(plain.status, 400);
+    });
+
+    it('should replay a follow, with key order in the body ignored', async () => {
+      const body = { followeeId: alice.id, followerId: bob.id };
+      const reordered = { followerId: bob.id, followeeId: alice.id };
+      const first = await request('POST', '/api/follow', body, bob.token, withKey('f1'));
+      const retry = await request('POST', '/api/follow', reordered, bob.token, withKey('f1'));
+
+      assert.strictEqual(first.status, 201);
+      assert.strictEqual(retry.status, 201);
+      assert.strictEqual(retry.headers['idempotent-replayed'], 'true');
+    });
+
+    it('should replay an empty 204 for a retried delete', async () => {
+      const post = (await request('POST', '/api/posts', { content: 'Bye' }, alice.token)).body;
+
+      const first = await request('DELETE', `/api/posts/${post.id}`, null, alice.token, withKey('d1'));
+      const retry = await request('DELETE', `/api/posts/${post.id}`, null, alice.token, withKey('d1'));
+      assert.strictEqual(first.status, 204);
+      assert.strictEqual(retry.status, 204);
+      assert.strictEqual(retry.headers['idempotent-replayed'], 'true');
+    });
+
+    it('should keep keys apart per user', async () => {
+      const mine = await request('POST', '/api/posts', { content: 'Same' }, alice.token, withKey('shared'));
+      const theirs = await request('POST', '/api/posts', { content: 'Same' }, bob.token, withKey('shared'));
+
+      assert.strictEqual(theirs.status, 201);
+      assert.strictEqual(theirs.headers['idempotent-replayed'], undefined);
+      assert.notStrictEqual(theirs.body.id, mine.body.id);
+      assert.strictEqual(theirs.body.authorId, bob.id);
+    });
+  });
+
+  describe('mismatches and errors', () => {
+    it('should answer 422 for a key reused with a different body', async () => {
+      await request('POST', '/api/posts', { content: 'One' }, alice.token, withKey('k2'));
+      const res = await request('POST', '/api/posts', { content: 'Two' }, alice.token, withKey('k2'));
+
+      assert.strictEqual(res.status, 422);
+      assert.strictEqual(res.body.error.code, 'idempotency_key_reused');
+    });
+
+    it('should answer 422 for a key reused on another route', async () => {
+      const post = (await request('POST', '/api/posts', { content: 'Hi' }, alice.token, withKey('k3'))).body;
+      const res = await request('POST', `/api/posts/${post.id}/like`, {}, alice.token, withKey('k3'));
+      assert.strictEqual(res.status, 422);
+    });
+
+    it('should not store error responses', async () => {
+      const failed = await request('POST', '/api/posts', { content: '' }, alice.token, withKey('k4'));
+      assert.strictEqual(failed.status, 400);
+
+      const res = await request('POST', '/api/posts', { content: 'Fixed' }, alice.token, withKey('k4'));
+      assert.strictEqual(res.status, 201);
+    });
+
+    it('should reject an empty or overlong key', async () => {
+      const overlong = withKey('k'.repeat(MAX_KEY_LENGTH + 1));
+      const long = await request('POST', '/api/posts', { content: 'x' }, alice.token, overlong);
+      assert.strictEqual(long.status, 400);
+      assert.strictEqual(long.body.error.code, 'invalid_idempotency_key');
+
+      const empty = await request('POST', '/api/posts', { content: 'x' }, alice.token, withKey(''));
+      assert.strictEqual(empty.status, 400);
+    });
+  });
+
+  describe('expiry', () => {
+    it('should treat an expired key as new', async () => {
+      const first = await request('POST', '/api/posts', { content: 'Again' }, alice.token, withKey('k5'));
+      Object.values(storage.idempotencyKeys).forEach((record) => {
+        record.expiresAt = new Date(Date.now() - 1000).toISOString();
+      });
+
+      const retry = await request('POST', '/api/posts', { content: 'Again' }, alice.token, withKey('k5'));
+      assert.strictEqual(retry.status, 201);
+      assert.notStrictEqual(retry.body.id, first.body.id);
+    });
+
+    it('should drop expired records when storing new ones', async () => {
+      await request('POST', '/api/posts', { content: 'Old' }, alice.token, withKey('old'));
+      Object.values(storage.idempotencyKeys).forEach((record) => {
+        record.expiresAt = new Date(Date.now() - 1000).toISOString();
+      });
+
+      await request('POST', '/api/posts', { content: 'New' }, alice.token, withKey('new'));
+      assert.strictEqual(Object.keys(storage.idempotencyKeys).length, 1);
+    });
+  });
+
+  it('should document the header on idempotent routes', async () => {
+    const spec = (await request('GET', '/api/openapi.json')).body;
+    const names = (op) => op.parameters.map((p) => p.name);
+    assert.ok(names(spec.paths['/api/posts'].post).includes('Idempotency-Key'));
+    assert.ok(names(spec.paths['/api/follow'].delete).includes('Idempotency-Key'));
+    assert.ok(!names(spec.paths['/api/posts/{id}'].patch).includes('Idempotency-Key'));
+  });
+});
@@ -23,7 +23,7 @@ let baseUrl;
  * @param {object} body   - Optional request body
  * @returns {Promise<{ status: number, body: any }>}
  */
-function request(method, path, body = null) {
+function request(method, path, body = null, token = null) {
   return new Promise((resolve, reject) => {
     const url = new URL(path, baseUrl);
     // Serialize body up-front so we can set Content-Length (required for
@@ -38,6 +38,7 @@ function request(method, path, body = null) {
       headers: {
         'Content-Type': 'application/json',
         ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
       },
     };
     const req = http.request(options, (res) => {
@@ -56,16 +57,20 @@ function request(method, path, body = null) {
   });
 }
 
-/** Create a user and return the response body. */
+/** Register a user and return the user object plus its session `token`. */
 async function createUser(username, displayName) {
-  const res = await request('POST', '/api/users', { username, displayName });
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
   assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
-  return res.body;
+  return { ...res.body.user, token: res.body.token };
 }
 
-/** Create a post and return the response body. */
-async function createPost(authorId, content = 'Test post content') {
-  const res = await request('POST', '/api/posts', { authorId, content });
+/** Create a post as `author` and return the response body. */
+async function createPost(author, content = 'Test post content') {
+  const res = await request('POST', '/api/posts', { content }, author.token);
   assert.strictEqual(res.status, 201, `createPost failed: ${JSON.stringify(res.body)}`);
   return res.body;
 }
@@ -96,9 +101,9 @@ describe('Likes API', () => {
   describe('POST /api/posts/:id/like — Like a post', () => {
     it('should like a post successfully and return 201 with userId, postId, likesCount', async () => {
       const user = await createUser('alice', 'Alice A');
-      const post = await createPost(user.id);
+      const post = await createPost(user);
 
-      const res = await request('POST', `/api/posts/${post.id}/like`, { userId: user.id });
+      const res = await request('POST', `/api/posts/${post.id}/like`, {}, user.token);
 
       assert.strictEqual(res.status, 201);
       assert.strictEqual(res.body.userId, user.id);
@@ -106,48 +111,46 @@ describe('Likes API', () => {
       assert.strictEqual(typeof res.body.likesCount, 'number');
     });
 
-    it('should return 400 when userId is missing', async () => {
+    it('should return 401 when not authenticated', async () => {
       const user = await createUser('bob', 'Bob B');
-      const post = await createPost(user.id);
+      const post = await createPost(user);
 
       const res = await request('POST', `/api/posts/${post.id}/like`, {});
 
-      assert.strictEqual(res.status, 400);
+      assert.strictEqual(res.status, 401);
       assert.ok(res.body.error, 'Expected error message in body');
     });
 
     it('should return 404 when post does not exist', async () => {
       const user = await createUser('carol', 'Carol C');
 
-      const res = await request('POST', '/api/posts/non-existent-post-id/like', {
-        userId: user.id,
-      });
+      const res = await request('POST', '/api/posts/non-existent-post-id/like', {}, user.token);
 
       assert.strictEqual(res.status, 404);
       assert.ok(res.body.error, 'Expected error message in body');
     });
 
-    it('should return 404 when user does not exist', async () => {
+    it('should return 403 when liking on behalf of another user', async () => {
       const user = await createUser('dave', 'Dave D');
-      const post = await createPost(user.id);
+      const post = await createPost(user);
 
       const res = await request('POST', `/api/posts/${post.id}/like`, {
-        userId: 'non-existent-user-id',
-      });
+        userId: 'some-other-user-id',
+      }, user.token);
 
-      assert.strictEqual(res.status, 404);
+      assert.strictEqual(res.status, 403);
       assert.ok(res.body.error, 'Expected error message in body');
     });
 
     it('should return 400 when user tries to like the same post twice (duplicate)', async () => {
       const user = await createUser('eve', 'Eve E');
-      const post = await createPost(user.id);
+      const post = await createPost(user);
 
       // Like it once
-      await request('POST', `/api/posts/${post.id}/like`, { userId: user.id });
+      await request('POST', `/api/posts/${post.id}/like`, {}, user.token);
 
       // Try to like again
-      const res = await request('POST', `/api/posts/${post.id}/like`, { userId: user.id });
+      const res = await request('POST', `/api/posts/${post.id}/like`, {}, user.token);
 
       assert.strictEqual(res.status, 400);
       assert.ok(res.body.error, 'Expected error message in body');
@@ -156,18 +159,18 @@ describe('Likes API', () => {
     it('should increment likesCount correctly after liking', async () => {
       const user1 = await createUser('frank', 'Frank F');
       const user2 = await createUser('grace', 'Grace G');
-      const post = await createPost(user1.id);
+      const post = await createPost(user1);
 
       // Initial likesCount is 0
       assert.strictEqual(post.likesCount, 0);
 
       // First like
-      const res1 = await request('POST', `/api/posts/${post.id}/like`, { userId: user1.id });
+      const res1 = await request('POST', `/api/posts/${post.id}/like`, {}, user1.token);
       assert.strictEqual(res1.status, 201);
       assert.strictEqual(res1.body.likesCount, 1);
 
       // Second like from a different user
-      const res2 = await request('POST', `/api/posts/${post.id}/like`, { userId: user2.id });
+      const res2 = await request('POST', `/api/posts/${post.id}/like`, {}, user2.token);
       assert.strictEqual(res2.status, 201);
       assert.strictEqual(res2.body.likesCount, 2);
     });
@@ -179,13 +182,13 @@ describe('Likes API', () => {
   describe('DELETE /api/posts/:id/like — Unlike a post', () => {
     it('should unlike a post successfully and return 200 with message and likesCount', async () => {
       const user = await createUser('hannah', 'Hannah H');
-      const post = await createPost(user.id);
+      const post = await createPost(user);
 
       // Like first
-      await request('POST', `/api/posts/${post.id}/like`, { userId: user.id });
+      await request('POST', `/api/posts/${post.id}/like`, {}, user.token);
 
       // Now unlike
-      const res = await request('DELETE', `/api/posts/${post.id}/like`, { userId: user.id });
+      const res = await request('DELETE', `/api/posts/${post.id}/like`, {}, user.token);
 
       assert.strictEqual(res.status, 200);
       assert.ok(res.body.message, 'Expected message in body');
@@ -194,41 +197,41 @@ describe('Likes API', () => {
 
     it('should return 404 when like does not exist (user never liked the post)', async () => {
       const user = await createUser('ivan', 'Ivan I');
-      const post = await createPost(user.id);
+      const post = await createPost(user);
 
       // Try to unlike without ever liking
-      const res = await request('DELETE', `/api/posts/${post.id}/like`, { userId: user.id });
+      const res = await request('DELETE', `/api/posts/${post.id}/like`, {}, user.token);
 
       assert.strictEqual(res.status, 404);
       assert.ok(res.body.error, 'Expected error message in body');
     });
 
-    it('should return 400 when userId is missing on unlike', async () => {
+    it('should return 401 when not authenticated on unlike', async () => {
       const user = await createUser('judy', 'Judy J');
-      const post = await createPost(user.id);
+      const post = await createPost(user);
 
       const res = await request('DELETE', `/api/posts/${post.id}/like`, {});
 
-      assert.strictEqual(res.status, 400);
+      assert.strictEqual(res.status, 401);
       assert.ok(res.body.error, 'Expected error message in body');
     });
 
     it('should decrement likesCount correctly after unliking', async () => {
       const user1 = await createUser('kyle', 'Kyle K');
       const user2 = await createUser('lisa', 'Lisa L');
-      const post = await createPost(user1.id);
+      const post = await createPost(user1);
 
       // Two users like the post
-      await request('POST', `/api/posts/${post.id}/like`, { userId: user1.id });
-      await request('POST', `/api/posts/${post.id}/like`, { userId: user2.id });
+      await request('POST', `/api/posts/${post.id}/like`, {}, user1.token);
+      await request('POST', `/api/posts/${post.id}/like`, {}, user2.token);
 
       // user1 unlikes → should be 1
-      const res = await request('DELETE', `/api/posts/${post.id}/like`, { userId: user1.id });
+      const res = await request('DELETE', `/api/posts/${post.id}/like`, {}, user1.token);
       assert.strictEqual(res.status, 200);
       assert.strictEqual(res.body.likesCount, 1);
 
       // user2 unlikes → should be 0
-      const res2 = await request('DELETE', `/api/posts/${post.id}/like`, { userId: user2.id });
+      const res2 = await request('DELETE', `/api/posts/${post.id}/like`, {}, user2.token);
       assert.strictEqual(res2.status, 200);
       assert.strictEqual(res2.body.likesCount, 0);
     });
@@ -241,19 +244,19 @@ describe('Likes API', () => {
     it('should return array of user objects who liked the post', async () => {
       const user1 = await createUser('mike', 'Mike M');
       const user2 = await createUser('nina', 'Nina N');
-      const post = await createPost(user1.id);
+      const post = await createPost(user1);
 
-      await request('POST', `/api/posts/${post.id}/like`, { userId: user1.id });
-      await request('POST', `/api/posts/${post.id}/like`, { userId: user2.id });
+      await request('POST', `/api/posts/${post.id}/like`, {}, user1.token);
+      await request('POST', `/api/posts/${post.id}/like`, {}, user2.token);
 
       const res = await request('GET', `/api/posts/${post.id}/likes`);
 
       assert.strictEqual(res.status, 200);
-      assert.ok(Array.isArray(res.body), 'Expected array of users');
-      assert.strictEqual(res.body.length, 2);
+      assert.ok(Array.isArray(res.body.items), 'Expected array of users');
+      assert.strictEqual(res.body.items.length, 2);
 
       // Ensure the returned objects have user IDs
-      const returnedIds = res.body.map((u) => u.id);
+      const returnedIds = res.body.items.map((u) => u.id);
       assert.ok(returnedIds.includes(user1.id), 'user1 should be in likers list');
       assert.ok(returnedIds.includes(user2.id), 'user2 should be in likers list');
     });
@@ -267,13 +270,13 @@ describe('Likes API', () => {
 
     it('should return empty array when post has no likes', async () => {
       const user = await createUser('oscar', 'Oscar O');
-      const post = await createPost(user.id);
+      const post = await createPost(user);
 
       const res = await request('GET', `/api/posts/${post.id}/likes`);
 
       assert.strictEqual(res.status, 200);
-      assert.ok(Array.isArray(res.body), 'Expected array');
-      assert.strictEqual(res.body.length, 0);
+      assert.ok(Array.isArray(res.body.items), 'Expected array');
+      assert.strictEqual(res.body.items.length, 0);
     });
   });
 });
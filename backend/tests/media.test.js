@@ -0,0 +1,522 @@
+/**
+ * tests/media.test.js
+ *
+ * Tests for media uploads:
+ *   POST /api/media     — multipart upload, sniffed by magic bytes, size
+ *                         limits, EXIF stripped from JPEGs
+ *   GET  /api/media/:id — serving, Range requests, visibility
+ * and attaching media to posts via mediaId or an ordered attachments list
+ * (reorder, remove one, deleted with the post).
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Keep uploads out of backend/data; read when media.js loads
+const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-test-'));
+process.env.MEDIA_DIR = mediaDir;
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+const repositories = require('../repositories');
+const { MAX_BYTES } = require('../media');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, POST, DELETE, etc.)
+ * @param {string} path   - Request path
+ * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function request(method, path, body = null, token = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    // Serialize body up-front so we can set Content-Length (required for
+    // DELETE requests, otherwise express.json() skips parsing and req.body
+    // ends up undefined, causing destructuring errors in the routes).
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+/**
+ * Like request(), but sends `body` as raw bytes and returns the raw response.
+ * @returns {Promise<{ status: number, headers: object, body: Buffer }>}
+ */
+function rawRequest(method, path, { headers = {}, body = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const req = http.request({
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        ...(body && { 'Content-Length': body.length }),
+        ...headers,
+      },
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/** POST `bytes` to /api/media as the "file" field; body parsed as JSON. */
+async function upload(user, bytes, { field = 'file', filename = 'upload.bin', contentType = 'application/octet-stream' } = {}) {
+  const boundary = '----media-test-boundary';
+  const body = Buffer.concat([
+    Buffer.from(`--${boundary}\r\n`
+      + `Content-Disposition: form-data; name="${field}"; filename="${filename}"\r\n`
+      + `Content-Type: ${contentType}\r\n\r\n`),
+    bytes,
+    Buffer.from(`\r\n--${boundary}--\r\n`),
+  ]);
+  const res = await rawRequest('POST', '/api/media', {
+    headers: {
+      'Content-Type': `multipart/form-data; boundary=${boundary}`,
+      ...(user && { Authorization: `Bearer ${user.token}` }),
+    },
+    body,
+  });
+  return { status: res.status, body: JSON.parse(res.body.toString()) };
+}
+
+/** Poll until check() is true, failing after `ms`. */
+async function waitFor(check, ms = 2000) {
+  const deadline = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('timed out waiting');
+    await new Promise((resolve) => { setTimeout(resolve, 10); });
+  }
+}
+
+const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+  Buffer.alloc(64, 7),
+]);
+
+/** A PNG header declaring width × height (enough for sniffing and sizing). */
+function png(width, height) {
+  const ihdr = Buffer.alloc(25);
+  ihdr.writeUInt32BE(13, 0);
+  ihdr.write('IHDR', 4, 'ascii');
+  ihdr.writeUInt32BE(width, 8);
+  ihdr.writeUInt32BE(height, 12);
+  return Buffer.concat([PNG.subarray(0, 8), ihdr]);
+}
+
+// 4 KB of distinct bytes behind an MP4 `ftyp` box, so ranges are checkable
+const MP4 = Buffer.concat([
+  Buffer.from([0x00, 0x00, 0x00, 0x18]),
+  Buffer.from('ftypisom', 'ascii'),
+  Buffer.from(Array.from({ length: 4096 }, (_, i) => i % 251)),
+]);
+
+/** SOI, JFIF APP0, EXIF APP1 carrying `secret`, a 640 × 480 SOF0, then a scan and EOI. */
+function jpegWithExif(secret) {
+  const segment = (marker, payload) => {
+    const header = Buffer.from([0xFF, marker, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+  };
+  return Buffer.concat([
+    Buffer.from([0xFF, 0xD8]),
+    segment(0xE0, Buffer.from('JFIF\0\x01\x02\0\0\x01\0\x01\0\0', 'binary')),
+    segment(0xE1, Buffer.from(`Exif\0\0${secret}`, 'binary')),
+    segment(0xC0, Buffer.from([0x08, 0x01, 0xE0, 0x02, 0x80, 0x01, 0x01, 0x11, 0x00])),
+    segment(0xDA, Buffer.from([0x01, 0x01, 0x00, 0x00, 0x3F, 0x00])),
+    Buffer.from([0x12, 0x34, 0x56, 0x78, 0xFF, 0xD9]),
+  ]);
+}
+
+describe('Media API', () => {
+  let alice;
+  let bob;
+
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    storage.reset();
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+    alice = await createUser('alice', 'Alice');
+    bob = await createUser('bob', 'Bob');
+  });
+
+  describe('POST /api/media', () => {
+    it('should store an image identified by its bytes, not its declared type', async () => {
+      const res = await upload(alice, PNG, { filename: 'photo.jpg', contentType: 'image/jpeg' });
+
+      assert.strictEqual(res.status, 201);
+      assert.strictEqual(res.body.kind, 'image');
+      assert.strictEqual(res.body.mimeType, 'image/png');
+      assert.strictEqual(res.body.size, PNG.length);
+      assert.strictEqual(res.body.ownerId, alice.id);
+      assert.strictEqual(res.body.postId, null);
+      assert.strictEqual(res.body.url, `/api/media/${res.body.id}`);
+
+      const file = await rawRequest('GET', res.body.url, { headers: { Authorization: `Bearer ${alice.token}` } });
+      assert.strictEqual(file.status, 200);
+      assert.strictEqual(file.headers['content-type'], 'image/png');
+      assert.deepStrictEqual(file.body, PNG);
+    });
+
+    it('should refuse files whose bytes are not a supported format', async () => {
+      const res = await upload(alice, Buffer.from('#!/bin/sh\necho not an image\n'), { contentType: 'image/png' });
+      assert.strictEqual(res.status, 415);
+      assert.deepStrictEqual(fs.readdirSync(mediaDir), [], 'rejected uploads leave no files behind');
+    });
+
+    it('should enforce the size limit for the detected kind', async () => {
+      const tooBig = Buffer.concat([PNG, Buffer.alloc(MAX_BYTES.image)]);
+      const res = await upload(alice, tooBig);
+      assert.strictEqual(res.status, 413);
+      assert.match(res.body.error.message, /image uploads are limited to 10 MB/);
+      assert.deepStrictEqual(fs.readdirSync(mediaDir), []);
+    });
+
+    it('should strip EXIF data from JPEGs', async () => {
+      const jpeg = jpegWithExif('GPS 51.5007 N 0.1246 W');
+      const res = await upload(alice, jpeg);
+      assert.strictEqual(res.status, 201);
+      assert.strictEqual(res.body.mimeType, 'image/jpeg');
+      assert.ok(res.body.size < jpeg.length);
+
+      const file = await rawRequest('GET', res.body.url, { headers: { Authorization: `Bearer ${alice.token}` } });
+      assert.ok(!file.body.includes('Exif'), 'EXIF segment removed');
+      assert.ok(!file.body.includes('GPS'), 'EXIF payload removed');
+      assert.ok(file.body.includes('JFIF'), 'other segments kept');
+      assert.strictEqual(res.body.size, file.body.length);
+      assert.strictEqual(res.body.width, 640);
+      assert.strictEqual(res.body.height, 480);
+      assert.deepStrictEqual(file.body.subarray(-6), Buffer.from([0x12, 0x34, 0x56, 0x78, 0xFF, 0xD9]));
+    });
+
+    it('should require a session and a "file" field', async () => {
+      const anonymous = await upload(null, PNG);
+      const wrongField = await upload(alice, PNG, { field: 'attachment' });
+      const notMultipart = await request('POST', '/api/media', { file: 'x' }, alice.token);
+
+      assert.strictEqual(anonymous.status, 401);
+      assert.strictEqual(wrongField.status, 400);
+      assert.strictEqual(notMultipart.status, 400);
+    });
+
+    it('should remove the partial file when the client goes away mid-upload', async () => {
+      const boundary = '----media-test-boundary';
+      const req = http.request(new URL('/api/media', baseUrl), {
+        method: 'POST',
+        headers: {
+          'Content-Type': `multipart/form-data; boundary=${boundary}`,
+          'Content-Length': 1024 * 1024,
+          Authorization: `Bearer ${alice.token}`,
+        },
+      });
+      req.on('error', () => {});
+      req.write(Buffer.concat([
+        Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="a.png"\r\n\r\n`),
+        PNG,
+      ]));
+
+      const partial = () => fs.existsSync(mediaDir) && fs.readdirSync(mediaDir).some((f) => f.endsWith('.upload'));
+      await waitFor(partial);
+      req.destroy();
+      await waitFor(() => !partial());
+
+      assert.deepStrictEqual(fs.readdirSync(mediaDir), []);
+      assert.strictEqual((await upload(alice, PNG)).status, 201, 'later uploads still work');
+    });
+  });
+
+  describe('GET /api/media/:id', () => {
+    it('should serve byte ranges of a video', async () => {
+      const { body: video } = await upload(alice, MP4);
+      assert.strictEqual(video.kind, 'video');
+      assert.strictEqual(video.mimeType, 'video/mp4');
+
+      const res = await rawRequest('GET', video.url, {
+        headers: { Authorization: `Bearer ${alice.token}`, Range: 'bytes=100-199' },
+      });
+      assert.strictEqual(res.status, 206);
+      assert.strictEqual(res.headers['accept-ranges'], 'bytes');
+      assert.strictEqual(res.headers['content-range'], `bytes 100-199/${MP4.length}`);
+      assert.deepStrictEqual(res.body, MP4.subarray(100, 200));
+    });
+
+    it('should only show unattached media to its uploader', async () => {
+      const { body: media } = await upload(alice, PNG);
+      const other = await rawRequest('GET', media.url, { headers: { Authorization: `Bearer ${bob.token}` } });
+      const anonymous = await rawRequest('GET', media.url);
+      const missing = await rawRequest('GET', '/api/media/nope');
+
+      assert.strictEqual(other.status, 404);
+      assert.strictEqual(anonymous.status, 404);
+      assert.strictEqual(missing.status, 404);
+    });
+  });
+
+  describe('Attaching media to posts', () => {
+    it('should fill in mediaType and mediaUrl from mediaId', async () => {
+      const { body: media } = await upload(alice, PNG);
+      const res = await request('POST', '/api/posts', { content: 'Look', mediaId: media.id }, alice.token);
+
+      assert.strictEqual(res.status, 201);
+      assert.strictEqual(res.body.mediaId, media.id);
+      assert.strictEqual(res.body.mediaType, 'image');
+      assert.strictEqual(res.body.mediaUrl, media.url);
+
+      const anonymous = await rawRequest('GET', media.url);
+      assert.strictEqual(anonymous.status, 200, 'public post: anyone may fetch its media');
+    });
+
+    it('should refuse media that is not yours, already used or of another kind', async () => {
+      const { body: media } = await upload(alice, PNG);
+
+      const notYours = await request('POST', '/api/posts', { content: 'Mine', mediaId: media.id }, bob.token);
+      const unknown = await request('POST', '/api/posts', { content: 'Hm', mediaId: 'nope' }, alice.token);
+      const wrongKind = await request('POST', '/api/posts', {
+        content: 'Vid', mediaId: media.id, mediaType: 'video',
+      }, alice.token);
+      await request('POST', '/api/posts', { content: 'First', mediaId: media.id }, alice.token);
+      const reused = await request('POST', '/api/posts', { content: 'Again', mediaId: media.id }, alice.token);
+
+      assert.strictEqual(notYours.status, 400);
+      assert.strictEqual(unknown.status, 400);
+      assert.strictEqual(wrongKind.status, 400);
+      assert.strictEqual(reused.status, 400);
+    });
+
+    it('should hide media of posts the viewer cannot see', async () => {
+      const { body: media } = await upload(alice, PNG);
+      await request('POST', '/api/posts', {
+        content: 'Just me', mediaId: media.id, visibility: 'only_me',
+      }, alice.token);
+
+      const other = await rawRequest('GET', media.url, { headers: { Authorization: `Bearer ${bob.token}` } });
+      const author = await rawRequest('GET', media.url, { headers: { Authorization: `Bearer ${alice.token}` } });
+      assert.strictEqual(other.status, 404);
+      assert.strictEqual(author.status, 200);
+    });
+
+    it('should delete the media with its post', async () => {
+      const { body: media } = await upload(alice, PNG);
+      const { body: post } = await request('POST', '/api/posts', { content: 'Bye', mediaId: media.id }, alice.token);
+
+      await request('DELETE', `/api/posts/${post.id}`, null, alice.token);
+
+      const res = await rawRequest('GET', media.url, { headers: { Authorization: `Bearer ${alice.token}` } });
+      assert.strictEqual(res.status, 404);
+      assert.ok(!fs.existsSync(path.join(mediaDir, media.id)), 'file removed from disk');
+    });
+  });
+
+  describe('Post attachments', () => {
+    /** Upload `count` PNGs for user and return their media records. */
+    async function uploadImages(user, count) {
+      const records = [];
+      for (let i = 0; i < count; i += 1) {
+        records.push((await upload(user, png(100 + i, 50 + i))).body);
+      }
+      return records;
+    }
+
+    it('should create a post with ordered attachments, alt text and dimensions', async () => {
+      const [first, second] = await uploadImages(alice, 2);
+      const { body: video } = await upload(alice, MP4);
+
+      const res = await request('POST', '/api/posts', {
+        content: 'Album',
+        attachments: [
+          { mediaId: second.id, alt: 'A wide view' },
+          { mediaId: video.id },
+          { mediaId: first.id, alt: 'Close-up' },
+        ],
+      }, alice.token);
+
+      assert.strictEqual(res.status, 201);
+      assert.deepStrictEqual(res.body.attachments, [
+        {
+          mediaId: second.id, type: 'image', mimeType: 'image/png', url: second.url, alt: 'A wide view', width: 101, height: 51,
+        },
+        {
+          mediaId: video.id, type: 'video', mimeType: 'video/mp4', url: video.url, alt: null, width: null, height: null,
+        },
+        {
+          mediaId: first.id, type: 'image', mimeType: 'image/png', url: first.url, alt: 'Close-up', width: 100, height: 50,
+        },
+      ]);
+      assert.strictEqual(res.body.mediaId, second.id, 'legacy fields mirror the first attachment');
+      assert.strictEqual(res.body.mediaType, 'image');
+
+      const fetched = await request('GET', `/api/posts/${res.body.id}`);
+      assert.deepStrictEqual(fetched.body.attachments, res.body.attachments);
+    });
+
+    it('should refuse duplicate media, too many attachments and bad alt text', async () => {
+      const images = await uploadImages(alice, 11);
+      const send = (attachments) => request('POST', '/api/posts', { content: 'x', attachments }, alice.token);
+
+      const duplicate = await send([{ mediaId: images[0].id }, { mediaId: images[0].id }]);
+      const tooMany = await send(images.map((m) => ({ mediaId: m.id })));
+      const badAlt = await send([{ mediaId: images[0].id, alt: 'x'.repeat(1001) }]);
+      const notArray = await send({ mediaId: images[0].id });
+      const both = await request('POST', '/api/posts', {
+        content: 'x', mediaId: images[0].id, attachments: [{ mediaId: images[1].id }],
+      }, alice.token);
+
+      assert.strictEqual(duplicate.status, 400);
+      assert.match(duplicate.body.error.message, /same media cannot be attached twice/);
+      assert.strictEqual(tooMany.status, 400);
+      assert.match(tooMany.body.error.message, /at most 10 attachments/);
+      assert.strictEqual(badAlt.status, 400);
+      assert.strictEqual(notArray.status, 400);
+      assert.strictEqual(both.status, 400);
+    });
+
+    it('should reorder attachments', async () => {
+      const [a, b, c] = await uploadImages(alice, 3);
+      const { body: post } = await request('POST', '/api/posts', {
+        content: 'Album', attachments: [{ mediaId: a.id }, { mediaId: b.id }, { mediaId: c.id }],
+      }, alice.token);
+      const reorder = (mediaIds, user = alice) => request('PUT', `/api/posts/${post.id}/attachments/order`, { mediaIds }, user.token);
+
+      const res = await reorder([c.id, a.id, b.id]);
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.body.attachments.map((x) => x.mediaId), [c.id, a.id, b.id]);
+      assert.strictEqual(res.body.mediaId, c.id);
+
+      assert.strictEqual((await reorder([c.id, a.id])).status, 400, 'must list every attachment');
+      assert.strictEqual((await reorder([c.id, a.id, a.id])).status, 400, 'no repeats');
+      assert.strictEqual((await reorder([c.id, a.id, b.id], bob)).status, 403);
+    });
+
+    it('should remove a single attachment and delete its media', async () => {
+      const [a, b] = await uploadImages(alice, 2);
+      const { body: post } = await request('POST', '/api/posts', {
+        content: 'Album', attachments: [{ mediaId: a.id }, { mediaId: b.id }],
+      }, alice.token);
+
+      const forbidden = await request('DELETE', `/api/posts/${post.id}/attachments/${a.id}`, null, bob.token);
+      assert.strictEqual(forbidden.status, 403);
+
+      const res = await request('DELETE', `/api/posts/${post.id}/attachments/${a.id}`, null, alice.token);
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.body.attachments.map((x) => x.mediaId), [b.id]);
+      assert.strictEqual(res.body.mediaId, b.id);
+      assert.ok(!fs.existsSync(path.join(mediaDir, a.id)));
+
+      const again = await request('DELETE', `/api/posts/${post.id}/attachments/${a.id}`, null, alice.token);
+      assert.strictEqual(again.status, 404);
+    });
+
+    it('should replace attachments with PATCH and delete dropped media', async () => {
+      const [a, b, c] = await uploadImages(alice, 3);
+      const { body: post } = await request('POST', '/api/posts', {
+        content: 'Album', attachments: [{ mediaId: a.id }, { mediaId: b.id }],
+      }, alice.token);
+      const { body: bobs } = await upload(bob, png(10, 10));
+
+      const res = await request('PATCH', `/api/posts/${post.id}`, {
+        attachments: [{ mediaId: c.id }, { mediaId: a.id, alt: 'Now described' }],
+      }, alice.token);
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.body.attachments.map((x) => [x.mediaId, x.alt]), [[c.id, null], [a.id, 'Now described']]);
+      assert.strictEqual(res.body.mediaId, c.id);
+      assert.strictEqual(res.body.revisionCount, 2);
+      assert.ok(!fs.existsSync(path.join(mediaDir, b.id)));
+      assert.strictEqual((await rawRequest('GET', c.url)).status, 200, 'kept media is now public with the post');
+
+      const foreign = await request('PATCH', `/api/posts/${post.id}`, {
+        attachments: [{ mediaId: bobs.id }],
+      }, alice.token);
+      assert.strictEqual(foreign.status, 400);
+    });
+
+    it('should show legacy single-media posts as a one-element list', async () => {
+      await request('POST', '/api/follow', { followeeId: alice.id }, bob.token);
+      // Stored before attachments existed: no attachments field at all
+      repositories.posts.create({
+        id: 'legacy',
+        authorId: alice.id,
+        content: 'Old photo',
+        mediaType: 'image',
+        mediaUrl: 'https://example.com/old.jpg',
+        createdAt: '2023-01-01T00:00:00.000Z',
+        likesCount: 0,
+        commentsCount: 0,
+      });
+      const expected = [{
+        mediaId: null, type: 'image', mimeType: null, url: 'https://example.com/old.jpg', alt: null, width: null, height: null,
+      }];
+
+      const single = await request('GET', '/api/posts/legacy');
+      const feed = await request('GET', `/api/feed/${bob.id}`, null, bob.token);
+      const byAuthor = await request('GET', `/api/users/${alice.id}/posts`);
+
+      assert.deepStrictEqual(single.body.attachments, expected);
+      assert.deepStrictEqual(feed.body.items[0].attachments, expected);
+      assert.deepStrictEqual(byAuthor.body.items[0].attachments, expected);
+    });
+
+    it('should give text-only posts an empty attachments list', async () => {
+      const res = await request('POST', '/api/posts', { content: 'Plain' }, alice.token);
+      assert.deepStrictEqual(res.body.attachments, []);
+    });
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * tests/notifications.test.js
+ *
+ * Tests for notifications:
+ *   GET  /api/users/:id/notifications          — paginated + unreadCount
+ *   POST /api/notifications/:id/read           — mark one read
+ *   POST /api/users/:id/notifications/read-all — mark all read
+ * and their creation, grouping and retraction from follows, likes and
+ * @mentions.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, POST, DELETE, etc.)
+ * @param {string} path   - Request path
+ * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function request(method, path, body = null, token = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    // Serialize body up-front so we can set Content-Length (required for
+    // DELETE requests, otherwise express.json() skips parsing and req.body
+    // ends up undefined, causing destructuring errors in the routes).
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+/** Fetch `user`'s own notifications. */
+async function inbox(user, query = '') {
+  const res = await request('GET', `/api/users/${user.id}/notifications${query}`, null, user.token);
+  assert.strictEqual(res.status, 200, `inbox failed: ${JSON.stringify(res.body)}`);
+  return res.body;
+}
+
+const like = (user, post) => request('POST', `/api/posts/${post.id}/like`, {}, user.token);
+const unlike = (user, post) => request('DELETE', `/api/posts/${post.id}/like`, null, user.token);
+
+describe('Notifications API', () => {
+  let alice;
+  let bob;
+  let post;
+
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    storage.reset();
+    alice = await createUser('alice', 'Alice');
+    bob = await createUser('bob', 'Bob');
+    post = (await request('POST', '/api/posts', { content: 'Hello' }, alice.token)).body;
+  });
+
+  describe('Follow notifications', () => {
+    it('should notify the followee and retract on unfollow', async () => {
+      await request('POST', '/api/follow', { followeeId: alice.id }, bob.token);
+
+      const before = await inbox(alice);
+      assert.strictEqual(before.unreadCount, 1);
+      assert.strictEqual(before.items.length, 1);
+      assert.strictEqual(before.items[0].type, 'follow');
+      assert.strictEqual(before.items[0].message, 'Bob followed you');
+      assert.strictEqual(before.items[0].actors[0].id, bob.id);
+      assert.strictEqual(before.items[0].read, false);
+
+      await request('DELETE', '/api/follow', { followeeId: alice.id }, bob.token);
+
+      const afterUnfollow = await inbox(alice);
+      assert.deepStrictEqual(afterUnfollow.items, []);
+      assert.strictEqual(afterUnfollow.unreadCount, 0);
+    });
+  });
+
+  describe('Like notifications', () => {
+    it('should group likes on the same post into one notification', async () => {
+      const others = [];
+      for (const name of ['carol', 'dave', 'erin']) others.push(await createUser(name, name.toUpperCase()));
+      await like(bob, post);
+      for (const user of others) await like(user, post);
+
+      const { items, unreadCount } = await inbox(alice);
+      assert.strictEqual(items.length, 1);
+      assert.strictEqual(unreadCount, 1);
+      assert.strictEqual(items[0].postId, post.id);
+      assert.strictEqual(items[0].actorCount, 4);
+      assert.strictEqual(items[0].actors.length, 3, 'only the most recent actors are listed');
+      assert.strictEqual(items[0].message, 'ERIN and 3 others liked your post');
+    });
+
+    it('should name both actors when exactly two liked', async () => {
+      const carol = await createUser('carol', 'Carol');
+      await like(bob, post);
+      await like(carol, post);
+
+      const { items } = await inbox(alice);
+      assert.strictEqual(items[0].message, 'Carol and Bob liked your post');
+    });
+
+    it('should retract an unliker and delete the notification with the last one', async () => {
+      const carol = await createUser('carol', 'Carol');
+      await like(bob, post);
+      await like(carol, post);
+
+      await unlike(carol, post);
+      assert.strictEqual((await inbox(alice)).items[0].message, 'Bob liked your post');
+
+      await unlike(bob, post);
+      assert.deepStrictEqual((await inbox(alice)).items, []);
+    });
+
+    it('should not notify users about their own likes', async () => {
+      await like(alice, post);
+      assert.deepStrictEqual((await inbox(alice)).items, []);
+    });
+
+    it('should hide actors blocked after they acted', async () => {
+      const carol = await createUser('carol', 'Carol');
+      await like(bob, post);
+      await like(carol, post);
+      await request('POST', `/api/users/${carol.id}/block`, {}, alice.token);
+
+      const [notification] = (await inbox(alice)).items;
+      assert.strictEqual(notification.actorCount, 1);
+      assert.strictEqual(notification.message, 'Bob liked your post');
+
+      await request('POST', `/api/users/${bob.id}/block`, {}, alice.token);
+      assert.deepStrictEqual((await inbox(alice)).items, []);
+    });
+
+    it('should drop like notifications when the post is deleted', async () => {
+      await like(bob, post);
+      await request('DELETE', `/api/posts/${post.id}`, null, alice.token);
+      assert.deepStrictEqual((await inbox(alice)).items, []);
+    });
+  });
+
+  describe('Mention notifications', () => {
+    it('should notify mentioned users who can see a new post', async () => {
+      const carol = await createUser('carol', 'Carol');
+      await request('POST', '/api/posts', { content: 'Hi @bob and @carol and @nobody' }, alice.token);
+      await request('POST', '/api/posts', {
+        content: 'Secret for @carol', visibility: 'only_me',
+      }, alice.token);
+
+      const [mention] = (await inbox(bob)).items;
+      assert.strictEqual(mention.type, 'mention');
+      assert.strictEqual(mention.message, 'Alice mentioned you in a post');
+      assert.strictEqual((await inbox(carol)).items.length, 1, 'not for a post carol cannot see');
+    });
+
+    it('should notify only newly added mentions on edit and retract dropped ones', async () => {
+      const carol = await createUser('carol', 'Carol');
+      const edit = (content) => request('PATCH', `/api/posts/${post.id}`, { content }, alice.token);
+
+      await edit('Hello @bob');
+      await edit('Hello @bob and @carol');
+      assert.strictEqual((await inbox(bob)).items.length, 1);
+      assert.strictEqual((await inbox(carol)).items.length, 1);
+
+      await edit('Hello @carol');
+      assert.deepStrictEqual((await inbox(bob)).items, []);
+
+      await request('PATCH', `/api/posts/${post.id}`, { visibility: 'only_me' }, alice.token);
+      assert.deepStrictEqual((await inbox(carol)).items, []);
+    });
+  });
+
+  describe('Reading notifications', () => {
+    it('should mark one read and reopen it when a new actor joins the group', async () => {
+      await like(bob, post);
+      const [notification] = (await inbox(alice)).items;
+
+      const res = await request('POST', `/api/notifications/${notification.id}/read`, {}, alice.token);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.read, true);
+      assert.strictEqual((await inbox(alice)).unreadCount, 0);
+
+      const carol = await createUser('carol', 'Carol');
+      await like(carol, post);
+      const after = await inbox(alice);
+      assert.strictEqual(after.unreadCount, 1);
+      assert.strictEqual(after.items[0].read, false);
+    });
+
+    it('should mark everything read with read-all', async () => {
+      await like(bob, post);
+      await request('POST', '/api/follow', { followeeId: alice.id }, bob.token);
+      assert.strictEqual((await inbox(alice)).unreadCount, 2);
+
+      const res = await request('POST', `/api/users/${alice.id}/notifications/read-all`, {}, alice.token);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.markedRead, 2);
+
+      const after = await inbox(alice);
+      assert.strictEqual(after.unreadCount, 0);
+      assert.ok(after.items.every((n) => n.read));
+    });
+
+    it('should list most recently updated first and paginate', async () => {
+      await like(bob, post);
+      await request('POST', '/api/follow', { followeeId: alice.id }, bob.token);
+
+      const first = await inbox(alice, '?limit=1');
+      assert.strictEqual(first.items.length, 1);
+      assert.ok(first.nextCursor);
+      assert.strictEqual(first.unreadCount, 2, 'unreadCount covers every page');
+
+      const second = await inbox(alice, `?limit=1&cursor=${first.nextCursor}`);
+      assert.strictEqual(second.items.length, 1);
+      assert.notStrictEqual(second.items[0].id, first.items[0].id);
+      assert.strictEqual(second.nextCursor, null);
+    });
+
+    it('should keep notifications private to their recipient', async () => {
+      await like(bob, post);
+      const [notification] = (await inbox(alice)).items;
+
+      const list = await request('GET', `/api/users/${alice.id}/notifications`, null, bob.token);
+      const read = await request('POST', `/api/notifications/${notification.id}/read`, {}, bob.token);
+      const readAll = await request('POST', `/api/users/${alice.id}/notifications/read-all`, {}, bob.token);
+      const anonymous = await request('GET', `/api/users/${alice.id}/notifications`);
+      const missing = await request('POST', '/api/notifications/nope/read', {}, alice.token);
+
+      assert.strictEqual(list.status, 403);
+      assert.strictEqual(read.status, 403);
+      assert.strictEqual(readAll.status, 403);
+      assert.strictEqual(anonymous.status, 401);
+      assert.strictEqual(missing.status, 404);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * tests/openapi.test.js
+ *
+ * Tests for the OpenAPI document (openapi.js):
+ *   GET /api/openapi.json — generated from the mounted routes
+ *   GET /api/docs         — the reference page
+ * including the coverage check: every route mounted on the app must have
+ * doc() metadata, so a new route cannot ship undocumented.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const express = require('express');
+const app = require('../server');
+const { ROUTERS } = require('../routes');
+const {
+  doc, buildSpec, listRoutes, openapiPath,
+} = require('../openapi');
+const { validate } = require('../validation');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, POST, PATCH, etc.)
+ * @param {string} path   - Request path
+ * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function request(method, path, body = null, token = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        const json = (res.headers['content-type'] || '').includes('application/json');
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: json && data ? JSON.parse(data) : data,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Every $ref in `value`, recursively. */
+function refsIn(value, found = []) {
+  if (Array.isArray(value)) value.forEach((v) => refsIn(v, found));
+  else if (value && typeof value === 'object') {
+    if (value.$ref) found.push(value.$ref);
+    Object.values(value).forEach((v) => refsIn(v, found));
+  }
+  return found;
+}
+
+describe('OpenAPI document', () => {
+  let spec;
+
+  before((_, done) => {
+    server = app.listen(0, async () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      spec = (await request('GET', '/api/openapi.json')).body;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    server.close(done);
+  });
+
+  it('should document every mounted route', () => {
+    const missing = listRoutes(app, ROUTERS)
+      .filter(({ method, path }) => !(spec.paths[openapiPath(path)] || {})[method])
+      .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+
+    assert.deepStrictEqual(missing, [], `routes without doc(): ${missing.join(', ')}`);
+  });
+
+  it('should leave out routes without metadata, and refuse routers it cannot place', () => {
+    const router = express.Router();
+    router.get('/documented', doc({ summary: 'Documented' }), (req, res) => res.end());
+    router.get('/undocumented', (req, res) => res.end());
+    const probe = express();
+    probe.use('/api/probe', router);
+
+    const routers = [{ path: '/api/probe', router, tag: 'Probe' }];
+    assert.deepStrictEqual(listRoutes(probe, routers).map((r) => r.path), [
+      '/api/probe/documented',
+      '/api/probe/undocumented',
+    ]);
+    assert.deepStrictEqual(Object.keys(buildSpec(probe, routers).paths), ['/api/probe/documented']);
+    assert.throws(() => listRoutes(probe, []), /without an entry in routes\/index.js/);
+  });
+
+  it('should describe parameters, bodies and auth from the route definitions', () => {
+    const create = spec.paths['/api/posts'].post;
+    assert.strictEqual(spec.openapi, '3.0.3');
+    assert.deepStrictEqual(create.security, [{ bearerAuth: [] }]);
+    assert.deepStrictEqual(Object.keys(create.responses).sort(), ['201', '400', '401', '403', '409', '422', '429']);
+    const content = create.requestBody.content['application/json'].schema.properties.content;
+    assert.deepStrictEqual(content, { type: 'string', minLength: 1, maxLength: 5000 });
+
+    const followers = spec.paths['/api/users/{id}/followers'].get;
+    assert.deepStrictEqual(followers.parameters.map((p) => [p.name, p.in]), [
+      ['id', 'path'], ['limit', 'query'], ['cursor', 'query'],
+    ]);
+    assert.strictEqual(followers.security, undefined);
+    assert.strictEqual(spec.paths['/api/posts/{id}/like'].get.deprecated, true);
+  });
+
+  it('should only reference schemas it defines', () => {
+    const defined = Object.keys(spec.components.schemas).map((name) => `#/components/schemas/${name}`);
+    const undefinedRefs = refsIn(spec).filter((ref) => !defined.includes(ref));
+    assert.deepStrictEqual(undefinedRefs, []);
+  });
+
+  it('should document validation limits as enforced', () => {
+    const probe = express();
+    const router = express.Router();
+    router.get('/', doc({ summary: 'Probe' }), validate({
+      query: { n: { type: 'integer', min: 1, max: 5, required: true } },
+    }), (req, res) => res.end());
+    probe.use('/api/probe', router);
+
+    const [param] = buildSpec(probe, [{ path: '/api/probe', router, tag: 'Probe' }])
+      .paths['/api/probe'].get.parameters;
+    assert.deepStrictEqual(param, {
+      name: 'n', in: 'query', required: true, schema: { type: 'integer', minimum: 1, maximum: 5 },
+    });
+  });
+
+  it('should serve the reference page', async () => {
+    const res = await request('GET', '/api/docs');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers['content-type'], /text\/html/);
+    assert.match(res.body, /\/api\/openapi\.json/);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * tests/pagination.test.js
+ *
+ * Tests for pagination.js — cursor parsing and stable (createdAt, id) paging.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  parsePageParams, paginate, paginateSorted, encodeCursor,
+} = require('../pagination');
+
+const T1 = '2024-01-01T00:00:01.000Z';
+const T2 = '2024-01-01T00:00:02.000Z';
+
+// Two records share T2 so ordering must fall back to id
+const records = [
+  { id: 'a', createdAt: T1 },
+  { id: 'b', createdAt: T2 },
+  { id: 'c', createdAt: T2 },
+  { id: 'd', createdAt: '2024-01-01T00:00:03.000Z' },
+];
+
+/** Walk every page and return the ids in order. */
+function walk(list, limit, order, pager = paginate) {
+  const ids = [];
+  let cursor;
+  do {
+    const page = parsePageParams({ limit: String(limit), cursor });
+    const result = pager(list, page, { keyOf: (r) => r, order });
+    ids.push(...result.items.map((r) => r.id));
+    cursor = result.nextCursor || undefined;
+  } while (cursor);
+  return ids;
+}
+
+describe('parsePageParams', () => {
+  it('should default limit to 20 with no cursor', () => {
+    assert.deepStrictEqual(parsePageParams({}), { limit: 20, after: null });
+  });
+
+  it('should convert a validated limit and cursor', () => {
+    const after = { createdAt: T2, id: 'b' };
+    assert.deepStrictEqual(parsePageParams({ limit: '5', cursor: encodeCursor(after) }), { limit: 5, after });
+  });
+});
+
+describe('paginate', () => {
+  it('should order newest first by default and break ties on id', () => {
+    assert.deepStrictEqual(walk(records, 2), ['d', 'c', 'b', 'a']);
+  });
+
+  it('should order oldest first when order is asc', () => {
+    assert.deepStrictEqual(walk(records, 3, 'asc'), ['a', 'b', 'c', 'd']);
+  });
+
+  it('should return nextCursor null on the last page', () => {
+    const result = paginate(records, parsePageParams({ limit: '4' }), { keyOf: (r) => r });
+    assert.strictEqual(result.items.length, 4);
+    assert.strictEqual(result.nextCursor, null);
+  });
+
+  it('should not repeat or skip items when newer records arrive between pages', () => {
+    const list = records.slice();
+    const first = paginate(list, parsePageParams({ limit: '2' }), { keyOf: (r) => r });
+    list.push({ id: 'z', createdAt: '2024-01-01T00:00:09.000Z' });
+
+    const second = paginate(list, parsePageParams({ limit: '2', cursor: first.nextCursor }), { keyOf: (r) => r });
+
+    assert.deepStrictEqual(first.items.map((r) => r.id), ['d', 'c']);
+    assert.deepStrictEqual(second.items.map((r) => r.id), ['b', 'a']);
+  });
+
+  it('should resume after a cursor whose record was deleted', () => {
+    const cursor = encodeCursor({ createdAt: T2, id: 'c' });
+    const remaining = records.filter((r) => r.id !== 'c');
+
+    const result = paginate(remaining, parsePageParams({ cursor }), { keyOf: (r) => r });
+
+    assert.deepStrictEqual(result.items.map((r) => r.id), ['b', 'a']);
+  });
+});
+
+describe('paginateSorted', () => {
+  // `records` is already ascending on (createdAt, id)
+
+  it('should page a sorted list exactly like paginate in both orders', () => {
+    [1, 2, 3, 4, 5].forEach((limit) => {
+      assert.deepStrictEqual(walk(records, limit, 'desc', paginateSorted), walk(records, limit, 'desc'));
+      assert.deepStrictEqual(walk(records, limit, 'asc', paginateSorted), walk(records, limit, 'asc'));
+    });
+  });
+
+  it('should resume after a cursor whose record was deleted', () => {
+    const cursor = encodeCursor({ createdAt: T2, id: 'c' });
+    const remaining = records.filter((r) => r.id !== 'c');
+
+    const desc = paginateSorted(remaining, parsePageParams({ cursor }), { keyOf: (r) => r });
+    const asc = paginateSorted(remaining, parsePageParams({ cursor }), { keyOf: (r) => r, order: 'asc' });
+
+    assert.deepStrictEqual(desc.items.map((r) => r.id), ['b', 'a']);
+    assert.deepStrictEqual(asc.items.map((r) => r.id), ['d']);
+  });
+
+  it('should return an empty page for an empty list', () => {
+    assert.deepStrictEqual(paginateSorted([], parsePageParams({}), { keyOf: (r) => r }), {
+      items: [],
+      nextCursor: null,
+    });
+  });
+});
@@ -3,6 +3,7 @@ const assert = require('node:assert');
 const http = require('node:http');
 const app = require('../server');
 const storage = require('../storage');
+const repositories = require('../repositories');
 
 let server;
 let baseUrl;
@@ -12,9 +13,10 @@ let baseUrl;
  * @param {string} method - HTTP method (GET, POST, DELETE, etc.)
  * @param {string} path - Request path (e.g., '/api/posts')
  * @param {object} body - Optional request body
+ * @param {string} token - Optional bearer token
  * @returns {Promise} - { status, body }
  */
-function request(method, path, body = null) {
+function request(method, path, body = null, token = null) {
   return new Promise((resolve, reject) => {
     const url = new URL(path, baseUrl);
     const options = {
@@ -22,7 +24,10 @@ function request(method, path, body = null) {
       hostname: url.hostname,
       port: url.port,
       path: url.pathname + url.search,
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
     };
     const req = http.request(options, (res) => {
       let data = '';
@@ -40,6 +45,17 @@ function request(method, path, body = null) {
   });
 }
 
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
 describe('Posts API', () => {
   // Start server before all tests
   before((_, done) => {
@@ -63,103 +79,112 @@ describe('Posts API', () => {
   describe('POST /api/posts - Create post', () => {
     it('should create a post with valid data', async () => {
       // First create a user
-      const userRes = await request('POST', '/api/users', {
-        username: 'john_doe',
-        displayName: 'John Doe',
-      });
-      const userId = userRes.body.id;
+      const user = await createUser('john_doe', 'John Doe');
+      const userId = user.id;
 
       const res = await request('POST', '/api/posts', {
         authorId: userId,
         content: 'Hello world!',
-        mediaType: 'image',
-        mediaUrl: 'https://example.com/image.jpg',
-      });
+      }, user.token);
 
       assert.strictEqual(res.status, 201);
       assert.strictEqual(res.body.authorId, userId);
       assert.strictEqual(res.body.content, 'Hello world!');
-      assert.strictEqual(res.body.mediaType, 'image');
-      assert.strictEqual(res.body.mediaUrl, 'https://example.com/image.jpg');
+      assert.strictEqual(res.body.mediaType, null);
+      assert.strictEqual(res.body.mediaId, null);
       assert.strictEqual(res.body.likesCount, 0);
       assert.ok(res.body.id);
       assert.ok(res.body.createdAt);
     });
 
-    it('should return 400 when authorId is missing', async () => {
+    it('should refuse a bare mediaUrl (media must be uploaded)', async () => {
+      const user = await createUser('john_doe', 'John Doe');
+
       const res = await request('POST', '/api/posts', {
         content: 'Hello world!',
-      });
+        mediaType: 'image',
+        mediaUrl: 'https://example.com/image.jpg',
+      }, user.token);
 
       assert.strictEqual(res.status, 400);
+      assert.match(res.body.error.message, /mediaId/);
+    });
+
+    it('should return 401 when not authenticated', async () => {
+      const res = await request('POST', '/api/posts', {
+        content: 'Hello world!',
+      });
+
+      assert.strictEqual(res.status, 401);
       assert.ok(res.body.error);
     });
 
-    it('should return 400 when authorId does not refer to valid user', async () => {
+    it('should return 403 when authorId does not match the session user', async () => {
+      const user = await createUser('john_doe', 'John Doe');
+
       const res = await request('POST', '/api/posts', {
         authorId: 'non-existent-user-id',
         content: 'Hello world!',
-      });
+      }, user.token);
 
-      assert.strictEqual(res.status, 400);
+      assert.strictEqual(res.status, 403);
       assert.ok(res.body.error);
     });
 
+    it('should use the session user as author when authorId is omitted', async () => {
+      const user = await createUser('john_doe', 'John Doe');
+
+      const res = await request('POST', '/api/posts', {
+        content: 'Hello world!',
+      }, user.token);
+
+      assert.strictEqual(res.status, 201);
+      assert.strictEqual(res.body.authorId, user.id);
+    });
+
     it('should return 400 when content is missing', async () => {
-      const userRes = await request('POST', '/api/users', {
-        username: 'john_doe',
-        displayName: 'John Doe',
-      });
+      const user = await createUser('john_doe', 'John Doe');
 
       const res = await request('POST', '/api/posts', {
-        authorId: userRes.body.id,
-      });
+        authorId: user.id,
+      }, user.token);
 
       assert.strictEqual(res.status, 400);
       assert.ok(res.body.error);
     });
 
     it('should return 400 when content is empty string', async () => {
-      const userRes = await request('POST', '/api/users', {
-        username: 'john_doe',
-        displayName: 'John Doe',
-      });
+      const user = await createUser('john_doe', 'John Doe');
 
       const res = await request('POST', '/api/posts', {
-        authorId: userRes.body.id,
+        authorId: user.id,
         content: '   ',
-      });
+      }, user.token);
 
       assert.strictEqual(res.status, 400);
       assert.ok(res.body.error);
     });
 
     it('should return 400 for invalid mediaType', async () => {
-      const userRes = await request('POST', '/api/users', {
-        username: 'john_doe',
-        displayName: 'John Doe',
-      });
+      const user = await createUser('john_doe', 'John Doe');
 
       const res = await request('POST', '/api/posts', {
-        authorId: userRes.body.id,
+        authorId: user.id,
         content: 'Hello world!',
         mediaType: 'invalid',
-      });
+      }, user.token);
 
       assert.strictEqual(res.status, 400);
       assert.ok(res.body.error);
     });
 
     it('should create post without media', async () => {
-      const userRes = await request('POST', '/api/users', {
-        username: 'john_doe',
-        displayName: 'John Doe',
-      });
+      const user = await createUser('john_doe', 'John Doe');
 
       const res = await request('POST', '/api/posts', {
-        authorId: userRes.body.id,
+        authorId: user.id,
         content: 'Just text',
-      });
+      }, user.token);
 
       assert.strictEqual(res.status, 201);
       assert.strictEqual(res.body.mediaType, null);
@@ -169,46 +194,67 @@ describe('Posts API', () => {
 
   describe('GET /api/posts - List all posts', () => {
     it('should return all posts sorted newest first', async () => {
-      const userRes = await request('POST', '/api/users', {
-        username: 'john_doe',
-        displayName: 'John Doe',
-      });
-      const userId = userRes.body.id;
+      const user = await createUser('john_doe', 'John Doe');
+      const userId = user.id;
 
       // Create two posts
       await request('POST', '/api/posts', {
         authorId: userId,
         content: 'First post',
-      });
+      }, user.token);
       // Small delay to ensure different timestamps
       await new Promise((r) => setTimeout(r, 10));
       await request('POST', '/api/posts', {
         authorId: userId,
         content: 'Second post',
-      });
+      }, user.token);
 
       const res = await request('GET', '/api/posts');
 
       assert.strictEqual(res.status, 200);
-      assert.strictEqual(res.body.length, 2);
+      assert.strictEqual(res.body.items.length, 2);
       // Should be sorted newest first
-      assert.strictEqual(res.body[0].content, 'Second post');
-      assert.strictEqual(res.body[1].content, 'First post');
+      assert.strictEqual(res.body.items[0].content, 'Second post');
+      assert.strictEqual(res.body.items[1].content, 'First post');
+    });
+    it('should page through posts with limit and cursor', async () => {
+      const user = await createUser('john_doe', 'John Doe');
+      for (let i = 0; i < 5; i += 1) {
+        await request('POST', '/api/posts', { content: `Post ${i}` }, user.token);
+      }
+
+      const seen = [];
+      let cursor = null;
+      do {
+        const qs = cursor ? `?limit=2&cursor=${cursor}` : '?limit=2';
+        const res = await request('GET', `/api/posts${qs}`);
+        assert.strictEqual(res.status, 200);
+        assert.ok(res.body.items.length <= 2);
+        seen.push(...res.body.items.map((p) => p.id));
+        cursor = res.body.nextCursor;
+      } while (cursor);
+
+      assert.strictEqual(seen.length, 5);
+      assert.strictEqual(new Set(seen).size, 5, 'pages should not overlap');
+    });
+
+    it('should return 400 for an invalid cursor', async () => {
+      const res = await request('GET', '/api/posts?cursor=garbage');
+
+      assert.strictEqual(res.status, 400);
+      assert.ok(res.body.error);
     });
   });
 
   describe('GET /api/posts/:id - Get single post', () => {
     it('should return post with author object', async () => {
-      const userRes = await request('POST', '/api/users', {
-        username: 'john_doe',
-        displayName: 'John Doe',
-      });
-      const userId = userRes.body.id;
+      const user = await createUser('john_doe', 'John Doe');
+      const userId = user.id;
 
       const postRes = await request('POST', '/api/posts', {
         authorId: userId,
         content: 'Hello world!',
-      });
+      }, user.token);
       const postId = postRes.body.id;
 
       const res = await request('GET', `/api/posts/${postId}`);
@@ -229,19 +275,16 @@ describe('Posts API', () => {
 
   describe('DELETE /api/posts/:id - Delete post', () => {
     it('should delete post and return 204', async () => {
-      const userRes = await request('POST', '/api/users', {
-        username: 'john_doe',
-        displayName: 'John Doe',
-      });
-      const userId = userRes.body.id;
+      const user = await createUser('john_doe', 'John Doe');
+      const userId = user.id;
 
       const postRes = await request('POST', '/api/posts', {
         authorId: userId,
         content: 'To be deleted',
-      });
+      }, user.token);
       const postId = postRes.body.id;
 
-      const res = await request('DELETE', `/api/posts/${postId}`);
+      const res = await request('DELETE', `/api/posts/${postId}`, null, user.token);
 
       assert.strictEqual(res.status, 204);
 
@@ -251,30 +294,53 @@ describe('Posts API', () => {
     });
 
     it('should clean up likes when post is deleted', async () => {
-      const userRes = await request('POST', '/api/users', {
-        username: 'john_doe',
-        displayName: 'John Doe',
-      });
-      const userId = userRes.body.id;
+      const user = await createUser('john_doe', 'John Doe');
+      const userId = user.id;
 
       const postRes = await request('POST', '/api/posts', {
         authorId: userId,
         content: 'To be deleted',
-      });
+      }, user.token);
       const postId = postRes.body.id;
 
-      // Like the post (manually add like to storage for testing)
-      storage.likes.push({ userId: userId, postId: postId });
+      // Like the post directly through the repository
+      repositories.likes.add(userId, postId);
 
-      const res = await request('DELETE', `/api/posts/${postId}`);
+      const res = await request('DELETE', `/api/posts/${postId}`, null, user.token);
 
       assert.strictEqual(res.status, 204);
       // Verify likes are cleaned up
       assert.strictEqual(storage.likes.filter((l) => l.postId === postId).length, 0);
     });
 
+    it('should return 401 when not authenticated', async () => {
+      const user = await createUser('john_doe', 'John Doe');
+      const postRes = await request('POST', '/api/posts', {
+        content: 'To be deleted',
+      }, user.token);
+
+      const res = await request('DELETE', `/api/posts/${postRes.body.id}`);
+
+      assert.strictEqual(res.status, 401);
+    });
+
+    it('should return 403 when a non-author deletes the post', async () => {
+      const author = await createUser('john_doe', 'John Doe');
+      const other = await createUser('jane_doe', 'Jane Doe');
+      const postRes = await request('POST', '/api/posts', {
+        content: 'Not yours',
+      }, author.token);
+
+      const res = await request('DELETE', `/api/posts/${postRes.body.id}`, null, other.token);
+
+      assert.strictEqual(res.status, 403);
+      assert.ok(storage.posts[postRes.body.id], 'post should still exist');
+    });
+
     it('should return 404 for non-existent post', async () => {
-      const res = await request('DELETE', '/api/posts/non-existent-id');
+      const user = await createUser('john_doe', 'John Doe');
+
+      const res = await request('DELETE', '/api/posts/non-existent-id', null, user.token);
 
       assert.strictEqual(res.status, 404);
       assert.ok(res.body.error);
@@ -283,29 +349,23 @@ describe('Posts API', () => {
 
   describe('GET /api/posts/:id/likes - List likers', () => {
     it('should return array of user objects who liked the post', async () => {
-      const user1Res = await request('POST', '/api/users', {
-        username: 'user1',
-        displayName: 'User One',
-      });
-      const user2Res = await request('POST', '/api/users', {
-        username: 'user2',
-        displayName: 'User Two',
-      });
+      const user1 = await createUser('user1', 'User One');
+      const user2 = await createUser('user2', 'User Two');
 
       const postRes = await request('POST', '/api/posts', {
-        authorId: user1Res.body.id,
+        authorId: user1.id,
         content: 'Cool post',
-      });
+      }, user1.token);
       const postId = postRes.body.id;
 
-      // Add like manually to storage
-      storage.likes.push({ userId: user2Res.body.id, postId });
+      // Add like directly through the repository
+      repositories.likes.add(user2.id, postId);
 
       const res = await request('GET', `/api/posts/${postId}/likes`);
 
       assert.strictEqual(res.status, 200);
-      assert.strictEqual(res.body.length, 1);
-      assert.strictEqual(res.body[0].username, 'user2');
+      assert.strictEqual(res.body.items.length, 1);
+      assert.strictEqual(res.body.items[0].username, 'user2');
     });
 
     it('should return 404 for non-existent post', async () => {
@@ -316,21 +376,148 @@ describe('Posts API', () => {
     });
 
     it('should return empty array when post has no likes', async () => {
-      const userRes = await request('POST', '/api/users', {
-        username: 'john_doe',
-        displayName: 'John Doe',
-      });
+      const user = await createUser('john_doe', 'John Doe');
 
       const postRes = await request('POST', '/api/posts', {
-        authorId: userRes.body.id,
+        authorId: user.id,
         content: 'Cool post',
-      });
+      }, user.token);
       const postId = postRes.body.id;
 
       const res = await request('GET', `/api/posts/${postId}/likes`);
 
       assert.strictEqual(res.status, 200);
-      assert.deepStrictEqual(res.body, []);
+      assert.deepStrictEqual(res.body.items, []);
+    });
+  });
+
+  describe('Post visibility', () => {
+    let author;
+    let follower;
+    let stranger;
+
+    /** Create a post as `author` with the given visibility. */
+    async function postAs(visibility) {
+      const res = await request('POST', '/api/posts', { content: `${visibility} post`, visibility }, author.token);
+      assert.strictEqual(res.status, 201, `post failed: ${JSON.stringify(res.body)}`);
+      return res.body;
+    }
+
+    const statusFor = async (post, viewer) => (
+      await request('GET', `/api/posts/${post.id}`, null, viewer && viewer.token)
+    ).status;
+
+    beforeEach(async () => {
+      author = await createUser('author', 'Author');
+      follower = await createUser('follower', 'Follower');
+      stranger = await createUser('stranger', 'Stranger');
+      await request('POST', '/api/follow', { followeeId: author.id }, follower.token);
+    });
+
+    it('should default to public and reject unknown audiences', async () => {
+      const res = await request('POST', '/api/posts', { content: 'Hello' }, author.token);
+      assert.strictEqual(res.body.visibility, 'public');
+
+      const bad = await request('POST', '/api/posts', { content: 'Hi', visibility: 'friends' }, author.token);
+      assert.strictEqual(bad.status, 400);
+    });
+
+    it('should show each audience only to the right viewers on GET /api/posts/:id', async () => {
+      const pub = await postAs('public');
+      const followers = await postAs('followers');
+      const onlyMe = await postAs('only_me');
+
+      assert.deepStrictEqual(
+        await Promise.all([null, stranger, follower, author].map((v) => statusFor(pub, v))),
+        [200, 200, 200, 200]
+      );
+      assert.deepStrictEqual(
+        await Promise.all([null, stranger, follower, author].map((v) => statusFor(followers, v))),
+        [404, 404, 200, 200]
+      );
+      assert.deepStrictEqual(
+        await Promise.all([null, stranger, follower, author].map((v) => statusFor(onlyMe, v))),
+        [404, 404, 404, 200]
+      );
+    });
+
+    it('should filter list endpoints and the feed by audience', async () => {
+      const pub = await postAs('public');
+      const followers = await postAs('followers');
+      const onlyMe = await postAs('only_me');
+      const idsOf = (res) => res.body.items.map((p) => p.id).sort();
+
+      assert.deepStrictEqual(idsOf(await request('GET', '/api/posts', null, stranger.token)), [pub.id]);
+      assert.deepStrictEqual(
+        idsOf(await request('GET', `/api/users/${author.id}/posts`, null, follower.token)),
+        [pub.id, followers.id].sort()
+      );
+      assert.deepStrictEqual(
+        idsOf(await request('GET', `/api/users/${author.id}/posts`, null, author.token)),
+        [pub.id, followers.id, onlyMe.id].sort()
+      );
+      assert.deepStrictEqual(
+        idsOf(await request('GET', `/api/feed/${follower.id}`, null, follower.token)),
+        [pub.id, followers.id].sort()
+      );
+      // Someone else reading the follower's feed only sees what they could see anyway
+      assert.deepStrictEqual(idsOf(await request('GET', `/api/feed/${follower.id}`)), [pub.id]);
+    });
+
+    it('should 404 likes and comments on posts the viewer cannot see', async () => {
+      const onlyMe = await postAs('only_me');
+
+      const like = await request('POST', `/api/posts/${onlyMe.id}/like`, {}, follower.token);
+      const comment = await request('POST', `/api/posts/${onlyMe.id}/comments`, { content: 'hi' }, follower.token);
+      const likers = await request('GET', `/api/posts/${onlyMe.id}/likes`, null, follower.token);
+
+      assert.strictEqual(like.status, 404);
+      assert.strictEqual(comment.status, 404);
+      assert.strictEqual(likers.status, 404);
+    });
+
+    it('should let the author change visibility with PATCH', async () => {
+      const post = await postAs('public');
+
+      const res = await request('PATCH', `/api/posts/${post.id}`, { visibility: 'only_me' }, author.token);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.visibility, 'only_me');
+      assert.strictEqual(res.body.author.id, author.id);
+      assert.strictEqual(await statusFor(post, stranger), 404);
+    });
+
+    it('should reject PATCH from others, anonymous users and with bad input', async () => {
+      const post = await postAs('public');
+      const hidden = await postAs('only_me');
+
+      const anon = await request('PATCH', `/api/posts/${post.id}`, { visibility: 'only_me' });
+      const other = await request('PATCH', `/api/posts/${post.id}`, { visibility: 'only_me' }, stranger.token);
+      const unseen = await request('PATCH', `/api/posts/${hidden.id}`, { visibility: 'public' }, stranger.token);
+      const missing = await request('PATCH', `/api/posts/${post.id}`, {}, author.token);
+      const bad = await request('PATCH', `/api/posts/${post.id}`, { visibility: 'everyone' }, author.token);
+
+      assert.strictEqual(anon.status, 401);
+      assert.strictEqual(other.status, 403);
+      assert.strictEqual(unseen.status, 404);
+      assert.strictEqual(missing.status, 400);
+      assert.strictEqual(bad.status, 400);
+    });
+
+    it('should answer DELETE of a post the user cannot see as if it did not exist', async () => {
+      const post = await postAs('public');
+      const onlyMe = await postAs('only_me');
+      const followers = await postAs('followers');
+
+      const other = await request('DELETE', `/api/posts/${post.id}`, null, stranger.token);
+      const unseen = await request('DELETE', `/api/posts/${onlyMe.id}`, null, follower.token);
+      const notFollowing = await request('DELETE', `/api/posts/${followers.id}`, null, stranger.token);
+      const following = await request('DELETE', `/api/posts/${followers.id}`, null, follower.token);
+
+      assert.strictEqual(other.status, 403);
+      assert.strictEqual(unseen.status, 404);
+      assert.strictEqual(notFollowing.status, 404);
+      assert.strictEqual(following.status, 403);
+      assert.strictEqual((await request('DELETE', `/api/posts/${onlyMe.id}`, null, author.token)).status, 204);
     });
   });
 });
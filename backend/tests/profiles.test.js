@@ -0,0 +1,263 @@
+/**
+ * tests/profiles.test.js
+ *
+ * Tests for profile editing and username lookups:
+ *   PATCH /api/users/:id                   — edit profile fields and username
+ *   GET   /api/users/by-username/:username — lookup, with redirects from old names
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+const repositories = require('../repositories');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, POST, PATCH, etc.)
+ * @param {string} path   - Request path
+ * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
+ * @returns {Promise<{ status: number, headers: object, body: any }>}
+ */
+function request(method, path, body = null, token = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+describe('Profiles API', () => {
+  let alice;
+  let bob;
+
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    storage.reset();
+    alice = await createUser('alice', 'Alice');
+    bob = await createUser('bob', 'Bob');
+  });
+
+  const edit = (user, body) => request('PATCH', `/api/users/${user.id}`, body, user.token);
+
+  /** Pretend user's last rename was `days` ago. */
+  function renamedDaysAgo(user, days) {
+    repositories.users.update(user.id, {
+      usernameChangedAt: new Date(Date.now() - days * 24 * 3600000).toISOString(),
+    });
+  }
+
+  describe('PATCH /api/users/:id', () => {
+    it('should update profile fields and leave the rest alone', async () => {
+      const res = await edit(alice, {
+        displayName: '  Alice A. ',
+        bio: 'Hello',
+        coverPhotoUrl: 'https://example.com/cover.jpg',
+        profilePicUrl: '/api/media/abc',
+        location: 'Lisbon',
+        website: 'https://alice.dev',
+        id: 'hijack',
+      });
+
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.id, alice.id);
+      assert.strictEqual(res.body.displayName, 'Alice A.');
+      assert.strictEqual(res.body.coverPhotoUrl, 'https://example.com/cover.jpg');
+      assert.strictEqual(res.body.profilePicUrl, '/api/media/abc');
+      assert.strictEqual(res.body.location, 'Lisbon');
+      assert.strictEqual(res.body.username, 'alice');
+      assert.strictEqual(res.body.followerCount, 0);
+
+      const cleared = await edit(alice, { website: null, location: '' });
+      assert.strictEqual(cleared.body.website, null);
+      assert.strictEqual(cleared.body.location, null);
+      assert.strictEqual(cleared.body.bio, 'Hello');
+    });
+
+    it('should validate fields', async () => {
+      const bad = [
+        { displayName: '  ' },
+        { bio: 'x'.repeat(161) },
+        { location: 42 },
+        { website: 'javascript:alert(1)' },
+        { coverPhotoUrl: '//evil.example/x.png' },
+        {},
+      ];
+      const results = await Promise.all(bad.map((body) => edit(alice, body)));
+      results.forEach((res, i) => assert.strictEqual(res.status, 400, JSON.stringify(bad[i])));
+    });
+
+    it('should only let users edit their own profile', async () => {
+      const other = await request('PATCH', `/api/users/${bob.id}`, { bio: 'mine now' }, alice.token);
+      const anon = await request('PATCH', `/api/users/${alice.id}`, { bio: 'x' });
+      const missing = await request('PATCH', '/api/users/nope', { bio: 'x' }, alice.token);
+
+      assert.strictEqual(other.status, 403);
+      assert.strictEqual(anon.status, 401);
+      assert.strictEqual(missing.status, 404);
+    });
+
+    it('should default new profile fields for users stored before them', async () => {
+      repositories.users.create({
+        id: 'old', username: 'oldtimer', displayName: 'Old', bio: '', profilePicUrl: null, createdAt: '2023-01-01T00:00:00.000Z',
+      });
+
+      const res = await request('GET', '/api/users/old');
+      assert.strictEqual(res.body.coverPhotoUrl, null);
+      assert.strictEqual(res.body.website, null);
+      assert.strictEqual(res.body.usernameChangedAt, null);
+    });
+  });
+
+  describe('Username changes', () => {
+    it('should rename, keeping usernames unique regardless of case', async () => {
+      const taken = await edit(alice, { username: 'BOB' });
+      assert.strictEqual(taken.status, 409);
+      const invalid = await edit(alice, { username: 'has space' });
+      assert.strictEqual(invalid.status, 400);
+
+      const res = await edit(alice, { username: 'alice.w' });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.username, 'alice.w');
+      assert.ok(res.body.usernameChangedAt);
+
+      const login = await request('POST', '/api/auth/login', { username: 'Alice.W', password: 'password123' });
+      assert.strictEqual(login.status, 200);
+    });
+
+    it('should enforce a cooldown between renames', async () => {
+      await edit(alice, { username: 'alice2' });
+      const again = await edit(alice, { username: 'alice3' });
+
+      assert.strictEqual(again.status, 429);
+      assert.ok(Number(again.headers['retry-after']) > 0);
+      assert.match(again.body.error.message, /changed again after/);
+
+      const unchanged = await edit(alice, { username: 'alice2', bio: 'same name' });
+      assert.strictEqual(unchanged.status, 200, 'resending the current name is not a rename');
+
+      renamedDaysAgo(alice, 31);
+      const later = await edit(alice, { username: 'alice3' });
+      assert.strictEqual(later.status, 200);
+    });
+
+    it('should redirect from the old name and reserve it during the grace period', async () => {
+      await edit(alice, { username: 'alicia' });
+
+      const old = await request('GET', '/api/users/by-username/ALICE');
+      assert.strictEqual(old.status, 301);
+      assert.strictEqual(old.headers.location, '/api/users/by-username/alicia');
+      assert.strictEqual(old.body.id, alice.id);
+
+      const grab = await createUser('alice', 'Impostor').catch((err) => err);
+      assert.ok(grab instanceof Error, 'the old name is reserved');
+
+      renamedDaysAgo(alice, 31);
+      const back = await edit(alice, { username: 'alice' });
+      assert.strictEqual(back.status, 200, 'users may take back their own old name');
+      const current = await request('GET', '/api/users/by-username/alice');
+      assert.strictEqual(current.status, 200);
+    });
+
+    it('should drop the redirect once the grace period is over', async () => {
+      await edit(alice, { username: 'alicia' });
+      storage.usernameRedirects.alice.expiresAt = new Date(Date.now() - 1000).toISOString();
+
+      const res = await request('GET', '/api/users/by-username/alice');
+      assert.strictEqual(res.status, 404);
+      await createUser('alice', 'New Alice');
+    });
+
+    it('should keep mentions and search in step with the new name', async () => {
+      const post = (await request('POST', '/api/posts', { content: 'hi @alice' }, bob.token)).body;
+      await edit(alice, { username: 'wonderland', displayName: 'Liddell' });
+
+      const res = await request('GET', `/api/posts/${post.id}`);
+      assert.strictEqual(res.body.entities.mentions[0].username, 'wonderland');
+
+      const found = await request('GET', '/api/search?type=users&q=liddell');
+      assert.deepStrictEqual(found.body.items.map((u) => u.id), [alice.id]);
+      const renamed = await request('GET', '/api/search?type=users&q=wonder');
+      assert.deepStrictEqual(renamed.body.items.map((u) => u.id), [alice.id]);
+      const stale = await request('GET', '/api/search?type=users&q=alice');
+      assert.deepStrictEqual(stale.body.items, []);
+    });
+  });
+
+  describe('GET /api/users/by-username/:username', () => {
+    it('should find users by username in any case', async () => {
+      const res = await request('GET', '/api/users/by-username/BoB', null, alice.token);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.id, bob.id);
+      assert.strictEqual(res.body.relationship, 'none');
+
+      const missing = await request('GET', '/api/users/by-username/nobody');
+      assert.strictEqual(missing.status, 404);
+    });
+
+    it('should count only the posts the viewer may see', async () => {
+      await request('POST', '/api/posts', { content: 'Public' }, bob.token);
+      await request('POST', '/api/posts', { content: 'Mine', visibility: 'only_me' }, bob.token);
+      const hidden = (await request('POST', '/api/posts', { content: 'Hidden' }, bob.token)).body;
+      repositories.posts.hide(hidden.id);
+
+      const asBob = await request('GET', '/api/users/by-username/bob', null, bob.token);
+      const asAlice = await request('GET', '/api/users/by-username/bob', null, alice.token);
+      const anon = await request('GET', `/api/users/${bob.id}`);
+      assert.strictEqual(asBob.body.postCount, 2);
+      assert.strictEqual(asAlice.body.postCount, 1);
+      assert.strictEqual(anon.body.postCount, 1);
+    });
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * tests/ratelimit.test.js
+ *
+ * Tests for the token-bucket rate limits (ratelimit.js): the general /api
+ * budget, the stricter per-route budgets, RateLimit-* / Retry-After headers
+ * and the 429 rate_limited error. `npm test` turns limiting off for the
+ * other suites, so this one switches it back on with a fake clock.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+const {
+  BUDGETS, configure, createMemoryStore, take,
+} = require('../ratelimit');
+
+let server;
+let baseUrl;
+let clock;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, POST, PUT, etc.)
+ * @param {string} path   - Request path
+ * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
+ * @param {object} headers - Optional extra request headers
+ * @returns {Promise<{ status: number, headers: object, body: any }>}
+ */
+function request(method, path, body = null, token = null, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+describe('Rate limiting', () => {
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    configure({ enabled: false, now: () => Date.now() });
+    server.close(done);
+  });
+
+  // Fresh buckets and a clock that only moves when a test moves it
+  beforeEach(() => {
+    storage.reset();
+    clock = Date.parse('2024-01-01T00:00:00.000Z');
+    configure({ enabled: true, store: createMemoryStore(), now: () => clock });
+  });
+
+  describe('headers', () => {
+    it('should describe the general budget on any API response', async () => {
+      const res = await request('GET', '/api/health');
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.headers['ratelimit-limit'], '300');
+      assert.strictEqual(res.headers['ratelimit-remaining'], '299');
+      assert.strictEqual(res.headers['ratelimit-reset'], '1');
+      assert.strictEqual(res.headers['ratelimit-policy'], '300;w=60');
+      assert.match(res.headers['access-control-expose-headers'], /RateLimit-Remaining/);
+    });
+
+    it('should describe the route budget where a route has one', async () => {
+      const alice = await createUser('alice', 'Alice');
+      const res = await request('POST', '/api/posts', { content: 'hi' }, alice.token);
+      assert.strictEqual(res.status, 201);
+      assert.strictEqual(res.headers['ratelimit-limit'], String(BUDGETS.posts.capacity));
+      assert.strictEqual(res.headers['ratelimit-remaining'], String(BUDGETS.posts.capacity - 1));
+      assert.strictEqual(res.headers['ratelimit-reset'], '30');
+    });
+  });
+
+  describe('sign-up (per IP)', () => {
+    it('should refuse a sixth account from one address with 429 and Retry-After', async () => {
+      for (let i = 0; i < BUDGETS.signup.capacity; i += 1) await createUser(`user${i}`, `User ${i}`);
+
+      const res = await request('POST', '/api/users', { username: 'extra', displayName: 'Extra' });
+      assert.strictEqual(res.status, 429);
+      assert.strictEqual(res.body.error.code, 'rate_limited');
+      assert.strictEqual(res.headers['retry-after'], '720');
+      assert.strictEqual(res.headers['ratelimit-remaining'], '0');
+    });
+
+    it('should not give a signed-in caller a fresh budget', async () => {
+      const users = [];
+      for (let i = 0; i < BUDGETS.signup.capacity; i += 1) users.push(await createUser(`user${i}`, `User ${i}`));
+
+      const res = await request('POST', '/api/auth/register', {
+        username: 'extra', displayName: 'Extra', password: 'password123',
+      }, users[4].token);
+      assert.strictEqual(res.status, 429);
+    });
+
+    it('should allow another account once a token has refilled', async () => {
+      for (let i = 0; i < BUDGETS.signup.capacity; i += 1) await createUser(`user${i}`, `User ${i}`);
+      clock += BUDGETS.signup.refillMs;
+
+      const res = await request('POST', '/api/users', { username: 'extra', displayName: 'Extra' });
+      assert.strictEqual(res.status, 201);
+      assert.strictEqual(res.headers['ratelimit-remaining'], '0');
+    });
+  });
+
+  describe('sign-in (per IP and per username)', () => {
+    const login = (username, password = 'wrong-password', ip = null) => request(
+      'POST', '/api/auth/login', { username, password }, null, ip ? { 'X-Forwarded-For': ip } : {},
+    );
+
+    it('should slow password guessing against one account', async () => {
+      await createUser('alice', 'Alice');
+      for (let i = 0; i < BUDGETS.loginUser.capacity; i += 1) {
+        assert.strictEqual((await login(i % 2 ? 'alice' : 'ALICE')).status, 401);
+      }
+
+      const limited = await login('alice', 'password123');
+      assert.strictEqual(limited.status, 429);
+      assert.strictEqual(limited.body.error.code, 'rate_limited');
+      assert.strictEqual(limited.headers['retry-after'], '300');
+
+      clock += BUDGETS.loginUser.refillMs;
+      assert.strictEqual((await login('alice', 'password123')).status, 200);
+    });
+
+    it('should not let guesses from one address lock the account out elsewhere', async () => {
+      await createUser('alice', 'Alice');
+      app.set('trust proxy', true);
+      try {
+        for (let i = 0; i <= BUDGETS.loginUser.capacity; i += 1) await login('alice', undefined, '203.0.113.7');
+        assert.strictEqual((await login('alice', 'password123', '203.0.113.7')).status, 429);
+
+        assert.strictEqual((await login('alice', 'password123', '198.51.100.2')).status, 200);
+      } finally {
+        app.set('trust proxy', false);
+      }
+    });
+
+    it('should slow guessing across many usernames from one address', async () => {
+      for (let i = 0; i < BUDGETS.login.capacity; i += 1) {
+        assert.strictEqual((await login(`user${i}`)).status, 401);
+      }
+
+      const limited = await login('someone-else');
+      assert.strictEqual(limited.status, 429);
+      assert.strictEqual(limited.headers['retry-after'], '60');
+    });
+  });
+
+  describe('per-user budgets', () => {
+    it('should limit posting per user, leaving other users unaffected', async () => {
+      const alice = await createUser('alice', 'Alice');
+      const bob = await createUser('bob', 'Bob');
+      for (let i = 0; i < BUDGETS.posts.capacity; i += 1) {
+        const res = await request('POST', '/api/posts', { content: `Post ${i}` }, alice.token);
+        assert.strictEqual(res.status, 201);
+      }
+
+      const limited = await request('POST', '/api/posts', { content: 'one more' }, alice.token);
+      assert.strictEqual(limited.status, 429);
+      assert.strictEqual(limited.headers['retry-after'], '30');
+
+      const other = await request('POST', '/api/posts', { content: 'mine' }, bob.token);
+      assert.strictEqual(other.status, 201);
+    });
+
+    it('should share one bucket between like and reaction toggles', async () => {
+      const alice = await createUser('alice', 'Alice');
+      const bob = await createUser('bob', 'Bob');
+      const post = (await request('POST', '/api/posts', { content: 'hi' }, alice.token)).body;
+      const likePath = `/api/posts/${post.id}/like`;
+      const reactPath = `/api/posts/${post.id}/reactions`;
+
+      for (let i = 0; i < BUDGETS.likes.capacity / 2; i += 1) {
+        assert.strictEqual((await request('POST', likePath, {}, bob.token)).status, 201);
+        assert.strictEqual((await request('DELETE', reactPath, null, bob.token)).status, 200);
+      }
+
+      const res = await request('PUT', reactPath, { type: 'love' }, bob.token);
+      assert.strictEqual(res.status, 429);
+      assert.strictEqual(res.body.error.code, 'rate_limited');
+    });
+  });
+
+  describe('take()', () => {
+    it('should refill one token per interval, up to capacity', async () => {
+      const { capacity, refillMs } = BUDGETS.follows;
+      for (let i = 0; i < capacity; i += 1) assert.ok((await take('follows', 'user:u1')).allowed);
+
+      const empty = await take('follows', 'user:u1');
+      assert.deepStrictEqual(empty, {
+        allowed: false, remaining: 0, resetMs: capacity * refillMs, retryAfterMs: refillMs,
+      });
+
+      clock += refillMs / 2;
+      assert.strictEqual((await take('follows', 'user:u1')).retryAfterMs, refillMs / 2);
+
+      clock += refillMs / 2;
+      assert.strictEqual((await take('follows', 'user:u1')).allowed, true);
+
+      clock += 10 * capacity * refillMs;
+      assert.strictEqual((await take('follows', 'user:u1')).remaining, capacity - 1);
+    });
+
+    it('should keep buckets in the configured store, waiting on its promises', async () => {
+      const keys = [];
+      const store = createMemoryStore();
+      const later = (value) => new Promise((resolve) => { setImmediate(() => resolve(value)); });
+      configure({
+        store: {
+          ...store,
+          async get(key) {
+            return later(await store.get(key));
+          },
+          async set(key, bucket, ttlMs) {
+            keys.push(key);
+            await store.set(key, bucket, ttlMs);
+            return later();
+          },
+        },
+      });
+
+      await take('posts', 'user:u1');
+      assert.deepStrictEqual(keys, ['posts:user:u1']);
+      assert.strictEqual((await take('posts', 'user:u1')).remaining, BUDGETS.posts.capacity - 2);
+
+      const alice = await createUser('alice', 'Alice');
+      const res = await request('POST', '/api/posts', { content: 'hi' }, alice.token);
+      assert.strictEqual(res.status, 201);
+      assert.strictEqual(res.headers['ratelimit-remaining'], String(BUDGETS.posts.capacity - 1));
+    });
+
+    it('should pass a store failure on as a server error', async (t) => {
+      t.mock.method(console, 'error', () => {});
+      configure({
+        store: {
+          ...createMemoryStore(),
+          async get() {
+            throw new Error('store is down');
+          },
+        },
+      });
+
+      const res = await request('GET', '/api/health');
+      assert.strictEqual(res.status, 500);
+    });
+  });
+
+  it('should document a 429 for routes with their own budget', async () => {
+    const spec = (await request('GET', '/api/openapi.json')).body;
+    assert.ok(spec.paths['/api/posts'].post.responses[429]);
+    assert.ok(spec.paths['/api/follow'].post.responses[429]);
+    assert.strictEqual(spec.paths['/api/posts'].get.responses[429], undefined);
+    assert.match(spec.paths['/api/auth/login'].post.responses[429].description, /login and loginUser budgets/);
+  });
+});
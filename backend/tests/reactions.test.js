@@ -0,0 +1,244 @@
+/**
+ * tests/reactions.test.js
+ *
+ * Tests for the Reactions API:
+ *   PUT    /api/posts/:id/reactions        — set / replace your reaction
+ *   DELETE /api/posts/:id/reactions        — remove your reaction
+ *   GET    /api/posts/:id/reactions?type=  — list reactors
+ * plus per-type counts and viewerReaction on posts, and the like shortcuts.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+const repositories = require('../repositories');
+const { buildIndexes } = require('../indexes');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, PUT, DELETE, etc.)
+ * @param {string} path   - Request path (e.g., '/api/posts/abc/reactions')
+ * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function request(method, path, body = null, token = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    // Serialize body up-front so we can set Content-Length (required for
+    // DELETE requests, otherwise express.json() skips parsing and req.body
+    // ends up undefined, causing destructuring errors in the routes).
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+const NO_REACTIONS = {
+  like: 0, love: 0, haha: 0, wow: 0, sad: 0, angry: 0,
+};
+
+describe('Reactions API', () => {
+  let alice;
+  let bob;
+  let carol;
+  let post;
+
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    storage.reset();
+    alice = await createUser('alice', 'Alice');
+    bob = await createUser('bob', 'Bob');
+    carol = await createUser('carol', 'Carol');
+    post = (await request('POST', '/api/posts', { content: 'React to me' }, alice.token)).body;
+  });
+
+  const react = (user, type) => request('PUT', `/api/posts/${post.id}/reactions`, { type }, user.token);
+  const getPost = (user) => request('GET', `/api/posts/${post.id}`, null, user && user.token);
+
+  it('should start every post with zero counts and no viewer reaction', async () => {
+    assert.deepStrictEqual(post.reactionCounts, NO_REACTIONS);
+    assert.strictEqual(post.viewerReaction, null);
+  });
+
+  it('should add a reaction and count it by type', async () => {
+    const res = await react(bob, 'love');
+
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.type, 'love');
+    assert.deepStrictEqual(res.body.reactionCounts, { ...NO_REACTIONS, love: 1 });
+    assert.strictEqual(res.body.likesCount, 0);
+
+    const seenByBob = await getPost(bob);
+    assert.deepStrictEqual(seenByBob.body.reactionCounts, { ...NO_REACTIONS, love: 1 });
+    assert.strictEqual(seenByBob.body.viewerReaction, 'love');
+    assert.strictEqual((await getPost(carol)).body.viewerReaction, null);
+    assert.strictEqual((await getPost(null)).body.viewerReaction, null);
+  });
+
+  it('should replace the previous reaction instead of adding a second', async () => {
+    await react(bob, 'like');
+    const res = await react(bob, 'haha');
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.previousType, 'like');
+    assert.deepStrictEqual(res.body.reactionCounts, { ...NO_REACTIONS, haha: 1 });
+    assert.strictEqual(res.body.likesCount, 0);
+    assert.strictEqual(storage.likes.length, 1);
+
+    const again = await react(bob, 'haha');
+    assert.strictEqual(again.status, 200);
+    assert.deepStrictEqual(again.body.reactionCounts, { ...NO_REACTIONS, haha: 1 });
+  });
+
+  it('should remove a reaction', async () => {
+    await react(bob, 'sad');
+
+    const res = await request('DELETE', `/api/posts/${post.id}/reactions`, null, bob.token);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.reactionCounts, NO_REACTIONS);
+
+    const again = await request('DELETE', `/api/posts/${post.id}/reactions`, null, bob.token);
+    assert.strictEqual(again.status, 404);
+  });
+
+  it('should validate the type and require authentication', async () => {
+    const bad = await react(bob, 'meh');
+    const missing = await request('PUT', `/api/posts/${post.id}/reactions`, {}, bob.token);
+    const anon = await request('PUT', `/api/posts/${post.id}/reactions`, { type: 'wow' });
+    const unknown = await request('PUT', '/api/posts/nope/reactions', { type: 'wow' }, bob.token);
+
+    assert.strictEqual(bad.status, 400);
+    assert.match(bad.body.error.message, /like, love, haha, wow, sad, angry/);
+    assert.strictEqual(missing.status, 400);
+    assert.strictEqual(anon.status, 401);
+    assert.strictEqual(unknown.status, 404);
+  });
+
+  it('should refuse reactions across a block', async () => {
+    await request('POST', `/api/users/${bob.id}/block`, {}, alice.token);
+    const res = await react(bob, 'angry');
+    assert.strictEqual(res.status, 403);
+  });
+
+  it('should list reactors newest first, optionally by type', async () => {
+    await react(bob, 'love');
+    await react(carol, 'wow');
+
+    const all = await request('GET', `/api/posts/${post.id}/reactions`);
+    assert.strictEqual(all.status, 200);
+    assert.deepStrictEqual(all.body.items.map((r) => [r.user.id, r.type]), [[carol.id, 'wow'], [bob.id, 'love']]);
+
+    const loves = await request('GET', `/api/posts/${post.id}/reactions?type=love`);
+    assert.deepStrictEqual(loves.body.items.map((r) => r.user.id), [bob.id]);
+
+    const bad = await request('GET', `/api/posts/${post.id}/reactions?type=meh`);
+    assert.strictEqual(bad.status, 400);
+  });
+
+  it('should keep the like routes as shortcuts for the like reaction', async () => {
+    await react(bob, 'love');
+
+    const like = await request('POST', `/api/posts/${post.id}/like`, {}, bob.token);
+    assert.strictEqual(like.status, 200, 'replaces the love');
+    assert.strictEqual(like.body.likesCount, 1);
+    assert.deepStrictEqual((await getPost(bob)).body.reactionCounts, { ...NO_REACTIONS, like: 1 });
+
+    await react(carol, 'wow');
+    const likers = await request('GET', `/api/posts/${post.id}/likes`);
+    assert.deepStrictEqual(likers.body.items.map((u) => u.id), [bob.id], 'only likes are listed');
+
+    const notALike = await request('DELETE', `/api/posts/${post.id}/like`, null, carol.token);
+    assert.strictEqual(notALike.status, 404);
+
+    const unlike = await request('DELETE', `/api/posts/${post.id}/like`, null, bob.token);
+    assert.strictEqual(unlike.status, 200);
+    assert.strictEqual((await getPost(bob)).body.viewerReaction, null);
+  });
+
+  it('should notify the author once per reactor, grouped per post', async () => {
+    await react(bob, 'love');
+    await react(carol, 'haha');
+    await react(bob, 'wow');
+
+    const res = await request('GET', `/api/users/${alice.id}/notifications`, null, alice.token);
+    assert.strictEqual(res.body.items.length, 1);
+    assert.strictEqual(res.body.items[0].type, 'reaction');
+    assert.strictEqual(res.body.items[0].message, 'Carol and Bob reacted to your post', 'switching wow for love is not news');
+
+    await react(bob, 'like');
+    const after = await request('GET', `/api/users/${alice.id}/notifications`, null, alice.token);
+    assert.deepStrictEqual(
+      after.body.items.map((n) => n.message).sort(),
+      ['Bob liked your post', 'Carol reacted to your post']
+    );
+  });
+
+  it('should count likes made before reactions existed', async () => {
+    // Stored without a type, on a post without reactionCounts
+    repositories.posts.create({
+      id: 'old', authorId: alice.id, content: 'Old', createdAt: '2023-01-01T00:00:00.000Z', likesCount: 0, commentsCount: 0,
+    });
+    storage.likes.push({ userId: bob.id, postId: 'old', createdAt: '2023-01-02T00:00:00.000Z' });
+    storage.posts.old.likesCount = 1;
+    // As if loaded from storage, which rebuilds the indexes
+    storage.indexes = buildIndexes(storage);
+
+    const res = await request('GET', '/api/posts/old', null, bob.token);
+    assert.deepStrictEqual(res.body.reactionCounts, { ...NO_REACTIONS, like: 1 });
+    assert.strictEqual(res.body.viewerReaction, 'like');
+
+    const changed = await request('PUT', '/api/posts/old/reactions', { type: 'love' }, bob.token);
+    assert.deepStrictEqual(changed.body.reactionCounts, { ...NO_REACTIONS, love: 1 });
+    assert.strictEqual(changed.body.likesCount, 0);
+  });
+});
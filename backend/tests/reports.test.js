@@ -0,0 +1,299 @@
+/**
+ * tests/reports.test.js
+ *
+ * Tests for reporting posts and users (routes/reports.js) and the admin
+ * moderation queue: listing, dismissing, hiding and deleting posts, and
+ * suspending accounts (auth.js requireActive).
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+const { users } = require('../repositories');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, POST, DELETE, etc.)
+ * @param {string} path   - Request path
+ * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function request(method, path, body = null, token = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+describe('Reports and moderation', () => {
+  let admin;
+  let alice;
+  let bob;
+  let carol;
+  let post;
+
+  const reportPost = (reporter, reason = 'spam') => request('POST', '/api/reports', {
+    targetType: 'post', targetId: post.id, reason,
+  }, reporter.token);
+  const resolve = (reportId, action, note) => request('POST', `/api/admin/reports/${reportId}/resolve`, {
+    action, ...(note && { note }),
+  }, admin.token);
+
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    storage.reset();
+    admin = await createUser('mod', 'Moderator');
+    users.update(admin.id, { role: 'admin' });
+    alice = await createUser('alice', 'Alice');
+    bob = await createUser('bob', 'Bob');
+    carol = await createUser('carol', 'Carol');
+    post = (await request('POST', '/api/posts', { content: 'Buy cheap watches!' }, alice.token)).body;
+  });
+
+  describe('POST /api/reports', () => {
+    it('should file an open report naming the post author as subject', async () => {
+      const res = await request('POST', '/api/reports', {
+        targetType: 'post', targetId: post.id, reason: 'spam', details: '  same link everywhere ',
+      }, bob.token);
+
+      assert.strictEqual(res.status, 201);
+      assert.strictEqual(res.body.reporterId, bob.id);
+      assert.strictEqual(res.body.subjectId, alice.id);
+      assert.strictEqual(res.body.details, 'same link everywhere');
+      assert.strictEqual(res.body.status, 'open');
+      assert.strictEqual(res.body.resolution, null);
+    });
+
+    it('should refuse a second open report on the same target by the same user', async () => {
+      await reportPost(bob);
+      const again = await reportPost(bob, 'harassment');
+      assert.strictEqual(again.status, 409);
+      assert.strictEqual(again.body.error.code, 'already_reported');
+
+      const other = await reportPost(carol);
+      assert.strictEqual(other.status, 201);
+    });
+
+    it('should refuse reporting yourself, your own post, or what you cannot see', async () => {
+      const self = await request('POST', '/api/reports', {
+        targetType: 'user', targetId: bob.id, reason: 'other',
+      }, bob.token);
+      assert.strictEqual(self.status, 400);
+
+      const own = await reportPost(alice);
+      assert.strictEqual(own.status, 400);
+
+      const hidden = (await request('POST', '/api/posts', {
+        content: 'Just for me', visibility: 'only_me',
+      }, alice.token)).body;
+      const unseen = await request('POST', '/api/reports', {
+        targetType: 'post', targetId: hidden.id, reason: 'spam',
+      }, bob.token);
+      assert.strictEqual(unseen.status, 404);
+
+      const badReason = await request('POST', '/api/reports', {
+        targetType: 'user', targetId: alice.id, reason: 'boring',
+      }, bob.token);
+      assert.strictEqual(badReason.status, 400);
+      assert.strictEqual(badReason.body.error.code, 'validation_failed');
+    });
+  });
+
+  describe('GET /api/admin/reports', () => {
+    it('should be for admins only', async () => {
+      const res = await request('GET', '/api/admin/reports', null, bob.token);
+      assert.strictEqual(res.status, 403);
+
+      const anonymous = await request('GET', '/api/admin/reports');
+      assert.strictEqual(anonymous.status, 401);
+    });
+
+    it('should list open reports oldest first with their target and count', async () => {
+      await reportPost(bob);
+      await reportPost(carol, 'harassment');
+      await request('POST', '/api/reports', {
+        targetType: 'user', targetId: alice.id, reason: 'impersonation',
+      }, carol.token);
+
+      const res = await request('GET', '/api/admin/reports', null, admin.token);
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.body.items.map((r) => r.reporterId), [bob.id, carol.id, carol.id]);
+      assert.strictEqual(res.body.items[0].target.id, post.id);
+      assert.strictEqual(res.body.items[0].openReportCount, 2);
+      assert.strictEqual(res.body.items[0].reporter.username, 'bob');
+      assert.strictEqual(res.body.items[2].target.username, 'alice');
+
+      const filtered = await request('GET', '/api/admin/reports?targetType=user', null, admin.token);
+      assert.strictEqual(filtered.body.items.length, 1);
+    });
+  });
+
+  describe('POST /api/admin/reports/:id/resolve', () => {
+    it('should dismiss every open report on the target at once', async () => {
+      const first = (await reportPost(bob)).body;
+      const second = (await reportPost(carol)).body;
+
+      const res = await resolve(first.id, 'dismiss', 'Not spam');
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.body.resolvedReportIds.sort(), [first.id, second.id].sort());
+      assert.strictEqual(res.body.report.status, 'resolved');
+      assert.strictEqual(res.body.report.resolution.adminId, admin.id);
+      assert.strictEqual(res.body.report.resolution.note, 'Not spam');
+
+      const open = await request('GET', '/api/admin/reports', null, admin.token);
+      assert.strictEqual(open.body.items.length, 0);
+      const resolved = await request('GET', '/api/admin/reports?status=resolved', null, admin.token);
+      assert.strictEqual(resolved.body.items.length, 2);
+
+      const again = await resolve(second.id, 'dismiss');
+      assert.strictEqual(again.status, 409);
+      assert.strictEqual(again.body.error.code, 'already_resolved');
+    });
+
+    it('should hide a post from everyone, its author included', async () => {
+      await request('POST', '/api/follow', { followerId: bob.id, followeeId: alice.id }, bob.token);
+      const report = (await reportPost(bob)).body;
+
+      const res = await resolve(report.id, 'hide_post');
+      assert.strictEqual(res.status, 200);
+      assert.ok(res.body.report.target.hiddenAt);
+
+      assert.strictEqual((await request('GET', `/api/posts/${post.id}`, null, alice.token)).status, 404);
+      const profile = await request('GET', `/api/users/${alice.id}/posts`, null, alice.token);
+      assert.strictEqual(profile.body.items.length, 0);
+      const feed = await request('GET', `/api/feed/${bob.id}`, null, bob.token);
+      assert.ok(!feed.body.items.some((p) => p.id === post.id));
+      const edit = await request('PATCH', `/api/posts/${post.id}`, { content: 'Fixed' }, alice.token);
+      assert.strictEqual(edit.status, 404);
+    });
+
+    it('should delete a post', async () => {
+      const report = (await reportPost(bob)).body;
+
+      const res = await resolve(report.id, 'delete_post');
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.report.target, null);
+      assert.strictEqual((await request('GET', `/api/posts/${post.id}`)).status, 404);
+    });
+
+    it('should suspend the subject, who can still read, defend themselves and clean up', async () => {
+      const bobsPost = (await request('POST', '/api/posts', { content: 'Hi' }, bob.token)).body;
+      const alicesPost = (await request('POST', '/api/posts', { content: 'Mine' }, alice.token)).body;
+      await request('POST', `/api/posts/${bobsPost.id}/like`, {}, alice.token);
+      const report = (await request('POST', '/api/reports', {
+        targetType: 'user', targetId: alice.id, reason: 'harassment',
+      }, bob.token)).body;
+
+      const res = await resolve(report.id, 'suspend_user');
+      assert.strictEqual(res.status, 200);
+      const profile = await request('GET', `/api/users/${alice.id}`);
+      assert.ok(profile.body.suspendedAt);
+
+      const refused = [
+        await request('POST', '/api/posts', { content: 'Again' }, alice.token),
+        await request('POST', `/api/posts/${bobsPost.id}/comments`, { content: 'x' }, alice.token),
+        await request('PUT', `/api/posts/${bobsPost.id}/reactions`, { type: 'angry' }, alice.token),
+        await request('POST', '/api/follow', { followerId: alice.id, followeeId: bob.id }, alice.token),
+        await request('POST', '/api/friend-requests', { toId: carol.id }, alice.token),
+      ];
+      refused.forEach((r) => {
+        assert.strictEqual(r.status, 403);
+        assert.strictEqual(r.body.error.code, 'account_suspended');
+      });
+
+      const allowed = [
+        await request('GET', `/api/feed/${alice.id}`, null, alice.token),
+        await request('DELETE', `/api/posts/${bobsPost.id}/like`, null, alice.token),
+        await request('POST', `/api/users/${carol.id}/block`, {}, alice.token),
+        await request('POST', `/api/users/${bob.id}/mute`, {}, alice.token),
+        await request('POST', '/api/reports', { targetType: 'user', targetId: bob.id, reason: 'spam' }, alice.token),
+        await request('POST', `/api/users/${alice.id}/notifications/read-all`, {}, alice.token),
+        await request('PATCH', `/api/users/${alice.id}`, { bio: 'Still here' }, alice.token),
+        await request('POST', `/api/suggestions/${carol.id}/dismiss`, {}, alice.token),
+        await request('DELETE', `/api/posts/${alicesPost.id}`, null, alice.token),
+      ];
+      allowed.forEach((r) => assert.ok(r.status < 300, `${r.status} ${JSON.stringify(r.body)}`));
+      const leave = await request('DELETE', `/api/users/${alice.id}`, { password: 'password123' }, alice.token);
+      assert.strictEqual(leave.status, 204);
+    });
+
+    it('should refuse actions that do not fit the report', async () => {
+      const userReport = (await request('POST', '/api/reports', {
+        targetType: 'user', targetId: alice.id, reason: 'spam',
+      }, bob.token)).body;
+      assert.strictEqual((await resolve(userReport.id, 'hide_post')).status, 400);
+
+      const adminReport = (await request('POST', '/api/reports', {
+        targetType: 'user', targetId: admin.id, reason: 'spam',
+      }, bob.token)).body;
+      assert.strictEqual((await resolve(adminReport.id, 'suspend_user')).status, 403);
+
+      assert.strictEqual((await resolve('no-such-report', 'dismiss')).status, 404);
+      const notAdmin = await request('POST', `/api/admin/reports/${userReport.id}/resolve`, {
+        action: 'dismiss',
+      }, bob.token);
+      assert.strictEqual(notAdmin.status, 403);
+    });
+  });
+
+  it('should show roles on profiles and document suspension', async () => {
+    assert.strictEqual((await request('GET', `/api/users/${admin.id}`)).body.role, 'admin');
+    assert.strictEqual((await request('GET', `/api/users/${bob.id}`)).body.role, 'user');
+
+    const spec = (await request('GET', '/api/openapi.json')).body;
+    assert.match(spec.paths['/api/posts'].post.responses[403].description, /account_suspended/);
+    assert.strictEqual(spec.paths['/api/admin/reports'].get.responses[403].description, 'Not an admin');
+  });
+});
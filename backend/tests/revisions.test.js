@@ -0,0 +1,192 @@
+/**
+ * tests/revisions.test.js
+ *
+ * Tests for editing posts:
+ *   PATCH /api/posts/:id           — content / visibility edits, author only
+ *   GET   /api/posts/:id/revisions — edit history, newest first
+ * and the ETag / If-Match check that turns a conflicting edit into 412.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method  - HTTP method (GET, POST, PATCH, etc.)
+ * @param {string} path    - Request path
+ * @param {object} body    - Optional request body
+ * @param {string} token   - Optional bearer token
+ * @param {object} headers - Optional extra request headers
+ * @returns {Promise<{ status: number, headers: object, body: any }>}
+ */
+function request(method, path, body = null, token = null, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+describe('Post editing', () => {
+  let alice;
+  let bob;
+  let post;
+
+  before((_, done) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    storage.reset();
+    alice = await createUser('alice', 'Alice');
+    bob = await createUser('bob', 'Bob');
+    post = (await request('POST', '/api/posts', { content: 'First draft' }, alice.token)).body;
+  });
+
+  const edit = (changes, user = alice, headers = {}) => request('PATCH', `/api/posts/${post.id}`, changes, user.token, headers);
+
+  it('should start unedited with a single revision', async () => {
+    assert.strictEqual(post.editedAt, null);
+    assert.strictEqual(post.revisionCount, 1);
+
+    const revisions = await request('GET', `/api/posts/${post.id}/revisions`);
+    assert.strictEqual(revisions.status, 200);
+    assert.strictEqual(revisions.body.items.length, 1);
+    assert.strictEqual(revisions.body.items[0].content, 'First draft');
+    assert.strictEqual(revisions.body.items[0].editedAt, post.createdAt);
+  });
+
+  it('should edit content and keep likes and comments', async () => {
+    await request('POST', `/api/posts/${post.id}/like`, {}, bob.token);
+
+    const res = await edit({ content: '  Second draft  ' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.content, 'Second draft');
+    assert.strictEqual(res.body.revisionCount, 2);
+    assert.ok(res.body.editedAt);
+    assert.strictEqual(res.body.likesCount, 1);
+    assert.strictEqual(res.body.author.id, alice.id);
+
+    const fetched = await request('GET', `/api/posts/${post.id}`);
+    assert.strictEqual(fetched.body.content, 'Second draft');
+    assert.strictEqual(fetched.body.revisionCount, 2);
+  });
+
+  it('should list every version newest first with its editor', async () => {
+    await edit({ content: 'Second draft' });
+    await edit({ visibility: 'followers' });
+
+    const res = await request('GET', `/api/posts/${post.id}/revisions`, null, alice.token);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.items.map((r) => r.number), [3, 2, 1]);
+    assert.deepStrictEqual(res.body.items.map((r) => r.content), ['Second draft', 'Second draft', 'First draft']);
+    assert.deepStrictEqual(res.body.items.map((r) => r.visibility), ['followers', 'public', 'public']);
+    assert.ok(res.body.items.every((r) => r.editor.id === alice.id && r.editedAt));
+
+    const page = await request('GET', `/api/posts/${post.id}/revisions?limit=2`, null, alice.token);
+    assert.deepStrictEqual(page.body.items.map((r) => r.number), [3, 2]);
+    const rest = await request('GET', `/api/posts/${post.id}/revisions?cursor=${page.body.nextCursor}`, null, alice.token);
+    assert.deepStrictEqual(rest.body.items.map((r) => r.number), [1]);
+  });
+
+  it('should only let the author edit, with valid content', async () => {
+    const other = await edit({ content: 'Hijacked' }, bob);
+    const empty = await edit({ content: '   ' });
+    const notString = await edit({ content: 42 });
+
+    assert.strictEqual(other.status, 403);
+    assert.strictEqual(empty.status, 400);
+    assert.strictEqual(notString.status, 400);
+    assert.strictEqual((await request('GET', `/api/posts/${post.id}`)).body.revisionCount, 1);
+  });
+
+  it('should hide the history of posts the viewer cannot see', async () => {
+    await edit({ visibility: 'only_me' });
+
+    assert.strictEqual((await request('GET', `/api/posts/${post.id}/revisions`, null, bob.token)).status, 404);
+    assert.strictEqual((await request('GET', '/api/posts/missing/revisions')).status, 404);
+  });
+
+  it('should send an ETag that changes with each edit', async () => {
+    const before = await request('GET', `/api/posts/${post.id}`);
+    assert.ok(before.headers.etag);
+
+    const edited = await edit({ content: 'Second draft' });
+    assert.ok(edited.headers.etag);
+    assert.notStrictEqual(edited.headers.etag, before.headers.etag);
+
+    const after = await request('GET', `/api/posts/${post.id}`);
+    assert.strictEqual(after.headers.etag, edited.headers.etag);
+  });
+
+  it('should return 412 when If-Match no longer matches', async () => {
+    const { headers: { etag } } = await request('GET', `/api/posts/${post.id}`);
+
+    const first = await edit({ content: 'Edited elsewhere' }, alice, { 'If-Match': etag });
+    assert.strictEqual(first.status, 200);
+
+    const stale = await edit({ content: 'Based on the old version' }, alice, { 'If-Match': etag });
+    assert.strictEqual(stale.status, 412);
+    assert.strictEqual((await request('GET', `/api/posts/${post.id}`)).body.content, 'Edited elsewhere');
+
+    const current = await edit({ content: 'Based on the new version' }, alice, { 'If-Match': first.headers.etag });
+    assert.strictEqual(current.status, 200);
+
+    const any = await edit({ content: 'Whatever is there' }, alice, { 'If-Match': '*' });
+    assert.strictEqual(any.status, 200);
+  });
+
+  it('should drop revisions along with the post', async () => {
+    await edit({ content: 'Second draft' });
+    await request('DELETE', `/api/posts/${post.id}`, null, alice.token);
+
+    assert.strictEqual(storage.revisions[post.id], undefined);
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * tests/search.test.js
+ *
+ * Tests for the Search API:
+ *   GET /api/search?q=&type=users|posts|all — users and posts ranked by relevance
+ * and for the tokeniser and term index behind it (search.js).
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+const { buildIndexes } = require('../indexes');
+const {
+  tokenize, createTermIndex, addDocument, removeDocument, searchIndex,
+} = require('../search');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, POST, PATCH, etc.)
+ * @param {string} path   - Request path
+ * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function request(method, path, body = null, token = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName, bio) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    bio,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+describe('Search API', () => {
+  let alice;
+  let bob;
+  let carol;
+
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    storage.reset();
+    alice = await createUser('alice', 'Alice Smith', 'Baker of sourdough bread');
+    bob = await createUser('bob_99', 'Bob Baker', 'Cyclist');
+    carol = await createUser('carol', 'Zoë Carol', 'I like bread');
+  });
+
+  /** Create a post as `user` and return the response body. */
+  async function postAs(user, content, extra = {}) {
+    const res = await request('POST', '/api/posts', { content, ...extra }, user.token);
+    assert.strictEqual(res.status, 201, `post failed: ${JSON.stringify(res.body)}`);
+    return res.body;
+  }
+
+  const search = (query, token = null) => request('GET', `/api/search?${query}`, null, token);
+  const ids = (page) => page.items.map((item) => item.id);
+
+  describe('tokenize()', () => {
+    it('should lowercase, fold accents and split on punctuation', () => {
+      assert.deepStrictEqual(tokenize('Zoë’s CAFÉ, well-known!'), ['zoe', 's', 'cafe', 'well', 'known']);
+      assert.deepStrictEqual(tokenize('  '), []);
+    });
+  });
+
+  describe('term index', () => {
+    it('should find terms by prefix as they are added, removed and added again', () => {
+      const index = createTermIndex();
+      const terms = (...words) => new Map(words.map((w) => [w, 1]));
+      addDocument(index, 'a', terms('apple', 'apricot'));
+      addDocument(index, 'b', terms('banana'));
+      assert.deepStrictEqual(searchIndex(index, 'ap').map((r) => r.id), ['a']);
+
+      removeDocument(index, 'a', terms('apple', 'apricot'));
+      addDocument(index, 'c', terms('apple', 'avocado'));
+      addDocument(index, 'd', terms('apple'));
+      assert.deepStrictEqual(searchIndex(index, 'ap').map((r) => r.id).sort(), ['c', 'd']);
+      assert.deepStrictEqual(searchIndex(index, 'apr'), []);
+      assert.deepStrictEqual(searchIndex(index, 'a').map((r) => r.id).sort(), ['c', 'd']);
+      assert.deepStrictEqual([...index.buckets.keys()].sort(), ['ap', 'av', 'ba']);
+    });
+  });
+
+  describe('GET /api/search?type=users', () => {
+    it('should rank username matches above displayName and bio matches', async () => {
+      const res = await search('q=baker&type=users');
+
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(ids(res.body), [bob.id, alice.id], 'displayName outranks bio');
+      assert.ok(res.body.items[0].score > res.body.items[1].score);
+
+      const byName = await search('q=bob&type=users');
+      assert.deepStrictEqual(ids(byName.body), [bob.id]);
+      const whole = await search('q=bob_99&type=users');
+      assert.deepStrictEqual(ids(whole.body), [bob.id], 'usernames match as typed');
+    });
+
+    it('should match prefixes for typeahead and require every word', async () => {
+      const partial = await search('q=ali%20sm&type=users');
+      assert.deepStrictEqual(ids(partial.body), [alice.id]);
+
+      const accent = await search('q=zoe&type=users');
+      assert.deepStrictEqual(ids(accent.body), [carol.id]);
+
+      const both = await search('q=bread%20baker&type=users');
+      assert.deepStrictEqual(ids(both.body), [alice.id]);
+    });
+
+    it('should find users as they register, and after a rebuild', async () => {
+      const dave = await createUser('dave', 'Dave Breadmaker');
+      const res = await search('q=bread&type=users');
+      assert.deepStrictEqual(ids(res.body).sort(), [alice.id, carol.id, dave.id].sort());
+
+      storage.indexes = buildIndexes(storage);
+      const rebuilt = await search('q=bread&type=users');
+      assert.deepStrictEqual(rebuilt.body, res.body);
+    });
+
+    it('should leave out users blocked with the viewer, either way', async () => {
+      await request('POST', `/api/users/${bob.id}/block`, {}, alice.token);
+
+      const asAlice = await search('q=baker&type=users', alice.token);
+      assert.deepStrictEqual(ids(asAlice.body), [alice.id]);
+      const asBob = await search('q=baker&type=users', bob.token);
+      assert.deepStrictEqual(ids(asBob.body), [bob.id]);
+    });
+  });
+
+  describe('GET /api/search?type=posts', () => {
+    it('should rank posts by relevance and follow edits and deletes', async () => {
+      const once = await postAs(alice, 'Sourdough starter day');
+      const twice = await postAs(bob, 'Sourdough, sourdough everywhere');
+      const edited = await postAs(carol, 'Nothing about bread');
+      const deleted = await postAs(carol, 'sourdough fan');
+
+      await request('PATCH', `/api/posts/${edited.id}`, { content: 'Sourdough loaf' }, carol.token);
+      await request('DELETE', `/api/posts/${deleted.id}`, null, carol.token);
+
+      const res = await search('q=sourdough&type=posts');
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.items[0].id, twice.id);
+      assert.deepStrictEqual(ids(res.body).sort(), [once.id, twice.id, edited.id].sort());
+      assert.strictEqual(res.body.items[0].author.id, bob.id);
+      assert.ok('reactionCounts' in res.body.items[0]);
+
+      const old = await search('q=nothing&type=posts');
+      assert.deepStrictEqual(old.body.items, []);
+    });
+
+    it('should hide posts the viewer cannot see', async () => {
+      await postAs(alice, 'secret recipe', { visibility: 'only_me' });
+
+      const anon = await search('q=recipe&type=posts');
+      assert.deepStrictEqual(anon.body.items, []);
+      const own = await search('q=recipe&type=posts', alice.token);
+      assert.strictEqual(own.body.items.length, 1);
+    });
+
+    it('should page with a cursor', async () => {
+      await postAs(alice, 'page one');
+      await postAs(alice, 'page two');
+      await postAs(alice, 'page three');
+
+      const first = await search('q=page&type=posts&limit=2');
+      assert.strictEqual(first.body.items.length, 2);
+      assert.ok(first.body.nextCursor);
+
+      const second = await search(`q=page&type=posts&limit=2&cursor=${first.body.nextCursor}`);
+      assert.strictEqual(second.body.items.length, 1);
+      assert.strictEqual(second.body.nextCursor, null);
+      const seen = new Set([...ids(first.body), ...ids(second.body)]);
+      assert.strictEqual(seen.size, 3);
+    });
+  });
+
+  describe('GET /api/search?type=all', () => {
+    it('should return users and posts together by default', async () => {
+      const post = await postAs(carol, 'Fresh bread today');
+
+      const res = await search('q=bread');
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(ids(res.body.users).sort(), [alice.id, carol.id].sort());
+      assert.deepStrictEqual(ids(res.body.posts), [post.id]);
+    });
+
+    it('should validate q, type and cursor', async () => {
+      const missing = await search('type=users');
+      const blank = await search('q=%20%20');
+      const tooLong = await search(`q=${'a'.repeat(101)}`);
+      const badType = await search('q=bread&type=tags');
+      const badCursor = await search('q=bread&type=posts&cursor=nope');
+      const cursorForAll = await search('q=bread&cursor=nope');
+
+      [missing, blank, tooLong, badType, badCursor, cursorForAll]
+        .forEach((res) => assert.strictEqual(res.status, 400));
+    });
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * tests/storage.test.js
+ *
+ * Tests for the persistence layer:
+ *   adapters/file.js — append-only log + snapshots, replayed into a fresh state
+ *   repositories.js  — mutations applied through the active adapter
+ *   indexes.js       — follow adjacency and timelines kept in step with writes
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createFileAdapter } = require('../adapters/file');
+const { createMemoryAdapter } = require('../adapters/memory');
+const repositories = require('../repositories');
+const storage = require('../storage');
+const { buildIndexes } = require('../indexes');
+
+const { applyOp } = repositories;
+
+/** A fresh, empty state object shaped like storage.js. */
+function emptyState() {
+  return { users: {}, posts: {}, follows: [], likes: [], credentials: {}, sessions: {} };
+}
+
+const alice = { id: 'u1', username: 'alice', displayName: 'Alice', bio: '', profilePicUrl: null, createdAt: '2024-01-01T00:00:00.000Z' };
+const bob = { id: 'u2', username: 'bob', displayName: 'Bob', bio: '', profilePicUrl: null, createdAt: '2024-01-01T00:00:00.000Z' };
+const post = { id: 'p1', authorId: 'u1', content: 'hi', mediaType: null, mediaUrl: null, createdAt: '2024-01-01T00:00:00.000Z', likesCount: 0 };
+
+/** Load a fresh state from dir, append ops through the adapter, then close it. */
+function writeOps(dir, ops, options = {}) {
+  const state = emptyState();
+  const adapter = createFileAdapter({ dir, snapshotIntervalMs: 0, ...options });
+  adapter.load(state, applyOp);
+  ops.forEach((op) => {
+    applyOp(state, op);
+    adapter.append(op);
+  });
+  return { state, adapter };
+}
+
+/** Load a fresh state from dir. */
+function reload(dir) {
+  const state = emptyState();
+  const adapter = createFileAdapter({ dir, snapshotIntervalMs: 0 });
+  adapter.load(state, applyOp);
+  return state;
+}
+
+/** Fresh copies each call — applyOp stores payload objects by reference. */
+function sampleOps() {
+  return [
+    { type: 'users.create', payload: { user: { ...alice } } },
+    { type: 'users.create', payload: { user: { ...bob } } },
+    { type: 'posts.create', payload: { post: { ...post } } },
+    { type: 'follows.add', payload: { followerId: 'u2', followeeId: 'u1', createdAt: '2024-01-02T00:00:00.000Z' } },
+    { type: 'likes.add', payload: { userId: 'u2', postId: 'p1', createdAt: '2024-01-02T00:00:00.000Z' } },
+  ];
+}
+
+describe('File storage adapter', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fb-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should replay the log into a fresh state after a restart', () => {
+    const { state } = writeOps(dir, sampleOps());
+
+    const restored = reload(dir);
+
+    assert.deepStrictEqual(restored, state);
+    assert.strictEqual(restored.posts.p1.likesCount, 1);
+  });
+
+  it('should snapshot every N appends and truncate the log', () => {
+    const { state } = writeOps(dir, sampleOps(), { snapshotEvery: 3 });
+
+    const snapshot = JSON.parse(fs.readFileSync(path.join(dir, 'snapshot.json'), 'utf8'));
+    assert.strictEqual(snapshot.seq, 3);
+    const logLines = fs.readFileSync(path.join(dir, 'log.jsonl'), 'utf8').split('\n').filter(Boolean);
+    assert.strictEqual(logLines.length, 2, 'only post-snapshot entries should remain in the log');
+
+    assert.deepStrictEqual(reload(dir), state);
+  });
+
+  it('should write a final snapshot on close()', () => {
+    const { state, adapter } = writeOps(dir, sampleOps());
+    adapter.close();
+
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'log.jsonl'), 'utf8'), '');
+    assert.deepStrictEqual(reload(dir), state);
+  });
+
+  it('should skip log entries already folded into the snapshot', () => {
+    const { state } = writeOps(dir, sampleOps());
+    const logPath = path.join(dir, 'log.jsonl');
+    const log = fs.readFileSync(logPath, 'utf8');
+
+    // Simulate a crash between writing the snapshot and truncating the log
+    fs.writeFileSync(path.join(dir, 'snapshot.json'), JSON.stringify({ seq: 5, data: state }));
+    fs.writeFileSync(logPath, log);
+
+    const restored = reload(dir);
+    assert.strictEqual(restored.follows.length, 1);
+    assert.strictEqual(restored.posts.p1.likesCount, 1);
+  });
+
+  it('should ignore a torn final log line', () => {
+    writeOps(dir, sampleOps().slice(0, 2));
+    fs.appendFileSync(path.join(dir, 'log.jsonl'), '{"seq":3,"type":"posts.cr');
+
+    const restored = reload(dir);
+
+    assert.deepStrictEqual(Object.keys(restored.users), ['u1', 'u2']);
+    assert.deepStrictEqual(restored.posts, {});
+  });
+});
+
+describe('Repositories', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fb-repos-'));
+    storage.reset();
+  });
+
+  afterEach(() => {
+    repositories.init(createMemoryAdapter());
+    storage.reset();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should persist writes through the file adapter and restore them on init', () => {
+    repositories.init(createFileAdapter({ dir, snapshotIntervalMs: 0 }));
+    repositories.users.create({ ...alice });
+    repositories.users.create({ ...bob });
+    repositories.posts.create({ ...post });
+    repositories.likes.add('u2', 'p1');
+    repositories.follows.add('u2', 'u1');
+    repositories.follows.remove('u2', 'u1');
+
+    storage.reset();
+    repositories.init(createFileAdapter({ dir, snapshotIntervalMs: 0 }));
+
+    assert.strictEqual(repositories.users.findByUsername('ALICE').id, 'u1');
+    assert.strictEqual(repositories.posts.get('p1').likesCount, 1);
+    assert.deepStrictEqual(repositories.likes.userIdsForPost('p1'), ['u2']);
+    assert.strictEqual(repositories.follows.exists('u2', 'u1'), false);
+  });
+
+  it('should purge likes when a post is removed', () => {
+    repositories.users.create({ ...alice });
+    repositories.posts.create({ ...post });
+    repositories.likes.add('u1', 'p1');
+
+    repositories.posts.remove('p1');
+
+    assert.strictEqual(repositories.posts.get('p1'), null);
+    assert.deepStrictEqual(storage.likes, []);
+  });
+
+  it('should rebuild follow and timeline indexes when state is reloaded', () => {
+    repositories.init(createFileAdapter({ dir, snapshotIntervalMs: 0 }));
+    repositories.users.create({ ...alice });
+    repositories.users.create({ ...bob });
+    repositories.posts.create({ ...post });
+    repositories.follows.add('u2', 'u1');
+
+    storage.reset();
+    assert.deepStrictEqual(repositories.timelines.postIds('u2'), []);
+    repositories.init(createFileAdapter({ dir, snapshotIntervalMs: 0 }));
+
+    assert.deepStrictEqual(repositories.timelines.postIds('u2'), ['p1']);
+    assert.strictEqual(repositories.follows.followerCount('u1'), 1);
+    assert.strictEqual(repositories.posts.countByAuthor('u1'), 1);
+  });
+
+  it('should keep incremental indexes identical to a full rebuild', () => {
+    const at = (n) => `2024-01-01T00:00:0${n}.000Z`;
+    repositories.users.create({ ...alice });
+    repositories.users.create({ ...bob });
+    repositories.users.create({ ...alice, id: 'u3', username: 'carol' });
+    // Out-of-order createdAt exercises sorted insertion and backfill merging
+    repositories.posts.create({ ...post, id: 'p2', createdAt: at(5) });
+    repositories.follows.add('u2', 'u1');
+    repositories.posts.create({ ...post, id: 'p1', createdAt: at(3) });
+    repositories.posts.create({ ...post, id: 'p3', authorId: 'u3', createdAt: at(4) });
+    repositories.follows.add('u2', 'u3');
+    repositories.follows.add('u1', 'u3');
+    repositories.posts.create({ ...post, id: 'p4', authorId: 'u3', createdAt: at(1) });
+    repositories.posts.remove('p2');
+    repositories.follows.remove('u1', 'u3');
+    repositories.friendRequests.create({ id: 'r1', fromId: 'u1', toId: 'u2', createdAt: at(6) });
+    repositories.friendRequests.accept('r1', at(7));
+
+    assert.deepStrictEqual(repositories.timelines.postIds('u2'), ['p4', 'p1', 'p3']);
+    assert.deepStrictEqual(repositories.friendships.friendIds('u2'), ['u1']);
+    assert.deepStrictEqual(repositories.timelines.postIds('u1'), []);
+    assert.deepStrictEqual(storage.indexes, buildIndexes(storage));
+
+    // Blocking severs the u2 → u1 follow and the friendship
+    repositories.blocks.add('u1', 'u2', at(8));
+    repositories.mutes.add('u2', 'u3', at(9));
+
+    assert.deepStrictEqual(repositories.timelines.postIds('u2'), ['p4', 'p3']);
+    assert.deepStrictEqual(repositories.friendships.friendIds('u2'), []);
+    assert.deepStrictEqual(storage.indexes, buildIndexes(storage));
+
+    // Reactions follow changes and go with their post or user
+    repositories.likes.add('u2', 'p1', 'like', at(1));
+    repositories.likes.add('u3', 'p1', 'love', at(2));
+    repositories.likes.add('u3', 'p3', 'like', at(3));
+    repositories.likes.add('u1', 'p4', 'like', at(4));
+    repositories.likes.change('u2', 'p1', 'haha');
+    repositories.likes.remove('u3', 'p1');
+    repositories.posts.remove('p3');
+
+    assert.strictEqual(repositories.likes.get('u2', 'p1').type, 'haha');
+    assert.deepStrictEqual(repositories.likes.userIdsForPost('p1'), ['u2']);
+    assert.deepStrictEqual(repositories.likes.byUser('u3'), []);
+    assert.deepStrictEqual(storage.indexes, buildIndexes(storage));
+
+    repositories.users.remove('u1');
+    assert.strictEqual(repositories.likes.exists('u1', 'p4'), false);
+    assert.deepStrictEqual(storage.indexes, buildIndexes(storage));
+  });
+});
@@ -0,0 +1,284 @@
+/**
+ * tests/stream.test.js
+ *
+ * Tests for GET /api/stream/:userId — Server-Sent Events for new / deleted
+ * posts from followed users, likes on the user's posts and new followers,
+ * with heartbeats and Last-Event-ID resume.
+ */
+
+// Short heartbeat so the test doesn't wait 15 s; read when routes/stream.js loads
+process.env.SSE_HEARTBEAT_MS = '50';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, POST, DELETE, etc.)
+ * @param {string} path   - Request path
+ * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function request(method, path, body = null, token = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    // Serialize body up-front so we can set Content-Length (required for
+    // DELETE requests, otherwise express.json() skips parsing and req.body
+    // ends up undefined, causing destructuring errors in the routes).
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+/**
+ * Open `user`'s event stream. Resolves once headers arrive with
+ * { status, headers, events, comments, waitFor(predicate), close() }.
+ */
+function openStream(user, { headers = {}, query = '' } = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(`/api/stream/${user.id}${query}`, baseUrl);
+    const req = http.get({
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        ...(!query.includes('token=') && { Authorization: `Bearer ${user.token}` }),
+        ...headers,
+      },
+    }, (res) => {
+      const stream = {
+        status: res.statusCode,
+        headers: res.headers,
+        events: [],
+        comments: [],
+        waiters: [],
+        close: () => req.destroy(),
+      };
+      let buffer = '';
+
+      const check = () => {
+        stream.waiters = stream.waiters.filter(({ predicate, done }) => {
+          if (!predicate(stream)) return true;
+          done();
+          return false;
+        });
+      };
+      stream.waitFor = (predicate) => new Promise((done) => {
+        stream.waiters.push({ predicate, done });
+        check();
+      });
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end = buffer.indexOf('\n\n');
+        while (end !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const event = {};
+          block.split('\n').forEach((line) => {
+            if (line.startsWith(':')) stream.comments.push(line.slice(1).trim());
+            else if (line.startsWith('id: ')) event.id = Number(line.slice(4));
+            else if (line.startsWith('event: ')) event.type = line.slice(7);
+            else if (line.startsWith('data: ')) event.data = JSON.parse(line.slice(6));
+          });
+          if (event.type) stream.events.push(event);
+          end = buffer.indexOf('\n\n');
+        }
+        check();
+      });
+      res.on('error', () => {});
+      resolve(stream);
+    });
+    req.on('error', (err) => {
+      if (err.code !== 'ECONNRESET') reject(err);
+    });
+  });
+}
+
+const ofType = (type) => (stream) => stream.events.some((e) => e.type === type);
+
+describe('Event stream API', () => {
+  let alice;
+  let bob;
+  let streams;
+
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    streams.forEach((s) => s.close());
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    (streams || []).forEach((s) => s.close());
+    streams = [];
+    storage.reset();
+    alice = await createUser('alice', 'Alice');
+    bob = await createUser('bob', 'Bob');
+  });
+
+  /** openStream() that is closed before the next test. */
+  async function listen(user, options) {
+    const stream = await openStream(user, options);
+    streams.push(stream);
+    return stream;
+  }
+
+  describe('Access', () => {
+    it('should only let a signed-in user open their own stream', async () => {
+      const anonymous = await request('GET', `/api/stream/${alice.id}`);
+      const other = await request('GET', `/api/stream/${alice.id}`, null, bob.token);
+      const missing = await request('GET', '/api/stream/nope', null, alice.token);
+
+      assert.strictEqual(anonymous.status, 401);
+      assert.strictEqual(other.status, 403);
+      assert.strictEqual(missing.status, 404);
+    });
+
+    it('should accept the token as a query parameter for EventSource clients', async () => {
+      const stream = await listen(alice, { query: `?token=${alice.token}` });
+      assert.strictEqual(stream.status, 200);
+      assert.match(stream.headers['content-type'], /^text\/event-stream/);
+    });
+
+    it('should send heartbeats while idle', async () => {
+      const stream = await listen(alice);
+      await stream.waitFor((s) => s.comments.includes('heartbeat'));
+    });
+  });
+
+  describe('Events', () => {
+    it('should push posts created and deleted by followed users', async () => {
+      await request('POST', '/api/follow', { followeeId: alice.id }, bob.token);
+      const stream = await listen(bob);
+
+      const post = (await request('POST', '/api/posts', { content: 'Hi' }, alice.token)).body;
+      await stream.waitFor(ofType('post.created'));
+      const [created] = stream.events;
+      assert.strictEqual(created.data.id, post.id);
+      assert.strictEqual(created.data.author.id, alice.id);
+
+      await request('DELETE', `/api/posts/${post.id}`, null, alice.token);
+      await stream.waitFor(ofType('post.deleted'));
+      assert.deepStrictEqual(stream.events[1].data, { postId: post.id });
+      assert.ok(stream.events[1].id > created.id, 'ids increase');
+    });
+
+    it('should not push posts the follower cannot see or has muted', async () => {
+      const carol = await createUser('carol', 'Carol');
+      await request('POST', '/api/follow', { followeeId: alice.id }, bob.token);
+      await request('POST', '/api/follow', { followeeId: carol.id }, bob.token);
+      await request('POST', `/api/users/${carol.id}/mute`, {}, bob.token);
+      const stream = await listen(bob);
+
+      await request('POST', '/api/posts', { content: 'Private', visibility: 'only_me' }, alice.token);
+      await request('POST', '/api/posts', { content: 'Muted' }, carol.token);
+      const marker = (await request('POST', '/api/posts', { content: 'Shown' }, alice.token)).body;
+
+      await stream.waitFor(ofType('post.created'));
+      assert.deepStrictEqual(stream.events.map((e) => e.data.id), [marker.id]);
+    });
+
+    it('should push likes, unlikes and new followers to the user concerned', async () => {
+      const post = (await request('POST', '/api/posts', { content: 'Hi' }, alice.token)).body;
+      const stream = await listen(alice);
+
+      await request('POST', `/api/posts/${post.id}/like`, {}, bob.token);
+      await request('DELETE', `/api/posts/${post.id}/like`, null, bob.token);
+      await request('POST', '/api/follow', { followeeId: alice.id }, bob.token);
+      await stream.waitFor(ofType('user.followed'));
+
+      assert.deepStrictEqual(
+        stream.events.map((e) => e.type),
+        ['post.liked', 'post.reacted', 'post.unliked', 'post.reacted', 'user.followed']
+      );
+      assert.deepStrictEqual(stream.events[0].data, { postId: post.id, userId: bob.id, likesCount: 1 });
+      assert.strictEqual(stream.events[1].data.type, 'like');
+      assert.deepStrictEqual(stream.events[2].data, { postId: post.id, userId: bob.id, likesCount: 0 });
+      assert.strictEqual(stream.events[3].data.type, null);
+      assert.strictEqual(stream.events[4].data.follower.id, bob.id);
+    });
+
+    it('should not push a user their own likes', async () => {
+      const post = (await request('POST', '/api/posts', { content: 'Hi' }, alice.token)).body;
+      const stream = await listen(alice);
+
+      await request('POST', `/api/posts/${post.id}/like`, {}, alice.token);
+      await request('POST', '/api/follow', { followeeId: alice.id }, bob.token);
+      await stream.waitFor(ofType('user.followed'));
+
+      assert.deepStrictEqual(stream.events.map((e) => e.type), ['user.followed']);
+    });
+  });
+
+  describe('Resume', () => {
+    it('should replay events after Last-Event-ID on reconnect', async () => {
+      const post = (await request('POST', '/api/posts', { content: 'Hi' }, alice.token)).body;
+      const first = await listen(alice);
+      await request('POST', `/api/posts/${post.id}/like`, {}, bob.token);
+      await first.waitFor(ofType('post.reacted'));
+      const seen = first.events[first.events.length - 1].id;
+      first.close();
+
+      // Published while alice is disconnected
+      await request('DELETE', `/api/posts/${post.id}/like`, null, bob.token);
+      await request('POST', '/api/follow', { followeeId: alice.id }, bob.token);
+
+      const resumed = await listen(alice, { headers: { 'Last-Event-ID': String(seen) } });
+      await resumed.waitFor((s) => s.events.length === 3);
+      assert.deepStrictEqual(resumed.events.map((e) => e.type), ['post.unliked', 'post.reacted', 'user.followed']);
+
+      const byQuery = await listen(alice, { query: `?lastEventId=${resumed.events[1].id}` });
+      await byQuery.waitFor((s) => s.events.length === 1);
+      assert.strictEqual(byQuery.events[0].type, 'user.followed');
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * tests/suggestions.test.js
+ *
+ * Tests for "people you may know":
+ *   GET  /api/suggestions/:id          — ranked suggestions with reasons
+ *   POST /api/suggestions/:id/dismiss  — stop suggesting a user
+ * and that GET /api/users/:id/suggestions gives the same answer.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+const repositories = require('../repositories');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, POST, PATCH, etc.)
+ * @param {string} path   - Request path
+ * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function request(method, path, body = null, token = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+describe('Suggestions API', () => {
+  let alice;
+  let bob;
+  let carol;
+  let dave;
+
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    storage.reset();
+    alice = await createUser('alice', 'Alice');
+    bob = await createUser('bob', 'Bob');
+    carol = await createUser('carol', 'Carol');
+    dave = await createUser('dave', 'Dave');
+  });
+
+  const follow = (follower, followee) => request('POST', '/api/follow', { followeeId: followee.id }, follower.token);
+  const suggestionsFor = (user, query = '') => request('GET', `/api/suggestions/${user.id}${query}`, null, user.token);
+  const byName = (res) => Object.fromEntries(res.body.map((s) => [s.username, s]));
+
+  /** Store a user who joined long ago, so recency adds nothing. */
+  function oldUser(username, displayName) {
+    return repositories.users.create({
+      id: `old-${username}`, username, displayName, bio: '', profilePicUrl: null, createdAt: '2020-01-01T00:00:00.000Z',
+    });
+  }
+
+  it('should rank friends-of-friends first and explain why', async () => {
+    await follow(alice, bob);
+    await follow(alice, carol);
+    await follow(bob, dave);
+    await follow(carol, dave);
+    const erin = await createUser('erin', 'Erin');
+    await follow(bob, erin);
+
+    const res = await suggestionsFor(alice);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.map((s) => s.id), [dave.id, erin.id]);
+    assert.strictEqual(res.body[0].mutualCount, 2);
+    assert.deepStrictEqual(res.body[0].reasons, ['Followed by Bob and Carol', 'Joined recently']);
+    assert.ok(res.body[0].score > res.body[1].score);
+  });
+
+  it('should weigh followers-of-followers and shared likes, and drop users with nothing in common', async () => {
+    const gina = oldUser('gina', 'Gina');
+    const hank = oldUser('hank', 'Hank');
+    const ivan = oldUser('ivan', 'Ivan');
+    oldUser('nobody', 'Nobody');
+    repositories.follows.add(gina.id, alice.id);
+    repositories.follows.add(hank.id, gina.id);
+
+    const post = (await request('POST', '/api/posts', { content: 'Like me' }, bob.token)).body;
+    await request('POST', `/api/posts/${post.id}/like`, {}, alice.token);
+    repositories.likes.add(ivan.id, post.id, 'love');
+
+    const suggestions = byName(await suggestionsFor(alice));
+    assert.deepStrictEqual(suggestions.hank.reasons, ['Follows Gina, who follows you']);
+    assert.deepStrictEqual(suggestions.ivan.reasons, ['Reacted to a post you reacted to']);
+    assert.ok(suggestions.hank.score > suggestions.ivan.score);
+    assert.ok(!('nobody' in suggestions), 'nothing in common');
+    assert.ok(!('gina' in suggestions), 'gina follows alice, but alice has nothing else with her');
+  });
+
+  it('should honour ?limit= and give the same answer under /api/users', async () => {
+    await createUser('erin', 'Erin');
+
+    const limited = await suggestionsFor(alice, '?limit=2');
+    assert.strictEqual(limited.body.length, 2);
+    const viaUsers = await request('GET', `/api/users/${alice.id}/suggestions?limit=2`, null, alice.token);
+    assert.deepStrictEqual(viaUsers.body, limited.body);
+
+    const bad = await suggestionsFor(alice, '?limit=0');
+    assert.strictEqual(bad.status, 400);
+  });
+
+  it('should only show you your own suggestions', async () => {
+    for (const path of [`/api/suggestions/${alice.id}`, `/api/users/${alice.id}/suggestions`]) {
+      const anon = await request('GET', path);
+      const other = await request('GET', path, null, bob.token);
+      assert.strictEqual(anon.status, 401, path);
+      assert.strictEqual(other.status, 403, path);
+    }
+  });
+
+  describe('POST /api/suggestions/:id/dismiss', () => {
+    it('should stop suggesting a dismissed user', async () => {
+      const res = await request('POST', `/api/suggestions/${bob.id}/dismiss`, {}, alice.token);
+      assert.strictEqual(res.status, 201);
+      assert.strictEqual(res.body.dismissedId, bob.id);
+
+      const ids = (await suggestionsFor(alice)).body.map((s) => s.id);
+      assert.deepStrictEqual(ids.sort(), [carol.id, dave.id].sort());
+      const forBob = (await suggestionsFor(bob)).body.map((s) => s.id);
+      assert.ok(forBob.includes(alice.id), 'only the dismisser stops seeing the suggestion');
+    });
+
+    it('should validate the dismissal', async () => {
+      await request('POST', `/api/suggestions/${bob.id}/dismiss`, {}, alice.token);
+
+      const again = await request('POST', `/api/suggestions/${bob.id}/dismiss`, {}, alice.token);
+      const self = await request('POST', `/api/suggestions/${alice.id}/dismiss`, {}, alice.token);
+      const unknown = await request('POST', '/api/suggestions/nope/dismiss', {}, alice.token);
+      const anon = await request('POST', `/api/suggestions/${bob.id}/dismiss`, {});
+
+      assert.strictEqual(again.status, 400);
+      assert.strictEqual(self.status, 400);
+      assert.strictEqual(unknown.status, 404);
+      assert.strictEqual(anon.status, 401);
+    });
+  });
+});
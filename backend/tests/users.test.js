@@ -12,9 +12,10 @@ let baseUrl;
  * @param {string} method - HTTP method (GET, POST, DELETE, etc.)
  * @param {string} path - Request path (e.g., '/api/users')
  * @param {object} body - Optional request body
+ * @param {string} token - Optional bearer token
  * @returns {Promise} - { status, body }
  */
-function request(method, path, body = null) {
+function request(method, path, body = null, token = null) {
   return new Promise((resolve, reject) => {
     const url = new URL(path, baseUrl);
     const options = {
@@ -22,7 +23,10 @@ function request(method, path, body = null) {
       hostname: url.hostname,
       port: url.port,
       path: url.pathname + url.search,
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
     };
     const req = http.request(options, (res) => {
       let data = '';
@@ -40,6 +44,17 @@ function request(method, path, body = null) {
   });
 }
 
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
 describe('Users API', () => {
   // Start server before all tests
   before((_, done) => {
@@ -180,31 +195,28 @@ describe('Users API', () => {
 
   describe('GET /api/users/:userId/posts - Get user posts', () => {
     it('should return array of user posts sorted newest first', async () => {
-      const userRes = await request('POST', '/api/users', {
-        username: 'john_doe',
-        displayName: 'John Doe',
-      });
-      const userId = userRes.body.id;
+      const user = await createUser('john_doe', 'John Doe');
+      const userId = user.id;
 
       // Create two posts for this user
       await request('POST', '/api/posts', {
         authorId: userId,
         content: 'First post',
-      });
+      }, user.token);
       // Small delay to ensure different timestamps
       await new Promise((r) => setTimeout(r, 10));
       await request('POST', '/api/posts', {
         authorId: userId,
         content: 'Second post',
-      });
+      }, user.token);
 
       const res = await request('GET', `/api/users/${userId}/posts`);
 
       assert.strictEqual(res.status, 200);
-      assert.strictEqual(res.body.length, 2);
+      assert.strictEqual(res.body.items.length, 2);
       // Should be sorted newest first
-      assert.strictEqual(res.body[0].content, 'Second post');
-      assert.strictEqual(res.body[1].content, 'First post');
+      assert.strictEqual(res.body.items[0].content, 'Second post');
+      assert.strictEqual(res.body.items[1].content, 'First post');
     });
 
     it('should return 404 for non-existent user', async () => {
@@ -217,26 +229,19 @@ describe('Users API', () => {
 
   describe('GET /api/users/:id/followers - List followers', () => {
     it('should return array of follower user objects', async () => {
-      const user1Res = await request('POST', '/api/users', {
-        username: 'user1',
-        displayName: 'User One',
-      });
-      const user2Res = await request('POST', '/api/users', {
-        username: 'user2',
-        displayName: 'User Two',
-      });
+      const user1 = await createUser('user1', 'User One');
+      const user2 = await createUser('user2', 'User Two');
 
       // user1 follows user2
       await request('POST', '/api/follow', {
-        followerId: user1Res.body.id,
-        followeeId: user2Res.body.id,
-      });
+        followeeId: user2.id,
+      }, user1.token);
 
-      const res = await request('GET', `/api/users/${user2Res.body.id}/followers`);
+      const res = await request('GET', `/api/users/${user2.id}/followers`);
 
       assert.strictEqual(res.status, 200);
-      assert.strictEqual(res.body.length, 1);
-      assert.strictEqual(res.body[0].username, 'user1');
+      assert.strictEqual(res.body.items.length, 1);
+      assert.strictEqual(res.body.items[0].username, 'user1');
     });
 
     it('should return 404 for non-existent user', async () => {
@@ -249,55 +254,37 @@ describe('Users API', () => {
 
   describe('GET /api/users/:id/following - List following', () => {
     it('should return array of following user objects', async () => {
-      const user1Res = await request('POST', '/api/users', {
-        username: 'user1',
-        displayName: 'User One',
-      });
-      const user2Res = await request('POST', '/api/users', {
-        username: 'user2',
-        displayName: 'User Two',
-      });
+      const user1 = await createUser('user1', 'User One');
+      const user2 = await createUser('user2', 'User Two');
 
       // user1 follows user2
       await request('POST', '/api/follow', {
-        followerId: user1Res.body.id,
-        followeeId: user2Res.body.id,
-      });
+        followeeId: user2.id,
+      }, user1.token);
 
-      const res = await request('GET', `/api/users/${user1Res.body.id}/following`);
+      const res = await request('GET', `/api/users/${user1.id}/following`);
 
       assert.strictEqual(res.status, 200);
-      assert.strictEqual(res.body.length, 1);
-      assert.strictEqual(res.body[0].username, 'user2');
+      assert.strictEqual(res.body.items.length, 1);
+      assert.strictEqual(res.body.items[0].username, 'user2');
     });
   });
 
   describe('GET /api/users/:id/suggestions - Friend suggestions', () => {
     it('should return friend suggestions ranked by mutual connections', async () => {
-      const user1Res = await request('POST', '/api/users', {
-        username: 'user1',
-        displayName: 'User One',
-      });
-      const user2Res = await request('POST', '/api/users', {
-        username: 'user2',
-        displayName: 'User Two',
-      });
-      const user3Res = await request('POST', '/api/users', {
-        username: 'user3',
-        displayName: 'User Three',
-      });
+      const user1 = await createUser('user1', 'User One');
+      const user2 = await createUser('user2', 'User Two');
+      const user3 = await createUser('user3', 'User Three');
 
       // user1 follows user2, user2 follows user3
       await request('POST', '/api/follow', {
-        followerId: user1Res.body.id,
-        followeeId: user2Res.body.id,
-      });
+        followeeId: user2.id,
+      }, user1.token);
       await request('POST', '/api/follow', {
-        followerId: user2Res.body.id,
-        followeeId: user3Res.body.id,
-      });
+        followeeId: user3.id,
+      }, user2.token);
 
-      const res = await request('GET', `/api/users/${user1Res.body.id}/suggestions`);
+      const res = await request('GET', `/api/users/${user1.id}/suggestions`, null, user1.token);
 
       assert.strictEqual(res.status, 200);
       assert.ok(Array.isArray(res.body));
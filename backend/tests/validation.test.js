@@ -0,0 +1,207 @@
+/**
+ * tests/validation.test.js
+ *
+ * Tests for request validation (validation.js) and the shared error shape
+ * (errors.js): every failing field is reported with a stable code, length
+ * limits are enforced, and errors outside validation use the same shape.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const app = require('../server');
+const storage = require('../storage');
+const { MAX_LIMIT } = require('../pagination');
+
+let server;
+let baseUrl;
+
+/**
+ * Helper function to make HTTP requests.
+ * @param {string} method - HTTP method (GET, POST, PATCH, etc.)
+ * @param {string} path   - Request path
+ * @param {object} body   - Optional request body
+ * @param {string} token  - Optional bearer token
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+function request(method, path, body = null, token = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const bodyStr = body !== null ? JSON.stringify(body) : null;
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bodyStr !== null && { 'Content-Length': Buffer.byteLength(bodyStr) }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          body: data ? JSON.parse(data) : null,
+        });
+      });
+    });
+    req.on('error', reject);
+    if (bodyStr !== null) req.write(bodyStr);
+    req.end();
+  });
+}
+
+/** Register a user and return the user object plus its session `token`. */
+async function createUser(username, displayName) {
+  const res = await request('POST', '/api/auth/register', {
+    username,
+    displayName,
+    password: 'password123',
+  });
+  assert.strictEqual(res.status, 201, `createUser(${username}) failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, token: res.body.token };
+}
+
+/** Send `text` as a JSON body without encoding it. */
+function postRaw(path, text) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const req = http.request({
+      method: 'POST',
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname,
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text) },
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(text);
+  });
+}
+
+/** [field, in, code] for each entry in a validation error. */
+const fieldCodes = (res) => res.body.error.fields.map((f) => [f.field, f.in, f.code]);
+
+describe('Request validation', () => {
+  let alice;
+  let bob;
+
+  before((_, done) => {
+    server = app.listen(0, () => {
+      const { port } = server.address();
+      baseUrl = `http://localhost:${port}`;
+      done();
+    });
+  });
+
+  after((_, done) => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    storage.reset();
+    alice = await createUser('alice', 'Alice');
+    bob = await createUser('bob', 'Bob');
+  });
+
+  it('should report every invalid field with a stable code', async () => {
+    const res = await request('POST', '/api/auth/register', {
+      username: 'has space',
+      bio: 42,
+      password: 'short',
+    });
+
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error.code, 'validation_failed');
+    assert.deepStrictEqual(fieldCodes(res), [
+      ['username', 'body', 'invalid_format'],
+      ['displayName', 'body', 'required'],
+      ['bio', 'body', 'invalid_type'],
+      ['password', 'body', 'too_short'],
+    ]);
+    assert.match(res.body.error.message, /displayName is required/);
+    res.body.error.fields.forEach((f) => assert.ok(f.message));
+  });
+
+  it('should enforce length limits on username, displayName, bio and content', async () => {
+    const register = await request('POST', '/api/auth/register', {
+      username: 'u'.repeat(31), displayName: 'D'.repeat(51), password: 'password123',
+    });
+    const bio = await request('PATCH', `/api/users/${alice.id}`, { bio: 'b'.repeat(161) }, alice.token);
+    const post = await request('POST', '/api/posts', { content: 'p'.repeat(5001) }, alice.token);
+    const ok = await request('POST', '/api/posts', { content: 'p'.repeat(5000) }, alice.token);
+    const comment = await request('POST', `/api/posts/${ok.body.id}/comments`, {
+      content: 'c'.repeat(2001),
+    }, bob.token);
+
+    assert.deepStrictEqual(fieldCodes(register), [
+      ['username', 'body', 'too_long'],
+      ['displayName', 'body', 'too_long'],
+    ]);
+    assert.deepStrictEqual(fieldCodes(bio), [['bio', 'body', 'too_long']]);
+    assert.deepStrictEqual(fieldCodes(post), [['content', 'body', 'too_long']]);
+    assert.strictEqual(ok.status, 201);
+    assert.deepStrictEqual(fieldCodes(comment), [['content', 'body', 'too_long']]);
+  });
+
+  it('should name nested fields and check query parameters', async () => {
+    const attachments = await request('POST', '/api/posts', {
+      content: 'Hi', attachments: [{ alt: 5 }], visibility: 'friends',
+    }, alice.token);
+    const page = await request('GET', '/api/posts?limit=0&cursor=nonsense');
+
+    assert.deepStrictEqual(fieldCodes(attachments), [
+      ['visibility', 'body', 'invalid_value'],
+      ['attachments[0].mediaId', 'body', 'required'],
+      ['attachments[0].alt', 'body', 'invalid_type'],
+    ]);
+    assert.deepStrictEqual(fieldCodes(page), [
+      ['limit', 'query', 'out_of_range'],
+      ['cursor', 'query', 'invalid_value'],
+    ]);
+  });
+
+  it('should reject every malformed page parameter', async () => {
+    const limits = ['0', '-1', '1.5', 'abc', String(MAX_LIMIT + 1)];
+    const cursors = ['not-base64!', Buffer.from('{"x":1}').toString('base64url'), Buffer.from('[1,2]').toString('base64url')];
+
+    for (const limit of limits) {
+      const res = await request('GET', `/api/posts?limit=${encodeURIComponent(limit)}`);
+      assert.strictEqual(res.status, 400, `limit=${limit} should be rejected`);
+    }
+    for (const cursor of cursors) {
+      const res = await request('GET', `/api/posts?cursor=${encodeURIComponent(cursor)}`);
+      assert.strictEqual(res.status, 400, `cursor=${cursor} should be rejected`);
+    }
+    const repeated = await request('GET', '/api/posts?cursor=a&cursor=b');
+    assert.deepStrictEqual(fieldCodes(repeated), [['cursor', 'query', 'invalid_type']]);
+  });
+
+  it('should use the same shape for every other error', async () => {
+    const missing = await request('GET', '/api/nowhere');
+    const anon = await request('POST', '/api/posts', { content: 'Hi' });
+    const taken = await request('PATCH', `/api/users/${alice.id}`, { username: 'BOB' }, alice.token);
+    const badJson = await postRaw('/api/posts', '{"content": ');
+
+    assert.deepStrictEqual(missing.body, { error: { code: 'not_found', message: 'Not Found', fields: [] } });
+    assert.strictEqual(anon.body.error.code, 'unauthorized');
+    assert.strictEqual(taken.status, 409);
+    assert.strictEqual(taken.body.error.code, 'username_taken');
+    assert.strictEqual(badJson.status, 400);
+    assert.strictEqual(badJson.body.error.code, 'invalid_json');
+  });
+
+  it('should return 404 when unfollowing a user who does not exist', async () => {
+    const res = await request('DELETE', '/api/follow', { followeeId: 'no-such-user' }, alice.token);
+
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(res.body.error.code, 'not_found');
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * validation.js — Declarative request schemas, checked as route middleware
+ *
+ *   router.post('/', requireAuth, validate({
+ *     body: { content: { type: 'string', required: true, maxLength: 5000 } },
+ *     query: PAGE_QUERY,
+ *   }), handler);
+ *
+ * A schema lists rules for `params`, `query` and `body` fields. Fields not
+ * listed are ignored, and values reach the handler unchanged; handlers still
+ * trim strings and parse query numbers. Rules:
+ *   type       'string' | 'integer' | 'boolean' | 'array' | 'object'
+ *              (query values arrive as strings, so a query 'integer' is a
+ *              string of digits)
+ *   required   must be present; a required string must not be blank
+ *   notEmpty   may be left out, but a string given must not be blank
+ *   nullable   null is allowed (and skips the other checks)
+ *   minLength / maxLength   for strings, measured after trimming
+ *   maxItems   for arrays; `items` is the rule for each element
+ *   fields     for objects, rules for their properties
+ *   min / max  for integers
+ *   enum       allowed values
+ *   pattern    RegExp the (trimmed) string must match
+ *   format     a named check from FORMATS ('url')
+ *   check      fn(value, values) → error message or null, for anything else;
+ *              `values` is the whole location (req.query, say), for rules that
+ *              depend on another field
+ *   messages   { [field code]: message } replacing the default wording
+ *
+ * Every failing field is reported, as a 400 in the errors.js shape with
+ * code `validation_failed`. Field codes: required, invalid_type, too_short,
+ * too_long, too_many, out_of_range, invalid_value, invalid_format.
+ *
+ * Checks that need storage (does the user exist, is the name taken) stay in
+ * the handlers.
+ */
+
+const { sendError } = require('./errors');
+const { MAX_LIMIT, decodeCursor } = require('./pagination');
+
+const MAX_URL_LENGTH = 2048;
+
+const FORMATS = {
+  // An http(s) URL, or a path on this server such as an upload's /api/media/:id
+  url: {
+    test(value) {
+      if (value.length > MAX_URL_LENGTH) return false;
+      if (value.startsWith('/') && !value.startsWith('//')) return true;
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch (err) {
+        return false;
+      }
+    },
+    message: (name) => `${name} must be an http(s) URL or a path on this server`,
+  },
+};
+
+const ARTICLES = { integer: 'an integer', array: 'an array', object: 'an object' };
+
+/** `?limit=&cursor=` for endpoints paged by pagination.js. */
+const PAGE_QUERY = {
+  limit: { type: 'integer', min: 1, max: MAX_LIMIT },
+  cursor: { type: 'string', check: (c) => (decodeCursor(c) ? null : 'cursor is invalid') },
+};
+
+function typeMatches(type, value, location) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return location === 'query'
+        ? typeof value === 'string' && /^-?\d+$/.test(value)
+        : Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+/** Check one value against its rule, pushing { field, code, message } onto errors. */
+function checkValue(name, value, rule, location, errors, values) {
+  const fail = (code, message) => errors.push({
+    field: name, in: location, code, message: (rule.messages && rule.messages[code]) || message,
+  });
+
+  if (value === undefined) {
+    if (rule.required) fail('required', `${name} is required`);
+    return;
+  }
+  if (value === null && rule.nullable) return;
+
+  if (rule.type && !typeMatches(rule.type, value, location)) {
+    fail('invalid_type', `${name} must be ${ARTICLES[rule.type] || `a ${rule.type}`}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    const { length } = value.trim();
+    if ((rule.required || rule.notEmpty) && length === 0) return fail('required', `${name} cannot be empty`);
+    if (rule.minLength !== undefined && length < rule.minLength) {
+      return fail('too_short', `${name} must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength !== undefined && length > rule.maxLength) {
+      return fail('too_long', `${name} must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.pattern && !rule.pattern.test(value.trim())) {
+      return fail('invalid_format', `${name} is not valid`);
+    }
+    if (rule.format && value !== '' && !FORMATS[rule.format].test(value)) {
+      return fail('invalid_format', FORMATS[rule.format].message(name));
+    }
+  }
+
+  if (rule.type === 'integer') {
+    const number = Number(value);
+    if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+      const range = rule.max === undefined ? `at least ${rule.min}` : `between ${rule.min} and ${rule.max}`;
+      return fail('out_of_range', `${name} must be an integer ${range}`);
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail('invalid_value', `${name} must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return fail('too_many', `${name} can have at most ${rule.maxItems} items`);
+    }
+    if (rule.items) {
+      value.forEach((item, i) => checkValue(`${name}[${i}]`, item, rule.items, location, errors, values));
+    }
+  }
+
+  if (rule.fields && rule.type === 'object') {
+    Object.entries(rule.fields).forEach(([key, fieldRule]) => {
+      checkValue(`${name}.${key}`, value[key], fieldRule, location, errors, values);
+    });
+  }
+
+  if (rule.check) {
+    const message = rule.check(value, values);
+    if (message) fail('invalid_value', message);
+  }
+  return undefined;
+}
+
+/** Every field error in `req` against `schema`, in schema order. */
+function findErrors(schema, req) {
+  const errors = [];
+  ['params', 'query', 'body'].forEach((location) => {
+    if (!schema[location]) return;
+    const values = req[location] || {};
+    Object.entries(schema[location]).forEach(([name, rule]) => {
+      checkValue(name, values[name], rule, location, errors, values);
+    });
+  });
+  return errors;
+}
+
+/** Middleware answering 400 validation_failed unless the request fits `schema`. */
+function validate(schema) {
+  const middleware = (req, res, next) => {
+    const fields = findErrors(schema, req);
+    if (fields.length === 0) return next();
+    return sendError(res, 400, fields.map((f) => f.message).join('; '), {
+      code: 'validation_failed',
+      fields,
+    });
+  };
+  // Read by openapi.js to document the route's parameters and body
+  middleware.schema = schema;
+  return middleware;
+}
+
+module.exports = { validate, PAGE_QUERY, FORMATS };
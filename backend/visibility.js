@@ -0,0 +1,73 @@
+/**
+ * visibility.js — Who may see a post
+ *
+ * Post audiences (post.visibility; posts stored without one are public):
+ *   public     anyone, signed in or not
+ *   followers  the author and users who follow the author
+ *   only_me    the author only
+ *
+ * A block between viewer and author hides the post regardless of audience,
+ * and a post hidden by moderators (routes/reports.js) is hidden from everyone,
+ * its author included; it stays stored for the record.
+ * Read routes answer 404 for posts canViewPost() rejects, so a hidden post is
+ * indistinguishable from a missing one. Routes that act on a post or a user
+ * (reacting, commenting, following, befriending) use interactionError() and
+ * blockError(), which answer 403 `blocked` for a block instead.
+ */
+
+const { follows, blocks } = require('./repositories');
+
+const VISIBILITIES = ['public', 'followers', 'only_me'];
+const DEFAULT_VISIBILITY = 'public';
+
+/** True if the post's audience includes viewerId (null for anonymous). */
+function audienceIncludes(viewerId, post) {
+  if (viewerId === post.authorId) return true;
+  switch (post.visibility || DEFAULT_VISIBILITY) {
+    case 'public':
+      return true;
+    case 'followers':
+      return Boolean(viewerId) && follows.exists(viewerId, post.authorId);
+    default:
+      return false;
+  }
+}
+
+/** True if moderators have hidden the post. */
+const isHidden = (post) => Boolean(post.hiddenAt);
+
+/** True if viewerId may see the post: not hidden, in its audience and not blocked. */
+function canViewPost(viewerId, post) {
+  return !isHidden(post) && !blocks.between(viewerId, post.authorId) && audienceIncludes(viewerId, post);
+}
+
+/** { status: 403, code: 'blocked', error } if either of users a and b blocked the other, else null. */
+function blockError(a, b) {
+  if (!blocks.between(a, b)) return null;
+  return {
+    status: 403,
+    code: 'blocked',
+    error: 'cannot interact with a user you have blocked or who has blocked you',
+  };
+}
+
+/**
+ * Returns { status, error, code? } unless userId may react to or comment on
+ * `post`. A post outside their audience is 404 before any block is checked,
+ * so the 403 never confirms a post they could not have seen.
+ */
+function interactionError(userId, post) {
+  if (!post || isHidden(post) || !audienceIncludes(userId, post)) {
+    return { status: 404, error: 'post not found' };
+  }
+  return blockError(userId, post.authorId);
+}
+
+module.exports = {
+  VISIBILITIES,
+  DEFAULT_VISIBILITY,
+  canViewPost,
+  isHidden,
+  blockError,
+  interactionError,
+};